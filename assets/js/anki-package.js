@@ -0,0 +1,826 @@
+// Anki Package - read and write Anki decks in the browser, no libraries.
+//
+// Import:
+//   - "Notes in Plain Text" exports (.txt, tab/semicolon/comma separated,
+//     with or without Anki's "#separator:" / "#tags column:" header lines)
+//   - .apkg packages: a zip holding collection.anki21 or collection.anki2,
+//     which is a SQLite database (schema 11). Packages exported by Anki
+//     2.1.50+ without "Support older Anki versions" only carry a
+//     zstd-compressed collection.anki21b, which we can't read.
+// Export: an .apkg with one note type (Word / Meaning / Example / Part of
+// speech) and the student's review state on each card.
+//
+// Only the parts of the zip and SQLite formats that Anki uses are
+// implemented: stored/deflated zip entries, UTF-8 databases, table b-trees
+// (with overflow pages) and rowid tables. No indexes are written.
+
+const ANKI_DAY_MS = 24 * 60 * 60 * 1000;
+const ANKI_FIELD_SEPARATOR = '\x1f';
+const ANKI_EXPORT_FIELDS = ['Word', 'Meaning', 'Example', 'Part of speech'];
+
+// ---------------------------------------------------------------- zip
+
+const ZIP_CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+function zipCrc32(bytes) {
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) crc = ZIP_CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+async function inflateRaw(bytes) {
+    if (typeof DecompressionStream === 'undefined') {
+        throw new Error('This browser cannot unzip files (DecompressionStream missing)');
+    }
+    const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+// name → Uint8Array for every file in the archive
+async function readZip(buffer) {
+    const bytes = new Uint8Array(buffer);
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+    // End of central directory: last record with signature 0x06054b50
+    let eocd = -1;
+    for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 65557); i--) {
+        if (view.getUint32(i, true) === 0x06054b50) {
+            eocd = i;
+            break;
+        }
+    }
+    if (eocd === -1) throw new Error('not a zip file');
+
+    const count = view.getUint16(eocd + 10, true);
+    let offset = view.getUint32(eocd + 16, true);
+    const decoder = new TextDecoder();
+    const files = new Map();
+
+    for (let i = 0; i < count; i++) {
+        if (view.getUint32(offset, true) !== 0x02014b50) throw new Error('corrupt zip directory');
+        const method = view.getUint16(offset + 10, true);
+        const compressedSize = view.getUint32(offset + 20, true);
+        const nameLength = view.getUint16(offset + 28, true);
+        const extraLength = view.getUint16(offset + 30, true);
+        const commentLength = view.getUint16(offset + 32, true);
+        const localOffset = view.getUint32(offset + 42, true);
+        const name = decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+        offset += 46 + nameLength + extraLength + commentLength;
+
+        const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+        const data = bytes.subarray(dataStart, dataStart + compressedSize);
+        if (method === 0) {
+            files.set(name, data);
+        } else if (method === 8) {
+            files.set(name, await inflateRaw(data));
+        } else {
+            files.set(name, null); // unsupported compression; only matters if we need this entry
+        }
+    }
+    return files;
+}
+
+// Uncompressed ("stored") zip — the SQLite file is small and this keeps
+// the writer free of a deflate implementation
+function writeZip(entries) {
+    const encoder = new TextEncoder();
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    entries.forEach(({ name, data }) => {
+        const nameBytes = encoder.encode(name);
+        const crc = zipCrc32(data);
+
+        const local = new Uint8Array(30 + nameBytes.length);
+        const lv = new DataView(local.buffer);
+        lv.setUint32(0, 0x04034b50, true);
+        lv.setUint16(4, 20, true);
+        lv.setUint16(8, 0, true);
+        lv.setUint32(14, crc, true);
+        lv.setUint32(18, data.length, true);
+        lv.setUint32(22, data.length, true);
+        lv.setUint16(26, nameBytes.length, true);
+        local.set(nameBytes, 30);
+
+        const central = new Uint8Array(46 + nameBytes.length);
+        const cv = new DataView(central.buffer);
+        cv.setUint32(0, 0x02014b50, true);
+        cv.setUint16(4, 20, true);
+        cv.setUint16(6, 20, true);
+        cv.setUint32(16, crc, true);
+        cv.setUint32(20, data.length, true);
+        cv.setUint32(24, data.length, true);
+        cv.setUint16(28, nameBytes.length, true);
+        cv.setUint32(42, offset, true);
+        central.set(nameBytes, 46);
+
+        localParts.push(local, data);
+        centralParts.push(central);
+        offset += local.length + data.length;
+    });
+
+    const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+    const end = new Uint8Array(22);
+    const ev = new DataView(end.buffer);
+    ev.setUint32(0, 0x06054b50, true);
+    ev.setUint16(8, entries.length, true);
+    ev.setUint16(10, entries.length, true);
+    ev.setUint32(12, centralSize, true);
+    ev.setUint32(16, offset, true);
+
+    return concatBytes([...localParts, ...centralParts, end]);
+}
+
+function concatBytes(parts) {
+    const out = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+    let offset = 0;
+    parts.forEach(part => {
+        out.set(part, offset);
+        offset += part.length;
+    });
+    return out;
+}
+
+// ---------------------------------------------------------------- SQLite
+
+function readVarint(bytes, offset) {
+    let value = 0;
+    for (let i = 0; i < 8; i++) {
+        const byte = bytes[offset + i];
+        value = value * 128 + (byte & 0x7F);
+        if (byte < 0x80) return [value, i + 1];
+    }
+    return [value * 256 + bytes[offset + 8], 9];
+}
+
+function encodeVarint(value) {
+    if (value < 0) throw new Error('negative varints are not supported');
+    const out = [];
+    let v = value;
+    do {
+        out.unshift(v % 128);
+        v = Math.floor(v / 128);
+    } while (v > 0);
+    if (out.length > 8) throw new Error('varint too large');
+    for (let i = 0; i < out.length - 1; i++) out[i] |= 0x80;
+    return out;
+}
+
+function decodeRecord(payload) {
+    const [headerSize, headerSizeLength] = readVarint(payload, 0);
+    const types = [];
+    let pos = headerSizeLength;
+    while (pos < headerSize) {
+        const [type, length] = readVarint(payload, pos);
+        types.push(type);
+        pos += length;
+    }
+
+    const view = new DataView(payload.buffer, payload.byteOffset, payload.byteLength);
+    const decoder = new TextDecoder();
+    const intSizes = { 1: 1, 2: 2, 3: 3, 4: 4, 5: 6, 6: 8 };
+    let body = headerSize;
+
+    return types.map(type => {
+        if (type === 0) return null;
+        if (type === 8) return 0;
+        if (type === 9) return 1;
+        if (type === 7) {
+            const value = view.getFloat64(body);
+            body += 8;
+            return value;
+        }
+        if (intSizes[type]) {
+            const size = intSizes[type];
+            let value = 0n;
+            for (let i = 0; i < size; i++) value = (value << 8n) | BigInt(payload[body + i]);
+            body += size;
+            return Number(BigInt.asIntN(size * 8, value));
+        }
+        const length = Math.floor((type - (type % 2 === 0 ? 12 : 13)) / 2);
+        const data = payload.subarray(body, body + length);
+        body += length;
+        return type % 2 === 0 ? data.slice() : decoder.decode(data);
+    });
+}
+
+function encodeRecord(values) {
+    const encoder = new TextEncoder();
+    const types = [];
+    const bodies = [];
+    values.forEach(value => {
+        if (value === null || value === undefined) {
+            types.push(0);
+        } else if (typeof value === 'number' && Number.isInteger(value)) {
+            if (value === 0) {
+                types.push(8);
+            } else if (value === 1) {
+                types.push(9);
+            } else {
+                // Always 8 bytes: simple, and Anki's ids need 6+ anyway
+                const bytes = new Uint8Array(8);
+                new DataView(bytes.buffer).setBigInt64(0, BigInt(value));
+                types.push(6);
+                bodies.push(bytes);
+            }
+        } else if (typeof value === 'number') {
+            const bytes = new Uint8Array(8);
+            new DataView(bytes.buffer).setFloat64(0, value);
+            types.push(7);
+            bodies.push(bytes);
+        } else {
+            const bytes = encoder.encode(String(value));
+            types.push(bytes.length * 2 + 13);
+            bodies.push(bytes);
+        }
+    });
+
+    const typeBytes = types.flatMap(encodeVarint);
+    // The header size counts its own varint, which may itself grow a byte
+    let headerSize = typeBytes.length + 1;
+    if (encodeVarint(headerSize).length > 1) headerSize = typeBytes.length + encodeVarint(headerSize + 1).length;
+    return concatBytes([new Uint8Array([...encodeVarint(headerSize), ...typeBytes]), ...bodies]);
+}
+
+// Column names from "CREATE TABLE x (a integer primary key, b text, ...)"
+function parseColumnNames(sql) {
+    const inner = sql.slice(sql.indexOf('(') + 1, sql.lastIndexOf(')'))
+        .replace(/\/\*[\s\S]*?\*\//g, '')
+        .replace(/--[^\n]*/g, '');
+    const parts = [];
+    let depth = 0;
+    let current = '';
+    for (const ch of inner) {
+        if (ch === '(') depth++;
+        if (ch === ')') depth--;
+        if (ch === ',' && depth === 0) {
+            parts.push(current);
+            current = '';
+        } else {
+            current += ch;
+        }
+    }
+    parts.push(current);
+    return parts
+        .map(part => part.trim())
+        .filter(part => part && !/^(primary|unique|check|foreign|constraint)\b/i.test(part))
+        .map(part => {
+            const name = part.split(/\s+/)[0].replace(/^["`[]|["`\]]$/g, '');
+            return { name, isRowid: /\binteger\s+primary\s+key\b/i.test(part) };
+        });
+}
+
+class SQLiteReader {
+    constructor(bytes) {
+        this.bytes = bytes;
+        const header = new TextDecoder().decode(bytes.subarray(0, 15));
+        if (header !== 'SQLite format 3') throw new Error('not a SQLite database');
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        this.view = view;
+        const pageSize = view.getUint16(16);
+        this.pageSize = pageSize === 1 ? 65536 : pageSize;
+        this.usable = this.pageSize - bytes[20];
+        if (view.getUint32(56) > 1) throw new Error('only UTF-8 databases are supported');
+        this.schema = this.readRows(1).map(([, type, name, tableName, rootPage, sql]) => ({ type, name, tableName, rootPage, sql }));
+    }
+
+    pageOffset(page) {
+        return (page - 1) * this.pageSize;
+    }
+
+    // Every [rowid, ...columns] row in the table b-tree rooted at `page`
+    readRows(page, rows = []) {
+        const start = this.pageOffset(page);
+        const headerStart = page === 1 ? start + 100 : start;
+        const type = this.bytes[headerStart];
+        const cellCount = this.view.getUint16(headerStart + 3);
+        const pointerStart = headerStart + (type === 0x05 ? 12 : 8);
+
+        for (let i = 0; i < cellCount; i++) {
+            const cellOffset = start + this.view.getUint16(pointerStart + i * 2);
+            if (type === 0x05) {
+                this.readRows(this.view.getUint32(cellOffset), rows);
+            } else if (type === 0x0D) {
+                rows.push(this.readLeafCell(cellOffset));
+            } else {
+                throw new Error(`unexpected b-tree page type ${type}`);
+            }
+        }
+        if (type === 0x05) this.readRows(this.view.getUint32(headerStart + 8), rows);
+        return rows;
+    }
+
+    readLeafCell(offset) {
+        const [payloadSize, sizeLength] = readVarint(this.bytes, offset);
+        const [rowid, rowidLength] = readVarint(this.bytes, offset + sizeLength);
+        const payloadStart = offset + sizeLength + rowidLength;
+
+        const maxLocal = this.usable - 35;
+        let payload;
+        if (payloadSize <= maxLocal) {
+            payload = this.bytes.subarray(payloadStart, payloadStart + payloadSize);
+        } else {
+            const minLocal = Math.floor((this.usable - 12) * 32 / 255) - 23;
+            const k = minLocal + ((payloadSize - minLocal) % (this.usable - 4));
+            const local = k <= maxLocal ? k : minLocal;
+            payload = new Uint8Array(payloadSize);
+            payload.set(this.bytes.subarray(payloadStart, payloadStart + local));
+            let written = local;
+            let overflow = this.view.getUint32(payloadStart + local);
+            while (overflow && written < payloadSize) {
+                const pageStart = this.pageOffset(overflow);
+                const chunk = Math.min(this.usable - 4, payloadSize - written);
+                payload.set(this.bytes.subarray(pageStart + 4, pageStart + 4 + chunk), written);
+                written += chunk;
+                overflow = this.view.getUint32(pageStart);
+            }
+        }
+        return [rowid, ...decodeRecord(payload)];
+    }
+
+    // Rows of a table as objects keyed by column name
+    readTable(name) {
+        const entry = this.schema.find(item => item.type === 'table' && item.name === name);
+        if (!entry) return null;
+        const columns = parseColumnNames(entry.sql);
+        return this.readRows(entry.rootPage).map(([rowid, ...values]) => {
+            const row = {};
+            columns.forEach((column, i) => {
+                row[column.name] = column.isRowid && values[i] === null ? rowid : values[i];
+            });
+            return row;
+        });
+    }
+}
+
+// Writes rowid tables only: [{ name, sql, rows: [[rowid, ...values]] }]
+// (for an "integer primary key" column, pass null in its place)
+function writeSQLite(tables, pageSize = 4096) {
+    const usable = pageSize;
+    const pages = [null]; // page 1 (sqlite_master) is filled in last
+    const newPage = () => {
+        pages.push(new Uint8Array(pageSize));
+        return pages.length; // 1-based page number
+    };
+
+    const maxLocal = usable - 35;
+    const minLocal = Math.floor((usable - 12) * 32 / 255) - 23;
+
+    const buildLeafCell = (rowid, payload) => {
+        const prefix = [...encodeVarint(payload.length), ...encodeVarint(rowid)];
+        if (payload.length <= maxLocal) {
+            return concatBytes([new Uint8Array(prefix), payload]);
+        }
+        const k = minLocal + ((payload.length - minLocal) % (usable - 4));
+        const local = k <= maxLocal ? k : minLocal;
+        // Overflow chain: 4-byte next-page pointer, then data
+        const chunks = [];
+        for (let pos = local; pos < payload.length; pos += usable - 4) {
+            chunks.push(payload.subarray(pos, pos + usable - 4));
+        }
+        const overflowPages = chunks.map(() => newPage());
+        chunks.forEach((chunk, i) => {
+            const page = pages[overflowPages[i] - 1];
+            new DataView(page.buffer).setUint32(0, overflowPages[i + 1] || 0);
+            page.set(chunk, 4);
+        });
+        const pointer = new Uint8Array(4);
+        new DataView(pointer.buffer).setUint32(0, overflowPages[0]);
+        return concatBytes([new Uint8Array(prefix), payload.subarray(0, local), pointer]);
+    };
+
+    // Lay cells out on a page: pointer array after the header, content from the end
+    const fillPage = (pageBytes, headerOffset, type, cells, rightPointer) => {
+        const view = new DataView(pageBytes.buffer);
+        const headerSize = type === 0x05 ? 12 : 8;
+        let contentStart = pageSize;
+        cells.forEach((cell, i) => {
+            contentStart -= cell.length;
+            pageBytes.set(cell, contentStart);
+            view.setUint16(headerOffset + headerSize + i * 2, contentStart);
+        });
+        pageBytes[headerOffset] = type;
+        view.setUint16(headerOffset + 3, cells.length);
+        view.setUint16(headerOffset + 5, contentStart === 65536 ? 0 : contentStart);
+        if (type === 0x05) view.setUint32(headerOffset + 8, rightPointer);
+    };
+
+    // Greedily pack items into pages of `headerSize` + (size + 2-byte pointer) each
+    const packPages = (items, sizeOf, headerSize) => {
+        const groups = [[]];
+        let used = headerSize;
+        items.forEach(item => {
+            const need = sizeOf(item) + 2;
+            if (used + need > pageSize && groups[groups.length - 1].length > 0) {
+                groups.push([]);
+                used = headerSize;
+            }
+            groups[groups.length - 1].push(item);
+            used += need;
+        });
+        return groups;
+    };
+
+    const buildTable = rows => {
+        const cells = rows.map(([rowid, ...values]) => ({ rowid, cell: buildLeafCell(rowid, encodeRecord(values)) }));
+        let level = packPages(cells, item => item.cell.length, 8).map(group => {
+            const page = newPage();
+            fillPage(pages[page - 1], 0, 0x0D, group.map(item => item.cell), 0);
+            // Largest rowid on the page becomes the parent's divider key
+            return { page, maxRowid: group.length ? group[group.length - 1].rowid : 0 };
+        });
+
+        // Interior pages: a cell per child except the last, which is the right pointer
+        const dividerCell = entry => {
+            const cell = new Uint8Array([0, 0, 0, 0, ...encodeVarint(entry.maxRowid)]);
+            new DataView(cell.buffer).setUint32(0, entry.page);
+            return cell;
+        };
+        while (level.length > 1) {
+            const groups = packPages(level, entry => dividerCell(entry).length, 12);
+            // An interior page needs at least one divider cell
+            const last = groups[groups.length - 1];
+            if (last.length === 1) last.unshift(groups[groups.length - 2].pop());
+            level = groups.map(children => {
+                const page = newPage();
+                const right = children[children.length - 1];
+                fillPage(pages[page - 1], 0, 0x05, children.slice(0, -1).map(dividerCell), right.page);
+                return { page, maxRowid: right.maxRowid };
+            });
+        }
+        return level[0].page;
+    };
+
+    const masterRows = tables.map((table, i) => {
+        const rootPage = buildTable(table.rows);
+        return [i + 1, 'table', table.name, table.name, rootPage, table.sql];
+    });
+
+    // Page 1: database header + sqlite_master leaf
+    const first = new Uint8Array(pageSize);
+    pages[0] = first;
+    const masterCells = masterRows.map(([rowid, ...values]) => buildLeafCell(rowid, encodeRecord(values)));
+    if (masterCells.reduce((sum, cell) => sum + cell.length + 2, 108) > pageSize) {
+        throw new Error('schema does not fit on the first page');
+    }
+    fillPage(first, 100, 0x0D, masterCells, 0);
+
+    const header = new DataView(first.buffer);
+    first.set(new TextEncoder().encode('SQLite format 3\0'), 0);
+    header.setUint16(16, pageSize === 65536 ? 1 : pageSize);
+    first[18] = 1; // file format write version (legacy rollback journal)
+    first[19] = 1; // read version
+    first[20] = 0; // reserved bytes per page
+    first[21] = 64;
+    first[22] = 32;
+    first[23] = 32;
+    header.setUint32(24, 1); // file change counter
+    header.setUint32(28, pages.length); // database size in pages
+    header.setUint32(40, 1); // schema cookie
+    header.setUint32(44, 4); // schema format
+    header.setUint32(56, 1); // UTF-8
+    header.setUint32(92, 1); // version-valid-for = change counter
+    header.setUint32(96, 3039004); // SQLite version that "wrote" the file
+
+    return concatBytes(pages);
+}
+
+// ---------------------------------------------------------------- Anki
+
+const ANKI_SCHEMA = {
+    col: `CREATE TABLE col (id integer primary key, crt integer not null, mod integer not null, scm integer not null, ver integer not null, dty integer not null, usn integer not null, ls integer not null, conf text not null, models text not null, decks text not null, dconf text not null, tags text not null)`,
+    notes: `CREATE TABLE notes (id integer primary key, guid text not null, mid integer not null, mod integer not null, usn integer not null, tags text not null, flds text not null, sfld integer not null, csum integer not null, flags integer not null, data text not null)`,
+    cards: `CREATE TABLE cards (id integer primary key, nid integer not null, did integer not null, ord integer not null, mod integer not null, usn integer not null, type integer not null, queue integer not null, due integer not null, ivl integer not null, factor integer not null, reps integer not null, lapses integer not null, left integer not null, odue integer not null, odid integer not null, flags integer not null, data text not null)`,
+    revlog: `CREATE TABLE revlog (id integer primary key, cid integer not null, usn integer not null, ivl integer not null, lastIvl integer not null, factor integer not null, time integer not null, type integer not null)`,
+    graves: `CREATE TABLE graves (usn integer not null, oid integer not null, type integer not null)`
+};
+
+// Anki fields are HTML; we store plain text
+function stripAnkiHtml(html) {
+    const entities = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+    return String(html || '')
+        .replace(/\[sound:[^\]]*\]/g, '')
+        .replace(/<br\s*\/?>|<\/div>|<\/p>/gi, '\n')
+        .replace(/<[^>]*>/g, '')
+        .replace(/&(#x?[0-9a-f]+|[a-z]+);/gi, (match, code) => {
+            if (code[0] === '#') {
+                const n = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+                return Number.isFinite(n) ? String.fromCodePoint(n) : match;
+            }
+            return entities[code.toLowerCase()] ?? match;
+        })
+        .replace(/[ \t]+\n/g, '\n')
+        .replace(/\n{2,}/g, '\n')
+        .trim();
+}
+
+function escapeAnkiHtml(text) {
+    return String(text || '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/\n/g, '<br>');
+}
+
+// Split delimited text, honouring "quoted" fields with "" escapes and newlines
+function splitDelimited(text, separator) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+        if (quoted) {
+            if (ch === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (ch === '"') {
+                quoted = false;
+            } else {
+                field += ch;
+            }
+        } else if (ch === '"' && field === '') {
+            quoted = true;
+        } else if (ch === separator) {
+            row.push(field);
+            field = '';
+        } else if (ch === '\n' || ch === '\r') {
+            if (ch === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += ch;
+        }
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows.filter(r => r.some(value => value.trim() !== ''));
+}
+
+async function sha1Hex(text) {
+    const digest = await crypto.subtle.digest('SHA-1', new TextEncoder().encode(text));
+    return Array.from(new Uint8Array(digest)).map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+class AnkiPackage {
+    /**
+     * Parse an Anki plain-text export (or any CSV/TSV word list).
+     * Returns { fieldNames, notes: [{ fields: [...], tags: [...] }], tagsColumn }
+     * where tagsColumn is the field index Anki declared for tags, if any.
+     */
+    static parseText(text) {
+        const headers = {};
+        const body = [];
+        String(text).replace(/^\uFEFF/, '').split(/\r?\n/).forEach(line => {
+            const header = line.match(/^#([a-z ]+):(.*)$/i);
+            if (header && body.length === 0) {
+                headers[header[1].trim().toLowerCase()] = header[2].trim();
+            } else {
+                body.push(line);
+            }
+        });
+
+        const named = { tab: '\t', comma: ',', semicolon: ';', space: ' ', pipe: '|', colon: ':' };
+        let separator = named[headers.separator] || headers.separator;
+        if (!separator) {
+            const sample = body.find(line => line.trim()) || '';
+            separator = sample.includes('\t') ? '\t' : sample.includes(';') ? ';' : ',';
+        }
+
+        const isHtml = headers.html === 'true' || /<[a-z][^>]*>/i.test(body.join('\n'));
+        const clean = value => (isHtml ? stripAnkiHtml(value) : value.trim());
+        const tagsColumn = headers['tags column'] ? parseInt(headers['tags column'], 10) - 1 : null;
+        // Anki puts guid/notetype/deck columns first when exporting them; they aren't fields
+        const skipColumns = ['guid column', 'notetype column', 'deck column']
+            .map(key => (headers[key] ? parseInt(headers[key], 10) - 1 : null))
+            .filter(index => index !== null);
+
+        const rows = splitDelimited(body.join('\n'), separator);
+        // Plain CSVs often start with a header row ("word,meaning,example")
+        let columnLabels = headers.columns ? headers.columns.split(separator) : null;
+        const headerPattern = /^(front|back|word|term|meaning|definition|translation|example|sentence|tags?|notes?|level|part of speech|pos)$/i;
+        if (!columnLabels && rows.length > 1 && rows[0].every(value => !value.trim() || headerPattern.test(value.trim()))) {
+            columnLabels = rows.shift().map(value => value.trim());
+        }
+        const notes = rows.map(row => ({
+            fields: row.filter((value, i) => i !== tagsColumn && !skipColumns.includes(i)).map(clean),
+            tags: tagsColumn !== null && row[tagsColumn] ? row[tagsColumn].trim().split(/\s+/) : []
+        }));
+        const fieldCount = notes.reduce((max, note) => Math.max(max, note.fields.length), 0);
+        const fieldNames = Array.from({ length: fieldCount }, (_, i) => (columnLabels && columnLabels[i]) || `Field ${i + 1}`);
+
+        return { fieldNames, notes, tagsColumn };
+    }
+
+    /**
+     * Parse an .apkg. Returns { fieldNames, notes: [{ fields, tags, deck, review }] }
+     * where review is null for new cards or
+     * { interval, easeFactor, nextReviewDate, lastReviewed, reviewCount, lapses }.
+     * Notes of the most common note type decide the field names.
+     */
+    static async parseApkg(buffer) {
+        const files = await readZip(buffer);
+        const collection = files.get('collection.anki21') || files.get('collection.anki2');
+        if (files.has('collection.anki21b') && !files.get('collection.anki21')) {
+            // The anki2 file next to an anki21b is a stub telling old clients to upgrade
+            throw new Error('This deck was exported in the new Anki format. In Anki, export again with "Support older Anki versions" ticked.');
+        }
+        if (!collection) throw new Error('No Anki collection found in this file.');
+
+        const db = new SQLiteReader(collection);
+        const col = (db.readTable('col') || [])[0];
+        if (!col) throw new Error('The Anki collection is empty.');
+        const models = JSON.parse(col.models || '{}');
+        const decks = JSON.parse(col.decks || '{}');
+        const crtMs = col.crt * 1000;
+        const todayIndex = Math.floor((Date.now() - crtMs) / ANKI_DAY_MS);
+
+        const notes = db.readTable('notes') || [];
+        const cards = db.readTable('cards') || [];
+
+        // Most common note type
+        const modelCounts = {};
+        notes.forEach(note => { modelCounts[note.mid] = (modelCounts[note.mid] || 0) + 1; });
+        const mainModelId = Object.keys(modelCounts).sort((a, b) => modelCounts[b] - modelCounts[a])[0];
+        const model = models[mainModelId];
+        const fieldNames = model && Array.isArray(model.flds)
+            ? model.flds.slice().sort((a, b) => a.ord - b.ord).map(field => field.name)
+            : [];
+
+        // First card (lowest ord) of each note carries the schedule
+        const cardByNote = new Map();
+        cards.forEach(card => {
+            const existing = cardByNote.get(card.nid);
+            if (!existing || card.ord < existing.ord) cardByNote.set(card.nid, card);
+        });
+
+        const result = notes
+            .filter(note => String(note.mid) === String(mainModelId))
+            .map(note => {
+                const card = cardByNote.get(note.id);
+                const deckName = card && decks[card.did] ? decks[card.did].name : '';
+                let review = null;
+                if (card && card.type === 2) {
+                    const dueMs = Date.now() + (card.due - todayIndex) * ANKI_DAY_MS;
+                    review = {
+                        interval: Math.max(1, card.ivl),
+                        easeFactor: card.factor ? card.factor / 1000 : 2.5,
+                        nextReviewDate: new Date(dueMs).toISOString(),
+                        lastReviewed: new Date(dueMs - Math.max(1, card.ivl) * ANKI_DAY_MS).toISOString(),
+                        reviewCount: card.reps || 0,
+                        lapses: card.lapses || 0
+                    };
+                } else if (card && (card.type === 1 || card.type === 3)) {
+                    // In (re)learning: due again now
+                    review = {
+                        interval: 1,
+                        easeFactor: card.factor ? card.factor / 1000 : 2.5,
+                        nextReviewDate: new Date().toISOString(),
+                        lastReviewed: new Date(Date.now() - ANKI_DAY_MS).toISOString(),
+                        reviewCount: card.reps || 0,
+                        lapses: card.lapses || 0
+                    };
+                }
+                return {
+                    fields: String(note.flds || '').split(ANKI_FIELD_SEPARATOR).map(stripAnkiHtml),
+                    tags: String(note.tags || '').trim().split(/\s+/).filter(Boolean),
+                    deck: deckName,
+                    review
+                };
+            });
+
+        return { fieldNames, notes: result };
+    }
+
+    /**
+     * Build an .apkg (Uint8Array) from
+     *   [{ word, meaning, example, partOfSpeech, tags: [...], review }]
+     * where review is a SpacedRepetitionSystem schedule or null (new card).
+     * Note GUIDs derive from the word, so re-importing an updated export
+     * updates the same notes in Anki instead of duplicating them.
+     */
+    static async buildApkg(entries, { deckName = 'TOEIC Master Pro' } = {}) {
+        const now = Date.now();
+        const nowSeconds = Math.floor(now / 1000);
+        const startOfToday = new Date();
+        startOfToday.setHours(0, 0, 0, 0);
+        const crt = Math.floor(startOfToday.getTime() / 1000);
+        const modelId = 1700000000000;
+        const deckId = 1700000000001;
+
+        const fields = ANKI_EXPORT_FIELDS.map((name, ord) => ({
+            name, ord, sticky: false, rtl: false, font: 'Arial', size: 20, media: []
+        }));
+        const model = {
+            id: modelId,
+            name: 'TOEIC Master Pro Word',
+            type: 0,
+            mod: nowSeconds,
+            usn: -1,
+            sortf: 0,
+            did: deckId,
+            tmpls: [{
+                name: 'Card 1',
+                ord: 0,
+                qfmt: '<div class="word">{{Word}}</div>',
+                afmt: '{{FrontSide}}<hr id="answer">{{Meaning}}{{#Part of speech}}<div class="pos">{{Part of speech}}</div>{{/Part of speech}}{{#Example}}<div class="example">{{Example}}</div>{{/Example}}',
+                bqfmt: '',
+                bafmt: '',
+                did: null,
+                bfont: '',
+                bsize: 0
+            }],
+            flds: fields,
+            css: '.card { font-family: arial; font-size: 20px; text-align: center; color: black; background-color: white; }\n.word { font-size: 32px; font-weight: bold; }\n.pos { color: #666; font-size: 16px; }\n.example { margin-top: 12px; font-style: italic; }',
+            latexPre: '\\documentclass[12pt]{article}\n\\special{papersize=3in,5in}\n\\usepackage[utf8]{inputenc}\n\\usepackage{amssymb,amsmath}\n\\pagestyle{empty}\n\\setlength{\\parindent}{0in}\n\\begin{document}\n',
+            latexPost: '\\end{document}',
+            latexsvg: false,
+            req: [[0, 'any', [0]]],
+            tags: [],
+            vers: []
+        };
+        const deck = (id, name) => ({
+            id, name, desc: '', mod: nowSeconds, usn: -1, collapsed: false, browserCollapsed: false,
+            dyn: 0, conf: 1, extendNew: 0, extendRev: 0,
+            newToday: [0, 0], revToday: [0, 0], lrnToday: [0, 0], timeToday: [0, 0]
+        });
+        const dconf = {
+            1: {
+                id: 1, name: 'Default', mod: 0, usn: 0, maxTaken: 60, autoplay: true, timer: 0, replayq: true, dyn: false,
+                new: { delays: [1, 10], ints: [1, 4, 0], initialFactor: 2500, order: 1, perDay: 20, bury: false },
+                rev: { perDay: 200, ease4: 1.3, ivlFct: 1, maxIvl: 36500, hardFactor: 1.2, bury: false },
+                lapse: { delays: [10], mult: 0, minInt: 1, leechFails: 8, leechAction: 1 }
+            }
+        };
+
+        const noteRows = [];
+        const cardRows = [];
+        let newPosition = 0;
+        for (let i = 0; i < entries.length; i++) {
+            const entry = entries[i];
+            const noteId = now - entries.length + i; // unique, increasing millisecond ids
+            const flds = [entry.word, entry.meaning, entry.example, entry.partOfSpeech].map(escapeAnkiHtml);
+            const hash = await sha1Hex(entry.word);
+            const guid = `toeic${hash.slice(0, 10)}`;
+            const csum = parseInt((await sha1Hex(stripAnkiHtml(flds[0]))).slice(0, 8), 16);
+            const tags = (entry.tags || []).map(tag => String(tag).replace(/\s+/g, '_')).filter(Boolean);
+            noteRows.push([noteId, null, guid, modelId, nowSeconds, -1, tags.length ? ` ${tags.join(' ')} ` : '',
+                flds.join(ANKI_FIELD_SEPARATOR), stripAnkiHtml(flds[0]), csum, 0, '']);
+
+            const review = entry.review;
+            let type = 0;
+            let due = newPosition++;
+            let ivl = 0;
+            let factor = 0;
+            // Words queued for review but never reviewed are still new cards
+            if (review && review.lastReviewed && review.nextReviewDate) {
+                type = 2;
+                due = Math.floor((new Date(review.nextReviewDate).getTime() - crt * 1000) / ANKI_DAY_MS);
+                ivl = Math.max(1, Math.round(review.interval || 1));
+                factor = Math.round((review.easeFactor || 2.5) * 1000);
+                newPosition--;
+            }
+            cardRows.push([noteId, null, noteId, deckId, 0, nowSeconds, -1, type, type, due, ivl, factor,
+                review ? review.reviewCount || 0 : 0, review ? review.lapses || 0 : 0, 0, 0, 0, 0, '']);
+        }
+
+        const colRow = [1, null, crt, now, now, 11, 0, 0, 0,
+            JSON.stringify({ nextPos: newPosition + 1, estTimes: true, activeDecks: [1], sortType: 'noteFld', timeLim: 0, sortBackwards: false, addToCur: true, curDeck: 1, newBury: true, newSpread: 0, dueCounts: true, curModel: String(modelId), collapseTime: 1200 }),
+            JSON.stringify({ [modelId]: model }),
+            JSON.stringify({ 1: deck(1, 'Default'), [deckId]: deck(deckId, deckName) }),
+            JSON.stringify(dconf),
+            '{}'];
+
+        const database = writeSQLite([
+            { name: 'col', sql: ANKI_SCHEMA.col, rows: [colRow] },
+            { name: 'notes', sql: ANKI_SCHEMA.notes, rows: noteRows },
+            { name: 'cards', sql: ANKI_SCHEMA.cards, rows: cardRows },
+            { name: 'revlog', sql: ANKI_SCHEMA.revlog, rows: [] },
+            { name: 'graves', sql: ANKI_SCHEMA.graves, rows: [] }
+        ]);
+
+        return writeZip([
+            { name: 'collection.anki2', data: database },
+            { name: 'media', data: new TextEncoder().encode('{}') }
+        ]);
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { AnkiPackage, SQLiteReader, writeSQLite, readZip, writeZip, stripAnkiHtml };
+} else {
+    window.AnkiPackage = AnkiPackage;
+}
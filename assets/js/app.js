@@ -7,6 +7,7 @@ class App {
         this.isInitialized = false;
         this.currentTOEICModule = null;
         this.sessionData = [];
+        this.vocabularyExerciseType = 'flashcards';
         this.startTime = Date.now();
         this.isProduction = window.location.hostname !== 'localhost' && window.location.hostname !== '127.0.0.1';
         
@@ -359,6 +360,7 @@ class App {
                 this.showWelcomeScreen();
                 this.isInitialized = true;
                 window.logger?.success('WordMaster Pro initialized successfully!');
+                this.offerTestResume();
             }, 500);
             
             // Emergency timeout to prevent infinite loading
@@ -436,6 +438,13 @@ class App {
     async initializeTOEICSystems() {
         window.logger?.info('Initializing TOEIC Systems...');
         
+        // Content packs extend the Part 1–4/6 banks, which the listening
+        // system reads in its constructor — so they go in first
+        if (window.contentPacks) {
+            await window.contentPacks.ready;
+            window.contentPacks.applyStaticBanks();
+        }
+        
         // Initialize TOEIC Vocabulary System
         if (window.TOEICVocabularySystem) {
             window.toeicVocabulary = new window.TOEICVocabularySystem();
@@ -448,6 +457,12 @@ class App {
             window.logger?.debug('TOEIC Reading System initialized');
         }
         
+        // Initialize TOEIC Listening System
+        if (window.TOEICListeningSystem) {
+            window.toeicListening = new window.TOEICListeningSystem();
+            window.logger?.debug('TOEIC Listening System initialized');
+        }
+        
 
         
         // Initialize TOEIC Test Simulator
@@ -459,9 +474,30 @@ class App {
         // Initialize TOEIC Grammar System
         if (window.TOEICGrammarSystem) {
             window.toeicGrammar = new window.TOEICGrammarSystem();
+            if (window.Part5Generator) {
+                // Template-generated Part 5 items, worded from the vocabulary list
+                window.toeicGrammar.setQuestionGenerator(new window.Part5Generator(window.toeicVocabulary || null));
+            }
             window.logger?.debug('TOEIC Grammar System initialized');
         }
         
+        // Merge content pack vocabulary, grammar, reading and scenarios into
+        // the systems' Maps (waits for the async vocabulary/reading loads)
+        if (window.contentPacks) {
+            await window.contentPacks.applyToSystems({
+                vocabulary: window.toeicVocabulary,
+                grammar: window.toeicGrammar,
+                reading: window.toeicReading,
+                conversation: window.dailyConversation
+            });
+        }
+        
+        // Initialize TOEIC Diagnostic (placement test over the banks above)
+        if (window.TOEICDiagnosticSystem) {
+            window.toeicDiagnostic = new window.TOEICDiagnosticSystem();
+            window.logger?.debug('TOEIC Diagnostic System initialized');
+        }
+        
         // TOEIC Study Strategies removed - not used in current implementation
         
         // Initialize Advanced Analytics System
@@ -490,7 +526,8 @@ class App {
         
         for (let attempts = 0; attempts < maxAttempts; attempts++) {
             if (window.SpacedRepetitionSystem) {
-                this.spacedRepetition = new window.SpacedRepetitionSystem();
+                // The vocabulary system may already have created the shared instance
+                this.spacedRepetition = window.spacedRepetition || new window.SpacedRepetitionSystem();
                 window.spacedRepetition = this.spacedRepetition;
                 window.logger?.debug('Spaced Repetition System initialized');
                 return;
@@ -762,6 +799,13 @@ class App {
             this.handleConnectionChange(false);
         });
         
+        // Remember the last word the student selected, so "Add word" can
+        // pick it up after tapping the button has cleared the selection
+        document.addEventListener('selectionchange', () => {
+            const text = (window.getSelection()?.toString() || '').trim();
+            if (text && text.length <= 60 && !text.includes('\n')) this.lastSelectedText = text;
+        });
+        
         console.log('🔗 Global event listeners set up');
     }
     
@@ -881,11 +925,10 @@ class App {
                     break;
                     
                 case 'listening':
-                    // Until a dedicated listening practice module ships,
-                    // the Listening card runs the listening section of the
-                    // test simulator (previously this card did nothing)
-                    this.showTOEICModuleScreen('test');
-                    this.startListeningTOEICTest();
+                    // Part 1–4 practice menu; the timed listening section
+                    // of the test is still one click away from there
+                    this.hideWelcomeScreen();
+                    this.showTOEICModuleScreen('listening', options);
                     break;
 
                 case 'flashcards':
@@ -1010,6 +1053,17 @@ class App {
                     <span class="vocab-counter"><strong id="sessionAccuracy">0%</strong></span>
                 </div>
 
+                <!-- Flip cards or a production/recall drill; switchable mid-session -->
+                <div class="vocab-exercise-mode">
+                    <label for="vocabExerciseType" data-i18n="exercise.type">${t('exercise.type')}</label>
+                    <select id="vocabExerciseType" class="p-2 bg-gray-800/50 border border-gray-600 rounded-lg text-white"
+                            onchange="window.app.setVocabularyExerciseType(this.value)">
+                        ${this.getVocabularyExerciseTypes().map(({ id, label }) => `
+                            <option value="${id}" ${id === this.vocabularyExerciseType ? 'selected' : ''}>${label}</option>
+                        `).join('')}
+                    </select>
+                </div>
+
                 <!-- The card IS the reveal target -->
                 <div id="vocabularyCard" class="flashcard-surface vocab-card" onclick="window.app.revealVocabularyCard()">
                     <div class="vocab-chips">
@@ -1030,6 +1084,7 @@ class App {
                     <div id="wordExamples" class="hidden vocab-examples">
                         <p class="vocab-examples-title" data-i18n="vocab.exampleSentences">${t('vocab.exampleSentences')}</p>
                         <div class="space-y-3" id="examplesList"></div>
+                        <div id="wordFamilyRow"></div>
                     </div>
 
                     <p class="vocab-tap-hint" id="showMeaningBtn">
@@ -1038,6 +1093,8 @@ class App {
                     </p>
                 </div>
 
+                <div id="vocabularyExercise" class="hidden quiz-card vocab-exercise" aria-live="polite"></div>
+
                 <!-- Know / Don't know: one decision, two big targets, key hints -->
                 <div id="answerButtons" class="hidden">
                     <div class="flashcard-actions">
@@ -1129,6 +1186,22 @@ class App {
                         </div>
                         <span class="module-action-chevron" aria-hidden="true">›</span>
                     </button>
+                    <button onclick="window.app.showReadingSpeedTrainer()" class="module-action-btn">
+                        <span class="module-action-icon" aria-hidden="true">⏱️</span>
+                        <div class="module-action-text">
+                            <div class="module-action-title" data-i18n="speed.title">${t('speed.title')}</div>
+                            <div class="module-action-desc" data-i18n="speed.desc">${t('speed.desc')}</div>
+                        </div>
+                        <span class="module-action-chevron" aria-hidden="true">›</span>
+                    </button>
+                    <button onclick="window.app.showReadingSubtypes()" class="module-action-btn">
+                        <span class="module-action-icon" aria-hidden="true">🏷️</span>
+                        <div class="module-action-text">
+                            <div class="module-action-title" data-i18n="subtype.title">${t('subtype.title')}</div>
+                            <div class="module-action-desc" data-i18n="subtype.desc">${t('subtype.desc')}</div>
+                        </div>
+                        <span class="module-action-chevron" aria-hidden="true">›</span>
+                    </button>
                 </div>
             </div>
         `;
@@ -1158,12 +1231,69 @@ class App {
         if (/^memo/i.test(title)) return t('reading.docType.memo');
         if (/^letter/i.test(title)) return t('reading.docType.letter');
         if (/^schedule/i.test(title)) return t('reading.docType.form');
+        if (/^order form/i.test(title)) return t('reading.docType.order');
+        // Two people texting is a text-message chain; more is an online chat
+        if (Array.isArray(passage.messages)) {
+            const speakers = new Set(passage.messages.map(message => message.speaker));
+            return t(speakers.size > 2 ? 'reading.docType.chat' : 'reading.docType.textChain');
+        }
         if (passage.type === 'business_email') return t('reading.docType.email');
         if (passage.type === 'news_article') return t('reading.docType.article');
         if (passage.type === 'advertisement') return t('reading.docType.ad');
         return t('reading.docType.text');
     }
 
+    // Part 7 documents of one set. Single and double passages stack; three
+    // texts don't fit one scroll, so they share a tab strip. The open tab is
+    // remembered per set (setKey) so it survives moving to the next question.
+    renderPassageDocuments(documents, renderDoc, setKey) {
+        if (documents.length < 2) return documents.map(doc => renderDoc(doc, '')).join('');
+        const tag = index => t(`reading.text${index + 1}`);
+        if (documents.length < 3) return documents.map((doc, i) => renderDoc(doc, tag(i))).join('');
+
+        if (!this.documentTab || this.documentTab.key !== setKey) {
+            this.documentTab = { key: setKey, index: 0 };
+        }
+        const active = Math.min(this.documentTab.index, documents.length - 1);
+        return `
+            <div class="doc-tabs-wrap">
+                <div class="doc-tabs" role="tablist">
+                    ${documents.map((doc, i) => `
+                        <button type="button" role="tab" class="doc-tab${i === active ? ' is-active' : ''}"
+                                aria-selected="${i === active}" onclick="window.app.selectDocumentTab(this, ${i})">
+                            <span class="doc-tab-number">${tag(i)}</span>
+                            <span class="doc-tab-type">${this.getReadingDocLabel(doc)}</span>
+                        </button>
+                    `).join('')}
+                </div>
+                ${documents.map((doc, i) => `
+                    <div class="doc-tab-panel" role="tabpanel"${i === active ? '' : ' hidden'}>
+                        ${renderDoc(doc, tag(i))}
+                    </div>
+                `).join('')}
+            </div>`;
+    }
+
+    selectDocumentTab(button, index) {
+        const wrap = button.closest('.doc-tabs-wrap');
+        if (!wrap) return;
+        wrap.querySelectorAll('.doc-tab').forEach((tab, i) => {
+            tab.classList.toggle('is-active', i === index);
+            tab.setAttribute('aria-selected', String(i === index));
+        });
+        wrap.querySelectorAll('.doc-tab-panel').forEach((panel, i) => {
+            panel.hidden = i !== index;
+        });
+        if (this.documentTab) this.documentTab.index = index;
+    }
+
+    // Part 7 badge for a set of `count` documents
+    getPart7Badge(count) {
+        if (count >= 3) return 'PART 7 · TRIPLE PASSAGE';
+        if (count === 2) return 'PART 7 · DOUBLE PASSAGE';
+        return 'PART 7 · READING COMPREHENSION';
+    }
+
     showReadingInterface(session) {
         const content = document.getElementById('toeicModuleContent');
         if (!content) {
@@ -1191,15 +1321,15 @@ class App {
         const pos = reading.getSessionPosition();
         const range = reading.getQuestionGroupRange(reading.currentQuestionIndex);
         const passage = question.passage;
-        const companion = question.companionPassage;
+        const documents = question.documents || (passage ? [passage] : []);
+        const quoted = question.quotedMessage;
+        const evidence = question.evidence || [];
 
         const partBadge = question.type === 'incomplete_sentences'
             ? 'PART 5 · INCOMPLETE SENTENCES'
             : question.type === 'text_completion'
                 ? 'PART 6 · TEXT COMPLETION'
-                : companion
-                    ? 'PART 7 · DOUBLE PASSAGE'
-                    : 'PART 7 · READING COMPREHENSION';
+                : this.getPart7Badge(documents.length);
 
         // "Questions 3–6 refer to the following e-mail." — or the part
         // instruction when there is no passage (Part 5 grammar items)
@@ -1216,9 +1346,15 @@ class App {
                     <span class="reading-doc-type">${this.getReadingDocLabel(p)}</span>
                     ${p.wordCount ? `<span class="reading-doc-words">${t('reading.words', { count: p.wordCount })}</span>` : ''}
                 </header>
-                <div class="reading-doc-body">${p.content}</div>
+                <div class="reading-doc-body">${this.renderInsertionMarkers(this.renderPassageBody(p, quoted && quoted.passageId === p.id ? quoted.index : null, true, evidence.filter(span => span.passageId === p.id)), Boolean(question.insertSentence))}</div>
             </article>`;
 
+        // Sentence insertion: the stem's quoted sentence moves into its own
+        // card and is placed by tapping the passage's [1]-[4] slots
+        const stem = question.insertSentence
+            ? question.question.replace(/\s*"[^"]+"\s*$/, '')
+            : question.question;
+
         content.innerHTML = `
             <div class="module-shell reading-shell">
                 <div class="quiz-card reading-topbar">
@@ -1241,14 +1377,22 @@ class App {
                     ${passage ? `
                     <div class="quiz-card reading-passage-panel">
                         <p class="reading-refer-line">${referLine}</p>
-                        ${renderDoc(passage, companion ? t('reading.text1') : '')}
-                        ${companion ? renderDoc(companion, t('reading.text2')) : ''}
+                        ${this.renderPassageDocuments(documents, renderDoc, `reading:${question.passageId}`)}
                     </div>` : ''}
 
                     <div class="quiz-card reading-question-panel">
                         ${passage ? '' : `<p class="reading-refer-line">${referLine}</p>`}
-                        <p class="reading-question-number">${t('status.question')} ${pos.current}</p>
-                        <p class="reading-question-text">${question.question}</p>
+                        <p class="reading-question-number">
+                            ${t('status.question')} ${pos.current}
+                            ${question.subtype ? `<span class="reading-chip">${this.getQuestionSubtypeLabel(question.subtype)}</span>` : ''}
+                        </p>
+                        <p class="reading-question-text">${stem}</p>
+                        ${question.insertSentence ? `
+                        <div class="insert-sentence-card">
+                            <span class="insert-sentence-label">${t('subtype.insertLabel')}</span>
+                            <p class="insert-sentence-text">${this.escapeHtml(question.insertSentence)}</p>
+                            <p class="insert-sentence-hint">${t('subtype.insertHint')}</p>
+                        </div>` : ''}
 
                         <div class="reading-options" id="questionOptions">
                             ${question.options.map((option, index) => `
@@ -1282,13 +1426,103 @@ class App {
             radio.addEventListener('change', () => {
                 content.querySelectorAll('.reading-option').forEach(o => o.classList.remove('selected'));
                 radio.closest('.reading-option').classList.add('selected');
+                if (question.insertSentence) this.previewInsertion(question.insertSentence, Number(radio.value));
                 const submitBtn = document.getElementById('submitBtn');
                 if (submitBtn) submitBtn.disabled = false;
             });
         });
 
+        // Intent questions: bring the quoted message into view
+        const quotedMessage = content.querySelector('.chat-message.is-quoted');
+        if (quotedMessage) quotedMessage.scrollIntoView({ block: 'nearest' });
+
         this.updateReadingSessionStats();
         this.bindReadingKeyboard();
+        this.bindTapToDefine();
+    }
+
+    // Body of a reading document. Chats (text-message chains, online
+    // discussions) render as a transcript, one row per message; `quoted`
+    // is the index of the message an intent question asks about.
+    // `evidence` lists this document's answer spans (getEvidenceSpans),
+    // wrapped so they can be lit up once the question is answered.
+    renderPassageBody(passage, quoted = null, tappable = true, evidence = []) {
+        if (!passage) return '';
+        const text = (value, spans) => {
+            const marked = this.markEvidenceSpans(value, spans);
+            return tappable ? this.renderTappableText(marked) : marked;
+        };
+        if (!Array.isArray(passage.messages)) {
+            return text(passage.content || '', evidence.filter(span => span.message === undefined));
+        }
+
+        const speakers = [];
+        return `<div class="chat-transcript">${passage.messages.map((message, i) => {
+            if (!speakers.includes(message.speaker)) speakers.push(message.speaker);
+            return `<div class="chat-message chat-speaker-${speakers.indexOf(message.speaker) % 4}${i === quoted ? ' is-quoted' : ''}">
+                <div class="chat-message-meta">
+                    <span class="chat-message-speaker">${this.escapeHtml(message.speaker)}</span>
+                    ${message.time ? `<span class="chat-message-time">${this.escapeHtml(message.time)}</span>` : ''}
+                </div>
+                <div class="chat-message-text">${text(message.text || '', evidence.filter(span => span.message === i))}</div>
+            </div>`;
+        }).join('')}</div>`;
+    }
+
+    // Wrap [start, end) character ranges of raw passage text in
+    // .evidence-span; overlapping ranges keep the earlier one. Pack text is
+    // escaped piece by piece since ranges count raw characters (quotes are
+    // left alone so "don't" stays one tappable word)
+    markEvidenceSpans(text, spans = []) {
+        const source = String(text || '');
+        const escape = value => value.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+        let result = '';
+        let cursor = 0;
+        [...spans].sort((a, b) => a.start - b.start).forEach(span => {
+            if (span.start < cursor) return;
+            result += `${escape(source.slice(cursor, span.start))}<span class="evidence-span">${escape(source.slice(span.start, span.end))}</span>`;
+            cursor = span.end;
+        });
+        return result + escape(source.slice(cursor));
+    }
+
+    // Sentence-insertion positions [1]-[4]: tappable slots while the
+    // insertion question is on screen, plain markers for the passage's
+    // other questions
+    renderInsertionMarkers(html, interactive) {
+        return html.replace(/\[([1-4])\]/g, (marker, n) => interactive
+            ? `<button type="button" class="insert-slot" data-slot="${n - 1}" onclick="window.app.chooseInsertionSlot(${n - 1})">${marker}</button>`
+            : `<span class="insert-marker">${marker}</span>`);
+    }
+
+    chooseInsertionSlot(index) {
+        const radio = document.querySelector(`#questionOptions input[value="${index}"]`);
+        if (!radio || radio.disabled) return;
+        radio.checked = true;
+        radio.dispatchEvent(new Event('change'));
+    }
+
+    // Show the sentence in place after slot `index`
+    previewInsertion(sentence, index) {
+        document.querySelectorAll('.insert-preview').forEach(preview => preview.remove());
+        document.querySelectorAll('.insert-slot').forEach(slot => {
+            const chosen = Number(slot.dataset.slot) === index;
+            slot.classList.toggle('is-chosen', chosen);
+            if (chosen) slot.insertAdjacentHTML('afterend', `<span class="insert-preview">${this.escapeHtml(sentence)}</span>`);
+        });
+    }
+
+    // After answering, the sentence moves to the right slot and a wrong
+    // choice stays marked
+    markInsertionResult(sentence, chosenIndex, correctIndex) {
+        this.previewInsertion(sentence, correctIndex);
+        document.querySelectorAll('.insert-slot').forEach(slot => {
+            const index = Number(slot.dataset.slot);
+            slot.disabled = true;
+            slot.classList.remove('is-chosen');
+            slot.classList.toggle('is-correct', index === correctIndex);
+            slot.classList.toggle('is-incorrect', index === chosenIndex && index !== correctIndex);
+        });
     }
 
     // Keyboard shortcuts for the reading session: A–D / 1–4 select an
@@ -1381,6 +1615,8 @@ class App {
         // Color-coded option feedback plus the question's explanation,
         // so students learn why, not just what
         this.showReadingAnswerFeedback(answerIndex, question.correctAnswer, isCorrect, question.explanation);
+        if (question.insertSentence) this.markInsertionResult(question.insertSentence, answerIndex, question.correctAnswer);
+        this.revealReadingEvidence();
 
         const submitBtn = document.getElementById('submitBtn');
         if (submitBtn) submitBtn.classList.add('hidden');
@@ -1429,6 +1665,32 @@ class App {
         container.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
     }
 
+    // Scanning practice: once answered, light up where the answer is
+    // stated, open the tab holding the first span and scroll the passage
+    // panel (not the page, so the feedback stays in view) to it
+    revealReadingEvidence() {
+        const spans = document.querySelectorAll('#toeicModuleContent .evidence-span');
+        if (!spans.length) return;
+        spans.forEach(span => span.classList.add('is-revealed'));
+
+        const first = spans[0];
+        const panel = first.closest('.doc-tab-panel');
+        if (panel && panel.hidden) {
+            const wrap = panel.closest('.doc-tabs-wrap');
+            const index = Array.from(wrap.querySelectorAll('.doc-tab-panel')).indexOf(panel);
+            const tab = wrap.querySelectorAll('.doc-tab')[index];
+            if (tab) this.selectDocumentTab(tab, index);
+        }
+        const scroller = first.closest('.reading-passage-panel');
+        if (scroller) {
+            const offset = first.getBoundingClientRect().top - scroller.getBoundingClientRect().top;
+            scroller.scrollBy({ top: offset - scroller.clientHeight / 3, behavior: 'smooth' });
+        }
+
+        const feedback = document.querySelector('#readingFeedback .reading-feedback-message');
+        if (feedback) feedback.insertAdjacentHTML('beforeend', `<p class="reading-feedback-line reading-evidence-note">📍 ${t('reading.evidenceShown')}</p>`);
+    }
+
     goToNextReadingQuestion() {
         const hasNext = window.toeicReading.moveToNextQuestion();
 
@@ -1455,9 +1717,11 @@ class App {
         // Collect per-question results BEFORE endSession clears the session
         const sessionResults = this.getSessionResults();
         const mistakes = sessionResults.filter(r => !r.isCorrect && r.selectedAnswer !== undefined && r.selectedAnswer !== -1);
+        const speedResult = window.toeicReading.speedRead ? window.toeicReading.completeSpeedRead() : null;
 
         content.innerHTML = `
             <div class="module-shell">
+                ${speedResult ? this.renderSpeedResult(speedResult) : ''}
                 <div class="quiz-card text-center">
                     <h3 class="text-2xl font-bold text-white mb-6">📚 ${t('reading.sessionComplete')}</h3>
 
@@ -1530,6 +1794,287 @@ class App {
         if (correctElement) correctElement.textContent = stats.correctAnswers;
         if (incorrectElement) incorrectElement.textContent = stats.incorrectAnswers;
     }
+
+    // Accuracy per Part 7 question type, each type a one-tap practice set
+    showReadingSubtypes() {
+        const content = document.getElementById('toeicModuleContent');
+        const reading = window.toeicReading;
+        if (!content || !reading) return;
+
+        const icons = {
+            mainIdea: '🎯', detail: '🔍', inference: '💡', vocabInContext: '📖',
+            notTrue: '✅', sentenceInsertion: '➕', crossReference: '🔗', intent: '💬'
+        };
+        const summary = reading.getSubtypeSummary();
+        const weak = new Set(reading.getWeakAreas().map(area => area.type));
+
+        content.innerHTML = `
+            <div class="module-shell">
+                <button class="module-back-btn" onclick="window.app.initializeReadingModule()">
+                    <span aria-hidden="true">←</span>
+                    <span data-i18n="reading.backToReading">${t('reading.backToReading')}</span>
+                </button>
+
+                <div class="module-header">
+                    <span class="toeic-part-badge">READING · PART 7</span>
+                    <div class="module-header-icon" aria-hidden="true">🏷️</div>
+                    <h2 class="module-header-title" data-i18n="subtype.title">${t('subtype.title')}</h2>
+                    <p class="module-header-subtitle" data-i18n="subtype.subtitle">${t('subtype.subtitle')}</p>
+                </div>
+
+                <p class="placement-note">${t('subtype.howItWorks')}</p>
+
+                <div class="module-actions">
+                    ${summary.map(entry => `
+                        <button onclick="window.app.startReadingSubtype('${entry.subtype}')" class="module-action-btn"${entry.questions === 0 ? ' disabled' : ''}>
+                            <span class="module-action-icon" aria-hidden="true">${icons[entry.subtype] || '📄'}</span>
+                            <div class="module-action-text">
+                                <div class="module-action-title">${this.getQuestionSubtypeLabel(entry.subtype)}</div>
+                                <div class="module-action-desc">${entry.questions === 0
+                                    ? t('subtype.noQuestions')
+                                    : [
+                                        t('subtype.count', { count: entry.questions }),
+                                        entry.accuracy === null ? t('subtype.notPracticed') : t('subtype.accuracy', { accuracy: entry.accuracy }),
+                                        weak.has(entry.subtype) ? `⚠️ ${t('subtype.weak')}` : ''
+                                    ].filter(Boolean).join(' · ')}</div>
+                            </div>
+                            <span class="module-action-chevron" aria-hidden="true">›</span>
+                        </button>
+                    `).join('')}
+                </div>
+            </div>
+        `;
+    }
+
+    startReadingSubtype(subtype) {
+        const reading = window.toeicReading;
+        if (!reading) return;
+        const session = reading.startSession({ subtype: subtype, count: 10 });
+        if (!session || session.length === 0) {
+            this.showNotification(t('subtype.noQuestions'), 'error');
+            return;
+        }
+        this.showReadingInterface(session);
+    }
+
+    // Speed trainer home: target, recent averages and the read history
+    showReadingSpeedTrainer() {
+        const content = document.getElementById('toeicModuleContent');
+        const reading = window.toeicReading;
+        if (!content || !reading) return;
+        this.stopSpeedPacer();
+
+        const stats = reading.getSpeedTrainingStats();
+        const recent = stats.history.slice(-10).reverse();
+        const scale = Math.max(stats.targetWpm, ...recent.map(entry => entry.wpm)) || 1;
+
+        content.innerHTML = `
+            <div class="module-shell">
+                <button class="module-back-btn" onclick="window.app.initializeReadingModule()">
+                    <span aria-hidden="true">←</span>
+                    <span data-i18n="reading.backToReading">${t('reading.backToReading')}</span>
+                </button>
+
+                <div class="module-header">
+                    <span class="toeic-part-badge">READING · PART 7</span>
+                    <div class="module-header-icon" aria-hidden="true">⏱️</div>
+                    <h2 class="module-header-title" data-i18n="speed.title">${t('speed.title')}</h2>
+                    <p class="module-header-subtitle" data-i18n="speed.subtitle">${t('speed.subtitle')}</p>
+                </div>
+
+                <div class="module-stats">
+                    <div class="module-stat">
+                        <span class="module-stat-value">${stats.targetWpm}</span>
+                        <span class="module-stat-label">${t('speed.targetWpm')}</span>
+                    </div>
+                    <div class="module-stat">
+                        <span class="module-stat-value">${stats.reads > 0 ? stats.averageWpm : '—'}</span>
+                        <span class="module-stat-label">${t('speed.averageWpm')}</span>
+                    </div>
+                    <div class="module-stat">
+                        <span class="module-stat-value">${stats.reads > 0 ? `${stats.averageComprehension}%` : '—'}</span>
+                        <span class="module-stat-label">${t('speed.comprehension')}</span>
+                    </div>
+                </div>
+
+                <div class="module-actions">
+                    <button onclick="window.app.startSpeedRead()" class="module-action-btn primary">
+                        <span class="module-action-icon" aria-hidden="true">▶</span>
+                        <div class="module-action-text">
+                            <div class="module-action-title">${t('speed.start')}</div>
+                            <div class="module-action-desc">${t('speed.startDesc', { wpm: stats.targetWpm })}</div>
+                        </div>
+                        <span class="module-action-chevron" aria-hidden="true">›</span>
+                    </button>
+                </div>
+
+                <p class="placement-note">${t('speed.howItWorks')}</p>
+
+                <div class="quiz-card">
+                    <h3 class="text-xl font-bold text-white mb-4">${t('speed.history')}</h3>
+                    ${recent.length === 0 ? `<p class="text-white/70">${t('speed.noHistory')}</p>` : `
+                    <div class="speed-history">
+                        ${recent.map(entry => `
+                            <div class="speed-history-row">
+                                <span class="speed-history-date">${new Date(entry.date).toLocaleDateString()}</span>
+                                <div class="speed-history-track">
+                                    <div class="speed-history-bar${entry.wpm >= entry.targetWpm ? ' is-on-pace' : ''}" style="width: ${Math.round((entry.wpm / scale) * 100)}%"></div>
+                                    <div class="speed-history-target" style="left: ${Math.round((entry.targetWpm / scale) * 100)}%" title="${t('speed.targetWpm')}: ${entry.targetWpm}"></div>
+                                </div>
+                                <span class="speed-history-value">${entry.wpm} WPM · ${entry.comprehension}%</span>
+                            </div>
+                        `).join('')}
+                    </div>`}
+                </div>
+            </div>
+        `;
+    }
+
+    // One passage with its pacing guide; the text stays blurred until the
+    // student starts the clock
+    startSpeedRead(passageId = null) {
+        const content = document.getElementById('toeicModuleContent');
+        const reading = window.toeicReading;
+        if (!content || !reading) return;
+
+        const read = reading.startSpeedRead(passageId);
+        if (!read) {
+            this.showNotification(t('speed.noPassages'), 'error');
+            return;
+        }
+        const { passage, targetWpm } = read;
+        const lines = reading.getSpeedChunks(passage.content);
+
+        content.innerHTML = `
+            <div class="module-shell reading-shell">
+                <div class="quiz-card reading-topbar">
+                    <div class="reading-topbar-row">
+                        <span class="toeic-part-badge" style="margin-bottom: 0;">PART 7 · SPEED TRAINER</span>
+                        <span class="reading-chip">🎯 <strong>${targetWpm}</strong> WPM</span>
+                        <span class="reading-chip">⏱ <strong id="speedTimer">0:00</strong></span>
+                        <button onclick="window.app.endCurrentSession()" class="module-back-btn" style="margin-bottom: 0;">
+                            <span aria-hidden="true">⏹</span>
+                            ${t('common.endSession')}
+                        </button>
+                    </div>
+                    <div class="quiz-progress-track">
+                        <div class="quiz-progress-fill" id="speedGuideFill" style="width: 0%"></div>
+                    </div>
+                </div>
+
+                <div class="quiz-card reading-passage-panel">
+                    <article class="reading-doc">
+                        <header class="reading-doc-head">
+                            <span class="reading-doc-type">${this.getReadingDocLabel(passage)}</span>
+                            <span class="reading-doc-words">${t('reading.words', { count: passage.wordCount })}</span>
+                        </header>
+                        <div class="reading-doc-body speed-text is-waiting" id="speedText">${lines.map(chunks => chunks
+                            .map(chunk => `<span class="speed-chunk" data-start="${chunk.start}">${this.escapeHtml(chunk.text)}</span>`)
+                            .join(' ')).join('\n')}</div>
+                    </article>
+
+                    <div class="reading-actions">
+                        <button onclick="window.app.beginSpeedRead()" class="btn btn-primary" id="speedBeginBtn">▶ ${t('speed.begin')}</button>
+                        <button onclick="window.app.finishSpeedRead()" class="btn btn-primary hidden" id="speedDoneBtn">✓ ${t('speed.done')}</button>
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+
+    beginSpeedRead() {
+        const reading = window.toeicReading;
+        const text = document.getElementById('speedText');
+        if (!reading || !reading.speedRead || !text) return;
+
+        reading.beginSpeedRead();
+        text.classList.remove('is-waiting');
+        document.getElementById('speedBeginBtn')?.classList.add('hidden');
+        document.getElementById('speedDoneBtn')?.classList.remove('hidden');
+
+        this.stopSpeedPacer();
+        this.speedChunks = Array.from(text.querySelectorAll('.speed-chunk'));
+        this.speedPacer = setInterval(() => this.updateSpeedPacer(), 100);
+        this.updateSpeedPacer();
+    }
+
+    // Move the guide to the chunk holding word `elapsed × target WPM`
+    updateSpeedPacer() {
+        const reading = window.toeicReading;
+        const read = reading && reading.speedRead;
+        if (!read || !read.startedAt || !document.getElementById('speedText')) {
+            this.stopSpeedPacer();
+            return;
+        }
+
+        const elapsed = Date.now() - read.startedAt;
+        const wordAt = (elapsed / 60000) * read.targetWpm;
+        let current = -1;
+        this.speedChunks.forEach((chunk, index) => {
+            if (Number(chunk.dataset.start) <= wordAt) current = index;
+        });
+        const finished = wordAt >= read.words;
+        this.speedChunks.forEach((chunk, index) => {
+            chunk.classList.toggle('is-read', index < current || finished);
+            chunk.classList.toggle('is-current', index === current && !finished);
+        });
+
+        const seconds = Math.floor(elapsed / 1000);
+        const timer = document.getElementById('speedTimer');
+        if (timer) timer.textContent = `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+        const fill = document.getElementById('speedGuideFill');
+        if (fill) fill.style.width = `${Math.min(100, (wordAt / read.words) * 100)}%`;
+    }
+
+    stopSpeedPacer() {
+        if (this.speedPacer) {
+            clearInterval(this.speedPacer);
+            this.speedPacer = null;
+        }
+        this.speedChunks = [];
+    }
+
+    // "Done reading": stop the clock, then the passage's questions
+    finishSpeedRead() {
+        const reading = window.toeicReading;
+        if (!reading) return;
+        this.stopSpeedPacer();
+
+        const result = reading.finishSpeedRead();
+        if (!result) return;
+        this.showNotification(t('speed.readTime', { seconds: Math.round(result.seconds), wpm: result.wpm }), 'success');
+        this.showReadingInterface(reading.currentSession);
+    }
+
+    // Results card for a speed read, shown above the usual session summary
+    renderSpeedResult(result) {
+        const change = result.nextTargetWpm > result.targetWpm ? 'up'
+            : result.nextTargetWpm < result.targetWpm ? 'down' : 'same';
+        return `
+            <div class="quiz-card text-center">
+                <h3 class="text-2xl font-bold text-white mb-6">⏱️ ${t('speed.resultTitle')}</h3>
+                <div class="module-stats">
+                    <div class="module-stat">
+                        <span class="module-stat-value">${result.wpm}</span>
+                        <span class="module-stat-label">${t('speed.yourWpm', { target: result.targetWpm })}</span>
+                    </div>
+                    <div class="module-stat">
+                        <span class="module-stat-value">${result.comprehension}%</span>
+                        <span class="module-stat-label">${t('speed.comprehension')}</span>
+                    </div>
+                    <div class="module-stat">
+                        <span class="module-stat-value">${result.seconds}s</span>
+                        <span class="module-stat-label">${t('speed.readingTime')}</span>
+                    </div>
+                </div>
+                <p class="placement-note">${change === 'up' ? '📈' : change === 'down' ? '📉' : '🎯'} ${t(`speed.target.${change}`, { wpm: result.nextTargetWpm })}</p>
+                <div class="flex justify-center gap-4 flex-wrap">
+                    <button onclick="window.app.startSpeedRead()" class="btn btn-primary">▶ ${t('speed.nextPassage')}</button>
+                    <button onclick="window.app.showReadingSpeedTrainer()" class="btn btn-secondary">${t('speed.history')}</button>
+                </div>
+            </div>
+        `;
+    }
     
     initializeFlashcardModule() {
         const content = document.getElementById('toeicModuleContent');
@@ -1597,6 +2142,30 @@ class App {
                         </div>
                         <span class="module-action-chevron" aria-hidden="true">›</span>
                     </button>
+                    <button onclick="window.app.startWordFormsDrill()" class="module-action-btn">
+                        <span class="module-action-icon" aria-hidden="true">🔤</span>
+                        <div class="module-action-text">
+                            <div class="module-action-title" data-i18n="family.drillTitle">${t('family.drillTitle')}</div>
+                            <div class="module-action-desc" data-i18n="family.drillDesc">${t('family.drillDesc')}</div>
+                        </div>
+                        <span class="module-action-chevron" aria-hidden="true">›</span>
+                    </button>
+                    <button onclick="window.app.showTOEICModuleScreen('flashcards', { mode: 'decks' })" class="module-action-btn">
+                        <span class="module-action-icon" aria-hidden="true">🗂️</span>
+                        <div class="module-action-text">
+                            <div class="module-action-title" data-i18n="decks.title">${t('decks.title')}</div>
+                            <div class="module-action-desc" data-i18n="decks.desc">${t('decks.desc')}</div>
+                        </div>
+                        <span class="module-action-chevron" aria-hidden="true">›</span>
+                    </button>
+                    <button onclick="window.app.showTOEICModuleScreen('flashcards', { mode: 'anki' })" class="module-action-btn">
+                        <span class="module-action-icon" aria-hidden="true">📦</span>
+                        <div class="module-action-text">
+                            <div class="module-action-title" data-i18n="anki.title">${t('anki.title')}</div>
+                            <div class="module-action-desc" data-i18n="anki.desc">${t('anki.desc')}</div>
+                        </div>
+                        <span class="module-action-chevron" aria-hidden="true">›</span>
+                    </button>
                 </div>
             </div>
         `;
@@ -1611,8 +2180,11 @@ class App {
         const content = document.getElementById('toeicModuleContent');
         if (!content) return;
         
-        const categories = window.toeicGrammar ? window.toeicGrammar.getGrammarCategories() : {};
+        const categories = window.toeicGrammar ? window.toeicGrammar.getOrderedCategories() : [];
         const progressSummary = window.toeicGrammar ? window.toeicGrammar.getUserProgressSummary() : null;
+        const hasPlacementOrder = window.toeicGrammar ? window.toeicGrammar.getCategoryOrder().length > 0 : false;
+        const remediationTarget = window.toeicGrammar ? window.toeicGrammar.getRemediationTarget() : null;
+        const nextRule = window.toeicGrammar ? window.toeicGrammar.getNextRule() : null;
         
         content.innerHTML = `
             <div class="module-shell">
@@ -1646,7 +2218,29 @@ class App {
                 ` : ''}
 
                 <div class="module-actions">
-                    <button onclick="window.app.startGrammarPractice('all')" class="module-action-btn primary">
+                    ${remediationTarget ? `
+                    <button onclick="window.app.showGrammarRemediation('${remediationTarget.ruleId}')" class="module-action-btn primary">
+                        <span class="module-action-icon" aria-hidden="true">🩺</span>
+                        <div class="module-action-text">
+                            <div class="module-action-title">${t('mistakes.targeted', { rule: this.escapeHtml(remediationTarget.title) })}</div>
+                            <div class="module-action-desc">${remediationTarget.topError
+                                ? t('mistakes.targetedDesc', { type: this.getGrammarErrorLabel(remediationTarget.topError), accuracy: remediationTarget.recentAccuracy })
+                                : t('mistakes.summary', { mistakes: remediationTarget.mistakes, attempts: remediationTarget.attempts, accuracy: remediationTarget.recentAccuracy })}</div>
+                        </div>
+                        <span class="module-action-chevron" aria-hidden="true">›</span>
+                    </button>
+                    ` : ''}
+                    ${nextRule ? `
+                    <button onclick="window.app.startGrammarRule('${nextRule.ruleId}')" class="module-action-btn${remediationTarget ? '' : ' primary'}">
+                        <span class="module-action-icon" aria-hidden="true">▶</span>
+                        <div class="module-action-text">
+                            <div class="module-action-title">${t('mastery.practiceNext', { rule: this.escapeHtml(nextRule.title) })}</div>
+                            <div class="module-action-desc" data-i18n="mastery.practiceNextDesc">${t('mastery.practiceNextDesc')}</div>
+                        </div>
+                        <span class="module-action-chevron" aria-hidden="true">›</span>
+                    </button>
+                    ` : ''}
+                    <button onclick="window.app.startGrammarPractice('all')" class="module-action-btn${remediationTarget || nextRule ? '' : ' primary'}">
                         <span class="module-action-icon" aria-hidden="true">📝</span>
                         <div class="module-action-text">
                             <div class="module-action-title" data-i18n="grammar.practiceAll">${t('grammar.practiceAll')}</div>
@@ -1670,10 +2264,27 @@ class App {
                         </div>
                         <span class="module-action-chevron" aria-hidden="true">›</span>
                     </button>
+                    <button onclick="window.app.showGrammarMasteryMap()" class="module-action-btn">
+                        <span class="module-action-icon" aria-hidden="true">🗺️</span>
+                        <div class="module-action-text">
+                            <div class="module-action-title" data-i18n="mastery.title">${t('mastery.title')}</div>
+                            <div class="module-action-desc" data-i18n="mastery.desc">${t('mastery.desc')}</div>
+                        </div>
+                        <span class="module-action-chevron" aria-hidden="true">›</span>
+                    </button>
+                    <button onclick="window.app.showGrammarMistakeProfile()" class="module-action-btn">
+                        <span class="module-action-icon" aria-hidden="true">🩺</span>
+                        <div class="module-action-text">
+                            <div class="module-action-title" data-i18n="mistakes.title">${t('mistakes.title')}</div>
+                            <div class="module-action-desc" data-i18n="mistakes.desc">${t('mistakes.desc')}</div>
+                        </div>
+                        <span class="module-action-chevron" aria-hidden="true">›</span>
+                    </button>
                 </div>
 
+                ${hasPlacementOrder ? `<p class="placement-note">🧭 ${t('grammar.placementOrderNote')}</p>` : ''}
                 <div class="module-actions">
-                    ${Object.entries(categories).map(([key, category]) => {
+                    ${categories.map(([key, category]) => {
                         const progress = progressSummary ? progressSummary.categoryDetails[key] : null;
                         const isMastered = progress ? progress.isMastered : false;
                         const accuracy = progress ? progress.accuracy : 0;
@@ -1728,7 +2339,10 @@ class App {
             
             if (passagesEl) passagesEl.textContent = stats.answeredQuestions;
             if (accuracyEl) accuracyEl.textContent = stats.overallAccuracy + '%';
-            if (speedEl) speedEl.textContent = '120 WPM'; // Placeholder
+            if (speedEl) {
+                const speed = window.toeicReading.getSpeedTrainingStats();
+                speedEl.textContent = speed.reads > 0 ? `${speed.averageWpm} WPM` : '—';
+            }
         }
     }
     
@@ -1892,7 +2506,12 @@ class App {
     // Vocabulary Learning Functions
     initializeVocabularyLearning() {
         this.currentVocabularyWord = null;
+        this.currentVocabularyExercise = null;
         this.vocabularyAnswerPending = false;
+        // Rebuilt per session so imported/deck words join the distractor pool
+        this.vocabularyExercises = window.VocabularyExercises && window.toeicVocabulary
+            ? new VocabularyExercises(window.toeicVocabulary)
+            : null;
         this.vocabularySessionStats = {
             correct: 0,
             incorrect: 0,
@@ -1906,6 +2525,7 @@ class App {
         this.updateVocabularyCountDisplay();
 
         // Keyboard flow: Space/Enter reveals, → = I know it, ← = I don't.
+        // Exercises: 1-4 pick an option, Enter continues after the answer.
         // Registered once for the app's lifetime; guarded by screen state.
         if (!this.vocabKeyboardBound) {
             this.vocabKeyboardBound = true;
@@ -1915,6 +2535,19 @@ class App {
                 const tag = (e.target.tagName || '').toLowerCase();
                 if (tag === 'input' || tag === 'textarea' || tag === 'select') return;
 
+                const exercise = this.currentVocabularyExercise;
+                if (exercise) {
+                    if (exercise.answered && (e.key === 'Enter' || e.key === ' ' || e.key === 'ArrowRight')) {
+                        e.preventDefault();
+                        this.continueVocabularyExercise();
+                    } else if (!exercise.answered && exercise.options && exercise.type !== 'collocation' &&
+                               /^[1-4]$/.test(e.key) && Number(e.key) <= exercise.options.length) {
+                        e.preventDefault();
+                        this.answerVocabularyExercise(Number(e.key) - 1);
+                    }
+                    return;
+                }
+
                 const answerButtons = document.getElementById('answerButtons');
                 const revealed = answerButtons && !answerButtons.classList.contains('hidden');
 
@@ -1981,14 +2614,40 @@ class App {
         }
         
         this.currentVocabularyWord = wordData;
-        this.updateVocabularyCard(wordData);
+        this.presentVocabularyWord(wordData);
         this.updateSessionStats();
-        
+    }
+
+    // Flip card, or an exercise when one is selected and the data supports
+    // it for this word (no example sentence → no cloze, etc.)
+    presentVocabularyWord(wordData) {
+        const type = this.vocabularyExerciseType;
+        let exercise = null;
+        if (type !== 'flashcards' && this.vocabularyExercises) {
+            exercise = type === 'mixed'
+                ? this.vocabularyExercises.buildAny(wordData.word)
+                : this.vocabularyExercises.build(type, wordData.word) ||
+                  this.vocabularyExercises.build('meaning_choice', wordData.word);
+        }
+
+        const card = document.getElementById('vocabularyCard');
+        const exerciseEl = document.getElementById('vocabularyExercise');
+        if (exercise) {
+            if (card) card.classList.add('hidden');
+            document.getElementById('answerButtons')?.classList.add('hidden');
+            this.renderVocabularyExercise(exercise);
+            return;
+        }
+
+        this.currentVocabularyExercise = null;
+        if (exerciseEl) exerciseEl.classList.add('hidden');
+        if (card) card.classList.remove('hidden');
+        this.updateVocabularyCard(wordData);
+
         // Reset UI state for new word
         const showMeaningBtn = document.getElementById('showMeaningBtn');
         const answerButtons = document.getElementById('answerButtons');
         const wordExamples = document.getElementById('wordExamples');
-        const card = document.getElementById('vocabularyCard');
 
         if (showMeaningBtn) showMeaningBtn.classList.remove('hidden');
         if (answerButtons) answerButtons.classList.add('hidden');
@@ -2050,13 +2709,17 @@ class App {
                 });
             }
         }
+        const familyRow = document.getElementById('wordFamilyRow');
+        if (familyRow) familyRow.innerHTML = this.renderWordFamily(wordData.word);
         if (wordExamplesEl) wordExamplesEl.classList.remove('hidden');
         
         // Show answer buttons
         if (answerButtonsEl) answerButtonsEl.classList.remove('hidden');
     }
     
-    recordVocabularyAnswer(isCorrect) {
+    // Exercises pass { autoAdvance: false } and advance from their own
+    // feedback panel once the student has read the correction
+    recordVocabularyAnswer(isCorrect, options = {}) {
         if (!this.currentVocabularyWord || !window.toeicVocabulary) return;
 
         // Answer lock: a second click or arrow-key press during the 1s
@@ -2066,7 +2729,7 @@ class App {
         this.vocabularyAnswerPending = true;
 
         // Record answer in vocabulary system
-        window.toeicVocabulary.recordAnswer(this.currentVocabularyWord.word, isCorrect);
+        window.toeicVocabulary.recordAnswer(this.currentVocabularyWord.word, isCorrect, options.responseTime || 0);
 
         // Track analytics
         if (window.advancedAnalytics && typeof window.advancedAnalytics.trackLearningProgress === 'function') {
@@ -2074,7 +2737,8 @@ class App {
                 word: this.currentVocabularyWord.word,
                 isCorrect: isCorrect,
                 level: this.currentVocabularyWord.level,
-                category: this.currentVocabularyWord.category
+                category: this.currentVocabularyWord.category,
+                exerciseType: options.exerciseType || 'flashcards'
             });
         }
 
@@ -2088,6 +2752,11 @@ class App {
 
         this.updateSessionStats();
 
+        if (options.autoAdvance === false) {
+            this.vocabularyAnswerPending = false;
+            return;
+        }
+
         // Load next word
         setTimeout(() => {
             this.vocabularyAnswerPending = false;
@@ -2122,26 +2791,225 @@ class App {
     
     showSessionComplete() {
         const vocabularyCard = document.getElementById('vocabularyCard');
+        const vocabularyExercise = document.getElementById('vocabularyExercise');
         const sessionComplete = document.getElementById('sessionComplete');
         
+        this.currentVocabularyExercise = null;
         if (vocabularyCard) vocabularyCard.classList.add('hidden');
+        if (vocabularyExercise) vocabularyExercise.classList.add('hidden');
         if (sessionComplete) sessionComplete.classList.remove('hidden');
     }
     
-    startNewVocabularySession() {
-        if (window.toeicVocabulary) {
-            const session = window.toeicVocabulary.startSession({ wordCount: 20 });
-            this.showVocabularyLearningInterface(session);
-        } else {
-            console.error('❌ TOEIC Vocabulary system not available');
-        }
+    getVocabularyExerciseTypes() {
+        return [
+            { id: 'flashcards', label: t('exercise.flashcards') },
+            { id: 'mixed', label: t('exercise.mixed') },
+            { id: 'meaning_choice', label: t('exercise.meaningChoice'), hint: t('exercise.meaningChoiceHint') },
+            { id: 'cloze', label: t('exercise.cloze'), hint: t('exercise.clozeHint') },
+            { id: 'spelling', label: t('exercise.spelling'), hint: t('exercise.spellingHint') },
+            { id: 'collocation', label: t('exercise.collocation'), hint: t('exercise.collocationHint') },
+            { id: 'word_form', label: t('exercise.wordForm'), hint: t('exercise.wordFormHint') }
+        ];
     }
     
-    async forceReloadVocabulary() {
-        console.log('🔄 Force reloading vocabulary...');
-        if (window.toeicVocabulary && typeof window.toeicVocabulary.forceReloadVocabulary === 'function') {
-            try {
-                const newCount = await window.toeicVocabulary.forceReloadVocabulary();
+    setVocabularyExerciseType(type) {
+        const option = this.getVocabularyExerciseTypes().find(item => item.id === type);
+        if (!option) return;
+        this.vocabularyExerciseType = type;
+        
+        // Re-present the current word in the new format, unless it has
+        // already been answered or the session is over
+        const sessionComplete = document.getElementById('sessionComplete');
+        const exercise = this.currentVocabularyExercise;
+        if (!this.currentVocabularyWord || this.vocabularyAnswerPending || (exercise && exercise.answered)) return;
+        if (sessionComplete && !sessionComplete.classList.contains('hidden')) return;
+        this.presentVocabularyWord(this.currentVocabularyWord);
+    }
+    
+    renderVocabularyExercise(exercise) {
+        const container = document.getElementById('vocabularyExercise');
+        if (!container) return;
+        this.currentVocabularyExercise = exercise;
+        exercise.shownAt = Date.now();
+        
+        const blank = text => this.escapeHtml(text).replace('_____', '<span class="vocab-exercise-blank">_____</span>');
+        const optionButtons = () => `
+            <div class="vocab-exercise-options">
+                ${exercise.options.map((option, index) => `
+                    <button class="quiz-option-btn" data-option="${index}" onclick="window.app.answerVocabularyExercise(${index})">
+                        <span class="quiz-option-letter">${index + 1}</span>
+                        <span>${this.escapeHtml(option)}</span>
+                    </button>
+                `).join('')}
+            </div>
+        `;
+        
+        let body = '';
+        if (exercise.type === 'meaning_choice') {
+            body = `<p class="vocab-exercise-prompt">${this.escapeHtml(exercise.prompt)}</p>${optionButtons()}`;
+        } else if (exercise.type === 'cloze' || exercise.type === 'word_form') {
+            body = `<p class="vocab-exercise-sentence">${blank(exercise.sentence)}</p>${optionButtons()}`;
+        } else if (exercise.type === 'spelling') {
+            body = `
+                <div class="vocab-word-row">
+                    <button class="vocab-speak-btn" onclick="window.app.speakVocabularyExercise()" aria-label="${t('define.pronounce')}">
+                        <i data-lucide="volume-2" class="w-5 h-5"></i>
+                    </button>
+                </div>
+                <p class="vocab-exercise-prompt">${this.escapeHtml(exercise.prompt)}</p>
+                <div class="vocab-spelling-row">
+                    <input id="vocabSpellingInput" type="text" autocomplete="off" autocapitalize="off" spellcheck="false"
+                           class="w-full p-3 bg-gray-800/50 border border-gray-600 rounded-lg text-white"
+                           placeholder="${t('exercise.typeWord')}"
+                           onkeydown="if (event.key === 'Enter') { event.preventDefault(); window.app.answerVocabularyExercise(); }">
+                    <button class="btn btn-primary" onclick="window.app.answerVocabularyExercise()">${t('exercise.check')}</button>
+                </div>
+            `;
+        } else if (exercise.type === 'collocation') {
+            body = `
+                <div class="vocab-collocation-list">
+                    ${exercise.pairs.map((pair, index) => `
+                        <div class="vocab-collocation-row" data-pair-row="${index}">
+                            <span class="vocab-collocation-phrase">${blank(pair.phrase)}</span>
+                            <select data-pair="${index}" class="p-2 bg-gray-800/50 border border-gray-600 rounded-lg text-white">
+                                <option value="">—</option>
+                                ${exercise.options.map((option, optionIndex) => `
+                                    <option value="${optionIndex}">${this.escapeHtml(option)}</option>
+                                `).join('')}
+                            </select>
+                        </div>
+                    `).join('')}
+                </div>
+                <button class="btn btn-primary" onclick="window.app.answerVocabularyExercise()">${t('exercise.check')}</button>
+            `;
+        }
+        
+        const info = this.getVocabularyExerciseTypes().find(item => item.id === exercise.type);
+        container.innerHTML = `
+            <p class="diagnostic-applied-title">${info.label}</p>
+            <p class="vocab-exercise-instruction">${info.hint}</p>
+            ${body}
+            <div id="vocabExerciseFeedback" class="hidden"></div>
+        `;
+        container.classList.remove('hidden');
+        
+        if (window.lucide) {
+            window.lucide.createIcons();
+        }
+        if (exercise.type === 'spelling') {
+            this.speakVocabularyExercise();
+            document.getElementById('vocabSpellingInput')?.focus();
+        }
+    }
+    
+    speakVocabularyExercise() {
+        const exercise = this.currentVocabularyExercise;
+        if (exercise && exercise.speak && window.audioSystem &&
+            typeof window.audioSystem.speakWord === 'function') {
+            window.audioSystem.speakWord(exercise.speak);
+        }
+    }
+    
+    // optionIndex for the choice types; spelling and collocation read their inputs
+    answerVocabularyExercise(optionIndex = null) {
+        const exercise = this.currentVocabularyExercise;
+        const container = document.getElementById('vocabularyExercise');
+        if (!exercise || exercise.answered || !container || !this.vocabularyExercises) return;
+        
+        let response;
+        if (exercise.type === 'spelling') {
+            const input = document.getElementById('vocabSpellingInput');
+            response = input ? input.value : '';
+            if (!response.trim()) {
+                if (input) input.focus();
+                return;
+            }
+        } else if (exercise.type === 'collocation') {
+            response = [...container.querySelectorAll('select[data-pair]')]
+                .map(select => select.value === '' ? '' : exercise.options[Number(select.value)]);
+            if (response.some(choice => !choice)) {
+                this.showNotification(t('exercise.matchAll'), 'error');
+                return;
+            }
+        } else {
+            response = exercise.options[optionIndex];
+            if (response === undefined) return;
+        }
+        
+        exercise.answered = true;
+        const isCorrect = this.vocabularyExercises.check(exercise, response);
+        this.recordVocabularyAnswer(isCorrect, {
+            autoAdvance: false,
+            responseTime: Date.now() - exercise.shownAt,
+            exerciseType: exercise.type
+        });
+        this.showVocabularyExerciseFeedback(exercise, response, isCorrect);
+    }
+    
+    showVocabularyExerciseFeedback(exercise, response, isCorrect) {
+        const container = document.getElementById('vocabularyExercise');
+        const feedback = document.getElementById('vocabExerciseFeedback');
+        if (!container || !feedback) return;
+        const normalize = text => this.vocabularyExercises.normalize(text);
+        
+        container.querySelectorAll('button[data-option]').forEach(button => {
+            const option = exercise.options[Number(button.dataset.option)];
+            button.disabled = true;
+            if (normalize(option) === normalize(exercise.answer)) button.classList.add('is-correct');
+            else if (option === response) button.classList.add('is-wrong');
+        });
+        container.querySelectorAll('input, select, .vocab-spelling-row button, .vocab-collocation-list + button').forEach(el => {
+            el.disabled = true;
+        });
+        if (exercise.type === 'collocation') {
+            exercise.pairs.forEach((pair, index) => {
+                const row = container.querySelector(`[data-pair-row="${index}"]`);
+                if (!row) return;
+                const right = normalize(response[index]) === normalize(pair.answer);
+                row.classList.add(right ? 'is-correct' : 'is-wrong');
+                if (!right) {
+                    row.insertAdjacentHTML('beforeend', `<span class="vocab-collocation-answer">${this.escapeHtml(pair.answer)}</span>`);
+                }
+            });
+        }
+        
+        const data = window.toeicVocabulary && window.toeicVocabulary.vocabulary.get(exercise.word);
+        feedback.className = `quiz-feedback ${isCorrect ? 'correct' : 'incorrect'}`;
+        feedback.innerHTML = `
+            <p class="font-semibold">${isCorrect
+                ? `✓ ${t('exercise.correct')}`
+                : `✗ ${t('exercise.incorrect', { answer: this.escapeHtml(exercise.answer) })}`}</p>
+            ${data ? `<p class="vocab-exercise-meaning"><strong>${this.escapeHtml(data.word)}</strong> — ${this.escapeHtml(data.meaning)}</p>` : ''}
+            ${exercise.type === 'word_form' ? this.renderWordFamily(exercise.word, { current: exercise.answer }) : ''}
+            <div class="reading-actions">
+                <button class="btn btn-primary" onclick="window.app.continueVocabularyExercise()">
+                    ${t('exercise.continue')} <span class="key-hint">Enter</span>
+                </button>
+            </div>
+        `;
+    }
+    
+    continueVocabularyExercise() {
+        const exercise = this.currentVocabularyExercise;
+        if (!exercise || !exercise.answered) return;
+        this.currentVocabularyExercise = null;
+        this.loadNextVocabularyWord();
+    }
+    
+    startNewVocabularySession() {
+        if (window.toeicVocabulary) {
+            const session = window.toeicVocabulary.startSession({ wordCount: 20 });
+            this.showVocabularyLearningInterface(session);
+        } else {
+            console.error('❌ TOEIC Vocabulary system not available');
+        }
+    }
+    
+    async forceReloadVocabulary() {
+        console.log('🔄 Force reloading vocabulary...');
+        if (window.toeicVocabulary && typeof window.toeicVocabulary.forceReloadVocabulary === 'function') {
+            try {
+                const newCount = await window.toeicVocabulary.forceReloadVocabulary();
                 console.log(`✅ Vocabulary reloaded successfully! Now have ${newCount} words`);
                 
                 // Update the display
@@ -2188,6 +3056,11 @@ class App {
 
         // Stop any in-flight TTS (listening test audio) — goHome() routes here too
         window.audioSystem?.cancelSpeech?.();
+        // ...and the exam-mode pacing that would start the next item
+        window.toeicTestSimulator?.stopPacedListening?.();
+        // An abandoned placement test is discarded, not scored
+        this.stopDiagnosticTimer();
+        window.toeicDiagnostic?.cancel();
 
         // Hide the TOEIC module container (un-hidden by showTOEICModuleScreen)
         const moduleContent = document.getElementById('toeicModuleContent');
@@ -2224,7 +3097,11 @@ class App {
         if (window.toeicReading && window.toeicReading.currentSession) {
             window.toeicReading.endSession();
         }
+        if (window.toeicListening && window.toeicListening.currentSession) {
+            window.toeicListening.endSession();
+        }
         this.unbindReadingKeyboard();
+        this.stopSpeedPacer();
 
         // Clear timers
         if (this.readingTimer) {
@@ -2242,6 +3119,10 @@ class App {
             this.testTimer = null;
         }
         this.testTimerSeconds = 0;
+        if (this.testPacingCountdown) {
+            clearInterval(this.testPacingCountdown);
+            this.testPacingCountdown = null;
+        }
         if (this.flashcardContinueTimer) {
             clearTimeout(this.flashcardContinueTimer);
             this.flashcardContinueTimer = null;
@@ -2264,21 +3145,24 @@ class App {
         if (flashcardOverlay) {
             flashcardOverlay.remove();
         }
+        document.getElementById('testSubmitSummary')?.remove();
         
         console.log('✅ Session ended successfully');
     }
     
     // Flashcard Functions
-    startFlashcardReview(mode = 'spaced_repetition') {
+    // deckId limits the session to one of the student's decks
+    startFlashcardReview(mode = 'spaced_repetition', deckId = null) {
         if (!window.toeicVocabulary) {
             console.error('❌ TOEIC Vocabulary system not available');
             return;
         }
         
-        console.log('🃏 Flashcard review started:', mode);
+        console.log('🃏 Flashcard review started:', mode, deckId || '');
         
-        // Store the current mode for later use
+        // Store the current mode and deck for later use
         this.currentFlashcardMode = mode;
+        this.currentFlashcardDeck = deckId;
         
         // Track analytics
         if (window.advancedAnalytics && typeof window.advancedAnalytics.recordLearningEvent === 'function') {
@@ -2290,9 +3174,15 @@ class App {
         
         const session = window.toeicVocabulary.startSession({
             mode: mode,
+            deckId: deckId,
             wordCount: this.getWordCountForMode(mode)
         });
         
+        if (session && session.length === 0) {
+            this.showNotification(t('decks.nothingToStudy'), 'error');
+            return;
+        }
+        
         if (session) {
             this.showFlashcardInterface(session, mode);
         }
@@ -2305,7 +3195,8 @@ class App {
             'difficulty_review': 15,
             'category_review': 20,
             'quick_review': 10,
-            'exam_prep': 25
+            'exam_prep': 25,
+            'word_forms': 20
         };
         return wordCounts[mode] || 20;
     }
@@ -2321,6 +3212,7 @@ class App {
         }
         
         const modeInfo = this.getModeInfo(mode);
+        const deck = this.currentFlashcardDeck ? window.toeicVocabulary.getDeck(this.currentFlashcardDeck) : null;
         
         // Get session stats from vocabulary system
         const sessionStats = window.toeicVocabulary.getSessionStats();
@@ -2334,7 +3226,7 @@ class App {
                     <div class="flex justify-between items-center">
                         <div>
                             <h3 class="text-xl font-bold text-white">${modeInfo.title}</h3>
-                            <p class="text-white/60">${modeInfo.description}</p>
+                            <p class="text-white/60">${deck ? `${this.escapeHtml(deck.name)} · ` : ''}${modeInfo.description}</p>
                         </div>
                         <div class="text-right">
                             <div class="text-sm text-white/80">${t('quiz.progress')}</div>
@@ -2369,6 +3261,7 @@ class App {
                             <strong>${t('flashcards.synonyms')}:</strong> ${currentWord.synonyms}
                         </div>
                         ` : ''}
+                        ${this.renderWordFamily(currentWord.word)}
                     </div>
                 </div>
 
@@ -2376,13 +3269,11 @@ class App {
                     👁 ${t('quiz.showAnswer')}
                 </button>
 
-                <div id="flashcardAnswerButtons" class="flashcard-actions hidden">
-                    <button onclick="window.app.answerFlashcard('correct')" class="flashcard-btn know">
-                        ✓ ${t('vocab.iKnowIt')}
-                    </button>
-                    <button onclick="window.app.answerFlashcard('incorrect')" class="flashcard-btn dont-know">
-                        ✗ ${t('vocab.iDontKnow')}
-                    </button>
+                <div id="flashcardAnswerButtons" class="hidden">
+                    <p class="flashcard-grade-hint">${t('flashcards.gradeHint')}</p>
+                    <div class="flashcard-actions flashcard-grades">
+                        ${this.getFlashcardGradeButtons(currentWord.word)}
+                    </div>
                 </div>
 
                 <!-- Session Stats -->
@@ -2410,14 +3301,73 @@ class App {
             </div>
         `;
         
+        // Response time runs from the moment the card is shown (analytics only)
+        this.flashcardShownAt = Date.now();
+        this.bindFlashcardKeyboard();
+        
         // Re-initialize Lucide icons
         if (window.lucide) {
             window.lucide.createIcons();
         }
     }
     
+    // Again/Hard/Good/Easy, each labelled with the interval it would schedule
+    getFlashcardGradeButtons(word) {
+        const scheduler = window.toeicVocabulary.getScheduler();
+        const preview = scheduler ? scheduler.previewIntervals(word) : {};
+        const grades = [
+            { grade: 1, key: 'again' },
+            { grade: 2, key: 'hard' },
+            { grade: 3, key: 'good' },
+            { grade: 4, key: 'easy' }
+        ];
+        return grades.map(({ grade, key }) => `
+            <button onclick="window.app.answerFlashcard(${grade})" class="flashcard-btn grade-${key}">
+                <span class="flashcard-grade-label">${t(`flashcards.grade.${key}`)}</span>
+                ${preview[grade] ? `<span class="flashcard-grade-interval">${this.formatReviewInterval(preview[grade])}</span>` : ''}
+                <span class="key-hint">${grade}</span>
+            </button>
+        `).join('');
+    }
+    
+    formatReviewInterval(days) {
+        if (days < 30) return t('flashcards.intervalDays', { count: days });
+        if (days < 365) return t('flashcards.intervalMonths', { count: Math.round(days / 30 * 10) / 10 });
+        return t('flashcards.intervalYears', { count: Math.round(days / 365 * 10) / 10 });
+    }
+    
+    // Keyboard flow: Space/Enter reveals, 1–4 grades Again/Hard/Good/Easy.
+    // Registered once for the app's lifetime; guarded by screen state.
+    bindFlashcardKeyboard() {
+        if (this.flashcardKeyboardBound) return;
+        this.flashcardKeyboardBound = true;
+        document.addEventListener('keydown', (e) => {
+            const moduleContent = document.getElementById('toeicModuleContent');
+            const answerButtons = document.getElementById('flashcardAnswerButtons');
+            if (!moduleContent || moduleContent.classList.contains('hidden') || !answerButtons) return;
+            if (document.getElementById('flashcardProgressNotification')) return;
+            const tag = (e.target.tagName || '').toLowerCase();
+            if (tag === 'input' || tag === 'textarea' || tag === 'select') return;
+
+            const revealed = !answerButtons.classList.contains('hidden');
+            const grade = ['1', '2', '3', '4'].indexOf(e.key) + 1;
+            if (!revealed && (e.key === ' ' || e.key === 'Enter')) {
+                e.preventDefault();
+                this.showFlashcardAnswer();
+            } else if (revealed && grade > 0) {
+                e.preventDefault();
+                this.answerFlashcard(grade);
+            }
+        });
+    }
+    
     getModeInfo(mode) {
-        const modeInfo = {
+        const modeInfo = this.getAllModeInfo();
+        return modeInfo[mode] || modeInfo['spaced_repetition'];
+    }
+    
+    getAllModeInfo() {
+        return {
             'spaced_repetition': {
                 title: t('flashcards.mode.spacedRepetition.title'),
                 description: t('flashcards.mode.spacedRepetition.desc')
@@ -2441,9 +3391,12 @@ class App {
             'exam_prep': {
                 title: t('flashcards.mode.examPrep.title'),
                 description: t('flashcards.mode.examPrep.desc')
+            },
+            'word_forms': {
+                title: t('flashcards.mode.wordForms.title'),
+                description: t('flashcards.mode.wordForms.desc')
             }
         };
-        return modeInfo[mode] || modeInfo['spaced_repetition'];
     }
     
     showFlashcardAnswer() {
@@ -2461,17 +3414,22 @@ class App {
         }
     }
     
-    answerFlashcard(result) {
+    // grade: 1 Again, 2 Hard, 3 Good, 4 Easy — passed straight to the scheduler
+    answerFlashcard(grade) {
         if (!window.toeicVocabulary) return;
         
-        const isCorrect = result === 'correct';
-        window.toeicVocabulary.answerWord(isCorrect);
+        const isCorrect = grade > 1;
+        const result = isCorrect ? 'correct' : 'incorrect';
+        const responseTime = this.flashcardShownAt ? Date.now() - this.flashcardShownAt : 0;
+        window.toeicVocabulary.answerWord(isCorrect, grade, responseTime);
         
         // Track time
         if (this.timeTracker) {
             const currentWord = window.toeicVocabulary.getCurrentWord();
             this.timeTracker.addToTimeline('flashcard_answer_submitted', {
                 result: result,
+                grade: grade,
+                responseTime: responseTime,
                 isCorrect: isCorrect,
                 word: currentWord?.word,
                 difficulty: currentWord?.difficulty,
@@ -2484,6 +3442,8 @@ class App {
             window.advancedAnalytics.recordLearningEvent('flashcard_answer', {
                 isCorrect: isCorrect,
                 result: result,
+                grade: grade,
+                responseTime: responseTime,
                 timestamp: new Date().toISOString()
             });
         }
@@ -2654,7 +3614,7 @@ class App {
                 </div>
 
                 <div class="flex justify-center gap-4">
-                    <button onclick="window.app.startFlashcardReview('spaced_repetition')" class="btn btn-primary">
+                    <button onclick="window.app.startFlashcardReview('${this.currentFlashcardMode || 'spaced_repetition'}'${this.currentFlashcardDeck ? `, '${this.currentFlashcardDeck}'` : ''})" class="btn btn-primary">
                         <i data-lucide="refresh-cw" class="w-5 h-5 mr-2"></i>
                         ${t('flashcards.reviewAgain')}
                     </button>
@@ -2701,7 +3661,8 @@ class App {
         
         const session = window.toeicGrammar.startSession({
             category: category,
-            questionCount: 20
+            questionCount: 20,
+            includeGenerated: true
         });
         
         if (session) {
@@ -2714,6 +3675,13 @@ class App {
         this.startGrammarPractice(category);
     }
     
+    // Straight into one category from outside the grammar module (placement recommendations)
+    openGrammarCategory(category) {
+        this.hideWelcomeScreen();
+        this.showTOEICModuleScreen('grammar');
+        this.startGrammarCategory(category);
+    }
+    
     showGrammarPracticeInterface(session) {
         const content = document.getElementById('toeicModuleContent');
         if (!content) return;
@@ -2732,7 +3700,7 @@ class App {
                 <!-- Progress Header -->
                 <div class="quiz-card">
                     <div class="flex justify-between items-center">
-                        <h3 class="text-xl font-bold text-white">${t('grammar.practice')}</h3>
+                        <h3 class="text-xl font-bold text-white">${this.getGrammarPracticeTitle()}</h3>
                         <div class="text-right">
                             <div class="text-sm text-white/80">${t('quiz.progress')}</div>
                             <div class="text-lg font-bold text-white">${question.progress.current}/${question.progress.total}</div>
@@ -2777,7 +3745,7 @@ class App {
                     </div>
 
                     <div class="flex justify-between items-center">
-                        <button onclick="window.app.previousGrammarQuestion()" class="btn btn-secondary" ${question.progress.current <= 1 ? 'disabled' : ''}>
+                        <button onclick="window.app.previousGrammarQuestion()" class="btn btn-secondary" ${question.progress.current <= 1 || session.remediation ? 'disabled' : ''}>
                             <i data-lucide="chevron-left" class="w-5 h-5 mr-2"></i>
                             ${t('quiz.previousQuestion')}
                         </button>
@@ -2883,6 +3851,7 @@ class App {
         
         const currentQuestion = window.toeicGrammar.getCurrentQuestion();
         if (!currentQuestion) return;
+        const answer = window.toeicGrammar.currentSession.answers.find(item => item.questionId === currentQuestion.id);
         
         // Update the interface to show feedback
         const feedbackHTML = `
@@ -2891,7 +3860,7 @@ class App {
                 <div class="quiz-card">
                     <div class="flex justify-between items-center">
                         <div>
-                            <h3 class="text-xl font-bold text-white">${t('grammar.practice')}</h3>
+                            <h3 class="text-xl font-bold text-white">${this.getGrammarPracticeTitle()}</h3>
                             <p class="text-white/60">${t('quiz.questionOf', { current: currentQuestion.progress.current, total: currentQuestion.progress.total })}</p>
                         </div>
                         <div class="text-right">
@@ -2952,6 +3921,10 @@ class App {
                                 }
                             </div>
 
+                            ${answer && answer.errorType ? `
+                                <p class="grammar-error-type">${t('mistakes.typeOfMistake')}: <span class="dashboard-chip">${this.getGrammarErrorLabel(answer.errorType)}</span></p>
+                            ` : ''}
+
                             ${currentQuestion.explanation ? `
                                 <div class="mt-2">
                                     <h4 class="text-blue-400 font-semibold mb-1">${t('quiz.explanation')}:</h4>
@@ -2965,6 +3938,11 @@ class App {
                                     <p class="text-white/80 text-sm">${currentQuestion.grammarRule.description}</p>
                                 </div>
                             ` : ''}
+
+                            ${currentQuestion.wordFamily ? this.renderWordFamily(currentQuestion.wordFamily, {
+                                current: currentQuestion.options[currentQuestion.correctAnswer],
+                                withCardLink: true
+                            }) : ''}
                         </div>
                     </div>
 
@@ -3061,6 +4039,16 @@ class App {
         const content = document.getElementById('toeicModuleContent');
         if (!content) return;
         
+        const grammar = window.toeicGrammar;
+        const remediation = results.remediation;
+        const remediationRule = remediation ? grammar.getGrammarRule(remediation.ruleId) : null;
+        const drillAgain = remediation && !remediation.recovered;
+        const target = !drillAgain && results.remediationTarget &&
+            (!remediation || results.remediationTarget.ruleId !== remediation.ruleId) ? results.remediationTarget : null;
+        const errorPatterns = Object.entries(results.errorPatterns || {}).sort((a, b) => b[1] - a[1]);
+        const unlocked = (results.unlockedRules || []).map(ruleId => grammar.getGrammarRule(ruleId)).filter(Boolean);
+        const nextRule = !drillAgain && !target ? results.nextRule : null;
+        
         content.innerHTML = `
             <div class="module-shell">
                 <div class="module-header">
@@ -3085,8 +4073,59 @@ class App {
                     </div>
                 </div>
 
+                ${remediationRule ? `
+                    <p class="placement-note">${remediation.recovered
+                        ? `✅ ${t('mistakes.recovered', { rule: this.escapeHtml(remediationRule.title) })}`
+                        : `🔁 ${t('mistakes.notRecovered', { rule: this.escapeHtml(remediationRule.title) })}`}</p>
+                ` : ''}
+
+                ${unlocked.length > 0 ? `
+                    <p class="placement-note">🔓 ${t('mastery.unlocked', { rules: unlocked.map(rule => this.escapeHtml(rule.title)).join(', ') })}</p>
+                ` : ''}
+
+                ${errorPatterns.length > 0 ? `
+                    <div class="quiz-card">
+                        <h4 class="rule-card-heading">${t('mistakes.sessionPatterns')}</h4>
+                        <div class="mistake-chips">
+                            ${errorPatterns.map(([type, count]) => `
+                                <span class="dashboard-chip">${this.getGrammarErrorLabel(type)} ×${count}</span>
+                            `).join('')}
+                        </div>
+                    </div>
+                ` : ''}
+
                 <div class="module-actions">
-                    <button onclick="window.app.startGrammarPractice('all')" class="module-action-btn primary">
+                    ${drillAgain ? `
+                        <button onclick="window.app.startGrammarRemediation('${remediation.ruleId}')" class="module-action-btn primary">
+                            <span class="module-action-icon" aria-hidden="true">🩺</span>
+                            <div class="module-action-text">
+                                <div class="module-action-title">${t('mistakes.drillAgain')}</div>
+                                <div class="module-action-desc">${this.escapeHtml(remediationRule.title)}</div>
+                            </div>
+                            <span class="module-action-chevron" aria-hidden="true">›</span>
+                        </button>
+                    ` : target ? `
+                        <button onclick="window.app.showGrammarRemediation('${target.ruleId}')" class="module-action-btn primary">
+                            <span class="module-action-icon" aria-hidden="true">🩺</span>
+                            <div class="module-action-text">
+                                <div class="module-action-title">${t('mistakes.targeted', { rule: this.escapeHtml(target.title) })}</div>
+                                <div class="module-action-desc">${target.topError
+                                    ? t('mistakes.targetedDesc', { type: this.getGrammarErrorLabel(target.topError), accuracy: target.recentAccuracy })
+                                    : t('mistakes.summary', { mistakes: target.mistakes, attempts: target.attempts, accuracy: target.recentAccuracy })}</div>
+                            </div>
+                            <span class="module-action-chevron" aria-hidden="true">›</span>
+                        </button>
+                    ` : nextRule ? `
+                        <button onclick="window.app.startGrammarRule('${nextRule.ruleId}')" class="module-action-btn primary">
+                            <span class="module-action-icon" aria-hidden="true">▶</span>
+                            <div class="module-action-text">
+                                <div class="module-action-title">${t('mastery.practiceNext', { rule: this.escapeHtml(nextRule.title) })}</div>
+                                <div class="module-action-desc" data-i18n="mastery.practiceNextDesc">${t('mastery.practiceNextDesc')}</div>
+                            </div>
+                            <span class="module-action-chevron" aria-hidden="true">›</span>
+                        </button>
+                    ` : ''}
+                    <button onclick="window.app.startGrammarPractice('all')" class="module-action-btn${drillAgain || target || nextRule ? '' : ' primary'}">
                         <span class="module-action-icon" aria-hidden="true">🔄</span>
                         <div class="module-action-text">
                             <div class="module-action-title">${t('common.practiceAgain')}</div>
@@ -3156,6 +4195,222 @@ class App {
         }
     }
     
+    getGrammarErrorLabel(type) {
+        const key = `mistakes.type.${type}`;
+        const label = t(key);
+        return label !== key ? label : this.escapeHtml(type.replace(/_/g, ' '));
+    }
+    
+    // Mistake profile: every answered rule, weakest first, with how the
+    // wrong answers went and a way into that rule's remediation drill
+    showGrammarMistakeProfile() {
+        const content = document.getElementById('toeicModuleContent');
+        if (!content || !window.toeicGrammar) return;
+        const profile = window.toeicGrammar.getMistakeProfile().filter(entry => entry.mistakes > 0);
+        
+        content.innerHTML = `
+            <div class="module-shell">
+                <button class="module-back-btn" onclick="window.app.showTOEICModuleScreen('grammar')">
+                    <span aria-hidden="true">←</span>
+                    <span data-i18n="grammar.backToGrammar">${t('grammar.backToGrammar')}</span>
+                </button>
+
+                <div class="module-header">
+                    <div class="module-header-icon" aria-hidden="true">🩺</div>
+                    <h2 class="module-header-title" data-i18n="mistakes.title">${t('mistakes.title')}</h2>
+                    <p class="module-header-subtitle" data-i18n="mistakes.desc">${t('mistakes.desc')}</p>
+                </div>
+
+                ${profile.length === 0 ? `
+                    <p class="placement-note" data-i18n="mistakes.empty">${t('mistakes.empty')}</p>
+                ` : `
+                    <div class="module-actions">
+                        ${profile.map(entry => `
+                            <button onclick="window.app.showGrammarRemediation('${entry.ruleId}')" class="module-action-btn">
+                                <span class="module-action-icon" aria-hidden="true">${entry.recentAccuracy < 70 ? '⚠️' : '✓'}</span>
+                                <div class="module-action-text">
+                                    <div class="module-action-title">${this.escapeHtml(entry.title)}</div>
+                                    <div class="module-action-desc">${t('mistakes.summary', {
+                                        mistakes: entry.mistakes,
+                                        attempts: entry.attempts,
+                                        accuracy: entry.recentAccuracy
+                                    })}</div>
+                                    <div class="mistake-chips">
+                                        ${entry.errors.map(({ type, count }) => `
+                                            <span class="dashboard-chip">${this.getGrammarErrorLabel(type)} ×${count}</span>
+                                        `).join('')}
+                                    </div>
+                                </div>
+                                <span class="module-action-chevron" aria-hidden="true">›</span>
+                            </button>
+                        `).join('')}
+                    </div>
+                `}
+            </div>
+        `;
+    }
+    
+    // Rule card first, then the drill: the learner rereads the rule with
+    // their own mistakes next to it before answering anything
+    showGrammarRemediation(ruleId) {
+        const content = document.getElementById('toeicModuleContent');
+        const grammar = window.toeicGrammar;
+        const rule = grammar ? grammar.getGrammarRule(ruleId) : null;
+        if (!content || !rule) return;
+        const entry = grammar.getMistakeProfile().find(item => item.ruleId === ruleId);
+        const list = items => (items || []).map(item => `<li>${this.escapeHtml(item)}</li>`).join('');
+        
+        content.innerHTML = `
+            <div class="module-shell">
+                <button class="module-back-btn" onclick="window.app.showGrammarMistakeProfile()">
+                    <span aria-hidden="true">←</span>
+                    <span data-i18n="mistakes.title">${t('mistakes.title')}</span>
+                </button>
+
+                <div class="quiz-card rule-card">
+                    <span class="dashboard-chip">${t('grammar.rule')}</span>
+                    <h2 class="diagnostic-applied-title">${this.escapeHtml(rule.title)}</h2>
+                    <p class="rule-card-description">${this.escapeHtml(rule.description)}</p>
+                    ${rule.formula ? `<p class="rule-card-formula">${this.escapeHtml(rule.formula)}</p>` : ''}
+                    ${rule.examples && rule.examples.length > 0 ? `
+                        <h4 class="rule-card-heading">${t('mistakes.examples')}</h4>
+                        <ul class="rule-card-list">${list(rule.examples)}</ul>
+                    ` : ''}
+                    ${rule.commonMistakes && rule.commonMistakes.length > 0 ? `
+                        <h4 class="rule-card-heading">${t('mistakes.commonMistakes')}</h4>
+                        <ul class="rule-card-list">${list(rule.commonMistakes)}</ul>
+                    ` : ''}
+                    ${rule.toeicTips && rule.toeicTips.length > 0 ? `
+                        <h4 class="rule-card-heading">${t('mistakes.toeicTips')}</h4>
+                        <ul class="rule-card-list">${list(rule.toeicTips)}</ul>
+                    ` : ''}
+                    ${entry && entry.errors.length > 0 ? `
+                        <h4 class="rule-card-heading">${t('mistakes.yourMistakes')}</h4>
+                        <div class="mistake-chips">
+                            ${entry.errors.map(({ type, count }) => `
+                                <span class="dashboard-chip">${this.getGrammarErrorLabel(type)} ×${count}</span>
+                            `).join('')}
+                        </div>
+                    ` : ''}
+                    <div class="reading-actions">
+                        <button class="btn btn-primary" onclick="window.app.startGrammarRemediation('${ruleId}')">
+                            ${t('mistakes.startDrill')}
+                        </button>
+                    </div>
+                    <p class="module-action-desc">${t('mistakes.drillNote')}</p>
+                </div>
+            </div>
+        `;
+    }
+    
+    startGrammarRemediation(ruleId) {
+        if (!window.toeicGrammar) return;
+        const session = window.toeicGrammar.startRemediationSession(ruleId);
+        if (!session) {
+            this.showNotification(t('mistakes.noQuestions'), 'error');
+            return;
+        }
+        this.showGrammarPracticeInterface(session);
+    }
+    
+    // Mastery map: the rules as a learning path, one row per step (depth
+    // in the prerequisite graph). Locked rules name what unlocks them.
+    showGrammarMasteryMap() {
+        const content = document.getElementById('toeicModuleContent');
+        const grammar = window.toeicGrammar;
+        if (!content || !grammar) return;
+        const nodes = grammar.getMasteryMap();
+        const next = grammar.getNextRule();
+        const titles = new Map(nodes.map(node => [node.ruleId, node.title]));
+        const steps = [];
+        nodes.forEach(node => {
+            (steps[node.depth] = steps[node.depth] || []).push(node);
+        });
+        const icons = { locked: '🔒', unlocked: '▶', mastered: '★' };
+        
+        content.innerHTML = `
+            <div class="module-shell">
+                <button class="module-back-btn" onclick="window.app.showTOEICModuleScreen('grammar')">
+                    <span aria-hidden="true">←</span>
+                    <span data-i18n="grammar.backToGrammar">${t('grammar.backToGrammar')}</span>
+                </button>
+
+                <div class="module-header">
+                    <div class="module-header-icon" aria-hidden="true">🗺️</div>
+                    <h2 class="module-header-title" data-i18n="mastery.title">${t('mastery.title')}</h2>
+                    <p class="module-header-subtitle" data-i18n="mastery.desc">${t('mastery.desc')}</p>
+                </div>
+
+                ${next ? `
+                <div class="module-actions">
+                    <button onclick="window.app.startGrammarRule('${next.ruleId}')" class="module-action-btn primary">
+                        <span class="module-action-icon" aria-hidden="true">▶</span>
+                        <div class="module-action-text">
+                            <div class="module-action-title">${t('mastery.practiceNext', { rule: this.escapeHtml(next.title) })}</div>
+                            <div class="module-action-desc">${t('mastery.nodeStats', { level: next.level, accuracy: next.accuracy, attempts: next.attempts })}</div>
+                        </div>
+                        <span class="module-action-chevron" aria-hidden="true">›</span>
+                    </button>
+                </div>
+                ` : `<p class="placement-note">★ ${t('mastery.allMastered')}</p>`}
+
+                <div class="mastery-legend">
+                    ${['locked', 'unlocked', 'mastered'].map(state => `
+                        <span class="mastery-legend-item is-${state}">${icons[state]} ${t(`mastery.state.${state}`)}</span>
+                    `).join('')}
+                </div>
+
+                <div class="mastery-map">
+                    ${steps.map((row, depth) => `
+                        <div class="mastery-step">
+                            <span class="mastery-step-label">${t('mastery.step', { step: depth + 1 })}</span>
+                            <div class="mastery-step-nodes">
+                                ${row.map(node => `
+                                    <button class="mastery-node is-${node.state}${next && next.ruleId === node.ruleId ? ' is-next' : ''}"
+                                            onclick="window.app.startGrammarRule('${node.ruleId}')"
+                                            ${node.state === 'locked' || node.questionCount === 0 ? 'disabled' : ''}>
+                                        <span class="mastery-node-title">${icons[node.state]} ${this.escapeHtml(node.title)}</span>
+                                        <span class="mastery-node-bar" aria-hidden="true">
+                                            <span style="width: ${Math.min(node.level, 5) * 20}%"></span>
+                                        </span>
+                                        <span class="mastery-node-meta">${node.state === 'locked'
+                                            ? t('mastery.needs', { rules: node.prerequisites.map(id => this.escapeHtml(titles.get(id))).join(', ') })
+                                            : t('mastery.nodeStats', { level: node.level, accuracy: node.accuracy, attempts: node.attempts })}</span>
+                                    </button>
+                                `).join('')}
+                            </div>
+                        </div>
+                    `).join('')}
+                </div>
+            </div>
+        `;
+    }
+    
+    startGrammarRule(ruleId) {
+        if (!window.toeicGrammar) return;
+        const session = window.toeicGrammar.startSession({ grammarRule: ruleId, questionCount: 20, includeGenerated: true });
+        if (!session || session.questions.length === 0) {
+            this.showNotification(t('mistakes.noQuestions'), 'error');
+            return;
+        }
+        this.showGrammarPracticeInterface(session);
+    }
+    
+    // Header title for the practice and feedback views
+    getGrammarPracticeTitle() {
+        const grammar = window.toeicGrammar;
+        const session = grammar && grammar.currentSession;
+        if (session && session.remediation) {
+            const rule = grammar.getGrammarRule(session.remediation.ruleId);
+            if (rule) return t('mistakes.drillTitle', { rule: this.escapeHtml(rule.title) });
+        }
+        if (session && session.grammarRule) {
+            const rule = grammar.getGrammarRule(session.grammarRule);
+            if (rule) return t('mastery.practiceTitle', { rule: this.escapeHtml(rule.title) });
+        }
+        return t('grammar.practice');
+    }
+    
     // Generic TOEIC Module Screen Handler
     showTOEICModuleScreen(moduleType, options = {}) {
         const content = document.getElementById('toeicModuleContent');
@@ -3186,6 +4441,9 @@ class App {
                     this.showReadingModule(options);
                 }
                 break;
+            case 'listening':
+                this.showListeningModule(options);
+                break;
             case 'test':
                 this.showTestModule(options);
                 break;
@@ -3195,6 +4453,9 @@ class App {
             case 'grammar':
                 this.showGrammarModule(options);
                 break;
+            case 'diagnostic':
+                this.showDiagnosticModule(options);
+                break;
             default:
                 content.innerHTML = `
                     <div class="text-center">
@@ -3428,38 +4689,889 @@ class App {
             .filter(Boolean);
     }
 
-    showTestModule(options = {}) {
+    // ===== Listening practice (Parts 1–4) =====
+
+    showListeningModule(options = {}) {
         const content = document.getElementById('toeicModuleContent');
+        if (!content) return;
+
+        const listening = window.toeicListening;
+        const overall = listening ? listening.getOverallStats() : null;
+        const partStats = listening ? listening.getStatsByPart() : {};
+        const last = this.listeningOptions || { count: 10, speed: 'normal' };
+
+        const partIcons = { 1: '📷', 2: '💬', 3: '👥', 4: '📢' };
+        const partButtons = [1, 2, 3, 4].map(part => {
+            const stats = partStats[part] || { available: 0, answered: 0, accuracy: 0 };
+            return `
+                <button onclick="window.app.startListeningSession(${part})" class="module-action-btn${part === 1 ? ' primary' : ''}" ${stats.available === 0 ? 'disabled' : ''}>
+                    <span class="module-action-icon" aria-hidden="true">${partIcons[part]}</span>
+                    <div class="module-action-text">
+                        <div class="module-action-title">${t(`listening.part${part}Title`)}</div>
+                        <div class="module-action-desc">${t('listening.partProgress', { answered: stats.answered, available: stats.available, accuracy: stats.accuracy })}</div>
+                    </div>
+                    <span class="module-action-chevron" aria-hidden="true">›</span>
+                </button>
+            `;
+        }).join('');
+
         content.innerHTML = `
             <div class="module-shell">
-                <button class="module-back-btn" onclick="window.app.endCurrentSession()">
+                <button class="module-back-btn" onclick="goHome()">
                     <span aria-hidden="true">←</span>
-                    <span data-i18n="common.backToMainMenu">${t('common.backToMainMenu')}</span>
+                    <span data-i18n="quiz.backToMenu">${t('quiz.backToMenu')}</span>
                 </button>
 
                 <div class="module-header">
-                    <span class="toeic-part-badge">FULL TEST · PARTS 1–7</span>
-                    <div class="module-header-icon" aria-hidden="true">📋</div>
-                    <h2 class="module-header-title" data-i18n="test.simulatorTitle">${t('test.simulatorTitle')}</h2>
-                    <p class="module-header-subtitle" data-i18n="test.chooseType">${t('test.chooseType')}</p>
+                    <span class="toeic-part-badge">LISTENING · PARTS 1–4</span>
+                    <div class="module-header-icon" aria-hidden="true">🎧</div>
+                    <h2 class="module-header-title" data-i18n="module.listening.title">${t('module.listening.title')}</h2>
+                    <p class="module-header-subtitle" data-i18n="module.listening.desc">${t('module.listening.desc')}</p>
+                </div>
+
+                <div class="module-stats">
+                    <div class="module-stat">
+                        <span class="module-stat-value">${overall ? overall.answeredQuestions : 0}/${overall ? overall.totalQuestions : 0}</span>
+                        <span class="module-stat-label" data-i18n="listening.practiced">${t('listening.practiced')}</span>
+                    </div>
+                    <div class="module-stat">
+                        <span class="module-stat-value">${overall ? overall.accuracy : 0}%</span>
+                        <span class="module-stat-label" data-i18n="quiz.accuracy">${t('quiz.accuracy')}</span>
+                    </div>
+                    <div class="module-stat">
+                        <span class="module-stat-value">${overall ? overall.totalAnswered : 0}</span>
+                        <span class="module-stat-label" data-i18n="reading.questionsAnswered">${t('reading.questionsAnswered')}</span>
+                    </div>
+                </div>
+
+                <div class="listening-settings">
+                    <div>
+                        <label for="listeningCount">${t('listening.questionCount')}</label>
+                        <select id="listeningCount">
+                            ${[5, 10, 15, 20].map(n => `<option value="${n}" ${n === last.count ? 'selected' : ''}>${n}</option>`).join('')}
+                        </select>
+                    </div>
+                    <div>
+                        <label for="listeningSpeed">${t('listening.speed')}</label>
+                        <select id="listeningSpeed">
+                            ${['slow', 'normal', 'fast'].map(speed => `
+                                <option value="${speed}" ${speed === last.speed ? 'selected' : ''}>${t(`listening.speed.${speed}`)}</option>
+                            `).join('')}
+                        </select>
+                    </div>
                 </div>
 
                 <div class="module-actions">
-                    <button onclick="window.app.startFullTOEICTest()" class="module-action-btn primary">
-                        <span class="module-action-icon" aria-hidden="true">📋</span>
-                        <div class="module-action-text">
-                            <div class="module-action-title" data-i18n="test.fullTest">${t('test.fullTest')}</div>
-                            <div class="module-action-desc" data-i18n="test.fullTestDesc">${t('test.fullTestDesc')}</div>
-                            <div class="module-action-desc">⏱️ <span data-i18n="test.durationFull">${t('test.durationFull')}</span> · 📊 ${t('test.questions')}: 200 · 🎯 ${t('test.score')}: 10-990</div>
-                        </div>
-                        <span class="module-action-chevron" aria-hidden="true">›</span>
-                    </button>
+                    ${partButtons}
                     <button onclick="window.app.startListeningTOEICTest()" class="module-action-btn">
-                        <span class="module-action-icon" aria-hidden="true">🎧</span>
+                        <span class="module-action-icon" aria-hidden="true">⏱️</span>
                         <div class="module-action-text">
-                            <div class="module-action-title" data-i18n="test.listeningTest">${t('test.listeningTest')}</div>
-                            <div class="module-action-desc" data-i18n="test.listeningParts">${t('test.listeningParts')}</div>
-                            <div class="module-action-desc">⏱️ <span data-i18n="test.durationListening">${t('test.durationListening')}</span> · 📊 ${t('test.questions')}: 100 · 🎯 ${t('test.score')}: 5-495</div>
+                            <div class="module-action-title" data-i18n="test.startListening">${t('test.startListening')}</div>
+                            <div class="module-action-desc" data-i18n="test.durationListening">${t('test.durationListening')}</div>
+                        </div>
+                        <span class="module-action-chevron" aria-hidden="true">›</span>
+                    </button>
+                </div>
+            </div>
+        `;
+    }
+
+    startListeningSession(part) {
+        if (!window.toeicListening) {
+            console.error('❌ TOEIC Listening system not available');
+            return;
+        }
+
+        const countSelect = document.getElementById('listeningCount');
+        const speedSelect = document.getElementById('listeningSpeed');
+        this.listeningOptions = {
+            count: countSelect ? parseInt(countSelect.value, 10) : 10,
+            speed: speedSelect ? speedSelect.value : 'normal'
+        };
+
+        window.toeicListening.startSession({ part, ...this.listeningOptions });
+        this.trackStudentActivity('listening_practice_start', { part, ...this.listeningOptions });
+        this.showListeningInterface();
+    }
+
+    // Option text for review screens; Parts 1/2 keep their statements audio-only during the question
+    getListeningOptionText(question, index) {
+        if (question.type === 'photographs') return question.statements[index] ?? '';
+        if (question.type === 'questionResponse') return question.responses[index] ?? '';
+        return question.options[index] ?? '';
+    }
+
+    showListeningInterface() {
+        const content = document.getElementById('toeicModuleContent');
+        if (!content) return;
+        content.classList.remove('hidden');
+
+        const listening = window.toeicListening;
+        const question = listening ? listening.peekNextQuestion() : null;
+
+        if (!question) {
+            content.innerHTML = `
+                <div class="text-center">
+                    <h3 class="text-xl font-bold text-white mb-4">${t('listening.noQuestions')}</h3>
+                    <button onclick="window.app.showListeningModule()" class="btn btn-primary">
+                        ${t('listening.backToListening')}
+                    </button>
+                </div>
+            `;
+            return;
+        }
+
+        const pos = listening.getSessionPosition();
+        const range = listening.getQuestionGroupRange(listening.currentQuestionIndex);
+        const played = listening.getPlayCount(question);
+        const exhausted = played >= listening.maxPlays;
+
+        const partBadge = {
+            1: 'PART 1 · PHOTOGRAPHS',
+            2: 'PART 2 · QUESTION-RESPONSE',
+            3: 'PART 3 · CONVERSATIONS',
+            4: 'PART 4 · TALKS'
+        }[question.part];
+
+        // "Questions 4–6 refer to the following conversation." for grouped parts
+        const referLine = range && range.end > range.start
+            ? (question.part === 3
+                ? t('listening.questionsReferConversation', { start: range.start, end: range.end })
+                : t('listening.questionsReferTalk', { start: range.start, end: range.end, type: question.talkType }))
+            : t(`test.part${question.part}Instr`);
+
+        content.innerHTML = `
+            <div class="module-shell reading-shell">
+                <div class="quiz-card reading-topbar">
+                    <div class="reading-topbar-row">
+                        <span class="toeic-part-badge" style="margin-bottom: 0;">${partBadge}</span>
+                        <span class="reading-progress-label">${t('quiz.questionOf', { current: pos.current, total: pos.total })}</span>
+                        <span class="reading-chip good">✓ <strong id="listeningCorrectCount">0</strong></span>
+                        <span class="reading-chip bad">✗ <strong id="listeningIncorrectCount">0</strong></span>
+                        <button onclick="window.app.endCurrentSession()" class="module-back-btn" style="margin-bottom: 0;">
+                            <span aria-hidden="true">⏹</span>
+                            ${t('common.endSession')}
+                        </button>
+                    </div>
+                    <div class="quiz-progress-track">
+                        <div class="quiz-progress-fill" style="width: ${(pos.current / pos.total) * 100}%"></div>
+                    </div>
+                </div>
+
+                <div class="reading-layout no-passage">
+                    <div class="quiz-card reading-question-panel">
+                        <p class="reading-refer-line">${referLine}</p>
+
+                        <div class="listening-audio-card">
+                            ${question.type === 'photographs' ? `
+                                <div class="listening-scene" role="img" aria-label="${question.caption}">${question.scene || '🖼️'}</div>
+                            ` : ''}
+                            <button id="listeningPlayBtn" onclick="window.app.playListeningAudio()" class="btn btn-primary" ${exhausted ? 'disabled' : ''}>
+                                ▶ ${played === 0 ? t('test.play') : t('test.replay')}
+                            </button>
+                            <div id="listeningReplayInfo" class="listening-replay-info">
+                                ${exhausted ? t('test.noReplays') : t('test.replaysLeft', { count: listening.getReplaysLeft(question) })}
+                            </div>
+                        </div>
+
+                        ${question.question ? `
+                            <p class="reading-question-number">${t('status.question')} ${pos.current}</p>
+                            <p class="reading-question-text">${question.question}</p>
+                        ` : ''}
+
+                        <div class="reading-options" id="questionOptions">
+                            ${question.options.map((option, index) => `
+                                <label class="reading-option">
+                                    <input type="radio" name="answer" value="${index}">
+                                    <span class="reading-option-letter">${String.fromCharCode(65 + index)}</span>
+                                    <span class="reading-option-text">${question.lettersOnly ? '' : option}</span>
+                                    <span class="reading-option-mark" aria-hidden="true"></span>
+                                </label>
+                            `).join('')}
+                        </div>
+
+                        <div id="readingFeedback"></div>
+                        <div id="listeningTranscript"></div>
+
+                        <div class="reading-actions">
+                            <button onclick="window.app.submitListeningAnswer()" class="btn btn-primary" id="submitBtn" disabled>
+                                ${t('reading.submitAnswer')}
+                            </button>
+                            <button onclick="window.app.goToNextListeningQuestion()" class="btn btn-primary hidden" id="nextQuestionBtn">
+                                ${pos.current >= pos.total ? t('reading.seeResults') : t('quiz.nextQuestion')} →
+                            </button>
+                            <span class="reading-kbd-hint">${t('reading.kbdHint')}</span>
+                        </div>
+                    </div>
+                </div>
+            </div>
+        `;
+
+        content.querySelectorAll('input[name="answer"]').forEach(radio => {
+            radio.addEventListener('change', () => {
+                content.querySelectorAll('.reading-option').forEach(o => o.classList.remove('selected'));
+                radio.closest('.reading-option').classList.add('selected');
+                const submitBtn = document.getElementById('submitBtn');
+                if (submitBtn) submitBtn.disabled = false;
+            });
+        });
+
+        this.listeningQuestionShownAt = Date.now();
+        this.updateListeningSessionStats();
+        // Same A–D / Enter shortcuts as reading — the handler only looks at the shared element IDs
+        this.bindReadingKeyboard();
+    }
+
+    playListeningAudio() {
+        const listening = window.toeicListening;
+        const question = listening ? listening.peekNextQuestion() : null;
+        const audio = window.audioSystem;
+        if (!question || !audio || typeof audio.speakSequence !== 'function') return;
+
+        const parts = listening.buildAudioSequence(question);
+        if (parts.length === 0 || !listening.registerPlay(question)) return;
+
+        const questionId = question.id;
+        const exhausted = listening.getPlayCount(question) >= listening.maxPlays;
+
+        const playBtn = document.getElementById('listeningPlayBtn');
+        const replayInfo = document.getElementById('listeningReplayInfo');
+        if (playBtn) {
+            playBtn.disabled = true;
+            playBtn.innerHTML = `🔊 ${t('test.playing')}`;
+        }
+        if (replayInfo) {
+            replayInfo.textContent = exhausted
+                ? t('test.noReplays')
+                : t('test.replaysLeft', { count: listening.getReplaysLeft(question) });
+        }
+
+        audio.speakSequence(parts, {
+            rate: listening.getSpeechRate(),
+            onEnd: () => {
+                // Only touch the DOM if the same question is still shown
+                if (listening.peekNextQuestion()?.id !== questionId) return;
+                const btn = document.getElementById('listeningPlayBtn');
+                if (btn) {
+                    btn.disabled = exhausted;
+                    btn.innerHTML = `▶ ${t('test.replay')}`;
+                }
+            }
+        });
+    }
+
+    submitListeningAnswer() {
+        const selectedAnswer = document.querySelector('input[name="answer"]:checked');
+        if (!selectedAnswer) return;
+
+        const listening = window.toeicListening;
+        const question = listening ? listening.peekNextQuestion() : null;
+        if (!question) return;
+
+        const answerIndex = parseInt(selectedAnswer.value);
+        const responseTime = Date.now() - (this.listeningQuestionShownAt || Date.now());
+        const result = listening.recordAnswer(question.id, answerIndex, responseTime);
+        if (!result) return;
+
+        if (this.timeTracker) {
+            this.timeTracker.addToTimeline('listening_answer_submitted', {
+                answerIndex: answerIndex,
+                isCorrect: result.isCorrect,
+                questionId: question.id,
+                part: question.part
+            });
+        }
+
+        if (window.advancedAnalytics && typeof window.advancedAnalytics.trackLearningProgress === 'function') {
+            window.advancedAnalytics.trackLearningProgress('listening', {
+                questionId: question.id,
+                isCorrect: result.isCorrect,
+                answerIndex: answerIndex,
+                correctAnswer: question.correctAnswer
+            });
+        }
+
+        this.showReadingAnswerFeedback(answerIndex, question.correctAnswer, result.isCorrect);
+        this.showListeningTranscript(question);
+
+        const submitBtn = document.getElementById('submitBtn');
+        if (submitBtn) submitBtn.classList.add('hidden');
+        const nextBtn = document.getElementById('nextQuestionBtn');
+        if (nextBtn) {
+            nextBtn.classList.remove('hidden');
+            nextBtn.focus();
+        }
+
+        this.updateListeningSessionStats();
+    }
+
+    // The transcript stays hidden until the question is answered
+    showListeningTranscript(question) {
+        const container = document.getElementById('listeningTranscript');
+        if (!container || !window.toeicListening) return;
+
+        const lines = window.toeicListening.getTranscript(question);
+        if (lines.length === 0) return;
+
+        container.innerHTML = `
+            <div class="listening-transcript">
+                <div class="listening-transcript-title">📝 ${t('listening.transcript')}</div>
+                ${question.caption ? `<p class="listening-caption">${question.caption}</p>` : ''}
+                ${lines.map(line => `
+                    <div class="listening-transcript-line${line.correct ? ' is-answer' : ''}">
+                        ${line.speaker ? `<span class="listening-transcript-speaker">${line.speaker}</span>` : ''}
+                        <span>${line.text}</span>
+                    </div>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    goToNextListeningQuestion() {
+        // Don't let the previous recording talk over the next question
+        window.audioSystem?.cancelSpeech?.();
+
+        if (window.toeicListening.moveToNextQuestion()) {
+            this.showListeningInterface();
+        } else {
+            this.showListeningSessionComplete();
+        }
+    }
+
+    updateListeningSessionStats() {
+        if (!window.toeicListening) return;
+
+        const stats = window.toeicListening.getSessionStats();
+        const correctElement = document.getElementById('listeningCorrectCount');
+        const incorrectElement = document.getElementById('listeningIncorrectCount');
+
+        if (correctElement) correctElement.textContent = stats.correctAnswers;
+        if (incorrectElement) incorrectElement.textContent = stats.incorrectAnswers;
+    }
+
+    showListeningSessionComplete() {
+        const content = document.getElementById('toeicModuleContent');
+        if (!content) return;
+
+        this.unbindReadingKeyboard();
+
+        const listening = window.toeicListening;
+        const stats = listening.getSessionStats();
+        const minutes = Math.floor((stats.timeSpent || 0) / 60000);
+        const seconds = Math.round(((stats.timeSpent || 0) % 60000) / 1000);
+
+        // Collect mistakes BEFORE endSession clears the session
+        const mistakes = listening.sessionAnswers
+            .filter(answer => !answer.isCorrect)
+            .map(answer => ({ ...answer, question: listening.questions.get(answer.questionId) }))
+            .filter(answer => answer.question);
+
+        content.innerHTML = `
+            <div class="module-shell">
+                <div class="quiz-card text-center">
+                    <h3 class="text-2xl font-bold text-white mb-6">🎧 ${t('listening.sessionComplete')}</h3>
+
+                    <div class="grid grid-cols-2 md:grid-cols-4 gap-4 mb-6">
+                        <div class="bg-green-500/20 rounded-lg p-4">
+                            <div class="text-2xl font-bold text-green-400">${stats.correctAnswers || 0}</div>
+                            <div class="text-white/80">${t('common.correct')}</div>
+                        </div>
+                        <div class="bg-red-500/20 rounded-lg p-4">
+                            <div class="text-2xl font-bold text-red-400">${stats.incorrectAnswers || 0}</div>
+                            <div class="text-white/80">${t('common.incorrect')}</div>
+                        </div>
+                        <div class="bg-blue-500/20 rounded-lg p-4">
+                            <div class="text-2xl font-bold text-blue-400">${stats.accuracy}%</div>
+                            <div class="text-white/80">${t('quiz.accuracy')}</div>
+                        </div>
+                        <div class="bg-purple-500/20 rounded-lg p-4">
+                            <div class="text-2xl font-bold text-purple-400">${minutes > 0 ? `${minutes}m ${seconds}s` : `${seconds}s`}</div>
+                            <div class="text-white/80">${t('common.time')}</div>
+                        </div>
+                    </div>
+
+                    <div class="flex justify-center gap-4 flex-wrap">
+                        <button onclick="window.app.showListeningModule()" class="btn btn-primary">
+                            <i data-lucide="headphones" class="w-5 h-5 mr-2"></i>
+                            ${t('listening.backToListening')}
+                        </button>
+                        <button onclick="window.app.endCurrentSession()" class="btn btn-secondary">
+                            <i data-lucide="home" class="w-5 h-5 mr-2"></i>
+                            ${t('common.mainMenu')}
+                        </button>
+                    </div>
+                </div>
+
+                ${mistakes.length > 0 ? `
+                <div class="quiz-card">
+                    <h3 class="text-xl font-bold text-white mb-6">📚 ${t('reading.answerReview')}</h3>
+                    <div class="space-y-4">
+                        ${mistakes.map(({ question, selectedAnswer }) => `
+                            <div class="reading-review-item">
+                                <p class="reading-review-question">${question.question || question.prompt || question.caption}</p>
+                                <p class="reading-review-line wrong">✗ ${String.fromCharCode(65 + selectedAnswer)}. ${this.getListeningOptionText(question, selectedAnswer)}</p>
+                                <p class="reading-review-line right">✓ ${String.fromCharCode(65 + question.correctAnswer)}. ${this.getListeningOptionText(question, question.correctAnswer)}</p>
+                            </div>
+                        `).join('')}
+                    </div>
+                </div>
+                ` : ''}
+            </div>
+        `;
+
+        if (window.lucide) {
+            window.lucide.createIcons();
+        }
+
+        listening.endSession();
+        console.log('🎧 Listening session completed successfully');
+    }
+
+    // ---- Placement diagnostic ----
+
+    startDiagnostic() {
+        this.hideWelcomeScreen();
+        this.showTOEICModuleScreen('diagnostic');
+    }
+
+    showDiagnosticModule() {
+        const content = document.getElementById('toeicModuleContent');
+        if (!content) return;
+
+        const diagnostic = window.toeicDiagnostic;
+        const last = diagnostic ? diagnostic.getLastResult() : null;
+        const available = diagnostic ? diagnostic.isAvailable() : false;
+
+        content.innerHTML = `
+            <div class="module-shell">
+                <button class="module-back-btn" onclick="goHome()">
+                    <span aria-hidden="true">←</span>
+                    <span data-i18n="quiz.backToMenu">${t('quiz.backToMenu')}</span>
+                </button>
+
+                <div class="module-header">
+                    <span class="toeic-part-badge">PLACEMENT · PARTS 2, 3, 5, 7</span>
+                    <div class="module-header-icon" aria-hidden="true">🧭</div>
+                    <h2 class="module-header-title">${t('diagnostic.title')}</h2>
+                    <p class="module-header-subtitle">${t('diagnostic.intro')}</p>
+                </div>
+
+                ${last ? `
+                <div class="module-stats">
+                    <div class="module-stat">
+                        <span class="module-stat-value">${last.score.low}–${last.score.high}</span>
+                        <span class="module-stat-label">${t('diagnostic.lastBand')}</span>
+                    </div>
+                    <div class="module-stat">
+                        <span class="module-stat-value">${last.level}</span>
+                        <span class="module-stat-label">${t('diagnostic.overallLevel')}</span>
+                    </div>
+                    <div class="module-stat">
+                        <span class="module-stat-value">${new Date(last.completedAt).toLocaleDateString()}</span>
+                        <span class="module-stat-label">${t('diagnostic.takenOn')}</span>
+                    </div>
+                </div>
+                ` : ''}
+
+                <ul class="diagnostic-facts">
+                    <li>⏱️ ${t('diagnostic.factTime', {
+                        count: diagnostic ? diagnostic.config.blueprint.length * diagnostic.config.rounds : 0,
+                        minutes: diagnostic ? Math.round(diagnostic.config.timeLimit / 60000) : 0
+                    })}</li>
+                    <li>🎯 ${t('diagnostic.factAdaptive')}</li>
+                    <li>🔇 ${t('diagnostic.factNoFeedback')}</li>
+                </ul>
+
+                <div class="module-actions">
+                    <button onclick="window.app.beginDiagnostic()" class="module-action-btn primary" ${available ? '' : 'disabled'}>
+                        <span class="module-action-icon" aria-hidden="true">▶</span>
+                        <div class="module-action-text">
+                            <div class="module-action-title">${last ? t('diagnostic.retake') : t('diagnostic.start')}</div>
+                            <div class="module-action-desc">${available ? t('diagnostic.startDesc') : t('diagnostic.unavailable')}</div>
+                        </div>
+                        <span class="module-action-chevron" aria-hidden="true">›</span>
+                    </button>
+                    ${last ? `
+                    <button onclick="window.app.showDiagnosticResult()" class="module-action-btn">
+                        <span class="module-action-icon" aria-hidden="true">📊</span>
+                        <div class="module-action-text">
+                            <div class="module-action-title">${t('diagnostic.viewResult')}</div>
+                            <div class="module-action-desc">${t('diagnostic.viewResultDesc')}</div>
+                        </div>
+                        <span class="module-action-chevron" aria-hidden="true">›</span>
+                    </button>
+                    ` : ''}
+                </div>
+            </div>
+        `;
+    }
+
+    beginDiagnostic() {
+        const diagnostic = window.toeicDiagnostic;
+        if (!diagnostic) {
+            console.error('❌ TOEIC Diagnostic system not available');
+            return;
+        }
+
+        diagnostic.start();
+        if (!diagnostic.getCurrentItem()) {
+            this.showNotification(t('diagnostic.unavailable'), 'error');
+            return;
+        }
+        this.trackStudentActivity('diagnostic_start', {});
+
+        this.stopDiagnosticTimer();
+        this.diagnosticTimer = setInterval(() => this.updateDiagnosticTimer(), 1000);
+        this.showDiagnosticQuestion();
+    }
+
+    stopDiagnosticTimer() {
+        if (this.diagnosticTimer) {
+            clearInterval(this.diagnosticTimer);
+            this.diagnosticTimer = null;
+        }
+    }
+
+    updateDiagnosticTimer() {
+        const diagnostic = window.toeicDiagnostic;
+        if (!diagnostic || !diagnostic.current) {
+            this.stopDiagnosticTimer();
+            return;
+        }
+
+        const remaining = diagnostic.getTimeRemaining();
+        const label = document.getElementById('diagnosticTimeLeft');
+        if (label) {
+            const totalSeconds = Math.ceil(remaining / 1000);
+            label.textContent = `${Math.floor(totalSeconds / 60)}:${(totalSeconds % 60).toString().padStart(2, '0')}`;
+        }
+        // Out of time: score what has been answered so far
+        if (remaining <= 0) this.finishDiagnostic();
+    }
+
+    showDiagnosticQuestion() {
+        const content = document.getElementById('toeicModuleContent');
+        const diagnostic = window.toeicDiagnostic;
+        const item = diagnostic ? diagnostic.getCurrentItem() : null;
+        if (!content || !item) return;
+
+        const question = item.question;
+        const pos = diagnostic.getProgress();
+        const isListening = item.skill === 'listening';
+        const partBadge = {
+            2: 'PART 2 · QUESTION-RESPONSE',
+            3: 'PART 3 · CONVERSATIONS',
+            5: 'PART 5 · INCOMPLETE SENTENCES',
+            7: this.getPart7Badge((item.documents || []).length)
+        }[item.part];
+
+        const renderDoc = (p, tag) => `
+            <article class="reading-doc">
+                <header class="reading-doc-head">
+                    ${tag ? `<span class="reading-doc-tag">${tag}</span>` : ''}
+                    <span class="reading-doc-type">${this.getReadingDocLabel(p)}</span>
+                </header>
+                <div class="reading-doc-body">${this.renderPassageBody(p, null, false)}</div>
+            </article>`;
+
+        content.innerHTML = `
+            <div class="module-shell reading-shell">
+                <div class="quiz-card reading-topbar">
+                    <div class="reading-topbar-row">
+                        <span class="toeic-part-badge" style="margin-bottom: 0;">${partBadge}</span>
+                        <span class="reading-progress-label">${t('quiz.questionOf', { current: pos.current, total: pos.total })}</span>
+                        <span class="reading-chip">⏱️ <strong id="diagnosticTimeLeft">--:--</strong></span>
+                        <button onclick="window.app.endCurrentSession()" class="module-back-btn" style="margin-bottom: 0;">
+                            <span aria-hidden="true">⏹</span>
+                            ${t('common.endSession')}
+                        </button>
+                    </div>
+                    <div class="quiz-progress-track">
+                        <div class="quiz-progress-fill" style="width: ${((pos.current - 1) / pos.total) * 100}%"></div>
+                    </div>
+                </div>
+
+                <div class="reading-layout${item.passage ? '' : ' no-passage'}">
+                    ${item.passage ? `
+                    <div class="quiz-card reading-passage-panel">
+                        ${this.renderPassageDocuments(item.documents || [item.passage], renderDoc, `diagnostic:${item.groupId}`)}
+                    </div>` : ''}
+
+                    <div class="quiz-card reading-question-panel">
+                        <p class="reading-refer-line">${t(`test.part${item.part}Instr`)}</p>
+
+                        ${isListening ? `
+                        <div class="listening-audio-card">
+                            <button id="diagnosticPlayBtn" onclick="window.app.playDiagnosticAudio()" class="btn btn-primary">
+                                ▶ ${t('test.play')}
+                            </button>
+                            <div id="diagnosticReplayInfo" class="listening-replay-info">
+                                ${t('test.replaysLeft', { count: diagnostic.getPlaysLeft() - 1 })}
+                            </div>
+                        </div>
+                        ` : ''}
+
+                        ${question.question ? `<p class="reading-question-text">${question.question}</p>` : ''}
+
+                        <div class="reading-options" id="questionOptions">
+                            ${question.options.map((option, index) => `
+                                <label class="reading-option">
+                                    <input type="radio" name="answer" value="${index}">
+                                    <span class="reading-option-letter">${String.fromCharCode(65 + index)}</span>
+                                    <span class="reading-option-text">${question.lettersOnly ? '' : option}</span>
+                                    <span class="reading-option-mark" aria-hidden="true"></span>
+                                </label>
+                            `).join('')}
+                        </div>
+
+                        <div class="reading-actions">
+                            <button onclick="window.app.submitDiagnosticAnswer()" class="btn btn-primary" id="submitBtn" disabled>
+                                ${t('quiz.nextQuestion')} →
+                            </button>
+                            <button onclick="window.app.submitDiagnosticAnswer(true)" class="btn btn-secondary">
+                                ${t('diagnostic.skip')}
+                            </button>
+                            <span class="reading-kbd-hint">${t('reading.kbdHint')}</span>
+                        </div>
+                    </div>
+                </div>
+            </div>
+        `;
+
+        content.querySelectorAll('input[name="answer"]').forEach(radio => {
+            radio.addEventListener('change', () => {
+                content.querySelectorAll('.reading-option').forEach(o => o.classList.remove('selected'));
+                radio.closest('.reading-option').classList.add('selected');
+                const submitBtn = document.getElementById('submitBtn');
+                if (submitBtn) submitBtn.disabled = false;
+            });
+        });
+
+        this.updateDiagnosticTimer();
+        // A–D / Enter work here too — the handler only looks at the shared element IDs
+        this.bindReadingKeyboard();
+        if (isListening) this.playDiagnosticAudio();
+    }
+
+    playDiagnosticAudio() {
+        const diagnostic = window.toeicDiagnostic;
+        const item = diagnostic ? diagnostic.getCurrentItem() : null;
+        const audio = window.audioSystem;
+        if (!item || !audio || typeof audio.speakSequence !== 'function' || !window.toeicListening) return;
+
+        const parts = window.toeicListening.buildAudioSequence(item.question);
+        if (parts.length === 0 || !diagnostic.registerPlay()) return;
+
+        const itemId = item.id;
+        const playsLeft = diagnostic.getPlaysLeft();
+        const playBtn = document.getElementById('diagnosticPlayBtn');
+        const replayInfo = document.getElementById('diagnosticReplayInfo');
+        if (playBtn) {
+            playBtn.disabled = true;
+            playBtn.innerHTML = `🔊 ${t('test.playing')}`;
+        }
+        if (replayInfo) {
+            replayInfo.textContent = playsLeft > 0 ? t('test.replaysLeft', { count: playsLeft }) : t('test.noReplays');
+        }
+
+        audio.speakSequence(parts, {
+            rate: window.toeicListening.getSpeechRate(),
+            onEnd: () => {
+                // Only touch the DOM if the same item is still shown
+                if (diagnostic.getCurrentItem()?.id !== itemId) return;
+                const btn = document.getElementById('diagnosticPlayBtn');
+                if (btn) {
+                    btn.disabled = playsLeft === 0;
+                    btn.innerHTML = `▶ ${t('test.replay')}`;
+                }
+            }
+        });
+    }
+
+    // No feedback during the diagnostic — answers only steer the next item
+    submitDiagnosticAnswer(skip = false) {
+        const diagnostic = window.toeicDiagnostic;
+        if (!diagnostic || !diagnostic.getCurrentItem()) return;
+
+        const selected = document.querySelector('input[name="answer"]:checked');
+        if (!skip && !selected) return;
+
+        window.audioSystem?.cancelSpeech?.();
+        const next = diagnostic.answer(skip ? null : parseInt(selected.value, 10));
+        if (next) {
+            this.showDiagnosticQuestion();
+        } else {
+            this.finishDiagnostic();
+        }
+    }
+
+    finishDiagnostic() {
+        this.stopDiagnosticTimer();
+        this.unbindReadingKeyboard();
+        window.audioSystem?.cancelSpeech?.();
+
+        const result = window.toeicDiagnostic ? window.toeicDiagnostic.finish() : null;
+        if (!result) {
+            this.showDiagnosticModule();
+            return;
+        }
+        this.trackStudentActivity('diagnostic_complete', {
+            level: result.level,
+            score: result.score
+        });
+        // The home screen is already rendered — refresh its placement card
+        window.studyDashboard?.render?.();
+        this.showDiagnosticResult(result);
+    }
+
+    showDiagnosticResult(result = null) {
+        const content = document.getElementById('toeicModuleContent');
+        if (!content) return;
+        result = result || window.toeicDiagnostic?.getLastResult();
+        if (!result) {
+            this.showDiagnosticModule();
+            return;
+        }
+
+        const categories = window.toeicGrammar ? window.toeicGrammar.getGrammarCategories() : {};
+        const skillTiles = Object.entries(result.skills).map(([skill, stats]) => `
+            <div class="module-stat">
+                <span class="module-stat-value">${stats.answered > 0 ? stats.level : '—'}</span>
+                <span class="module-stat-label">${t(`diagnostic.skill.${skill}`)} · ${stats.correct}/${stats.answered}</span>
+            </div>
+        `).join('');
+        const applied = result.applied || {};
+        const firstCategories = (applied.grammarOrder || []).slice(0, 3)
+            .map(key => categories[key] ? categories[key].name : key).join(', ');
+
+        content.innerHTML = `
+            <div class="module-shell">
+                <button class="module-back-btn" onclick="goHome()">
+                    <span aria-hidden="true">←</span>
+                    <span data-i18n="quiz.backToMenu">${t('quiz.backToMenu')}</span>
+                </button>
+
+                <div class="module-header">
+                    <span class="toeic-part-badge">PLACEMENT RESULT</span>
+                    <div class="module-header-icon" aria-hidden="true">🧭</div>
+                    <h2 class="module-header-title">${t('diagnostic.estimatedBand', { low: result.score.low, high: result.score.high })}</h2>
+                    <p class="module-header-subtitle">${t('diagnostic.bandNote', { answered: result.answered, correct: result.correct, level: result.level })}</p>
+                </div>
+
+                <div class="module-stats">
+                    ${skillTiles}
+                </div>
+
+                <div class="quiz-card diagnostic-applied">
+                    <h3 class="diagnostic-applied-title">${t('diagnostic.appliedTitle')}</h3>
+                    <ul class="diagnostic-facts">
+                        ${applied.vocabularyLevels && applied.vocabularyLevels.length > 0
+                            ? `<li>🃏 ${t('diagnostic.appliedVocabulary', { levels: applied.vocabularyLevels.join(', ') })}</li>` : ''}
+                        ${firstCategories ? `<li>📝 ${t('diagnostic.appliedGrammar', { categories: firstCategories })}</li>` : ''}
+                        <li>📊 ${t('diagnostic.appliedDashboard')}</li>
+                    </ul>
+                </div>
+
+                <div class="module-actions">
+                    ${(result.recommendations || []).map(rec => {
+                        const action = this.getDiagnosticRecommendationAction(rec);
+                        return `
+                        <button onclick="${action.onclick}" class="module-action-btn">
+                            <span class="module-action-icon" aria-hidden="true">${action.icon}</span>
+                            <div class="module-action-text">
+                                <div class="module-action-title">${action.title}</div>
+                                <div class="module-action-desc">${action.desc}</div>
+                            </div>
+                            <span class="module-action-chevron" aria-hidden="true">›</span>
+                        </button>`;
+                    }).join('')}
+                </div>
+            </div>
+        `;
+    }
+
+    // Recommendation entry → { icon, title, desc, onclick }; shared with the dashboard card
+    getDiagnosticRecommendationAction(rec) {
+        if (rec.type === 'skill') {
+            const target = { listening: 'listening', grammar: 'grammar', reading: 'reading' }[rec.skill];
+            return {
+                icon: { listening: '🎧', grammar: '📝', reading: '📖' }[rec.skill],
+                title: t(`diagnostic.rec.${rec.skill}`),
+                desc: t('diagnostic.rec.skillDesc', { level: rec.level }),
+                onclick: `window.startTOEICModule('${target}')`
+            };
+        }
+        if (rec.type === 'grammarCategory') {
+            const category = window.toeicGrammar?.getGrammarCategories()[rec.category];
+            return {
+                icon: '🎯',
+                title: t('diagnostic.rec.grammarCategory', { category: category ? category.name : rec.category }),
+                desc: t('diagnostic.rec.grammarCategoryDesc'),
+                onclick: `window.app.openGrammarCategory('${rec.category}')`
+            };
+        }
+        return {
+            icon: '🃏',
+            title: t('diagnostic.rec.vocabulary'),
+            desc: t('diagnostic.rec.vocabularyDesc', { level: rec.level }),
+            onclick: `window.startTOEICModule('flashcards')`
+        };
+    }
+
+    showTestModule(options = {}) {
+        const content = document.getElementById('toeicModuleContent');
+        const savedTest = window.toeicTestSimulator?.getSavedTest?.() || null;
+        const examMode = !!window.toeicTestSimulator?.getExamModePreference?.();
+        content.innerHTML = `
+            <div class="module-shell">
+                <button class="module-back-btn" onclick="window.app.endCurrentSession()">
+                    <span aria-hidden="true">←</span>
+                    <span data-i18n="common.backToMainMenu">${t('common.backToMainMenu')}</span>
+                </button>
+
+                <div class="module-header">
+                    <span class="toeic-part-badge">FULL TEST · PARTS 1–7</span>
+                    <div class="module-header-icon" aria-hidden="true">📋</div>
+                    <h2 class="module-header-title" data-i18n="test.simulatorTitle">${t('test.simulatorTitle')}</h2>
+                    <p class="module-header-subtitle" data-i18n="test.chooseType">${t('test.chooseType')}</p>
+                </div>
+
+                ${savedTest ? `
+                <div class="module-actions">
+                    <button onclick="window.app.resumeSavedTest()" class="module-action-btn primary">
+                        <span class="module-action-icon" aria-hidden="true">⏯️</span>
+                        <div class="module-action-text">
+                            <div class="module-action-title">${t('test.resumeTest')}</div>
+                            <div class="module-action-desc">${this.describeSavedTest(savedTest)}</div>
+                        </div>
+                        <span class="module-action-chevron" aria-hidden="true">›</span>
+                    </button>
+                    <button onclick="window.app.discardSavedTest()" class="module-action-btn">
+                        <span class="module-action-icon" aria-hidden="true">🗑️</span>
+                        <div class="module-action-text">
+                            <div class="module-action-title">${t('test.discardTest')}</div>
+                        </div>
+                    </button>
+                </div>
+                ` : ''}
+
+                <div class="module-actions">
+                    <button onclick="window.app.startFullTOEICTest()" class="module-action-btn${savedTest ? '' : ' primary'}">
+                        <span class="module-action-icon" aria-hidden="true">📋</span>
+                        <div class="module-action-text">
+                            <div class="module-action-title" data-i18n="test.fullTest">${t('test.fullTest')}</div>
+                            <div class="module-action-desc" data-i18n="test.fullTestDesc">${t('test.fullTestDesc')}</div>
+                            <div class="module-action-desc">⏱️ <span data-i18n="test.durationFull">${t('test.durationFull')}</span> · 📊 ${t('test.questions')}: 200 · 🎯 ${t('test.score')}: 10-990</div>
+                            ${examMode ? `<div class="module-action-desc">🎧 ${t('test.examModeOn')}</div>` : ''}
+                        </div>
+                        <span class="module-action-chevron" aria-hidden="true">›</span>
+                    </button>
+                    <button onclick="window.app.startListeningTOEICTest()" class="module-action-btn">
+                        <span class="module-action-icon" aria-hidden="true">🎧</span>
+                        <div class="module-action-text">
+                            <div class="module-action-title" data-i18n="test.listeningTest">${t('test.listeningTest')}</div>
+                            <div class="module-action-desc" data-i18n="test.listeningParts">${t('test.listeningParts')}</div>
+                            <div class="module-action-desc">⏱️ <span data-i18n="test.durationListening">${t('test.durationListening')}</span> · 📊 ${t('test.questions')}: 100 · 🎯 ${t('test.score')}: 5-495</div>
                         </div>
                         <span class="module-action-chevron" aria-hidden="true">›</span>
                     </button>
@@ -3474,6 +5586,17 @@ class App {
                     </button>
                 </div>
 
+                <div class="module-actions">
+                    <button onclick="window.app.showTestFormPicker()" class="module-action-btn">
+                        <span class="module-action-icon" aria-hidden="true">🔢</span>
+                        <div class="module-action-text">
+                            <div class="module-action-title">${t('test.specificForm')}</div>
+                            <div class="module-action-desc">${t('test.specificFormDesc')}</div>
+                        </div>
+                        <span class="module-action-chevron" aria-hidden="true">›</span>
+                    </button>
+                </div>
+
                 <!-- Test History -->
                 <div class="quiz-card">
                     <h4 class="text-lg font-semibold text-white mb-4">📊 <span data-i18n="module.history.title">${t('module.history.title')}</span></h4>
@@ -3500,8 +5623,165 @@ class App {
         this.loadTestHistory();
     }
     
+    // Start a test from a named form ID ("Form 12") or a numeric seed, so a
+    // class can sit the same paper or a reported test can be regenerated
+    showTestFormPicker() {
+        const content = document.getElementById('toeicModuleContent');
+        if (!content) return;
+
+        content.innerHTML = `
+            <div class="max-w-2xl mx-auto">
+                <div class="glass-effect rounded-xl p-8">
+                    <h3 class="text-xl font-bold text-white mb-2">🔢 ${t('test.specificForm')}</h3>
+                    <p class="text-white/60 text-sm mb-6">${t('test.specificFormNote')}</p>
+
+                    <div class="space-y-6">
+                        <div>
+                            <label class="block text-white/80 mb-2" for="testFormInput">${t('test.formOrSeed')}</label>
+                            <input id="testFormInput" type="text" placeholder="Form 12"
+                                   class="w-full p-3 bg-gray-800/50 border border-gray-600 rounded-lg text-white">
+                        </div>
+                        <div>
+                            <label class="block text-white/80 mb-2" for="testFormType">${t('test.formTestType')}</label>
+                            <select id="testFormType" class="w-full p-3 bg-gray-800/50 border border-gray-600 rounded-lg text-white">
+                                <option value="full">${t('test.fullTest')}</option>
+                                <option value="listening">${t('test.listeningTest')}</option>
+                                <option value="reading">${t('test.readingTest')}</option>
+                            </select>
+                        </div>
+                    </div>
+
+                    <div class="flex justify-center gap-4 mt-8">
+                        <button onclick="window.app.startTestForm()" class="btn btn-primary">
+                            ${t('test.startForm')}
+                        </button>
+                        <button onclick="window.app.showTestModule()" class="btn btn-secondary">
+                            ${t('common.cancel')}
+                        </button>
+                    </div>
+                </div>
+            </div>
+        `;
+        document.getElementById('testFormInput')?.focus();
+    }
+
+    // Digits are a seed; anything else is a form ID
+    startTestForm(value = document.getElementById('testFormInput')?.value, type = document.getElementById('testFormType')?.value) {
+        const input = String(value || '').trim();
+        if (!input) {
+            this.showNotification(t('test.formRequired'), 'error');
+            return;
+        }
+        const options = /^\d+$/.test(input) ? { seed: input } : { formId: input };
+
+        try {
+            window.toeicTestSimulator?.resolveTestSeed(options); // validate before leaving the picker
+        } catch (error) {
+            console.error('❌ Invalid test form:', error);
+            this.showNotification(t('test.formInvalid'), 'error');
+            return;
+        }
+
+        if (type === 'listening') {
+            this.startListeningTOEICTest(options);
+        } else if (type === 'reading') {
+            this.startReadingTOEICTest(options);
+        } else {
+            this.startFullTOEICTest(options);
+        }
+    }
+
+    // "Form 12 · seed 123" / "Seed 123" for results and history
+    describeTestForm(record) {
+        if (!record || record.seed === undefined || record.seed === null) return '';
+        return record.formId
+            ? t('test.formWithSeed', { form: record.formId, seed: record.seed })
+            : t('test.seedOnly', { seed: record.seed });
+    }
+
+    // One-line summary of a saved test: type, answered count and time left
+    describeSavedTest(saved) {
+        const info = this.getTestInfo(saved.test.type);
+        if (saved.expired) {
+            return t('test.resumeExpired', { test: info.title, answered: saved.answered, total: saved.total });
+        }
+        const minutes = Math.floor(saved.timeRemaining / 60);
+        const seconds = saved.timeRemaining % 60;
+        return t('test.resumeSummary', {
+            test: info.title,
+            answered: saved.answered,
+            total: saved.total,
+            time: `${minutes}:${seconds.toString().padStart(2, '0')}`
+        });
+    }
+
+    // On launch, offer to pick up a test that was interrupted by a reload or crash
+    offerTestResume() {
+        const saved = window.toeicTestSimulator?.getSavedTest?.();
+        if (!saved || document.getElementById('testResumePrompt')) return;
+
+        const overlay = document.createElement('div');
+        overlay.id = 'testResumePrompt';
+        overlay.className = 'fixed inset-0 bg-black/50 flex items-center justify-center z-50';
+        overlay.innerHTML = `
+            <div class="glass-effect rounded-xl p-8 max-w-lg mx-4 text-center">
+                <div class="text-5xl mb-4">⏯️</div>
+                <h3 class="text-2xl font-bold text-white mb-2">${t('test.resumePromptTitle')}</h3>
+                <p class="text-white/80 mb-2">${this.describeSavedTest(saved)}</p>
+                <p class="text-white/60 text-sm mb-6">${saved.policy === 'continue' ? t('test.resumePolicyContinueNote') : t('test.resumePolicyPauseNote')}</p>
+                <div class="flex justify-center gap-4">
+                    <button onclick="window.app.resumeSavedTest()" class="btn btn-primary">
+                        ${saved.expired ? t('reading.seeResults') : t('test.resumeTest')}
+                    </button>
+                    <button onclick="window.app.discardSavedTest()" class="btn btn-secondary">
+                        ${t('test.discardTest')}
+                    </button>
+                </div>
+            </div>
+        `;
+        document.body.appendChild(overlay);
+    }
+
+    resumeSavedTest() {
+        document.getElementById('testResumePrompt')?.remove();
+
+        const simulator = window.toeicTestSimulator;
+        const saved = simulator?.getSavedTest?.();
+        if (!saved) {
+            this.showTOEICModuleScreen('test');
+            return;
+        }
+
+        const test = simulator.restoreSavedTest(saved);
+        this.testTimerSeconds = saved.timeRemaining;
+        this.testTimerSection = test.currentSection; // saved clock belongs to this section
+        this.testAudioPlays = saved.audioPlays;
+
+        this.hideWelcomeScreen();
+        this.showTOEICModuleScreen('test');
+
+        // The clock ran out while the app was closed: score what was answered
+        if (saved.expired) {
+            this.submitTest();
+            return;
+        }
+        this.showTestInterface(test, test.type);
+    }
+
+    discardSavedTest() {
+        if (!confirm(t('test.discardConfirm'))) return;
+
+        document.getElementById('testResumePrompt')?.remove();
+        window.toeicTestSimulator?.discardSavedTest?.();
+
+        // Refresh the test menu so its resume card disappears
+        if (this.currentTOEICModule === 'test') {
+            this.showTestModule();
+        }
+    }
+
     // Test Simulation Functions
-    startFullTOEICTest() {
+    async startFullTOEICTest(options = {}) {
         console.log('🎯 Starting Full TOEIC Test...');
         
         if (!window.TOEICTestSimulator) {
@@ -3512,14 +5792,18 @@ class App {
         if (!window.toeicTestSimulator) {
             window.toeicTestSimulator = new window.TOEICTestSimulator();
         }
-        const testSession = window.toeicTestSimulator.startTest({ type: 'full' });
+        // Generated Part 5 items are worded from the built-in word list;
+        // wait for it so a seed builds the same form whenever it's started
+        if (window.toeicVocabulary && window.toeicVocabulary.ready) await window.toeicVocabulary.ready;
+        const testSession = window.toeicTestSimulator.startTest({ ...options, type: 'full' });
         this.testTimerSeconds = 0; // fresh clock for a new test
+        this.testTimerSection = null;
         this.testAudioPlays = {}; // fresh replay counters
 
         this.showTestInterface(testSession, 'full');
     }
     
-    startListeningTOEICTest() {
+    startListeningTOEICTest(options = {}) {
         console.log('🎧 Starting Listening TOEIC Test...');
         
         if (!window.TOEICTestSimulator) {
@@ -3530,14 +5814,15 @@ class App {
         if (!window.toeicTestSimulator) {
             window.toeicTestSimulator = new window.TOEICTestSimulator();
         }
-        const testSession = window.toeicTestSimulator.startTest({ type: 'listening' });
+        const testSession = window.toeicTestSimulator.startTest({ ...options, type: 'listening' });
         this.testTimerSeconds = 0; // fresh clock for a new test
+        this.testTimerSection = null;
         this.testAudioPlays = {}; // fresh replay counters
 
         this.showTestInterface(testSession, 'listening');
     }
     
-    startReadingTOEICTest() {
+    async startReadingTOEICTest(options = {}) {
         console.log('📚 Starting Reading TOEIC Test...');
         
         if (!window.TOEICTestSimulator) {
@@ -3548,8 +5833,11 @@ class App {
         if (!window.toeicTestSimulator) {
             window.toeicTestSimulator = new window.TOEICTestSimulator();
         }
-        const testSession = window.toeicTestSimulator.startTest({ type: 'reading' });
+        // Part 5 wording needs the word list (see startFullTOEICTest)
+        if (window.toeicVocabulary && window.toeicVocabulary.ready) await window.toeicVocabulary.ready;
+        const testSession = window.toeicTestSimulator.startTest({ ...options, type: 'reading' });
         this.testTimerSeconds = 0; // fresh clock for a new test
+        this.testTimerSection = null;
         this.testAudioPlays = {}; // fresh replay counters
 
         this.showTestInterface(testSession, 'reading');
@@ -3561,7 +5849,20 @@ class App {
         content.classList.remove('hidden'); // deep links may arrive with the container hidden
 
         const testInfo = this.getTestInfo(testType);
-        const currentQuestion = window.toeicTestSimulator?.getCurrentQuestion?.() || null;
+        const simulator = window.toeicTestSimulator;
+        const currentQuestion = simulator?.getCurrentQuestion?.() || null;
+        // Exam-realistic mode: each section runs on its own clock, and
+        // listening is audio-paced (no Previous/Next, no replays)
+        const examMode = !!simulator?.isExamMode?.();
+        const audioPaced = !!simulator?.isAudioPaced?.();
+        const sectionName = testSession.currentSection;
+        if (examMode && this.testTimerSection !== sectionName) {
+            this.testTimerSeconds = 0; // a new section starts on a fresh clock
+        }
+        this.testTimerSection = sectionName;
+        const timerDuration = examMode
+            ? (testInfo.sectionDurations?.[sectionName] || testInfo.duration)
+            : testInfo.duration;
         // Real exam numbering (reading starts at 101) + per-part label
         const questionHeading = currentQuestion
             ? `${t('status.question')} ${currentQuestion.number}`
@@ -3576,8 +5877,10 @@ class App {
                     <div class="flex justify-between items-center mb-4">
                         <h3 class="text-xl font-bold text-white">${testInfo.title}</h3>
                         <div class="text-right">
-                            <div class="text-sm text-white/80">${t('test.timeRemaining')}</div>
-                            <div id="testTimer" class="text-lg font-bold text-blue-400">${testInfo.duration}</div>
+                            <div class="text-sm text-white/80">${examMode
+                                ? t('test.sectionTimeRemaining', { section: sectionName === 'listening' ? t('test.sectionListening') : t('test.sectionReading') })
+                                : t('test.timeRemaining')}</div>
+                            <div id="testTimer" class="text-lg font-bold text-blue-400">${timerDuration}</div>
                         </div>
                     </div>
 
@@ -3616,7 +5919,10 @@ class App {
 
                 <div class="glass-effect rounded-xl p-6">
                     <div id="testQuestion" class="mb-6">
-                        <h4 class="text-lg font-semibold text-white mb-4">${questionHeading}${partBadge}</h4>
+                        <div class="flex justify-between items-center mb-4">
+                            <h4 class="text-lg font-semibold text-white">${questionHeading}${partBadge}</h4>
+                            ${currentQuestion ? this.buildTestFlagButton(simulator.isFlagged(currentQuestion.number)) : ''}
+                        </div>
                         <div class="text-white/90 mb-6">
                             ${this.generateTestQuestion(testSession, testType)}
                         </div>
@@ -3626,8 +5932,11 @@ class App {
                         </div>
                     </div>
                     
+                    ${audioPaced ? `
+                    <p class="text-center text-white/60 text-sm">${t('test.examPacedNote')}</p>
+                    ` : `
                     <div class="flex justify-between">
-                        <button id="prevBtn" onclick="window.app.previousTestQuestion()" class="btn btn-secondary" ${(testSession.currentQuestion || 0) < 1 ? 'disabled' : ''}>
+                        <button id="prevBtn" onclick="window.app.previousTestQuestion()" class="btn btn-secondary" ${(testSession.currentQuestion || 0) < 1 || !(simulator?.canGoBack?.() ?? true) ? 'disabled' : ''}>
                             <i data-lucide="chevron-left" class="w-5 h-5 mr-2"></i>
                             ${t('quiz.previousQuestion')}
                         </button>
@@ -3637,10 +5946,13 @@ class App {
                             <i data-lucide="chevron-right" class="w-5 h-5 ml-2"></i>
                         </button>
                     </div>
+                    `}
                 </div>
 
+                ${this.buildTestAnswerSheet()}
+
                 <div class="flex justify-center mt-6">
-                    <button onclick="window.app.submitTest()" class="btn btn-danger">
+                    <button onclick="window.app.confirmSubmitTest()" class="btn btn-danger">
                         <i data-lucide="flag" class="w-5 h-5 mr-2"></i>
                         ${t('test.submitTest')}
                     </button>
@@ -3659,7 +5971,74 @@ class App {
         }
 
         // Start test timer
-        this.startTestTimer(testInfo.duration);
+        this.startTestTimer(timerDuration);
+
+        if (audioPaced) {
+            this.startPacedListening();
+        }
+    }
+
+    // Exam mode: let the simulator play the current listening item and
+    // advance after its response gap; the DOM only reflects the phase
+    startPacedListening() {
+        const simulator = window.toeicTestSimulator;
+        if (!simulator?.isAudioPaced?.()) return;
+
+        simulator.playPacedListening({
+            getAnswer: () => {
+                const selected = document.querySelector('input[name="testAnswer"]:checked');
+                return selected ? parseInt(selected.value) : null;
+            },
+            onPhase: (phase, gapMs) => this.updateTestPacingStatus(phase, gapMs),
+            onAdvance: (nextQuestion) => {
+                const currentTest = simulator.currentTest;
+                if (nextQuestion && currentTest) {
+                    this.showTestInterface(currentTest, currentTest.type);
+                } else {
+                    this.submitTest();
+                }
+            }
+        });
+    }
+
+    updateTestPacingStatus(phase, gapMs) {
+        if (this.testPacingCountdown) {
+            clearInterval(this.testPacingCountdown);
+            this.testPacingCountdown = null;
+        }
+        const status = document.getElementById('testPacingStatus');
+        if (!status) return;
+
+        if (phase !== 'answering') {
+            status.textContent = `🔊 ${t('test.playing')}`;
+            return;
+        }
+        let secondsLeft = Math.ceil(gapMs / 1000);
+        status.textContent = `✍️ ${t('test.examAnswerNow', { seconds: secondsLeft })}`;
+        this.testPacingCountdown = setInterval(() => {
+            secondsLeft--;
+            const current = document.getElementById('testPacingStatus');
+            if (!current || secondsLeft <= 0) {
+                clearInterval(this.testPacingCountdown);
+                this.testPacingCountdown = null;
+                return;
+            }
+            current.textContent = `✍️ ${t('test.examAnswerNow', { seconds: secondsLeft })}`;
+        }, 1000);
+    }
+
+    // Exam mode: the current section's clock hit zero — close it and move
+    // straight on to the next section (listening → reading) or the results
+    onTestSectionTimeUp() {
+        const simulator = window.toeicTestSimulator;
+        if (!simulator) return;
+
+        if (simulator.expireSection()) {
+            const currentTest = simulator.currentTest;
+            this.showTestInterface(currentTest, currentTest.type);
+        } else {
+            this.submitTest();
+        }
     }
 
     getTestInfo(testType) {
@@ -3680,6 +6059,11 @@ class App {
             full: {
                 title: t('test.fullTest'),
                 duration: formatDuration(listeningMs + readingMs),
+                // Exam-realistic mode clocks each section separately
+                sectionDurations: {
+                    listening: formatDuration(listeningMs),
+                    reading: formatDuration(readingMs)
+                },
                 totalQuestions: (config?.listening?.totalQuestions ?? 100) + (config?.reading?.totalQuestions ?? 100)
             },
             listening: {
@@ -3700,6 +6084,16 @@ class App {
     // Audio player card for listening questions. The spoken content is
     // NEVER rendered as text — the student presses Play and listens.
     buildTestAudioCard(question) {
+        // Exam mode: audio plays by itself, once — show where we are instead of a Play button
+        if (window.toeicTestSimulator?.isAudioPaced?.()) {
+            return `
+                <div class="bg-gray-800/60 border border-white/10 rounded-xl p-6 mb-4 text-center">
+                    <p class="text-white/60 text-sm mb-4">🎧 ${t('test.listenCarefully')}</p>
+                    <div id="testPacingStatus" class="text-lg font-semibold text-blue-300" aria-live="polite">🔊 ${t('test.playing')}</div>
+                </div>
+            `;
+        }
+
         this.testAudioPlays = this.testAudioPlays || {};
         const played = this.testAudioPlays[question.number] || 0;
         const replaysLeft = played <= 1 ? 2 : Math.max(0, 3 - played);
@@ -3719,21 +6113,34 @@ class App {
         `;
     }
 
-    // Scrollable passage panel for Parts 6/7 (companion text for double passages)
+    // Scrollable passage panel for Parts 6/7 (companion text for double
+    // passages, a tab per text for triple passages)
     buildTestPassagePanel(question) {
         const renderText = (p) => {
             if (!p) return '';
             if (typeof p === 'string') return p;
             return (p.title ? p.title + '\n\n' : '') + (p.content || '');
         };
-        const main = renderText(question.passage);
-        const companion = renderText(question.companionPassage);
+        // Chats keep their transcript layout; everything else is plain text
+        const renderBlock = (p) => p && Array.isArray(p.messages)
+            ? `${p.title ? `<p class="text-white/90 mb-2">${p.title}</p>` : ''}${this.renderPassageBody(p, null, false)}`
+            : `<p class="text-white/90 whitespace-pre-line">${renderText(p)}</p>`;
+        if (question.documents && question.documents.length >= 3) {
+            const renderDoc = (p, tag) => `
+                <p class="mb-2"><span class="reading-doc-tag">${tag}</span></p>
+                ${renderBlock(p)}`;
+            return `
+                <div class="bg-gray-800 rounded-lg p-6 mb-4 max-h-96 overflow-y-auto text-left">
+                    ${this.renderPassageDocuments(question.documents, renderDoc, `test:${question.passageId}`)}
+                </div>
+            `;
+        }
         return `
             <div class="bg-gray-800 rounded-lg p-6 mb-4 max-h-96 overflow-y-auto text-left">
-                <p class="text-white/90 whitespace-pre-line">${main}</p>
-                ${companion ? `
+                ${renderBlock(question.passage)}
+                ${question.companionPassage ? `
                     <hr class="border-white/20 my-4">
-                    <p class="text-white/90 whitespace-pre-line">${companion}</p>
+                    ${renderBlock(question.companionPassage)}
                 ` : ''}
             </div>
         `;
@@ -3833,7 +6240,7 @@ class App {
                 const optionLetter = String.fromCharCode(65 + index);
                 return `
                     <label class="flex items-center justify-center w-16 h-16 bg-gray-800/40 rounded-xl cursor-pointer hover:bg-gray-700/60 transition-colors text-white text-xl font-bold">
-                        <input type="radio" name="testAnswer" value="${index}" class="mr-2">${optionLetter}
+                        <input type="radio" name="testAnswer" value="${index}" class="mr-2" onchange="window.app.selectTestAnswer(${index})">${optionLetter}
                     </label>
                 `;
             }).join('');
@@ -3846,7 +6253,7 @@ class App {
             const optionLetter = String.fromCharCode(65 + index); // A, B, C, D
             options += `
                 <label class="flex items-center p-3 bg-gray-800/30 rounded-lg cursor-pointer hover:bg-gray-700/50 transition-colors">
-                    <input type="radio" name="testAnswer" value="${index}" class="mr-3">
+                    <input type="radio" name="testAnswer" value="${index}" class="mr-3" onchange="window.app.selectTestAnswer(${index})">
                     <span class="text-white/90">${optionLetter}. ${option}</span>
                 </label>
             `;
@@ -3856,33 +6263,7 @@ class App {
 
     // Build the spoken TTS sequence for the current listening question
     buildTestAudioSequence(question) {
-        const parts = [];
-        const letters = ['A', 'B', 'C', 'D'];
-
-        if (question.type === 'photographs') {
-            (question.spokenStatements || []).forEach((statement, i) => {
-                parts.push({ text: `${letters[i]}. ${statement}`, voiceHint: null, pauseAfterMs: 700 });
-            });
-        } else if (question.type === 'questionResponse') {
-            if (question.spokenQuestion) {
-                parts.push({ text: question.spokenQuestion, voiceHint: 'M', pauseAfterMs: 900 });
-            }
-            (question.spokenResponses || []).forEach((response, i) => {
-                parts.push({ text: `${letters[i]}. ${response}`, voiceHint: 'W', pauseAfterMs: 700 });
-            });
-        } else if (question.type === 'conversations') {
-            (question.conversation || []).forEach(line => {
-                if (!line || !line.text) return;
-                const speaker = (line.speaker || 'M').charAt(0).toUpperCase() === 'W' ? 'W' : 'M';
-                parts.push({ text: line.text, voiceHint: speaker, pauseAfterMs: 350 });
-            });
-        } else if (question.type === 'talks') {
-            if (question.talk) {
-                parts.push({ text: question.talk, voiceHint: 'M', pauseAfterMs: 0 });
-            }
-        }
-
-        return parts;
+        return window.toeicTestSimulator?.buildListeningAudio?.(question) || [];
     }
 
     playTestAudio() {
@@ -3957,15 +6338,23 @@ class App {
             }
         }
         this.testTimerSeconds = totalSeconds;
+        window.toeicTestSimulator?.saveTestClock(totalSeconds, this.testAudioPlays);
 
         this.testTimer = setInterval(() => {
             totalSeconds--;
             this.testTimerSeconds = totalSeconds;
+            // Persist every tick so a reload resumes within a second of where it stopped
+            window.toeicTestSimulator?.saveTestClock(totalSeconds, this.testAudioPlays);
 
             if (totalSeconds <= 0) {
                 clearInterval(this.testTimer);
                 this.testTimer = null;
-                this.submitTest();
+                // Exam mode: only this section is over; otherwise the whole test is
+                if (window.toeicTestSimulator?.isExamMode?.()) {
+                    this.onTestSectionTimeUp();
+                } else {
+                    this.submitTest();
+                }
                 return;
             }
             
@@ -3998,10 +6387,21 @@ class App {
             console.error('❌ Test simulator not available');
             return;
         }
+        // Audio-paced listening advances on its own
+        if (window.toeicTestSimulator.isAudioPaced?.()) return;
 
         // Never let the previous question's audio bleed into the next one
         window.audioSystem?.cancelSpeech?.();
 
+        // "Next" on the very last question would end the test: keep the
+        // answer and show the unanswered/flagged summary first
+        if (window.toeicTestSimulator.isOnLastQuestion()) {
+            const lastAnswer = document.querySelector('input[name="testAnswer"]:checked');
+            if (lastAnswer) window.toeicTestSimulator.setAnswer(parseInt(lastAnswer.value));
+            this.confirmSubmitTest();
+            return;
+        }
+
         // Record the answer if selected — answerQuestion() advances the
         // question pointer internally, so don't also call nextQuestion()
         const selectedAnswer = document.querySelector('input[name="testAnswer"]:checked');
@@ -4050,16 +6450,169 @@ class App {
         }
     }
     
+    // Picking an option records it right away so the answer sheet is current
+    selectTestAnswer(index) {
+        const simulator = window.toeicTestSimulator;
+        if (!simulator?.setAnswer(index)) return;
+
+        const bubble = document.querySelector('#testAnswerSheet .answer-sheet-bubble.is-current');
+        if (bubble) bubble.classList.add('is-answered');
+    }
+
+    buildTestFlagButton(flagged) {
+        return `
+            <button id="testFlagBtn" onclick="window.app.toggleTestFlag()" class="test-flag-btn${flagged ? ' is-flagged' : ''}" aria-pressed="${flagged}">
+                🚩 ${flagged ? t('test.unflag') : t('test.flagForReview')}
+            </button>
+        `;
+    }
+
+    // Updated in place: re-rendering would restart exam-mode audio
+    toggleTestFlag() {
+        const simulator = window.toeicTestSimulator;
+        if (!simulator?.currentTest) return;
+
+        const flagged = simulator.toggleFlag();
+        const button = document.getElementById('testFlagBtn');
+        if (button) button.outerHTML = this.buildTestFlagButton(flagged);
+        const bubble = document.querySelector('#testAnswerSheet .answer-sheet-bubble.is-current');
+        if (bubble) bubble.classList.toggle('is-flagged', flagged);
+    }
+
+    // OMR-style grid for the current section: answered / unanswered / flagged
+    buildTestAnswerSheet() {
+        const simulator = window.toeicTestSimulator;
+        const sheet = simulator?.getAnswerSheet?.() || [];
+        if (sheet.length === 0) return '';
+
+        const canJump = simulator.canGoBack();
+        const bubbles = sheet.map(entry => {
+            const classes = ['answer-sheet-bubble'];
+            if (entry.answered) classes.push('is-answered');
+            if (entry.flagged) classes.push('is-flagged');
+            if (entry.current) classes.push('is-current');
+            return `
+                <button class="${classes.join(' ')}" ${canJump ? `onclick="window.app.jumpToTestQuestion(${entry.index})"` : 'disabled'}
+                        title="${t('test.partLabel', { part: entry.part })}" aria-label="${t('status.question')} ${entry.number}">${entry.number}</button>
+            `;
+        }).join('');
+
+        return `
+            <details id="testAnswerSheet" class="glass-effect rounded-xl p-6 mt-6" ${this.testAnswerSheetOpen ? 'open' : ''}
+                     ontoggle="window.app.testAnswerSheetOpen = this.open">
+                <summary class="text-white font-semibold cursor-pointer">🗂️ ${t('test.answerSheet')}</summary>
+                <div class="answer-sheet-legend">
+                    <span><span class="answer-sheet-bubble is-answered"></span>${t('test.answered')}</span>
+                    <span><span class="answer-sheet-bubble"></span>${t('test.unanswered')}</span>
+                    <span><span class="answer-sheet-bubble is-flagged"></span>${t('test.flagged')}</span>
+                </div>
+                <div class="answer-sheet-grid">${bubbles}</div>
+                ${canJump ? '' : `<p class="text-white/60 text-sm mt-2">${t('test.answerSheetLocked')}</p>`}
+            </details>
+        `;
+    }
+
+    jumpToTestQuestion(index) {
+        const simulator = window.toeicTestSimulator;
+        if (!simulator) return;
+
+        document.getElementById('testSubmitSummary')?.remove();
+        window.audioSystem?.cancelSpeech?.();
+        // Keep a picked-but-not-yet-recorded answer before leaving the question
+        const selected = document.querySelector('input[name="testAnswer"]:checked');
+        if (selected) simulator.setAnswer(parseInt(selected.value));
+
+        if (simulator.jumpToQuestion(index)) {
+            const currentTest = simulator.currentTest;
+            this.showTestInterface(currentTest, currentTest.type);
+        }
+    }
+
+    // Unanswered/flagged summary before the test is actually submitted
+    confirmSubmitTest() {
+        const simulator = window.toeicTestSimulator;
+        if (!simulator?.currentTest) return;
+
+        const selected = document.querySelector('input[name="testAnswer"]:checked');
+        if (selected) simulator.setAnswer(parseInt(selected.value));
+
+        document.getElementById('testSubmitSummary')?.remove();
+        const summary = simulator.getSubmitSummary();
+        const sheet = simulator.getAnswerSheet();
+        const canJump = simulator.canGoBack();
+        const sectionNames = Object.keys(summary.sections);
+        const chips = (entries) => entries.slice(0, 30).map(entry => canJump
+            ? `<button class="answer-sheet-bubble${entry.answered ? ' is-answered' : ''}${entry.flagged ? ' is-flagged' : ''}" onclick="window.app.jumpToTestQuestion(${entry.index})">${entry.number}</button>`
+            : `<span class="answer-sheet-bubble${entry.answered ? ' is-answered' : ''}${entry.flagged ? ' is-flagged' : ''}">${entry.number}</span>`
+        ).join('') + (entries.length > 30 ? `<span class="text-white/60 text-sm">+${entries.length - 30}</span>` : '');
+        const unansweredHere = sheet.filter(entry => !entry.answered);
+        const flaggedHere = sheet.filter(entry => entry.flagged);
+
+        const overlay = document.createElement('div');
+        overlay.id = 'testSubmitSummary';
+        overlay.className = 'fixed inset-0 bg-black/50 flex items-center justify-center z-50';
+        overlay.innerHTML = `
+            <div class="glass-effect rounded-xl p-8 max-w-lg mx-4 text-center">
+                <h3 class="text-2xl font-bold text-white mb-4">${t('test.submitSummaryTitle')}</h3>
+                <div class="grid grid-cols-3 gap-4 mb-4">
+                    <div>
+                        <div class="text-2xl font-bold text-green-400">${summary.answered}</div>
+                        <div class="text-sm text-white/80">${t('test.answered')}</div>
+                    </div>
+                    <div>
+                        <div class="text-2xl font-bold text-yellow-400">${summary.unanswered}</div>
+                        <div class="text-sm text-white/80">${t('test.unanswered')}</div>
+                    </div>
+                    <div>
+                        <div class="text-2xl font-bold text-blue-400">${summary.flagged}</div>
+                        <div class="text-sm text-white/80">${t('test.flagged')}</div>
+                    </div>
+                </div>
+                ${sectionNames.length > 1 ? sectionNames.map(name => `
+                    <p class="text-white/70 text-sm">${t('test.submitSummarySection', {
+                        section: name === 'reading' ? t('test.sectionReading') : t('test.sectionListening'),
+                        unanswered: summary.sections[name].unanswered,
+                        flagged: summary.sections[name].flagged
+                    })}</p>
+                `).join('') : ''}
+                ${unansweredHere.length > 0 ? `
+                    <p class="text-white/80 text-sm mt-4 mb-2 text-left">${t('test.unanswered')}</p>
+                    <div class="answer-sheet-grid">${chips(unansweredHere)}</div>
+                ` : ''}
+                ${flaggedHere.length > 0 ? `
+                    <p class="text-white/80 text-sm mt-4 mb-2 text-left">${t('test.flagged')}</p>
+                    <div class="answer-sheet-grid">${chips(flaggedHere)}</div>
+                ` : ''}
+                <p class="text-white/60 text-sm mt-4 mb-6">${summary.unanswered > 0 ? t('test.submitSummaryWarning') : t('test.submitSummaryReady')}</p>
+                <div class="flex justify-center gap-4">
+                    <button onclick="document.getElementById('testSubmitSummary')?.remove(); window.app.submitTest()" class="btn btn-danger">
+                        ${t('test.submitTest')}
+                    </button>
+                    <button onclick="document.getElementById('testSubmitSummary')?.remove()" class="btn btn-secondary">
+                        ${t('test.keepWorking')}
+                    </button>
+                </div>
+            </div>
+        `;
+        document.body.appendChild(overlay);
+    }
+
     submitTest() {
         console.log('📝 Submitting test...');
+        document.getElementById('testSubmitSummary')?.remove();
         
         if (!window.toeicTestSimulator) {
             console.error('❌ Test simulator not available');
             return;
         }
 
-        // Stop any in-flight listening audio
+        // Stop any in-flight listening audio (and exam-mode pacing)
         window.audioSystem?.cancelSpeech?.();
+        window.toeicTestSimulator.stopPacedListening?.();
+        if (this.testPacingCountdown) {
+            clearInterval(this.testPacingCountdown);
+            this.testPacingCountdown = null;
+        }
 
         // Get current answer if selected
         const selectedAnswer = document.querySelector('input[name="testAnswer"]:checked');
@@ -4106,6 +6659,21 @@ class App {
         const toeicScore = results?.overall?.total ?? 0;
         const accuracy = totalQuestions > 0 ? Math.round((correctAnswers / totalQuestions) * 100) : 0;
         const level = results?.overall?.level;
+        const scoreRange = results?.overall?.range;
+        const confidence = results?.overall?.confidence;
+        const scoreTable = window.toeicTestSimulator?.scoreConverter?.getTable(results?.overall?.table);
+        // Kept for the answer review's "back to results"
+        this.lastTestResults = results;
+
+        // Per-section scaled scores with the table's band, e.g. "Listening: 405 (385–425)"
+        const sectionLines = Object.entries(results?.sections || {})
+            .filter(([, s]) => s.score?.range)
+            .map(([name, s]) => t('test.sectionScore', {
+                section: t(name === 'reading' ? 'test.sectionReading' : 'test.sectionListening'),
+                score: s.score.scaled,
+                low: s.score.range.low,
+                high: s.score.range.high
+            }));
 
         content.innerHTML = `
             <div class="max-w-2xl mx-auto text-center">
@@ -4128,6 +6696,7 @@ class App {
                         <div class="bg-blue-500/20 rounded-lg p-4">
                             <div class="text-2xl font-bold text-blue-400">${toeicScore}</div>
                             <div class="text-white/80">${t('test.toeicScore')}</div>
+                            ${scoreRange ? `<div class="text-white/60 text-sm mt-1">${t('test.scoreRange')}: ${scoreRange.low}–${scoreRange.high}</div>` : ''}
                         </div>
                         <div class="bg-purple-500/20 rounded-lg p-4">
                             <div class="text-2xl font-bold text-purple-400">${accuracy}%</div>
@@ -4135,8 +6704,21 @@ class App {
                         </div>
                     </div>
 
+                    ${sectionLines.length || confidence ? `
+                        <div class="bg-gray-800/30 rounded-lg p-4 mb-6 text-white/80 text-sm space-y-1">
+                            ${sectionLines.map(line => `<div>${line}</div>`).join('')}
+                            ${confidence ? `<div>${t('test.confidenceBand', { level: confidence.level, low: confidence.low, high: confidence.high })}</div>` : ''}
+                            ${scoreTable ? `<div class="text-white/50">${t('test.scoreTableNote', { name: scoreTable.name })}</div>` : ''}
+                            ${results?.seed !== undefined ? `<div class="text-white/50">${this.describeTestForm(results)}</div>` : ''}
+                        </div>
+                    ` : ''}
+
                     <div class="flex justify-center gap-4">
-                        <button onclick="window.app.showTestModule()" class="btn btn-primary">
+                        <button onclick="window.app.showTestReview()" class="btn btn-primary">
+                            <i data-lucide="list-checks" class="w-5 h-5 mr-2"></i>
+                            ${t('test.reviewAnswers')}
+                        </button>
+                        <button onclick="window.app.showTestModule()" class="btn btn-secondary">
                             <i data-lucide="clipboard-list" class="w-5 h-5 mr-2"></i>
                             ${t('test.takeAnother')}
                         </button>
@@ -4149,7 +6731,173 @@ class App {
             </div>
         `;
     }
-    
+    
+    // Post-test review: every question with the chosen/correct answer,
+    // explanation, transcript and time spent, plus accuracy by part/subtype.
+    // filter: 'all' | 'wrong' (incl. unanswered) | 'flagged'
+    showTestReview(filter = 'all') {
+        const content = document.getElementById('toeicModuleContent');
+        const simulator = window.toeicTestSimulator;
+        if (!content || !simulator) return;
+
+        const items = simulator.getAnswerReview();
+        if (items.length === 0) {
+            content.innerHTML = `
+                <div class="max-w-2xl mx-auto text-center">
+                    <div class="glass-effect rounded-xl p-8">
+                        <p class="text-white/80 mb-6">${t('test.reviewUnavailable')}</p>
+                        <button onclick="window.app.showTestModule()" class="btn btn-primary">${t('test.takeAnother')}</button>
+                    </div>
+                </div>
+            `;
+            return;
+        }
+
+        const breakdown = this.lastTestResults?.breakdown || simulator.getAccuracyBreakdown(items);
+        const counts = {
+            all: items.length,
+            wrong: items.filter(item => !item.correct).length,
+            flagged: items.filter(item => item.flagged).length
+        };
+        const shown = items.filter(item =>
+            filter === 'wrong' ? !item.correct : filter === 'flagged' ? item.flagged : true
+        );
+        const accuracyColor = (accuracy) => accuracy >= 80 ? 'bg-green-500' : accuracy >= 60 ? 'bg-yellow-500' : 'bg-red-500';
+
+        const partRows = Object.values(breakdown.byPart).sort((a, b) => a.part - b.part).map(stats => `
+            <div class="flex items-center gap-3">
+                <div class="w-16 text-white/80 text-sm">${t('test.partLabel', { part: stats.part })}</div>
+                <div class="flex-1 bg-gray-700 rounded-full h-2">
+                    <div class="${accuracyColor(stats.accuracy)} h-2 rounded-full" style="width: ${stats.accuracy}%"></div>
+                </div>
+                <div class="w-24 text-right text-white/80 text-sm">${stats.correct}/${stats.total} · ${stats.accuracy}%</div>
+            </div>
+        `).join('');
+
+        const subtypeRows = Object.values(breakdown.bySubtype)
+            .sort((a, b) => a.part - b.part || a.accuracy - b.accuracy)
+            .map(stats => `
+                <div class="flex justify-between text-sm py-1 border-b border-white/5">
+                    <span class="text-white/80">${t('test.partLabel', { part: stats.part })} · ${this.getQuestionSubtypeLabel(stats.subtype)}</span>
+                    <span class="${stats.accuracy >= 80 ? 'text-green-400' : stats.accuracy >= 60 ? 'text-yellow-400' : 'text-red-400'}">${stats.correct}/${stats.total} · ${stats.accuracy}%</span>
+                </div>
+            `).join('');
+
+        const filterButton = (id, label) => `
+            <button onclick="window.app.showTestReview('${id}')" class="btn ${filter === id ? 'btn-primary' : 'btn-secondary'}">
+                ${label} (${counts[id]})
+            </button>
+        `;
+
+        content.innerHTML = `
+            <div class="max-w-4xl mx-auto">
+                <div class="glass-effect rounded-xl p-6 mb-6">
+                    <div class="flex justify-between items-center mb-4">
+                        <h3 class="text-xl font-bold text-white">🔍 ${t('test.reviewTitle')}</h3>
+                        <button onclick="window.app.showTestResults(window.app.lastTestResults)" class="btn btn-secondary">
+                            ${t('test.backToResults')}
+                        </button>
+                    </div>
+
+                    <h4 class="text-white font-semibold mb-3">${t('test.reviewByPart')}</h4>
+                    <div class="space-y-2 mb-6">${partRows}</div>
+
+                    <details class="mb-2">
+                        <summary class="text-white font-semibold cursor-pointer">${t('test.reviewBySubtype')}</summary>
+                        <div class="mt-3">${subtypeRows}</div>
+                    </details>
+                </div>
+
+                <div class="flex flex-wrap justify-center gap-3 mb-6">
+                    ${filterButton('all', t('test.reviewFilterAll'))}
+                    ${filterButton('wrong', t('test.reviewFilterWrong'))}
+                    ${filterButton('flagged', t('test.reviewFilterFlagged'))}
+                </div>
+
+                <div class="space-y-4">
+                    ${shown.length > 0
+                        ? shown.map(item => this.buildTestReviewItem(item)).join('')
+                        : `<div class="glass-effect rounded-xl p-6 text-center text-white/60">${t('test.reviewEmpty')}</div>`}
+                </div>
+            </div>
+        `;
+        this.bindTapToDefine();
+    }
+
+    buildTestReviewItem(item) {
+        const letter = (index) => String.fromCharCode(65 + index);
+        const simulator = window.toeicTestSimulator;
+        const status = item.correct ? '✅' : item.answered ? '❌' : '⚪';
+        const passageText = (p) => !p ? '' : typeof p === 'string' ? p : (p.title ? p.title + '\n\n' : '') + (p.content || '');
+
+        return `
+            <div class="glass-effect rounded-xl p-5 text-left">
+                <div class="flex justify-between items-start mb-3">
+                    <div class="text-white font-semibold">
+                        ${status} ${t('status.question')} ${item.number}
+                        <span class="text-xs font-semibold text-blue-300 bg-blue-500/20 rounded-full px-3 py-1 ml-2 align-middle">${t('test.partLabel', { part: item.part })} · ${this.getQuestionSubtypeLabel(item.subtype)}</span>
+                        ${item.flagged ? '<span class="ml-2" aria-label="flagged">🚩</span>' : ''}
+                    </div>
+                    <div class="text-white/60 text-sm whitespace-nowrap">⏱️ ${simulator.formatTimeRemaining(item.timeSpent)}</div>
+                </div>
+
+                ${item.prompt ? `<p class="text-white/90 mb-3">${item.prompt}</p>` : ''}
+
+                <div class="space-y-1 text-sm mb-3">
+                    <div class="${item.correct ? 'text-green-400' : 'text-red-400'}">
+                        ${t('test.reviewYourAnswer')}: ${item.answered ? `${letter(item.chosen)}. ${item.chosenText}` : t('test.reviewNoAnswer')}
+                    </div>
+                    ${item.correct ? '' : `
+                        <div class="text-green-400">${t('test.reviewCorrectAnswer')}: ${letter(item.correctAnswer)}. ${item.correctText}</div>
+                    `}
+                </div>
+
+                ${item.explanation ? `
+                    <div class="bg-gray-800/40 rounded-lg p-3 text-white/80 text-sm mb-3">
+                        💡 ${item.explanation}
+                    </div>
+                ` : ''}
+
+                ${item.wordFamily ? this.renderWordFamily(item.wordFamily, { current: item.correctText, withCardLink: true }) : ''}
+
+                ${item.transcript.length > 0 ? `
+                    <details class="text-sm">
+                        <summary class="text-white/70 cursor-pointer">📜 ${t('test.reviewTranscript')}</summary>
+                        <div class="mt-2 space-y-1">
+                            ${item.transcript.map(line => `
+                                <div class="${line.correct ? 'text-green-400' : 'text-white/80'}"><span class="font-semibold">${line.speaker}:</span> ${line.text}</div>
+                            `).join('')}
+                        </div>
+                    </details>
+                ` : ''}
+
+                ${item.passage ? `
+                    <details class="text-sm">
+                        <summary class="text-white/70 cursor-pointer">📄 ${t('test.reviewPassage')}</summary>
+                        <div class="mt-2 bg-gray-800 rounded-lg p-4 max-h-72 overflow-y-auto">
+                            ${(item.documents || [item.passage, item.companionPassage].filter(Boolean)).map(doc => Array.isArray(doc.messages) ? `
+                                <p class="text-white/90 mb-2">${doc.title || ''}</p>
+                                ${this.renderPassageBody(doc)}
+                            ` : `
+                                <p class="text-white/90 whitespace-pre-line">${this.renderTappableText(passageText(doc))}</p>
+                            `).join('<hr class="border-white/20 my-4">')}
+                        </div>
+                    </details>
+                ` : ''}
+            </div>
+        `;
+    }
+
+    // Subtype ids come from TOEICTestSimulator.classifyQuestionSubtype;
+    // grammar categories without a translation are shown prettified
+    getQuestionSubtypeLabel(subtype) {
+        const key = `test.subtype.${subtype}`;
+        const label = t(key);
+        if (label !== key) return label;
+        const words = String(subtype).replace(/_/g, ' ');
+        return words.charAt(0).toUpperCase() + words.slice(1);
+    }
+
     loadTestHistory() {
         // Load test history from localStorage
         const testHistory = window.safeParseStorage('toeicTestHistory', []);
@@ -4171,6 +6919,12 @@ class App {
                 <div>
                     <div class="text-white font-medium">${test.type} Test</div>
                     <div class="text-white/60 text-sm">${new Date(test.date || test.completedAt).toLocaleDateString()}</div>
+                    ${test.seed !== undefined ? `
+                        <div class="text-white/50 text-sm">
+                            ${this.describeTestForm(test)}
+                            <button onclick="window.app.startTestForm('${test.seed}', '${test.type}')" class="text-blue-300 underline ml-2">${t('test.retakeForm')}</button>
+                        </div>
+                    ` : ''}
                 </div>
                 <div class="text-right">
                     <div class="text-green-400 font-bold">${test.score?.total ?? '—'}</div>
@@ -4184,12 +6938,46 @@ class App {
         const content = document.getElementById('toeicModuleContent');
         if (!content) return;
         
+        const simulator = window.toeicTestSimulator;
+        const scoreTables = simulator ? simulator.getScoreTables() : [];
+        const activeTable = simulator ? simulator.getPreferredScoreTable() : 'standard';
+        const resumePolicy = simulator ? simulator.getResumePolicy() : 'pause';
+        const examMode = simulator ? simulator.getExamModePreference() : false;
+
         content.innerHTML = `
             <div class="max-w-2xl mx-auto">
                 <div class="glass-effect rounded-xl p-6">
                     <h3 class="text-xl font-bold text-white mb-6">⚙️ ${t('test.settings')}</h3>
 
                     <div class="space-y-6">
+                        ${scoreTables.length > 0 ? `
+                            <div>
+                                <label class="block text-white/80 mb-2" for="testScoreTable">${t('test.scoreTable')}</label>
+                                <select id="testScoreTable" class="w-full p-3 bg-gray-800/50 border border-gray-600 rounded-lg text-white">
+                                    ${scoreTables.map(table => `
+                                        <option value="${table.id}" ${table.id === activeTable ? 'selected' : ''}>${table.name}${table.description ? ` — ${table.description}` : ''}</option>
+                                    `).join('')}
+                                </select>
+                            </div>
+                        ` : ''}
+
+                        <div>
+                            <label class="block text-white/80 mb-2" for="testExamMode">${t('test.examMode')}</label>
+                            <select id="testExamMode" class="w-full p-3 bg-gray-800/50 border border-gray-600 rounded-lg text-white">
+                                <option value="off" ${examMode ? '' : 'selected'}>${t('test.examModeOff')}</option>
+                                <option value="on" ${examMode ? 'selected' : ''}>${t('test.examModeOn')}</option>
+                            </select>
+                            <p class="text-white/50 text-sm mt-2">${t('test.examModeNote')}</p>
+                        </div>
+
+                        <div>
+                            <label class="block text-white/80 mb-2" for="testResumePolicy">${t('test.resumePolicy')}</label>
+                            <select id="testResumePolicy" class="w-full p-3 bg-gray-800/50 border border-gray-600 rounded-lg text-white">
+                                <option value="pause" ${resumePolicy === 'pause' ? 'selected' : ''}>${t('test.resumePolicyPause')}</option>
+                                <option value="continue" ${resumePolicy === 'continue' ? 'selected' : ''}>${t('test.resumePolicyContinue')}</option>
+                            </select>
+                        </div>
+
                         <div>
                             <label class="block text-white/80 mb-2">${t('test.durationSetting')}</label>
                             <select class="w-full p-3 bg-gray-800/50 border border-gray-600 rounded-lg text-white">
@@ -4224,7 +7012,7 @@ class App {
                     </div>
 
                     <div class="flex justify-center gap-4 mt-8">
-                        <button onclick="window.app.showTestModule()" class="btn btn-primary">
+                        <button onclick="window.app.saveTestSettings()" class="btn btn-primary">
                             ${t('test.saveSettings')}
                         </button>
                         <button onclick="window.app.showTestModule()" class="btn btn-secondary">
@@ -4236,6 +7024,22 @@ class App {
         `;
     }
     
+    saveTestSettings() {
+        const tableSelect = document.getElementById('testScoreTable');
+        if (tableSelect && window.toeicTestSimulator) {
+            window.toeicTestSimulator.setPreferredScoreTable(tableSelect.value);
+        }
+        const policySelect = document.getElementById('testResumePolicy');
+        if (policySelect && window.toeicTestSimulator) {
+            window.toeicTestSimulator.setResumePolicy(policySelect.value);
+        }
+        const examModeSelect = document.getElementById('testExamMode');
+        if (examModeSelect && window.toeicTestSimulator) {
+            window.toeicTestSimulator.setExamModePreference(examModeSelect.value === 'on');
+        }
+        this.showTestModule();
+    }
+    
     showFlashcardModule(options = {}) {
         const content = document.getElementById('toeicModuleContent');
         if (!content) return;
@@ -4246,10 +7050,745 @@ class App {
             return;
         }
         
+        if (options.mode === 'settings') {
+            this.showFlashcardSettingsScreen();
+            return;
+        }
+        
+        if (options.mode === 'anki') {
+            this.showAnkiScreen();
+            return;
+        }
+        
+        if (options.mode === 'decks') {
+            this.showDecksScreen();
+            return;
+        }
+        
         // Otherwise show the flashcard interface
         this.initializeFlashcardModule();
     }
     
+    showFlashcardSettingsScreen() {
+        const content = document.getElementById('toeicModuleContent');
+        const vocab = window.toeicVocabulary;
+        if (!content || !vocab) return;
+        
+        const filter = vocab.getLevelFilter();
+        const levels = vocab.getAvailableLevels();
+        
+        content.innerHTML = `
+            <div class="module-shell">
+                <button class="module-back-btn" onclick="window.app.showTOEICModuleScreen('flashcards')">
+                    <span aria-hidden="true">←</span>
+                    <span data-i18n="module.flashcards.title">${t('module.flashcards.title')}</span>
+                </button>
+
+                <div class="module-header">
+                    <div class="module-header-icon" aria-hidden="true">⚙️</div>
+                    <h2 class="module-header-title" data-i18n="settings.title">${t('settings.title')}</h2>
+                    <p class="module-header-subtitle">${t('flashcards.levelFilterDesc')}</p>
+                </div>
+
+                <div class="quiz-card">
+                    <h3 class="diagnostic-applied-title">${t('flashcards.levelFilter')}</h3>
+                    <div class="level-filter-options" id="vocabLevelFilter">
+                        ${levels.map(level => `
+                            <label class="level-filter-option">
+                                <input type="checkbox" value="${level}" ${filter.length === 0 || filter.includes(level) ? 'checked' : ''}>
+                                <span>${level}</span>
+                                <span class="level-filter-count">${t('flashcards.levelWordCount', { count: vocab.getWordsByLevel(level).length })}</span>
+                            </label>
+                        `).join('')}
+                    </div>
+                    <p class="module-action-desc">${t('flashcards.levelFilterNote')}</p>
+                    <div class="reading-actions">
+                        <button onclick="window.app.saveFlashcardSettings()" class="btn btn-primary">${t('test.saveSettings')}</button>
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+    
+    saveFlashcardSettings() {
+        if (!window.toeicVocabulary) return;
+        const inputs = Array.from(document.querySelectorAll('#vocabLevelFilter input[type="checkbox"]'));
+        const checked = inputs.filter(input => input.checked).map(input => input.value);
+        // All (or none) ticked means no filter
+        window.toeicVocabulary.setLevelFilter(checked.length === inputs.length ? [] : checked);
+        this.showNotification(t('flashcards.settingsSaved'), 'success');
+        this.showTOEICModuleScreen('flashcards');
+    }
+    
+    // Anki import/export (assets/js/anki-package.js). Importing is two steps:
+    // pick a file, then map its fields onto word / meaning / example / tags.
+    showAnkiScreen() {
+        const content = document.getElementById('toeicModuleContent');
+        const vocab = window.toeicVocabulary;
+        if (!content || !vocab) return;
+        this.ankiImport = null;
+        const importedCount = vocab.getUserWordCount('anki');
+        
+        content.innerHTML = `
+            <div class="module-shell">
+                <button class="module-back-btn" onclick="window.app.showTOEICModuleScreen('flashcards')">
+                    <span aria-hidden="true">←</span>
+                    <span data-i18n="module.flashcards.title">${t('module.flashcards.title')}</span>
+                </button>
+
+                <div class="module-header">
+                    <div class="module-header-icon" aria-hidden="true">📦</div>
+                    <h2 class="module-header-title" data-i18n="anki.title">${t('anki.title')}</h2>
+                    <p class="module-header-subtitle" data-i18n="anki.desc">${t('anki.desc')}</p>
+                </div>
+
+                <div class="quiz-card" id="ankiImportCard">
+                    <h3 class="diagnostic-applied-title">${t('anki.importTitle')}</h3>
+                    <p class="module-action-desc">${t('anki.importDesc')}</p>
+                    <input type="file" id="ankiFileInput" class="anki-file-input" accept=".apkg,.txt,.csv,.tsv" onchange="window.app.readAnkiFile(this)">
+                    <div id="ankiMapping"></div>
+                </div>
+
+                <div class="quiz-card">
+                    <h3 class="diagnostic-applied-title">${t('anki.exportTitle')}</h3>
+                    <p class="module-action-desc">${t('anki.exportDesc', { count: vocab.vocabulary.size })}</p>
+                    <div class="reading-actions">
+                        <button id="ankiExportBtn" onclick="window.app.exportAnkiDeck()" class="btn btn-primary">${t('anki.exportButton')}</button>
+                    </div>
+                </div>
+
+                ${importedCount > 0 ? `
+                <div class="quiz-card">
+                    <h3 class="diagnostic-applied-title">${t('anki.importedTitle')}</h3>
+                    <p class="module-action-desc">${t('anki.importedCount', { count: importedCount })}</p>
+                    <div class="reading-actions">
+                        <button onclick="window.app.clearImportedWords()" class="btn btn-secondary">${t('anki.clearImported')}</button>
+                    </div>
+                </div>
+                ` : ''}
+            </div>
+        `;
+    }
+    
+    async readAnkiFile(input) {
+        const file = input.files && input.files[0];
+        if (!file || !window.AnkiPackage) return;
+        try {
+            const parsed = /\.apkg$/i.test(file.name)
+                ? await window.AnkiPackage.parseApkg(await file.arrayBuffer())
+                : window.AnkiPackage.parseText(await file.text());
+            if (parsed.notes.length === 0 || parsed.fieldNames.length === 0) {
+                throw new Error(t('anki.emptyFile'));
+            }
+            this.ankiImport = { fileName: file.name, ...parsed };
+            this.renderAnkiMapping();
+        } catch (error) {
+            console.error('❌ Anki import failed:', error);
+            this.ankiImport = null;
+            this.showNotification(t('anki.readError', { message: error.message }), 'error');
+        }
+    }
+    
+    // Guess the mapping from field names, then let the student adjust it
+    renderAnkiMapping() {
+        const container = document.getElementById('ankiMapping');
+        const data = this.ankiImport;
+        if (!container || !data) return;
+        const escape = text => this.escapeHtml(text);
+        const find = (pattern, fallback) => {
+            const index = data.fieldNames.findIndex(name => pattern.test(name));
+            return index >= 0 ? index : fallback;
+        };
+        const defaults = {
+            word: find(/front|word|term|expression|vocab/i, 0),
+            meaning: find(/back|meaning|definition|translation|gloss/i, Math.min(1, data.fieldNames.length - 1)),
+            example: find(/example|sentence|context/i, -1),
+            tags: -1
+        };
+        const fieldOptions = (selected, allowNone, noneLabel) => `
+            ${allowNone ? `<option value="-1" ${selected === -1 ? 'selected' : ''}>${noneLabel}</option>` : ''}
+            ${data.fieldNames.map((name, i) => `<option value="${i}" ${selected === i ? 'selected' : ''}>${escape(name)}</option>`).join('')}
+        `;
+        const selectClass = 'w-full p-3 bg-gray-800/50 border border-gray-600 rounded-lg text-white';
+        const reviewed = data.notes.filter(note => note.review).length;
+        
+        container.innerHTML = `
+            <p class="anki-file-summary">${t('anki.fileSummary', { file: escape(data.fileName), count: data.notes.length })}
+                ${reviewed > 0 ? ` · ${t('anki.reviewedCount', { count: reviewed })}` : ''}</p>
+            <div class="anki-mapping-grid">
+                ${['word', 'meaning', 'example', 'tags'].map(role => `
+                    <div>
+                        <label class="block text-white/80 mb-2" for="ankiMap-${role}">${t(`anki.map.${role}`)}</label>
+                        <select id="ankiMap-${role}" class="${selectClass}" onchange="window.app.updateAnkiPreview()">
+                            ${fieldOptions(defaults[role], role === 'example' || role === 'tags', role === 'tags' ? t('anki.noteTags') : t('anki.none'))}
+                        </select>
+                    </div>
+                `).join('')}
+            </div>
+            <div id="ankiPreview" class="anki-preview"></div>
+            <div class="reading-actions">
+                <button onclick="window.app.importAnkiDeck()" class="btn btn-primary">${t('anki.importButton', { count: data.notes.length })}</button>
+            </div>
+        `;
+        this.updateAnkiPreview();
+    }
+    
+    getAnkiMapping() {
+        const value = role => parseInt(document.getElementById(`ankiMap-${role}`)?.value ?? '-1', 10);
+        return { word: value('word'), meaning: value('meaning'), example: value('example'), tags: value('tags') };
+    }
+    
+    // Mapped notes in the shape TOEICVocabularySystem.importUserWords() takes
+    mapAnkiNotes(notes, mapping) {
+        return notes.map(note => ({
+            word: note.fields[mapping.word] || '',
+            meaning: note.fields[mapping.meaning] || '',
+            examples: mapping.example >= 0 ? String(note.fields[mapping.example] || '').split('\n') : [],
+            tags: mapping.tags >= 0 ? String(note.fields[mapping.tags] || '').split(/\s+/).filter(Boolean) : note.tags,
+            category: note.deck ? note.deck.split('::').pop() : '',
+            review: note.review || null
+        }));
+    }
+    
+    updateAnkiPreview() {
+        const preview = document.getElementById('ankiPreview');
+        if (!preview || !this.ankiImport) return;
+        const escape = text => this.escapeHtml(text).replace(/\n/g, '<br>');
+        const rows = this.mapAnkiNotes(this.ankiImport.notes.slice(0, 3), this.getAnkiMapping());
+        preview.innerHTML = `
+            <table class="anki-preview-table">
+                <thead><tr>${['word', 'meaning', 'example', 'tags'].map(role => `<th>${t(`anki.map.${role}`)}</th>`).join('')}</tr></thead>
+                <tbody>
+                    ${rows.map(row => `
+                        <tr>
+                            <td>${escape(row.word)}</td>
+                            <td>${escape(row.meaning)}</td>
+                            <td>${escape(row.examples.join('\n'))}</td>
+                            <td>${escape(row.tags.join(' '))}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+    
+    importAnkiDeck() {
+        const vocab = window.toeicVocabulary;
+        if (!vocab || !this.ankiImport) return;
+        const mapping = this.getAnkiMapping();
+        if (mapping.word === mapping.meaning) {
+            this.showNotification(t('anki.sameField'), 'error');
+            return;
+        }
+        const { added, skipped } = vocab.importUserWords(this.mapAnkiNotes(this.ankiImport.notes, mapping), 'anki');
+        this.showNotification(t('anki.imported', { added, skipped }), added > 0 ? 'success' : 'error');
+        this.showAnkiScreen();
+    }
+    
+    async exportAnkiDeck() {
+        const vocab = window.toeicVocabulary;
+        if (!vocab || !window.AnkiPackage) return;
+        const button = document.getElementById('ankiExportBtn');
+        if (button) button.disabled = true;
+        try {
+            const bytes = await window.AnkiPackage.buildApkg(vocab.getAnkiExportEntries());
+            const blob = new Blob([bytes], { type: 'application/octet-stream' });
+            const url = URL.createObjectURL(blob);
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = `toeic-vocabulary-${new Date().toISOString().slice(0, 10)}.apkg`;
+            document.body.appendChild(a);
+            a.click();
+            a.remove();
+            URL.revokeObjectURL(url);
+            console.log(`📦 Exported ${vocab.vocabulary.size} words to Anki`);
+        } catch (error) {
+            console.error('❌ Anki export failed:', error);
+            this.showNotification(t('anki.exportError'), 'error');
+        } finally {
+            if (button) button.disabled = false;
+        }
+    }
+    
+    clearImportedWords() {
+        const vocab = window.toeicVocabulary;
+        if (!vocab || !confirm(t('anki.clearConfirm'))) return;
+        const removed = vocab.clearUserWords('anki');
+        this.showNotification(t('anki.cleared', { count: removed }), 'success');
+        this.showAnkiScreen();
+    }
+    
+    // Text from word lists, decks and imported files goes into innerHTML
+    escapeHtml(text) {
+        return String(text ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+    
+    // Personal decks: create / rename / delete, study in any flashcard mode
+    showDecksScreen() {
+        const content = document.getElementById('toeicModuleContent');
+        const vocab = window.toeicVocabulary;
+        if (!content || !vocab) return;
+        const decks = vocab.getDecks();
+        const modes = this.getAllModeInfo();
+        const selectClass = 'w-full p-3 bg-gray-800/50 border border-gray-600 rounded-lg text-white';
+        
+        content.innerHTML = `
+            <div class="module-shell">
+                <button class="module-back-btn" onclick="window.app.showTOEICModuleScreen('flashcards')">
+                    <span aria-hidden="true">←</span>
+                    <span data-i18n="module.flashcards.title">${t('module.flashcards.title')}</span>
+                </button>
+
+                <div class="module-header">
+                    <div class="module-header-icon" aria-hidden="true">🗂️</div>
+                    <h2 class="module-header-title" data-i18n="decks.title">${t('decks.title')}</h2>
+                    <p class="module-header-subtitle" data-i18n="decks.desc">${t('decks.desc')}</p>
+                </div>
+
+                <div class="quiz-card">
+                    <h3 class="diagnostic-applied-title">${t('decks.create')}</h3>
+                    <div class="deck-create-row">
+                        <input type="text" id="newDeckName" class="${selectClass}" maxlength="60" placeholder="${t('decks.namePlaceholder')}"
+                               onkeydown="if (event.key === 'Enter') window.app.createDeckFromForm()">
+                        <button onclick="window.app.createDeckFromForm()" class="btn btn-primary">${t('decks.createButton')}</button>
+                    </div>
+                    <p class="module-action-desc">${t('decks.addHint')}</p>
+                </div>
+
+                <div id="deckList">
+                    ${decks.length === 0 ? `<p class="module-action-desc deck-empty">${t('decks.none')}</p>` : ''}
+                    ${decks.map(deck => {
+                        const words = deck.words.filter(word => vocab.vocabulary.has(word));
+                        return `
+                        <div class="quiz-card deck-card">
+                            <div class="deck-card-header">
+                                <h3 class="diagnostic-applied-title">${this.escapeHtml(deck.name)}
+                                    <span class="level-filter-count">${t('flashcards.levelWordCount', { count: words.length })}</span>
+                                </h3>
+                                <div class="deck-card-tools">
+                                    <button onclick="window.app.showAddToDeckDialog('', '${deck.id}')" class="btn btn-secondary">＋ ${t('decks.addWord')}</button>
+                                    <button onclick="window.app.renameDeckPrompt('${deck.id}')" class="btn btn-secondary">${t('decks.rename')}</button>
+                                    <button onclick="window.app.deleteDeckConfirm('${deck.id}')" class="btn btn-secondary">${t('decks.delete')}</button>
+                                </div>
+                            </div>
+                            <div class="deck-words">
+                                ${words.length === 0 ? `<span class="module-action-desc">${t('decks.emptyDeck')}</span>` : words.map(word => `
+                                    <span class="deck-word">${this.escapeHtml(word)}
+                                        <button onclick="window.app.removeDeckWord('${deck.id}', ${deck.words.indexOf(word)})" aria-label="${t('decks.removeWord')}">×</button>
+                                    </span>
+                                `).join('')}
+                            </div>
+                            ${words.length > 0 ? `
+                            <div class="deck-study-row">
+                                <select id="deckMode-${deck.id}" class="${selectClass}" aria-label="${t('decks.studyMode')}">
+                                    ${Object.entries(modes).map(([mode, info]) => `<option value="${mode}">${info.title}</option>`).join('')}
+                                </select>
+                                <button onclick="window.app.studyDeck('${deck.id}')" class="btn btn-primary">${t('decks.study')}</button>
+                            </div>
+                            ` : ''}
+                        </div>
+                    `;
+                    }).join('')}
+                </div>
+            </div>
+        `;
+    }
+    
+    createDeckFromForm() {
+        const input = document.getElementById('newDeckName');
+        const deck = window.toeicVocabulary?.createDeck(input ? input.value : '');
+        if (!deck) {
+            this.showNotification(t('decks.nameRequired'), 'error');
+            return;
+        }
+        this.showDecksScreen();
+    }
+    
+    renameDeckPrompt(deckId) {
+        const vocab = window.toeicVocabulary;
+        const deck = vocab?.getDeck(deckId);
+        if (!deck) return;
+        const name = prompt(t('decks.renamePrompt'), deck.name);
+        if (name === null) return;
+        if (!vocab.renameDeck(deckId, name)) {
+            this.showNotification(t('decks.nameRequired'), 'error');
+            return;
+        }
+        this.showDecksScreen();
+    }
+    
+    deleteDeckConfirm(deckId) {
+        const vocab = window.toeicVocabulary;
+        const deck = vocab?.getDeck(deckId);
+        if (!deck || !confirm(t('decks.deleteConfirm', { name: deck.name }))) return;
+        vocab.deleteDeck(deckId);
+        this.showDecksScreen();
+    }
+    
+    removeDeckWord(deckId, index) {
+        const vocab = window.toeicVocabulary;
+        const deck = vocab?.getDeck(deckId);
+        if (!deck || !deck.words[index]) return;
+        vocab.removeWordFromDeck(deckId, deck.words[index]);
+        this.showDecksScreen();
+    }
+    
+    studyDeck(deckId) {
+        const select = document.getElementById(`deckMode-${deckId}`);
+        this.startFlashcardReview(select ? select.value : 'spaced_repetition', deckId);
+    }
+    
+    // "Add word" dialog, reachable from the navbar on every screen. With no
+    // text it picks up the word last selected on the page.
+    showAddToDeckDialog(text = null, deckId = null) {
+        const vocab = window.toeicVocabulary;
+        if (!vocab) return;
+        this.closeAddToDeckDialog();
+        
+        const word = text || this.lastSelectedText || '';
+        const decks = vocab.getDecks();
+        const selected = deckId || (decks.length > 0 ? decks[decks.length - 1].id : '__new');
+        const inputClass = 'w-full p-3 bg-gray-800/50 border border-gray-600 rounded-lg text-white';
+        
+        const overlay = document.createElement('div');
+        overlay.id = 'addToDeckDialog';
+        overlay.className = 'deck-dialog-overlay';
+        overlay.innerHTML = `
+            <div class="deck-dialog glass-effect" role="dialog" aria-modal="true" aria-labelledby="addToDeckTitle">
+                <h3 id="addToDeckTitle" class="diagnostic-applied-title">${t('decks.addWordTitle')}</h3>
+                <label class="block text-white/80 mb-2" for="deckWordInput">${t('decks.word')}</label>
+                <input type="text" id="deckWordInput" class="${inputClass}" maxlength="60" value="${this.escapeHtml(word)}"
+                       oninput="window.app.updateAddToDeckDetails()">
+                <p id="deckWordKnown" class="deck-word-known"></p>
+                <div id="deckWordDetails">
+                    <label class="block text-white/80 mb-2" for="deckWordMeaning">${t('decks.meaning')}</label>
+                    <input type="text" id="deckWordMeaning" class="${inputClass}" maxlength="200">
+                    <label class="block text-white/80 mb-2" for="deckWordExample">${t('decks.example')}</label>
+                    <textarea id="deckWordExample" class="${inputClass}" rows="2" maxlength="300"></textarea>
+                </div>
+                <label class="block text-white/80 mb-2" for="deckSelect">${t('decks.deck')}</label>
+                <select id="deckSelect" class="${inputClass}" onchange="window.app.updateAddToDeckDetails()">
+                    ${decks.map(deck => `<option value="${deck.id}" ${deck.id === selected ? 'selected' : ''}>${this.escapeHtml(deck.name)}</option>`).join('')}
+                    <option value="__new" ${selected === '__new' ? 'selected' : ''}>${t('decks.newDeckOption')}</option>
+                </select>
+                <input type="text" id="deckNewName" class="${inputClass}" maxlength="60" placeholder="${t('decks.namePlaceholder')}">
+                <div class="reading-actions">
+                    <button onclick="window.app.closeAddToDeckDialog()" class="btn btn-secondary">${t('common.cancel')}</button>
+                    <button onclick="window.app.saveAddToDeck()" class="btn btn-primary">${t('decks.addWord')}</button>
+                </div>
+            </div>
+        `;
+        overlay.addEventListener('click', (e) => {
+            if (e.target === overlay) this.closeAddToDeckDialog();
+        });
+        overlay.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') this.closeAddToDeckDialog();
+            if (e.key === 'Enter' && e.target.tagName !== 'TEXTAREA') this.saveAddToDeck();
+        });
+        document.body.appendChild(overlay);
+        
+        this.updateAddToDeckDetails();
+        document.getElementById(word ? 'deckSelect' : 'deckWordInput')?.focus();
+    }
+    
+    // Known words show their meaning; new ones ask for meaning and example
+    updateAddToDeckDetails() {
+        const vocab = window.toeicVocabulary;
+        const input = document.getElementById('deckWordInput');
+        if (!vocab || !input) return;
+        const known = vocab.findWord(input.value);
+        const knownEl = document.getElementById('deckWordKnown');
+        const details = document.getElementById('deckWordDetails');
+        const newName = document.getElementById('deckNewName');
+        const select = document.getElementById('deckSelect');
+        
+        if (knownEl) {
+            knownEl.textContent = known
+                ? t('decks.knownWord', { meaning: vocab.vocabulary.get(known).meaning })
+                : input.value.trim() ? t('decks.newWordHint') : '';
+        }
+        if (details) details.classList.toggle('hidden', Boolean(known) || !input.value.trim());
+        if (newName && select) newName.classList.toggle('hidden', select.value !== '__new');
+    }
+    
+    saveAddToDeck() {
+        const vocab = window.toeicVocabulary;
+        if (!vocab) return;
+        const word = document.getElementById('deckWordInput')?.value.trim() || '';
+        const meaning = document.getElementById('deckWordMeaning')?.value.trim() || '';
+        const example = document.getElementById('deckWordExample')?.value.trim() || '';
+        let deckId = document.getElementById('deckSelect')?.value;
+        
+        if (!word) {
+            this.showNotification(t('decks.wordRequired'), 'error');
+            return;
+        }
+        // Check before creating a deck, so a failed add doesn't leave one behind
+        if (!vocab.findWord(word) && !meaning) {
+            this.showNotification(t('decks.meaningRequired'), 'error');
+            return;
+        }
+        if (deckId === '__new') {
+            const deck = vocab.createDeck(document.getElementById('deckNewName')?.value);
+            if (!deck) {
+                this.showNotification(t('decks.nameRequired'), 'error');
+                return;
+            }
+            deckId = deck.id;
+        }
+        
+        const result = vocab.addWordToDeck(deckId, word, { meaning, example });
+        if (!result.ok) {
+            this.showNotification(t(result.reason === 'meaning' ? 'decks.meaningRequired' : 'decks.wordRequired'), 'error');
+            return;
+        }
+        this.lastSelectedText = null;
+        this.closeAddToDeckDialog();
+        this.showNotification(t('decks.wordAdded', { word: result.word, deck: vocab.getDeck(deckId).name }), 'success');
+        if (document.getElementById('deckList')) this.showDecksScreen();
+    }
+    
+    closeAddToDeckDialog() {
+        document.getElementById('addToDeckDialog')?.remove();
+    }
+    
+    // Tap-to-define: wrap each word of a passage in a span; markup and
+    // entities are left alone
+    renderTappableText(text) {
+        return String(text || '').split(/(<[^>]*>|&#?\w+;)/).map(part => {
+            if (part.startsWith('<') || /^&#?\w+;$/.test(part)) return part;
+            return part.replace(/[A-Za-z]+(?:['’-][A-Za-z]+)*/g, word => `<span class="tap-word">${word}</span>`);
+        }).join('');
+    }
+    
+    // One delegated listener for every tappable passage. Registered once for
+    // the app's lifetime; taps anywhere else close the popover.
+    bindTapToDefine() {
+        if (this.tapToDefineBound) return;
+        this.tapToDefineBound = true;
+        document.addEventListener('click', (e) => {
+            const target = e.target.closest ? e.target.closest('.tap-word') : null;
+            if (target) {
+                this.showWordPopover(target);
+            } else if (!e.target.closest || !e.target.closest('#wordPopover')) {
+                this.closeWordPopover();
+            }
+        });
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') this.closeWordPopover();
+        });
+    }
+    
+    showWordPopover(target) {
+        const vocab = window.toeicVocabulary;
+        if (!vocab) return;
+        this.closeWordPopover();
+        
+        const tapped = target.textContent;
+        const word = vocab.lookupWord(tapped);
+        const data = word ? vocab.vocabulary.get(word) : null;
+        const speakable = window.audioSystem && typeof window.audioSystem.speakWord === 'function';
+        const scheduled = word ? vocab.isQueuedOrScheduled(word) : false;
+        target.classList.add('active');
+        this.activeTapWord = target;
+        this.popoverWord = word || tapped;
+        
+        const popover = document.createElement('div');
+        popover.id = 'wordPopover';
+        popover.className = 'word-popover';
+        popover.setAttribute('role', 'dialog');
+        popover.innerHTML = `
+            <div class="word-popover-head">
+                <span class="word-popover-word">${this.escapeHtml(data ? data.word : tapped)}</span>
+                ${data && data.word.toLowerCase() !== tapped.toLowerCase()
+                    ? `<span class="word-popover-form">${t('define.formOf', { form: this.escapeHtml(tapped) })}</span>` : ''}
+                ${speakable ? `<button class="dashboard-icon-btn" onclick="window.app.speakPopoverWord()" aria-label="${t('define.pronounce')}">🔊</button>` : ''}
+            </div>
+            ${data ? `
+                <div class="word-popover-meta">
+                    <span class="dashboard-chip">${this.escapeHtml(data.partOfSpeech)}</span>
+                    <span class="dashboard-chip">${this.escapeHtml(data.level)}</span>
+                </div>
+                <p class="word-popover-meaning">${this.escapeHtml(data.meaning)}</p>
+                ${(data.examples || []).slice(0, 2).map(example => `<p class="word-popover-example">"${this.escapeHtml(example)}"</p>`).join('')}
+            ` : `<p class="word-popover-meaning">${t('define.notFound')}</p>`}
+            <div class="word-popover-actions">
+                ${data ? `
+                    <button id="wordPopoverReview" onclick="window.app.addPopoverWordToReview()" class="btn btn-primary" ${scheduled ? 'disabled' : ''}>
+                        ${scheduled ? t('define.inReview') : t('define.addToReview')}
+                    </button>` : ''}
+                <button onclick="window.app.addPopoverWordToDeck()" class="btn btn-secondary">${t('decks.addToDeck')}</button>
+            </div>
+        `;
+        document.body.appendChild(popover);
+        
+        // Below the word, or above it when there's no room; kept inside the viewport
+        const rect = target.getBoundingClientRect();
+        const width = popover.offsetWidth;
+        const height = popover.offsetHeight;
+        const left = Math.min(Math.max(8, rect.left + rect.width / 2 - width / 2), window.innerWidth - width - 8);
+        const below = rect.bottom + 8 + height <= window.innerHeight;
+        popover.style.left = `${left + window.scrollX}px`;
+        popover.style.top = `${(below ? rect.bottom + 8 : Math.max(8, rect.top - height - 8)) + window.scrollY}px`;
+    }
+    
+    closeWordPopover() {
+        document.getElementById('wordPopover')?.remove();
+        if (this.activeTapWord) this.activeTapWord.classList.remove('active');
+        this.activeTapWord = null;
+    }
+    
+    speakPopoverWord() {
+        if (this.popoverWord && window.audioSystem) window.audioSystem.speakWord(this.popoverWord);
+    }
+    
+    addPopoverWordToReview() {
+        const vocab = window.toeicVocabulary;
+        if (!vocab || !this.popoverWord) return;
+        const queued = vocab.queueForReview(this.popoverWord);
+        this.showNotification(queued ? t('define.addedToReview', { word: this.popoverWord }) : t('define.inReview'), 'success');
+        const button = document.getElementById('wordPopoverReview');
+        if (button) {
+            button.disabled = true;
+            button.textContent = t('define.inReview');
+        }
+    }
+    
+    addPopoverWordToDeck() {
+        const word = this.popoverWord;
+        this.closeWordPopover();
+        this.showAddToDeckDialog(word);
+    }
+    
+    // Word families (assets/data/word-families.json). Compact strip of a
+    // word's related forms for cards and explanations; '' when it has none.
+    renderWordFamily(text, options = {}) {
+        const family = window.toeicVocabulary && window.toeicVocabulary.getWordFamily(text);
+        if (!family) return '';
+        const current = String(options.current || text || '').toLowerCase();
+        return `
+            <div class="word-family">
+                <span class="word-family-label">${t('family.title')}</span>
+                <div class="word-family-forms">
+                    ${family.forms.map(form => `
+                        <span class="word-family-form ${form.word.toLowerCase() === current ? 'is-current' : ''}">
+                            ${this.escapeHtml(form.word)}
+                            <span class="word-family-pos">${this.getPartOfSpeechLabel(form.pos)}</span>
+                        </span>
+                    `).join('')}
+                </div>
+                ${options.withCardLink ? `
+                    <button class="btn btn-secondary word-family-link" onclick="window.app.showWordFamilyCard('${family.id}')">
+                        ${t('family.openCard')}
+                    </button>
+                ` : ''}
+            </div>
+        `;
+    }
+    
+    getPartOfSpeechLabel(pos) {
+        const key = `family.pos.${pos}`;
+        const label = t(key);
+        return label !== key ? label : this.escapeHtml(pos);
+    }
+    
+    // Full family card: every form with its part of speech and an example,
+    // plus "add to review" for the forms that are in the word list
+    showWordFamilyCard(familyId) {
+        const vocab = window.toeicVocabulary;
+        const family = vocab && vocab.wordFamilies.get(familyId);
+        if (!family) return;
+        this.closeWordFamilyCard();
+        this.familyCardForms = family.forms;
+        const speakable = window.audioSystem && typeof window.audioSystem.speakWord === 'function';
+        
+        const overlay = document.createElement('div');
+        overlay.id = 'wordFamilyCard';
+        overlay.className = 'deck-dialog-overlay';
+        overlay.innerHTML = `
+            <div class="deck-dialog glass-effect" role="dialog" aria-modal="true" aria-labelledby="wordFamilyCardTitle">
+                <h3 id="wordFamilyCardTitle" class="diagnostic-applied-title">${t('family.cardTitle', { word: this.escapeHtml(family.id) })}</h3>
+                <div class="word-family-card-list">
+                    ${family.forms.map((form, index) => {
+                        const word = vocab.findWord(form.word);
+                        const data = word ? vocab.vocabulary.get(word) : null;
+                        const scheduled = word ? vocab.isQueuedOrScheduled(word) : false;
+                        return `
+                            <div class="word-family-card-form">
+                                <div class="word-popover-head">
+                                    <span class="word-popover-word">${this.escapeHtml(form.word)}</span>
+                                    <span class="dashboard-chip">${this.getPartOfSpeechLabel(form.pos)}</span>
+                                    ${speakable ? `<button class="dashboard-icon-btn" onclick="window.app.speakFamilyForm(${index})" aria-label="${t('define.pronounce')}">🔊</button>` : ''}
+                                </div>
+                                ${data ? `<p class="word-popover-meaning">${this.escapeHtml(data.meaning)}</p>` : ''}
+                                ${form.example ? `<p class="word-popover-example">"${this.escapeHtml(form.example)}"</p>` : ''}
+                                ${word ? `
+                                    <button id="familyReview${index}" onclick="window.app.addFamilyFormToReview(${index})" class="btn btn-secondary" ${scheduled ? 'disabled' : ''}>
+                                        ${scheduled ? t('define.inReview') : t('define.addToReview')}
+                                    </button>
+                                ` : ''}
+                            </div>
+                        `;
+                    }).join('')}
+                </div>
+                <div class="reading-actions">
+                    <button id="wordFamilyCardClose" onclick="window.app.closeWordFamilyCard()" class="btn btn-primary">${t('common.close')}</button>
+                </div>
+            </div>
+        `;
+        overlay.addEventListener('click', (e) => {
+            if (e.target === overlay) this.closeWordFamilyCard();
+        });
+        overlay.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') this.closeWordFamilyCard();
+        });
+        document.body.appendChild(overlay);
+        document.getElementById('wordFamilyCardClose')?.focus();
+    }
+    
+    closeWordFamilyCard() {
+        document.getElementById('wordFamilyCard')?.remove();
+    }
+    
+    speakFamilyForm(index) {
+        const form = this.familyCardForms && this.familyCardForms[index];
+        if (form && window.audioSystem) window.audioSystem.speakWord(form.word);
+    }
+    
+    addFamilyFormToReview(index) {
+        const vocab = window.toeicVocabulary;
+        const form = this.familyCardForms && this.familyCardForms[index];
+        const word = vocab && form ? vocab.findWord(form.word) : null;
+        if (!word) return;
+        const queued = vocab.queueForReview(word);
+        this.showNotification(queued ? t('define.addedToReview', { word }) : t('define.inReview'), 'success');
+        const button = document.getElementById(`familyReview${index}`);
+        if (button) {
+            button.disabled = true;
+            button.textContent = t('define.inReview');
+        }
+    }
+    
+    // Word forms drill: a vocabulary session over words with a family,
+    // each one asked as a word-form exercise
+    startWordFormsDrill() {
+        const vocab = window.toeicVocabulary;
+        if (!vocab) return;
+        const session = vocab.startSession({ wordCount: 20, mode: 'word_forms' });
+        if (!session || session.length === 0) {
+            this.showNotification(t('decks.nothingToStudy'), 'error');
+            return;
+        }
+        this.vocabularyExerciseType = 'word_form';
+        document.getElementById('toeicModuleContent')?.classList.add('hidden');
+        this.showTOEICVocabularyInterface(session);
+    }
+    
     showGrammarModule(options = {}) {
         const content = document.getElementById('toeicModuleContent');
         if (!content) return;
@@ -4329,6 +7868,14 @@ window.startVocabularySession = function() {
     }
 };
 
+window.startDiagnostic = function() {
+    if (window.app && window.toeicDiagnostic) {
+        window.app.startDiagnostic();
+    } else {
+        console.error('❌ TOEIC Diagnostic system not available');
+    }
+};
+
 window.startReadingSession = function() {
     if (window.app && window.toeicReading) {
         const session = window.toeicReading.startSession({ count: 20 });
@@ -0,0 +1,690 @@
+// Content Packs - versioned JSON files that add vocabulary, Part 1–7 items,
+// grammar rules and conversation scenarios without editing source files.
+// Packs are listed in assets/data/content-packs/index.json:
+//
+//   { "packs": [ { "path": "my-pack.json", "enabled": true }, ... ] }
+//
+// `enabled` is the default; students can switch packs on/off in the
+// settings panel (stored in localStorage 'toeicContentPacks', applied on
+// the next load). Pack shape — every section is optional:
+//
+//   {
+//     format: 'toeic-content-pack', formatVersion: 1,
+//     id: 'acme-business', name, version, description,
+//     vocabulary: [{ word, meaning, level, examples: [], category, frequency, partOfSpeech }],
+//     grammar: {
+//       categories: { key: { name, description, icon, color, difficulty } },
+//       rules:      [{ id, category, title, description, formula, examples, commonMistakes, toeicTips,
+//                      prerequisites }],   // prerequisites: rule ids that come first on the mastery map
+//       questions:  [{ id, category, difficulty, question, options: [4], correctAnswer, explanation, grammarRule,
+//                      wordFamily, distractorErrors }]   // wordFamily: id in assets/data/word-families.json;
+//                      // distractorErrors: error type per option, null for the key (see toeic-grammar-system.js)
+//     },
+//     reading: {
+//       passages:  [{ id, type, title, content, difficulty, category, linkedPassageId | linkedPassageIds: [] }],
+//                      // type 'chat': messages: [{ speaker, time, text }] instead of content
+//       questions: [{ id, passageId, type, subtype, question, options: [4], correctAnswer, explanation, difficulty,
+//                      evidence }]
+//                      // subtype: Part 7 question type (mainIdea, detail, inference, ...), optional
+//                      // evidence: where the answer is stated - a quote from the passage, a
+//                      // { passageId, start, end } character range, or an array of these; optional
+//     },
+//     listening: { part1, part2, part3, part4 },   // same schema as TOEIC_LISTENING_BANK
+//     part6: [...],                                 // same schema as TOEIC_PART6_BANK
+//     scenarios: [{ id, title, titleZh, icon, level, practiceRole, dialogue, usefulPhrases, questions }]
+//   }
+//
+// Grammar questions are Part 5 items, reading questions Part 7 (or Part 5/6
+// when typed incomplete_sentences/text_completion). Items whose id already
+// exists are skipped with a warning rather than replacing built-in content,
+// because progress is stored per id.
+
+const CONTENT_PACK_FORMAT = 'toeic-content-pack';
+const CONTENT_PACK_FORMAT_VERSIONS = [1];
+const CONTENT_PACK_MANIFEST_URL = 'assets/data/content-packs/index.json';
+const CONTENT_PACK_STATE_KEY = 'toeicContentPacks';
+
+const CONTENT_PACK_LEVELS = ['A1', 'A2', 'B1', 'B2', 'C1', 'C2'];
+const CONTENT_PACK_READING_TYPES = ['reading_comprehension', 'incomplete_sentences', 'text_completion'];
+
+// Part 7 question subtypes (READING_SUBTYPES in toeic-reading-system.js)
+const CONTENT_PACK_READING_SUBTYPES = [
+    'mainIdea', 'detail', 'inference', 'vocabInContext', 'notTrue',
+    'sentenceInsertion', 'crossReference', 'intent'
+];
+
+// Category keys of the built-in grammar bank, used when no
+// TOEICGrammarSystem instance is around yet (startup, Node scripts)
+const CONTENT_PACK_GRAMMAR_CATEGORIES = [
+    'tenses', 'passive_voice', 'conditionals', 'modals', 'prepositions',
+    'articles', 'relative_clauses', 'gerunds_infinitives', 'comparatives', 'conjunctions', 'word_forms'
+];
+
+// Error types a grammar distractor can be tagged with (GRAMMAR_ERROR_TYPES)
+const CONTENT_PACK_ERROR_TYPES = [
+    'tense', 'voice', 'agreement', 'word_form', 'verb_pattern', 'modal', 'conditional',
+    'preposition', 'article', 'relative_pronoun', 'comparison', 'conjunction', 'other'
+];
+
+/**
+ * Check a parsed pack against the format. Pure (no DOM/storage), so the
+ * Node scripts can reuse it. `known` optionally lists ids that exist
+ * outside the pack ({ grammarRules, grammarCategories, passages,
+ * wordFamilies }); a reference that resolves to neither the pack nor a
+ * provided list is an error, and is only a warning when that list wasn't
+ * provided. Packs don't define word families, so wordFamily ids are only
+ * checked when the list is given.
+ * Returns { errors: [...], warnings: [...] } with "path: message" strings.
+ */
+function validateContentPack(pack, known = {}) {
+    const errors = [];
+    const warnings = [];
+    const error = (path, message) => errors.push(`${path}: ${message}`);
+    const warn = (path, message) => warnings.push(`${path}: ${message}`);
+
+    if (!pack || typeof pack !== 'object' || Array.isArray(pack)) {
+        return { errors: ['(root): pack must be a JSON object'], warnings };
+    }
+    if (pack.format !== CONTENT_PACK_FORMAT) {
+        error('format', `must be "${CONTENT_PACK_FORMAT}"`);
+    }
+    if (!CONTENT_PACK_FORMAT_VERSIONS.includes(pack.formatVersion)) {
+        error('formatVersion', `unsupported version ${JSON.stringify(pack.formatVersion)} (supported: ${CONTENT_PACK_FORMAT_VERSIONS.join(', ')})`);
+    }
+    if (typeof pack.id !== 'string' || !/^[a-z0-9][a-z0-9._-]*$/i.test(pack.id)) {
+        error('id', 'must be a non-empty string of letters, digits, ".", "_" or "-"');
+    }
+    if (typeof pack.name !== 'string' || !pack.name.trim()) {
+        error('name', 'must be a non-empty string');
+    }
+
+    const isText = value => typeof value === 'string' && value.trim().length > 0;
+    const requireText = (path, value) => {
+        if (!isText(value)) error(path, 'must be a non-empty string');
+    };
+    const requireArray = (path, value) => {
+        if (value === undefined) return false;
+        if (!Array.isArray(value)) {
+            error(path, 'must be an array');
+            return false;
+        }
+        return true;
+    };
+    const checkLevel = (path, value) => {
+        if (value !== undefined && !CONTENT_PACK_LEVELS.includes(value)) {
+            error(path, `must be one of ${CONTENT_PACK_LEVELS.join(', ')}`);
+        }
+    };
+    const checkChoice = (path, item, optionCount) => {
+        if (!Array.isArray(item.options) || item.options.length !== optionCount || !item.options.every(isText)) {
+            error(`${path}.options`, `must be ${optionCount} non-empty strings`);
+        }
+        if (!Number.isInteger(item.correctAnswer) || item.correctAnswer < 0 || item.correctAnswer >= optionCount) {
+            error(`${path}.correctAnswer`, `must be an index from 0 to ${optionCount - 1}`);
+        }
+    };
+    const seenIds = new Map();
+    const checkId = (path, id, namespace) => {
+        if (!isText(id)) {
+            error(`${path}.id`, 'must be a non-empty string');
+            return;
+        }
+        const key = `${namespace}:${id}`;
+        if (seenIds.has(key)) {
+            error(`${path}.id`, `duplicate id "${id}" (also at ${seenIds.get(key)})`);
+        } else {
+            seenIds.set(key, path);
+        }
+    };
+
+    if (requireArray('vocabulary', pack.vocabulary)) {
+        pack.vocabulary.forEach((entry, i) => {
+            const path = `vocabulary[${i}]`;
+            requireText(`${path}.word`, entry && entry.word);
+            requireText(`${path}.meaning`, entry && entry.meaning);
+            if (!entry) return;
+            checkLevel(`${path}.level`, entry.level);
+            if (entry.examples !== undefined && (!Array.isArray(entry.examples) || !entry.examples.every(isText))) {
+                error(`${path}.examples`, 'must be an array of strings');
+            }
+            if (entry.frequency !== undefined && !['high', 'medium', 'low'].includes(entry.frequency)) {
+                error(`${path}.frequency`, 'must be "high", "medium" or "low"');
+            }
+            if (isText(entry.word)) checkId(path, entry.word.trim().toLowerCase(), 'word');
+        });
+    }
+
+    const grammar = pack.grammar || {};
+    const categoryKeys = new Set([
+        ...(known.grammarCategories || CONTENT_PACK_GRAMMAR_CATEGORIES),
+        ...Object.keys(grammar.categories || {})
+    ]);
+    Object.entries(grammar.categories || {}).forEach(([key, category]) => {
+        requireText(`grammar.categories.${key}.name`, category && category.name);
+        if (category) checkLevel(`grammar.categories.${key}.difficulty`, category.difficulty);
+    });
+    const ruleIds = new Set(known.grammarRules || []);
+    const familyIds = new Set(known.wordFamilies || []);
+    if (requireArray('grammar.rules', grammar.rules)) {
+        grammar.rules.forEach((rule, i) => {
+            const path = `grammar.rules[${i}]`;
+            if (!rule) return error(path, 'must be an object');
+            checkId(path, rule.id, 'rule');
+            requireText(`${path}.title`, rule.title);
+            if (!categoryKeys.has(rule.category)) error(`${path}.category`, `unknown grammar category "${rule.category}"`);
+            if (isText(rule.id)) ruleIds.add(rule.id);
+        });
+        // After the loop so a rule may build on one listed later in the pack
+        grammar.rules.forEach((rule, i) => {
+            if (!rule || rule.prerequisites === undefined) return;
+            const path = `grammar.rules[${i}].prerequisites`;
+            if (!Array.isArray(rule.prerequisites)) return error(path, 'must be an array of rule ids');
+            rule.prerequisites.forEach((req, j) => {
+                if (req === rule.id) {
+                    error(`${path}[${j}]`, 'a rule cannot be its own prerequisite');
+                } else if (!ruleIds.has(req)) {
+                    (known.grammarRules ? error : warn)(`${path}[${j}]`, `"${req}" is not a rule in this pack${known.grammarRules ? ' or the built-in rules' : ''}`);
+                }
+            });
+        });
+        // A prerequisite cycle would lock its rules on the mastery map forever
+        const requires = new Map(grammar.rules
+            .filter(rule => rule && isText(rule.id) && Array.isArray(rule.prerequisites))
+            .map(rule => [rule.id, rule.prerequisites]));
+        const reaches = (from, target, seen = new Set()) => (requires.get(from) || []).some(req =>
+            req === target || (!seen.has(req) && seen.add(req) && reaches(req, target, seen)));
+        grammar.rules.forEach((rule, i) => {
+            if (rule && requires.has(rule.id) && reaches(rule.id, rule.id)) {
+                error(`grammar.rules[${i}].prerequisites`, `"${rule.id}" is part of a prerequisite cycle`);
+            }
+        });
+    }
+    if (requireArray('grammar.questions', grammar.questions)) {
+        grammar.questions.forEach((q, i) => {
+            const path = `grammar.questions[${i}]`;
+            if (!q) return error(path, 'must be an object');
+            checkId(path, q.id, 'grammarQuestion');
+            requireText(`${path}.question`, q.question);
+            checkChoice(path, q, 4);
+            checkLevel(`${path}.difficulty`, q.difficulty);
+            if (!categoryKeys.has(q.category)) error(`${path}.category`, `unknown grammar category "${q.category}"`);
+            if (q.grammarRule !== undefined && !ruleIds.has(q.grammarRule)) {
+                (known.grammarRules ? error : warn)(`${path}.grammarRule`, `"${q.grammarRule}" is not a rule in this pack${known.grammarRules ? ' or the built-in rules' : ''}`);
+            }
+            if (q.wordFamily !== undefined && !isText(q.wordFamily)) {
+                error(`${path}.wordFamily`, 'must be a word family id');
+            } else if (q.wordFamily !== undefined && known.wordFamilies && !familyIds.has(q.wordFamily)) {
+                error(`${path}.wordFamily`, `"${q.wordFamily}" is not a family in word-families.json`);
+            }
+            if (q.distractorErrors !== undefined) {
+                if (!Array.isArray(q.distractorErrors) || q.distractorErrors.length !== 4) {
+                    error(`${path}.distractorErrors`, 'must list an error type (or null) for each of the 4 options');
+                } else {
+                    q.distractorErrors.forEach((type, j) => {
+                        if (type !== null && !CONTENT_PACK_ERROR_TYPES.includes(type)) {
+                            error(`${path}.distractorErrors[${j}]`, `unknown error type "${type}"`);
+                        }
+                    });
+                }
+            }
+        });
+    }
+
+    const reading = pack.reading || {};
+    const passageIds = new Set(known.passages || []);
+    if (requireArray('reading.passages', reading.passages)) {
+        reading.passages.forEach((passage, i) => {
+            const path = `reading.passages[${i}]`;
+            if (!passage) return error(path, 'must be an object');
+            checkId(path, passage.id, 'passage');
+            // Chats carry a message list instead of (or besides) content
+            if (passage.type === 'chat' || passage.messages !== undefined) {
+                if (!Array.isArray(passage.messages) || passage.messages.length === 0) {
+                    error(`${path}.messages`, 'must be a non-empty array of { speaker, time, text }');
+                } else {
+                    passage.messages.forEach((message, j) => {
+                        if (!message || !isText(message.speaker) || !isText(message.text)) {
+                            error(`${path}.messages[${j}]`, 'needs a speaker and text');
+                        } else if (message.time !== undefined && !isText(message.time)) {
+                            error(`${path}.messages[${j}].time`, 'must be a string such as "9:12 A.M."');
+                        }
+                    });
+                }
+            } else {
+                requireText(`${path}.content`, passage.content);
+            }
+            checkLevel(`${path}.difficulty`, passage.difficulty);
+            if (isText(passage.id)) passageIds.add(passage.id);
+        });
+        reading.passages.forEach((passage, i) => {
+            if (passage && passage.linkedPassageId !== undefined && !passageIds.has(passage.linkedPassageId)) {
+                (known.passages ? error : warn)(`reading.passages[${i}].linkedPassageId`, `"${passage.linkedPassageId}" is not a passage in this pack${known.passages ? ' or the built-in passages' : ''}`);
+            }
+            // Triple (or longer) sets list every companion text in order
+            if (passage && passage.linkedPassageIds !== undefined) {
+                const path = `reading.passages[${i}].linkedPassageIds`;
+                if (!Array.isArray(passage.linkedPassageIds) || passage.linkedPassageIds.length === 0) {
+                    return error(path, 'must be a non-empty array of passage ids');
+                }
+                passage.linkedPassageIds.forEach((id, j) => {
+                    if (id === passage.id) {
+                        error(`${path}[${j}]`, 'a passage cannot link to itself');
+                    } else if (!passageIds.has(id)) {
+                        (known.passages ? error : warn)(`${path}[${j}]`, `"${id}" is not a passage in this pack${known.passages ? ' or the built-in passages' : ''}`);
+                    }
+                });
+            }
+        });
+    }
+    // Answer evidence (TOEICReadingSystem.getEvidenceSpans): a quote must
+    // occur verbatim in the question's passage or a companion text, and a
+    // { passageId, start, end } range must fit inside that text. Chat quotes
+    // are checked message by message; chat ranges count through the
+    // "Name (time): text" transcript the reading system builds from them
+    // (formatChatContent) and must sit inside a single message's text.
+    const packPassages = new Map((Array.isArray(reading.passages) ? reading.passages : [])
+        .filter(p => p && isText(p.id))
+        .map(p => [p.id, p]));
+    const chatLine = m => `${m && m.speaker}${m && m.time ? ` (${m.time})` : ''}: ${m && m.text}`;
+    const passageText = passage => isText(passage.content) ? passage.content
+        : (Array.isArray(passage.messages) ? passage.messages.map(chatLine).join('\n') : '');
+    const withinOneMessage = (passage, start, end) => {
+        let lineStart = 0;
+        return passage.messages.some(m => {
+            const line = chatLine(m);
+            const textStart = lineStart + line.length - String(m && m.text).length;
+            lineStart += line.length + 1;
+            return start >= textStart && end <= textStart + String(m && m.text).length;
+        });
+    };
+    const checkEvidence = (path, q) => {
+        const entries = [].concat(q.evidence);
+        const main = packPassages.get(q.passageId);
+        if (!main) {
+            return warn(`${path}.evidence`, `can't be checked: "${q.passageId}" is not a passage in this pack`);
+        }
+        const linked = [].concat(main.linkedPassageIds || main.linkedPassageId || []);
+        const documents = [main, ...linked.map(id => packPassages.get(id)).filter(Boolean)];
+        entries.forEach((entry, j) => {
+            const entryPath = Array.isArray(q.evidence) ? `${path}.evidence[${j}]` : `${path}.evidence`;
+            if (typeof entry === 'string') {
+                if (!isText(entry)) return error(entryPath, 'must be a non-empty quote');
+                const found = documents.some(p => Array.isArray(p.messages)
+                    ? p.messages.some(m => m && String(m.text).includes(entry))
+                    : isText(p.content) && p.content.includes(entry));
+                if (!found) error(entryPath, `"${entry}" does not appear in passage "${q.passageId}"${documents.length > 1 ? ' or its companion texts' : ''}`);
+                return;
+            }
+            if (!entry || !Number.isInteger(entry.start) || !Number.isInteger(entry.end) || entry.start < 0 || entry.end <= entry.start) {
+                return error(entryPath, 'must be a quote or { passageId, start, end } with 0 <= start < end');
+            }
+            const target = entry.passageId === undefined ? main : documents.find(p => p.id === entry.passageId);
+            if (!target) {
+                error(`${entryPath}.passageId`, `"${entry.passageId}" is not "${q.passageId}" or one of its companion texts`);
+            } else if (entry.end > passageText(target).length) {
+                error(`${entryPath}.end`, `is past the end of passage "${target.id}" (${passageText(target).length} characters)`);
+            } else if (!isText(target.content) && Array.isArray(target.messages) && !withinOneMessage(target, entry.start, entry.end)) {
+                error(entryPath, `${entry.start}–${entry.end} is not inside a single message's text in chat "${target.id}"`);
+            }
+        });
+    };
+    if (requireArray('reading.questions', reading.questions)) {
+        reading.questions.forEach((q, i) => {
+            const path = `reading.questions[${i}]`;
+            if (!q) return error(path, 'must be an object');
+            checkId(path, q.id, 'readingQuestion');
+            requireText(`${path}.question`, q.question);
+            checkChoice(path, q, 4);
+            checkLevel(`${path}.difficulty`, q.difficulty);
+            const type = q.type || 'reading_comprehension';
+            if (!CONTENT_PACK_READING_TYPES.includes(type)) {
+                error(`${path}.type`, `must be one of ${CONTENT_PACK_READING_TYPES.join(', ')}`);
+            }
+            if (type === 'reading_comprehension' && !isText(q.passageId)) {
+                error(`${path}.passageId`, 'is required for reading_comprehension questions');
+            } else if (type === 'reading_comprehension' && !passageIds.has(q.passageId)) {
+                (known.passages ? error : warn)(`${path}.passageId`, `"${q.passageId}" is not a passage in this pack${known.passages ? ' or the built-in passages' : ''}`);
+            }
+            if (q.subtype !== undefined && !(type === 'reading_comprehension' && CONTENT_PACK_READING_SUBTYPES.includes(q.subtype))) {
+                error(`${path}.subtype`, type === 'reading_comprehension'
+                    ? `must be one of ${CONTENT_PACK_READING_SUBTYPES.join(', ')}`
+                    : 'is only used on reading_comprehension questions');
+            }
+            // Sentence insertion: the stem quotes the sentence, the options are
+            // the passage's [1]-[4] markers
+            if (q.subtype === 'sentenceInsertion') {
+                if (!/"[^"]+"\s*$/.test(q.question || '')) {
+                    error(`${path}.question`, 'must end with the quoted sentence to insert');
+                }
+                if (!Array.isArray(q.options) || q.options.some((option, j) => option !== `[${j + 1}]`)) {
+                    error(`${path}.options`, 'must be "[1]", "[2]", "[3]", "[4]" for sentenceInsertion');
+                }
+                const passage = (Array.isArray(reading.passages) ? reading.passages : []).find(p => p && p.id === q.passageId);
+                if (passage && isText(passage.content) && ![1, 2, 3, 4].every(n => passage.content.includes(`[${n}]`))) {
+                    error(`${path}.passageId`, `passage "${q.passageId}" must mark positions [1] to [4]`);
+                }
+            }
+            // Intent questions on a chat quote one of its messages
+            const chat = (Array.isArray(reading.passages) ? reading.passages : [])
+                .find(p => p && p.id === q.passageId && Array.isArray(p.messages));
+            const quote = /"([^"]+)"/.exec(q.question || '');
+            if (q.subtype === 'intent' && chat && (!quote || !chat.messages.some(message => message && String(message.text).includes(quote[1])))) {
+                error(`${path}.question`, `must quote a message of chat "${q.passageId}"`);
+            }
+            if (q.evidence !== undefined) checkEvidence(path, q);
+        });
+    }
+
+    const listening = pack.listening || {};
+    const checkSet = (path, item, textField, textIsArray) => {
+        if (!item) return error(path, 'must be an object');
+        const text = item[textField];
+        if (textIsArray ? !(Array.isArray(text) && text.length > 0 && text.every(line => line && isText(line.text)))
+            : !isText(text)) {
+            error(`${path}.${textField}`, textIsArray ? 'must be a non-empty array of { speaker, text }' : 'must be a non-empty string');
+        }
+        if (!Array.isArray(item.questions) || item.questions.length === 0) {
+            error(`${path}.questions`, 'must be a non-empty array');
+            return;
+        }
+        item.questions.forEach((q, qi) => {
+            requireText(`${path}.questions[${qi}].question`, q && q.question);
+            if (q) checkChoice(`${path}.questions[${qi}]`, q, 4);
+        });
+    };
+    if (requireArray('listening.part1', listening.part1)) {
+        listening.part1.forEach((item, i) => {
+            const path = `listening.part1[${i}]`;
+            if (!item) return error(path, 'must be an object');
+            requireText(`${path}.scene`, item.scene);
+            checkChoice(path, { options: item.statements, correctAnswer: item.correctAnswer }, 4);
+        });
+    }
+    if (requireArray('listening.part2', listening.part2)) {
+        listening.part2.forEach((item, i) => {
+            const path = `listening.part2[${i}]`;
+            if (!item) return error(path, 'must be an object');
+            requireText(`${path}.question`, item.question);
+            checkChoice(path, { options: item.responses, correctAnswer: item.correctAnswer }, 3);
+        });
+    }
+    if (requireArray('listening.part3', listening.part3)) {
+        listening.part3.forEach((item, i) => checkSet(`listening.part3[${i}]`, item, 'conversation', true));
+    }
+    if (requireArray('listening.part4', listening.part4)) {
+        listening.part4.forEach((item, i) => checkSet(`listening.part4[${i}]`, item, 'talk', false));
+    }
+    if (requireArray('part6', pack.part6)) {
+        pack.part6.forEach((item, i) => checkSet(`part6[${i}]`, item, 'passage', false));
+    }
+
+    if (requireArray('scenarios', pack.scenarios)) {
+        pack.scenarios.forEach((scenario, i) => {
+            const path = `scenarios[${i}]`;
+            if (!scenario) return error(path, 'must be an object');
+            checkId(path, scenario.id, 'scenario');
+            requireText(`${path}.title`, scenario.title);
+            checkLevel(`${path}.level`, scenario.level);
+            if (!Array.isArray(scenario.dialogue) || scenario.dialogue.length === 0 ||
+                !scenario.dialogue.every(line => line && isText(line.speaker) && isText(line.text))) {
+                error(`${path}.dialogue`, 'must be a non-empty array of { speaker, text }');
+            } else if (scenario.practiceRole !== undefined &&
+                !scenario.dialogue.some(line => line.speaker === scenario.practiceRole)) {
+                error(`${path}.practiceRole`, `"${scenario.practiceRole}" never speaks in the dialogue`);
+            }
+            if (scenario.usefulPhrases !== undefined && (!Array.isArray(scenario.usefulPhrases) ||
+                !scenario.usefulPhrases.every(p => p && isText(p.phrase) && isText(p.meaning)))) {
+                error(`${path}.usefulPhrases`, 'must be an array of { phrase, meaning }');
+            }
+            if (!Array.isArray(scenario.questions) || scenario.questions.length === 0) {
+                error(`${path}.questions`, 'must be a non-empty array');
+            } else {
+                scenario.questions.forEach((q, qi) => {
+                    requireText(`${path}.questions[${qi}].question`, q && q.question);
+                    if (q) checkChoice(`${path}.questions[${qi}]`, q, Array.isArray(q.options) && q.options.length >= 2 ? q.options.length : 4);
+                });
+            }
+        });
+    }
+
+    return { errors, warnings };
+}
+
+// Item counts per section, for the settings list and the load log
+function countContentPackItems(pack) {
+    const listening = pack.listening || {};
+    const setQuestions = sets => (sets || []).reduce((sum, set) => sum + ((set && set.questions) || []).length, 0);
+    return {
+        vocabulary: (pack.vocabulary || []).length,
+        grammar: ((pack.grammar && pack.grammar.questions) || []).length,
+        reading: ((pack.reading && pack.reading.questions) || []).length,
+        listening: (listening.part1 || []).length + (listening.part2 || []).length +
+            setQuestions(listening.part3) + setQuestions(listening.part4),
+        part6: setQuestions(pack.part6),
+        scenarios: (pack.scenarios || []).length
+    };
+}
+
+class ContentPackLoader {
+    constructor() {
+        // id → { id, name, version, description, path, enabled, status, errors, warnings, counts, pack }
+        this.packs = new Map();
+        this.applied = false;
+
+        // App init awaits this before the TOEIC systems read their banks
+        this.ready = typeof fetch === 'function' ? this.loadManifest() : Promise.resolve([]);
+    }
+
+    loadState() {
+        try {
+            const state = JSON.parse(localStorage.getItem(CONTENT_PACK_STATE_KEY) || '{}');
+            return {
+                enabled: Array.isArray(state.enabled) ? state.enabled : [],
+                disabled: Array.isArray(state.disabled) ? state.disabled : []
+            };
+        } catch (error) {
+            console.error('❌ Error loading content pack settings:', error);
+            return { enabled: [], disabled: [] };
+        }
+    }
+
+    // Explicit choices only; packs the student never touched follow the manifest default
+    setEnabled(id, enabled) {
+        const state = this.loadState();
+        state.enabled = state.enabled.filter(packId => packId !== id);
+        state.disabled = state.disabled.filter(packId => packId !== id);
+        (enabled ? state.enabled : state.disabled).push(id);
+        try {
+            localStorage.setItem(CONTENT_PACK_STATE_KEY, JSON.stringify(state));
+        } catch (error) {
+            console.error('❌ Error saving content pack settings:', error);
+        }
+        const entry = this.packs.get(id);
+        if (entry) entry.enabled = enabled;
+    }
+
+    async loadManifest(url = CONTENT_PACK_MANIFEST_URL) {
+        let manifest;
+        try {
+            const response = await fetch(url);
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+            manifest = await response.json();
+        } catch (error) {
+            console.warn('⚠️ No content pack manifest loaded:', error.message);
+            return this.listPacks();
+        }
+
+        const baseUrl = url.slice(0, url.lastIndexOf('/') + 1);
+        const state = this.loadState();
+        const entries = Array.isArray(manifest && manifest.packs) ? manifest.packs : [];
+
+        // Sequential so packs merge in manifest order (listening ids are positional)
+        for (const entry of entries) {
+            const path = typeof entry === 'string' ? entry : entry && entry.path;
+            if (!path) continue;
+            const defaultEnabled = typeof entry === 'string' || entry.enabled !== false;
+            await this.loadPack(baseUrl + path, path, defaultEnabled, state);
+        }
+
+        const active = this.listPacks().filter(p => p.enabled && p.status === 'loaded').length;
+        console.log(`✅ Loaded ${this.packs.size} content packs (${active} enabled)`);
+        return this.listPacks();
+    }
+
+    async loadPack(url, path, defaultEnabled, state = this.loadState()) {
+        let pack;
+        try {
+            const response = await fetch(url);
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+            pack = await response.json();
+        } catch (error) {
+            // Keyed by path — a pack we couldn't read has no trustworthy id
+            console.error(`❌ Skipping content pack "${path}":`, error.message);
+            this.packs.set(path, {
+                id: path, name: path, path, enabled: false, status: 'error',
+                errors: [error.message], warnings: [], counts: null, pack: null
+            });
+            return null;
+        }
+        return this.registerPack(pack, path, defaultEnabled, state);
+    }
+
+    // Validate and record a parsed pack; invalid packs are listed but never applied
+    registerPack(pack, path, defaultEnabled = true, state = this.loadState()) {
+        const { errors, warnings } = validateContentPack(pack, this.getKnownIds());
+        const id = pack && typeof pack.id === 'string' && pack.id ? pack.id : path;
+
+        if (this.packs.has(id)) {
+            errors.push(`id: another pack already uses "${id}" (${this.packs.get(id).path})`);
+        }
+
+        const enabled = state.disabled.includes(id) ? false
+            : state.enabled.includes(id) ? true
+                : defaultEnabled;
+        const entry = {
+            id,
+            name: (pack && pack.name) || id,
+            version: (pack && pack.version) || '',
+            description: (pack && pack.description) || '',
+            path,
+            enabled,
+            status: errors.length > 0 ? 'invalid' : 'loaded',
+            errors,
+            warnings,
+            counts: errors.length > 0 ? null : countContentPackItems(pack),
+            pack: errors.length > 0 ? null : pack
+        };
+        this.packs.set(errors.length > 0 && this.packs.has(id) ? path : id, entry);
+
+        if (errors.length > 0) {
+            console.error(`❌ Content pack "${path}" has ${errors.length} error(s):\n  ${errors.join('\n  ')}`);
+        }
+        warnings.forEach(message => console.warn(`⚠️ Content pack "${id}": ${message}`));
+        return entry;
+    }
+
+    // Ids that exist outside this pack (earlier packs, plus built-in content
+    // once the systems exist — at startup they don't yet, so unresolved
+    // rule/passage references are only warned about and checked on merge)
+    getKnownIds() {
+        const grammar = (typeof window !== 'undefined' && window.toeicGrammar) || null;
+        const reading = (typeof window !== 'undefined' && window.toeicReading) || null;
+        const vocabulary = (typeof window !== 'undefined' && window.toeicVocabulary) || null;
+        const packRules = [];
+        const packCategories = [];
+        const packPassages = [];
+        this.getActivePacks().forEach(pack => {
+            ((pack.grammar && pack.grammar.rules) || []).forEach(rule => packRules.push(rule.id));
+            Object.keys((pack.grammar && pack.grammar.categories) || {}).forEach(key => packCategories.push(key));
+            ((pack.reading && pack.reading.passages) || []).forEach(passage => packPassages.push(passage.id));
+        });
+        return {
+            grammarRules: grammar ? [...grammar.grammarRules.keys(), ...packRules] : undefined,
+            grammarCategories: [
+                ...(grammar ? Object.keys(grammar.getGrammarCategories()) : CONTENT_PACK_GRAMMAR_CATEGORIES),
+                ...packCategories
+            ],
+            passages: reading ? [...reading.passages.keys(), ...packPassages] : undefined,
+            // Families load with the word list; until then they aren't checked
+            wordFamilies: vocabulary && vocabulary.wordFamilies.size > 0 ? [...vocabulary.wordFamilies.keys()] : undefined
+        };
+    }
+
+    getActivePacks() {
+        return Array.from(this.packs.values())
+            .filter(entry => entry.enabled && entry.status === 'loaded')
+            .map(entry => entry.pack);
+    }
+
+    listPacks() {
+        return Array.from(this.packs.values()).map(({ pack, ...info }) => info);
+    }
+
+    // Parts 1–4 and 6 are read from the window banks when the listening
+    // system and the simulator build their questions, so these have to be
+    // appended before TOEICListeningSystem is constructed
+    applyStaticBanks() {
+        if (typeof window === 'undefined') return;
+        const listening = window.TOEIC_LISTENING_BANK || (window.TOEIC_LISTENING_BANK = {});
+        const part6 = window.TOEIC_PART6_BANK || (window.TOEIC_PART6_BANK = []);
+
+        this.getActivePacks().forEach(pack => {
+            ['part1', 'part2', 'part3', 'part4'].forEach(part => {
+                const items = (pack.listening && pack.listening[part]) || [];
+                if (items.length === 0) return;
+                listening[part] = (listening[part] || []).concat(items);
+            });
+            part6.push(...(pack.part6 || []));
+        });
+    }
+
+    // Merge into the Maps the systems own. Vocabulary and reading load
+    // asynchronously, so wait for them or their loaders would run after us.
+    async applyToSystems(systems = {}) {
+        if (this.applied) return;
+        this.applied = true;
+        // Nothing to merge — don't hold app start-up on the async loads
+        if (this.getActivePacks().length === 0) return;
+
+        const { vocabulary, grammar, reading, conversation } = systems;
+        if (vocabulary && vocabulary.ready) await vocabulary.ready;
+        if (reading && reading.ready) await reading.ready;
+
+        for (const entry of this.packs.values()) {
+            if (!entry.enabled || entry.status !== 'loaded') continue;
+            const pack = entry.pack;
+            const skipped = [];
+
+            if (vocabulary && pack.vocabulary) {
+                skipped.push(...vocabulary.addWords(pack.vocabulary, entry.id));
+            }
+            if (grammar && pack.grammar) {
+                skipped.push(...grammar.addContent(pack.grammar, entry.id));
+            }
+            if (reading && pack.reading) {
+                skipped.push(...reading.addContent(pack.reading, entry.id));
+            }
+            if (conversation && pack.scenarios) {
+                skipped.push(...conversation.addScenarios(pack.scenarios, entry.id));
+            }
+
+            if (skipped.length > 0) {
+                entry.warnings.push(`skipped ${skipped.length} item(s): ${skipped.slice(0, 5).join('; ')}${skipped.length > 5 ? '; …' : ''}`);
+                console.warn(`⚠️ Content pack "${entry.id}" skipped items:`, skipped);
+            }
+        }
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ContentPackLoader, validateContentPack, countContentPackItems };
+} else {
+    window.ContentPackLoader = ContentPackLoader;
+    window.validateContentPack = validateContentPack;
+    window.contentPacks = new ContentPackLoader();
+}
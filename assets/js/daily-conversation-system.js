@@ -621,6 +621,27 @@ class DailyConversationSystem {
     // Progress persistence
     // ---------------------------------------------------------------
 
+    // Merge a content pack's scenarios (see content-pack-loader.js).
+    // Existing ids are kept; returns descriptions of the skipped ones.
+    addScenarios(scenarios = [], source = null) {
+        const skipped = [];
+        scenarios.forEach(scenario => {
+            if (this.scenarios.some(s => s.id === scenario.id)) {
+                skipped.push(`scenario ${scenario.id} (id exists)`);
+                return;
+            }
+            this.scenarios.push({
+                icon: '💬',
+                level: 'B1',
+                usefulPhrases: [],
+                questions: [],
+                ...scenario,
+                source
+            });
+        });
+        return skipped;
+    }
+
     loadProgress() {
         try {
             return JSON.parse(localStorage.getItem('dailyConversationProgress')) || {};
@@ -84,6 +84,23 @@ class LanguageManager {
                 'settings.highContrast': 'High Contrast',
                 'settings.reducedMotion': 'Reduced Motion',
                 'settings.resetDefaults': 'Reset to Defaults',
+                'settings.reviewSection': 'Review Scheduling',
+                'settings.scheduler': 'Scheduler',
+                'settings.schedulerSm2': 'SM-2 (classic intervals)',
+                'settings.schedulerFsrs': 'FSRS (memory model)',
+                'settings.targetRetention': 'Target Retention',
+                'settings.targetRetentionDesc': 'Higher means more reviews and fewer forgotten words',
+                'settings.contentSection': 'Content Packs',
+                'settings.packInvalid': 'Not loaded — fix the errors below',
+                'settings.packMoreErrors': '…and {count} more (see console)',
+                'settings.packReloadNote': 'Changes take effect after the app reloads.',
+                'settings.reloadNow': 'Reload now',
+                'settings.packSection.vocabulary': 'Words',
+                'settings.packSection.grammar': 'Grammar',
+                'settings.packSection.reading': 'Reading',
+                'settings.packSection.listening': 'Listening',
+                'settings.packSection.part6': 'Part 6',
+                'settings.packSection.scenarios': 'Scenarios',
                 'settings.dataSection': 'My Data',
                 'settings.exportProgress': 'Export Progress (backup file)',
                 'settings.importProgress': 'Import Progress (restore backup)',
@@ -109,12 +126,17 @@ class LanguageManager {
                 'dashboard.testsTaken': 'Tests Taken',
                 'dashboard.bestScore': 'Best',
                 'dashboard.conversationsDone': 'Conversations',
+                'dashboard.yourLevel': 'Your Level',
+                'dashboard.findLevel': 'Find your level',
+                'dashboard.findLevelDesc': 'A 20–30 minute adaptive test places you and tailors what to study first',
+                'dashboard.estimatedScore': 'Estimated TOEIC score',
                 'listening.startPractice': 'Start Listening Practice',
                 'vocab.tapHint': 'Tap the card or press Space to reveal the meaning',
                 'grammar.keyboardHint': 'Keys 1-4 answer · Enter continues',
                 'reading.doublePassage': 'DOUBLE PASSAGE',
                 'reading.text1': 'TEXT 1',
                 'reading.text2': 'TEXT 2',
+                'reading.text3': 'TEXT 3',
                 'reading.questionsRefer': 'Questions {start}–{end} refer to the following text.',
                 'reading.questionRefers': 'Question {n} refers to the following text.',
                 'reading.instrPart5': 'Select the best word or phrase to complete the sentence.',
@@ -127,9 +149,18 @@ class LanguageManager {
                 'reading.docType.memo': 'MEMO',
                 'reading.docType.letter': 'LETTER',
                 'reading.docType.form': 'SCHEDULE',
+                'reading.docType.order': 'ORDER FORM',
+                'reading.docType.textChain': 'TEXT-MESSAGE CHAIN',
+                'reading.docType.chat': 'ONLINE CHAT DISCUSSION',
                 'reading.docType.text': 'TEXT',
+                'reading.evidenceShown': 'The highlighted text in the passage is where the answer comes from.',
                 'listening.practiceDesc': 'Answer TOEIC-style listening questions with full transcripts',
                 'flashcards.settingsDesc': 'Adjust your flashcard review preferences',
+                'flashcards.levelFilter': 'New word levels',
+                'flashcards.levelFilterDesc': 'Choose which levels new words are drawn from',
+                'flashcards.levelFilterNote': 'Words you have already started are still reviewed whatever their level.',
+                'flashcards.levelWordCount': '{count} words',
+                'flashcards.settingsSaved': 'Flashcard settings saved',
                 'grammar.practiceAllDesc': 'Work through questions from every grammar category',
                 'grammar.mixedPracticeDesc': 'A shuffled mix of questions across categories',
                 'grammar.viewRulesDesc': 'Browse the grammar rules reference',
@@ -380,6 +411,127 @@ class LanguageManager {
                 'test.complete': 'Test Complete!',
                 'test.estimatedLevel': 'Estimated level',
                 'test.toeicScore': 'TOEIC Score',
+                'test.scoreRange': 'Likely range',
+                'test.sectionListening': 'Listening',
+                'test.sectionReading': 'Reading',
+                'test.confidenceBand': '{level}% confidence band: {low}–{high}',
+                'test.sectionScore': '{section}: {score} ({low}–{high})',
+                'test.scoreTable': 'Score conversion table',
+                'test.scoreTableNote': 'Scored with the "{name}" conversion table',
+                'test.resumeTest': 'Resume Test',
+                'test.discardTest': 'Discard Test',
+                'test.discardConfirm': 'Discard the unfinished test? Your answers will be lost.',
+                'test.resumePromptTitle': 'You have an unfinished test',
+                'test.resumeSummary': '{test} · {answered}/{total} answered · {time} left',
+                'test.resumeExpired': '{test} · {answered}/{total} answered · time is up',
+                'test.resumePolicy': 'While the app is closed during a test',
+                'test.resumePolicyPause': 'Pause the clock',
+                'test.resumePolicyContinue': 'Keep the clock running (exam rules)',
+                'test.resumePolicyPauseNote': 'The clock was paused while the app was closed.',
+                'test.resumePolicyContinueNote': 'The clock kept running while the app was closed.',
+                'test.examMode': 'Full test timing',
+                'test.examModeOff': 'Self-paced — one clock, replayable audio',
+                'test.examModeOn': 'Exam-realistic — audio-paced listening, separate reading clock',
+                'test.examModeNote': 'Exam-realistic: listening audio plays once and moves on by itself after a fixed answer window (5 s for Parts 1–2, 8 s for Parts 3–4), with no going back. Reading then gets its own 75-minute clock.',
+                'test.examPacedNote': 'Audio-paced: the next question starts automatically.',
+                'test.examAnswerNow': 'Mark your answer — {seconds}s',
+                'test.sectionTimeRemaining': '{section} · Time remaining',
+                'test.specificForm': 'Take a Specific Form',
+                'test.specificFormDesc': 'Same questions for everyone — by form name or seed',
+                'test.specificFormNote': 'Every test is generated from a seed. Enter a form name a teacher gave you (e.g. "Form 12") or a seed number from a past result to get exactly the same questions in the same order.',
+                'test.formOrSeed': 'Form name or seed',
+                'test.formTestType': 'Test type',
+                'test.startForm': 'Start This Form',
+                'test.formRequired': 'Enter a form name or a seed number.',
+                'test.formInvalid': 'Seeds are whole numbers from 0 to 4294967295.',
+                'test.formWithSeed': '{form} · seed {seed}',
+                'test.seedOnly': 'Seed {seed}',
+                'test.retakeForm': 'Retake',
+                'test.flagForReview': 'Flag',
+                'test.unflag': 'Unflag',
+                'test.flagged': 'Flagged',
+                'test.unanswered': 'Unanswered',
+                'test.answerSheet': 'Answer sheet',
+                'test.answerSheetLocked': 'Listening is audio-paced: you cannot jump between questions.',
+                'test.submitSummaryTitle': 'Ready to submit?',
+                'test.submitSummarySection': '{section}: {unanswered} unanswered, {flagged} flagged',
+                'test.submitSummaryWarning': 'Unanswered questions are scored as wrong.',
+                'test.submitSummaryReady': 'Every question has an answer.',
+                'test.keepWorking': 'Keep Working',
+                'test.reviewAnswers': 'Review Answers',
+                'test.reviewTitle': 'Answer Review',
+                'test.backToResults': 'Back to Results',
+                'test.reviewUnavailable': 'There is no finished test to review.',
+                'test.reviewByPart': 'Accuracy by part',
+                'test.reviewBySubtype': 'Accuracy by question type',
+                'test.reviewFilterAll': 'All',
+                'test.reviewFilterWrong': 'Wrong only',
+                'test.reviewFilterFlagged': 'Flagged only',
+                'test.reviewEmpty': 'No questions match this filter.',
+                'test.reviewYourAnswer': 'Your answer',
+                'test.reviewCorrectAnswer': 'Correct answer',
+                'test.reviewNoAnswer': 'Not answered',
+                'test.reviewTranscript': 'Transcript',
+                'test.reviewPassage': 'Passage',
+                'test.subtype.photo': 'Photograph',
+                'test.subtype.whQuestion': 'Wh- question',
+                'test.subtype.yesNoQuestion': 'Yes/no question',
+                'test.subtype.choiceQuestion': 'Choice question',
+                'test.subtype.statement': 'Statement',
+                'test.subtype.mainIdea': 'Main idea / purpose',
+                'test.subtype.detail': 'Detail',
+                'test.subtype.inference': 'Inference',
+                'test.subtype.action': 'Request / next action',
+                'test.subtype.intent': 'Speaker / writer intent',
+                'test.subtype.graphic': 'Graphic',
+                'test.subtype.vocabInContext': 'Vocabulary in context',
+                'test.subtype.notTrue': 'NOT / true',
+                'test.subtype.sentenceInsertion': 'Sentence insertion',
+                'test.subtype.crossReference': 'Cross-reference (two texts)',
+                'test.subtype.wordForm': 'Word form',
+                'test.subtype.vocabulary': 'Vocabulary',
+                'test.subtype.tenses': 'Tenses',
+                'test.subtype.passive_voice': 'Passive voice',
+                'test.subtype.conditionals': 'Conditionals',
+                'test.subtype.modals': 'Modals',
+                'test.subtype.articles': 'Articles',
+                'test.subtype.prepositions': 'Prepositions',
+                'test.subtype.conjunctions': 'Conjunctions',
+                'test.subtype.comparatives': 'Comparatives',
+                'test.subtype.relative_clauses': 'Relative clauses',
+                'test.subtype.gerunds_infinitives': 'Gerunds & infinitives',
+                'diagnostic.title': 'Placement Test',
+                'diagnostic.intro': 'An adaptive test with Part 2, 3, 5 and 7 questions that estimates your TOEIC score and sets up your study plan',
+                'diagnostic.lastBand': 'Last estimate',
+                'diagnostic.overallLevel': 'Overall level',
+                'diagnostic.takenOn': 'Taken on',
+                'diagnostic.factTime': 'About {count} questions, {minutes} minutes at most',
+                'diagnostic.factAdaptive': 'Each question is chosen from how you answered the previous ones',
+                'diagnostic.factNoFeedback': 'No answers are shown during the test — just do your best',
+                'diagnostic.start': 'Start placement test',
+                'diagnostic.startDesc': 'Audio plays automatically for listening questions',
+                'diagnostic.retake': 'Retake placement test',
+                'diagnostic.unavailable': 'Question banks are still loading — try again in a moment',
+                'diagnostic.viewResult': 'View last result',
+                'diagnostic.viewResultDesc': 'Score band, skill levels and recommendations',
+                'diagnostic.skip': 'Skip',
+                'diagnostic.estimatedBand': 'Estimated score: {low}–{high}',
+                'diagnostic.bandNote': '{correct} of {answered} correct · overall level {level}',
+                'diagnostic.appliedTitle': 'Your study plan has been set up',
+                'diagnostic.appliedVocabulary': 'New flashcard words now come from level {levels}',
+                'diagnostic.appliedGrammar': 'Grammar topics start with {categories}',
+                'diagnostic.appliedDashboard': 'Recommendations appear on your dashboard',
+                'diagnostic.skill.listening': 'Listening',
+                'diagnostic.skill.grammar': 'Grammar',
+                'diagnostic.skill.reading': 'Reading',
+                'diagnostic.rec.listening': 'Practise listening (Parts 1–4)',
+                'diagnostic.rec.grammar': 'Practise grammar (Part 5)',
+                'diagnostic.rec.reading': 'Practise reading (Part 7)',
+                'diagnostic.rec.skillDesc': 'Your weakest skill — placed at {level}',
+                'diagnostic.rec.grammarCategory': 'Review {category}',
+                'diagnostic.rec.grammarCategoryDesc': 'You missed questions on this topic',
+                'diagnostic.rec.vocabulary': 'Learn new vocabulary',
+                'diagnostic.rec.vocabularyDesc': 'Flashcards matched to your {level} level',
                 'test.takeAnother': 'Take Another Test',
                 'test.durationSetting': 'Test Duration',
                 'test.optStandard': 'Standard (Official TOEIC timing)',
@@ -407,6 +559,25 @@ class LanguageManager {
                 'test.part6Instr': 'Read the text and choose the best answer for each blank.',
                 'test.part7Instr': 'Read the text(s) below and choose the best answer to the question.',
 
+                // Listening Practice Module
+                'listening.part1Title': 'Part 1 · Photographs',
+                'listening.part2Title': 'Part 2 · Question-Response',
+                'listening.part3Title': 'Part 3 · Conversations',
+                'listening.part4Title': 'Part 4 · Talks',
+                'listening.partProgress': '{answered}/{available} practiced · {accuracy}% accuracy',
+                'listening.practiced': 'Practiced',
+                'listening.questionCount': 'Questions per session',
+                'listening.speed': 'Speech speed',
+                'listening.speed.slow': 'Slow',
+                'listening.speed.normal': 'Normal',
+                'listening.speed.fast': 'Fast',
+                'listening.noQuestions': 'No listening questions are available for this part yet.',
+                'listening.backToListening': 'Back to Listening',
+                'listening.questionsReferConversation': 'Questions {start}–{end} refer to the following conversation.',
+                'listening.questionsReferTalk': 'Questions {start}–{end} refer to the following {type}.',
+                'listening.transcript': 'Transcript',
+                'listening.sessionComplete': 'Listening Practice Complete!',
+
                 // Flashcards Module
                 'flashcards.title': 'TOEIC Vocabulary Flashcards',
                 'flashcards.subtitle': 'Master TOEIC vocabulary with intelligent spaced repetition',
@@ -423,6 +594,182 @@ class LanguageManager {
                 'flashcards.startLearning': 'Start Learning',
                 'flashcards.quickActions': 'Quick Actions',
                 'flashcards.viewProgress': 'View Progress',
+                'flashcards.gradeHint': 'How well did you remember it?',
+                'flashcards.grade.again': 'Again',
+                'flashcards.grade.hard': 'Hard',
+                'flashcards.grade.good': 'Good',
+                'flashcards.grade.easy': 'Easy',
+                'flashcards.intervalDays': '{count}d',
+                'flashcards.intervalMonths': '{count}mo',
+                'flashcards.intervalYears': '{count}y',
+                'anki.title': 'Anki Decks',
+                'anki.desc': 'Import Anki or CSV word lists, export your words with their review schedule',
+                'anki.importTitle': 'Import a deck',
+                'anki.importDesc': 'Anki package (.apkg) or text export (.txt, .csv, .tsv). Imported words join your flashcards and keep any review schedule they had in Anki.',
+                'anki.fileSummary': '{file}: {count} notes',
+                'anki.reviewedCount': '{count} with review history',
+                'anki.map.word': 'Word (front)',
+                'anki.map.meaning': 'Meaning (back)',
+                'anki.map.example': 'Example',
+                'anki.map.tags': 'Tags',
+                'anki.none': '— none —',
+                'anki.noteTags': 'Anki note tags',
+                'anki.importButton': 'Import {count} notes',
+                'anki.sameField': 'Word and meaning must come from different fields',
+                'anki.imported': 'Imported {added} words ({skipped} skipped: duplicates or empty)',
+                'anki.emptyFile': 'No notes found in this file',
+                'anki.readError': 'Could not read this deck: {message}',
+                'anki.exportTitle': 'Export to Anki',
+                'anki.exportDesc': 'Download all {count} words as an .apkg, with your review intervals, for Anki desktop or AnkiMobile.',
+                'anki.exportButton': 'Download .apkg',
+                'anki.exportError': 'Export failed',
+                'anki.importedTitle': 'Imported words',
+                'anki.importedCount': '{count} words you imported are in your word list.',
+                'anki.clearImported': 'Remove imported words',
+                'anki.clearConfirm': 'Remove all imported words from your word list? Their review history is kept.',
+                'anki.cleared': 'Removed {count} imported words',
+                'decks.title': 'My Decks',
+                'decks.desc': 'Your own word lists, studied in any flashcard mode',
+                'decks.create': 'New deck',
+                'decks.createButton': 'Create',
+                'decks.namePlaceholder': 'Deck name, e.g. "Meeting words"',
+                'decks.addHint': 'Select a word on any page, then tap "Add word" at the top to save it to a deck.',
+                'decks.none': 'No decks yet. Create one above.',
+                'decks.emptyDeck': 'This deck is empty.',
+                'decks.addWord': 'Add word',
+                'decks.addToDeck': 'Add to deck',
+                'decks.addWordTitle': 'Add a word to a deck',
+                'decks.word': 'Word',
+                'decks.meaning': 'Meaning',
+                'decks.example': 'Example (optional)',
+                'decks.deck': 'Deck',
+                'decks.newDeckOption': '+ New deck…',
+                'decks.knownWord': 'In the word list: {meaning}',
+                'decks.newWordHint': 'Not in the word list yet — add its meaning.',
+                'decks.rename': 'Rename',
+                'decks.renamePrompt': 'New deck name',
+                'decks.delete': 'Delete',
+                'decks.deleteConfirm': 'Delete the deck "{name}"? The words stay in your word list.',
+                'decks.removeWord': 'Remove from deck',
+                'decks.studyMode': 'Study mode',
+                'decks.study': 'Study',
+                'decks.nameRequired': 'Enter a deck name',
+                'decks.wordRequired': 'Enter a word',
+                'decks.meaningRequired': 'This word is not in the word list — enter its meaning',
+                'decks.wordAdded': 'Added "{word}" to {deck}',
+                'decks.nothingToStudy': 'No words to study in this mode right now',
+                'define.formOf': 'from "{form}"',
+                'define.pronounce': 'Pronounce',
+                'define.notFound': 'Not in the TOEIC word list. You can still save it to a deck with your own meaning.',
+                'define.addToReview': 'Add to review',
+                'define.inReview': 'In your reviews',
+                'define.addedToReview': '"{word}" will come up in your next review',
+                'exercise.type': 'Exercise',
+                'exercise.flashcards': 'Flip cards',
+                'exercise.mixed': 'Mixed exercises',
+                'exercise.meaningChoice': 'Meaning → word',
+                'exercise.meaningChoiceHint': 'Choose the word that matches this meaning.',
+                'exercise.cloze': 'Fill the gap',
+                'exercise.clozeHint': 'Choose the word that completes the sentence.',
+                'exercise.spelling': 'Spelling',
+                'exercise.spellingHint': 'Listen and type the word you hear.',
+                'exercise.collocation': 'Collocations',
+                'exercise.collocationHint': 'Match each phrase with the word that completes it.',
+                'exercise.wordForm': 'Word forms',
+                'exercise.wordFormHint': 'Choose the right form of the word for the sentence.',
+                'exercise.typeWord': 'Type the word',
+                'exercise.check': 'Check',
+                'exercise.matchAll': 'Choose a word for every phrase',
+                'exercise.correct': 'Correct!',
+                'exercise.incorrect': 'The answer is "{answer}"',
+                'exercise.continue': 'Continue',
+                'family.title': 'Word family',
+                'family.openCard': 'Open word family card',
+                'family.cardTitle': 'Word family: {word}',
+                'family.drillTitle': 'Word forms drill',
+                'family.drillDesc': 'Pick the right form of a word for each sentence',
+                'family.pos.noun': 'noun',
+                'family.pos.verb': 'verb',
+                'family.pos.adjective': 'adj.',
+                'family.pos.adverb': 'adv.',
+                'mistakes.title': 'Mistake Profile',
+                'mistakes.desc': 'How your wrong answers go, rule by rule',
+                'mistakes.empty': 'No mistakes recorded yet. Answer some grammar questions and your weak spots show up here.',
+                'mistakes.summary': '{mistakes} wrong of {attempts} · recent accuracy {accuracy}%',
+                'mistakes.examples': 'Examples',
+                'mistakes.commonMistakes': 'Common mistakes',
+                'mistakes.toeicTips': 'TOEIC tips',
+                'mistakes.yourMistakes': 'Your mistakes',
+                'mistakes.startDrill': 'Start targeted drill',
+                'mistakes.drillNote': 'The drill keeps going until you get 4 of the last 5 right (up to 20 questions).',
+                'mistakes.noQuestions': 'There are no questions for this rule yet',
+                'mistakes.drillTitle': 'Targeted drill: {rule}',
+                'mistakes.typeOfMistake': 'Type of mistake',
+                'mistakes.recovered': 'Accuracy on {rule} has recovered',
+                'mistakes.notRecovered': '{rule} still needs work',
+                'mistakes.sessionPatterns': 'Mistakes this session',
+                'mistakes.drillAgain': 'Drill this rule again',
+                'mistakes.targeted': 'Targeted practice: {rule}',
+                'mistakes.targetedDesc': 'Most mistakes: {type} · recent accuracy {accuracy}%',
+                'mistakes.type.tense': 'Wrong tense',
+                'mistakes.type.voice': 'Active/passive voice',
+                'mistakes.type.agreement': 'Subject-verb agreement',
+                'mistakes.type.word_form': 'Wrong word form',
+                'mistakes.type.verb_pattern': 'Gerund/infinitive pattern',
+                'mistakes.type.modal': 'Modal verb',
+                'mistakes.type.conditional': 'Conditional form',
+                'mistakes.type.preposition': 'Preposition confusion',
+                'mistakes.type.article': 'Article choice',
+                'mistakes.type.relative_pronoun': 'Relative pronoun',
+                'mistakes.type.comparison': 'Comparative/superlative',
+                'mistakes.type.conjunction': 'Connector choice',
+                'mistakes.type.other': 'Other',
+                'mastery.title': 'Mastery Map',
+                'mastery.desc': 'Grammar rules as a learning path, each unlocked by the ones before it',
+                'mastery.practiceNext': 'Practice next: {rule}',
+                'mastery.practiceNextDesc': 'Your weakest rule that is unlocked',
+                'mastery.practiceTitle': 'Practice: {rule}',
+                'mastery.allMastered': 'Every rule on the map is mastered',
+                'mastery.step': 'Step {step}',
+                'mastery.needs': 'Needs: {rules}',
+                'mastery.nodeStats': 'Level {level}/5 · {accuracy}% · {attempts} answered',
+                'mastery.unlocked': 'Unlocked: {rules}',
+                'mastery.state.locked': 'Locked',
+                'mastery.state.unlocked': 'Unlocked',
+                'mastery.state.mastered': 'Mastered',
+                'speed.title': 'Speed Trainer',
+                'speed.desc': 'Read Part 7 passages against a pacing guide',
+                'speed.subtitle': 'Read a passage at your target pace, then answer its questions. The target adapts to your speed and comprehension.',
+                'speed.targetWpm': 'Target WPM',
+                'speed.averageWpm': 'Average WPM',
+                'speed.comprehension': 'Comprehension',
+                'speed.start': 'Start a passage',
+                'speed.startDesc': 'Pacing guide at {wpm} words per minute',
+                'speed.howItWorks': 'Press Start reading and follow the highlighted words — the highlight moves at your target speed. Press Done reading as soon as you finish, then answer the questions. Keeping pace with good comprehension raises the target; low comprehension lowers it.',
+                'speed.history': 'Speed history',
+                'speed.noHistory': 'No timed reads yet. Your speed and comprehension will appear here.',
+                'speed.noPassages': 'No passages are available for speed training',
+                'speed.begin': 'Start reading',
+                'speed.done': 'Done reading',
+                'speed.readTime': 'Read in {seconds}s ({wpm} WPM). Now answer the questions.',
+                'speed.resultTitle': 'Reading Speed',
+                'speed.yourWpm': 'WPM (target {target})',
+                'speed.readingTime': 'Reading time',
+                'speed.target.up': 'Target raised to {wpm} WPM',
+                'speed.target.down': 'Target lowered to {wpm} WPM — focus on understanding first',
+                'speed.target.same': 'Target stays at {wpm} WPM',
+                'speed.nextPassage': 'Next passage',
+                'subtype.title': 'Question Types',
+                'subtype.desc': 'Practice one Part 7 question type at a time',
+                'subtype.subtitle': 'Your accuracy on each kind of Part 7 question. Pick a type to practice only those questions.',
+                'subtype.howItWorks': 'Types under 70% accuracy are marked as weak areas. A session takes up to 10 questions of the chosen type, each shown with its passage.',
+                'subtype.count': 'Questions: {count}',
+                'subtype.accuracy': '{accuracy}% correct',
+                'subtype.notPracticed': 'Not practiced yet',
+                'subtype.weak': 'Weak area',
+                'subtype.noQuestions': 'No questions of this type yet',
+                'subtype.insertLabel': 'Sentence to insert',
+                'subtype.insertHint': 'Tap a position [1]–[4] in the passage to try the sentence there.',
                 'flashcards.definition': 'Definition',
                 'flashcards.example': 'Example',
                 'flashcards.synonyms': 'Synonyms',
@@ -449,6 +796,8 @@ class LanguageManager {
                 'flashcards.mode.quickReview.desc': 'Fast 5-minute session',
                 'flashcards.mode.examPrep.title': 'Exam Preparation',
                 'flashcards.mode.examPrep.desc': 'High-frequency TOEIC words',
+                'flashcards.mode.wordForms.title': 'Word Forms',
+                'flashcards.mode.wordForms.desc': 'Words with a family, as word-form exercises',
 
                 // Grammar Module
                 'grammar.practiceTitle': 'TOEIC Grammar Practice',
@@ -456,6 +805,7 @@ class LanguageManager {
                 'grammar.masteredCategories': 'Mastered Categories',
                 'grammar.totalCategories': 'Total Categories',
                 'grammar.completion': 'Completion',
+                'grammar.placementOrderNote': 'Ordered by your placement test — topics you missed come first',
                 'grammar.practiceAll': 'Practice All Categories',
                 'grammar.mixedPractice': 'Mixed Practice',
                 'grammar.viewRules': 'View Grammar Rules',
@@ -582,6 +932,23 @@ class LanguageManager {
                 'settings.highContrast': '高对比度',
                 'settings.reducedMotion': '减少动画',
                 'settings.resetDefaults': '恢复默认设置',
+                'settings.reviewSection': '复习安排',
+                'settings.scheduler': '调度算法',
+                'settings.schedulerSm2': 'SM-2（经典间隔）',
+                'settings.schedulerFsrs': 'FSRS（记忆模型）',
+                'settings.targetRetention': '目标记忆保持率',
+                'settings.targetRetentionDesc': '越高复习越频繁，遗忘的单词越少',
+                'settings.contentSection': '内容包',
+                'settings.packInvalid': '未加载 — 请修正以下错误',
+                'settings.packMoreErrors': '…另有 {count} 条（见控制台）',
+                'settings.packReloadNote': '更改将在应用重新加载后生效。',
+                'settings.reloadNow': '立即重新加载',
+                'settings.packSection.vocabulary': '单词',
+                'settings.packSection.grammar': '语法',
+                'settings.packSection.reading': '阅读',
+                'settings.packSection.listening': '听力',
+                'settings.packSection.part6': 'Part 6',
+                'settings.packSection.scenarios': '情景对话',
                 'settings.dataSection': '我的数据',
                 'settings.exportProgress': '导出学习进度（备份文件）',
                 'settings.importProgress': '导入学习进度（恢复备份）',
@@ -607,12 +974,17 @@ class LanguageManager {
                 'dashboard.testsTaken': '已完成测试',
                 'dashboard.bestScore': '最佳',
                 'dashboard.conversationsDone': '会话场景',
+                'dashboard.yourLevel': '我的水平',
+                'dashboard.findLevel': '测测你的水平',
+                'dashboard.findLevelDesc': '20–30 分钟的自适应测试为你定级，并安排优先学习内容',
+                'dashboard.estimatedScore': '预估 TOEIC 分数',
                 'listening.startPractice': '开始听力练习',
                 'vocab.tapHint': '点击卡片或按空格键显示词义',
                 'grammar.keyboardHint': '按 1-4 键作答 · 回车键继续',
                 'reading.doublePassage': '双篇阅读',
                 'reading.text1': '短文一',
                 'reading.text2': '短文二',
+                'reading.text3': '短文三',
                 'reading.questionsRefer': '第 {start}–{end} 题基于以下短文。',
                 'reading.questionRefers': '第 {n} 题基于以下短文。',
                 'reading.instrPart5': '选择最能完成句子的单词或短语。',
@@ -625,9 +997,18 @@ class LanguageManager {
                 'reading.docType.memo': '备忘录',
                 'reading.docType.letter': '信函',
                 'reading.docType.form': '日程表',
+                'reading.docType.order': '订购单',
+                'reading.docType.textChain': '短信对话',
+                'reading.docType.chat': '在线聊天讨论',
                 'reading.docType.text': '短文',
+                'reading.evidenceShown': '文章中高亮的部分就是答案的出处。',
                 'listening.practiceDesc': '通过带完整文本的托业听力题进行练习',
                 'flashcards.settingsDesc': '调整闪卡复习偏好设置',
+                'flashcards.levelFilter': '新词级别',
+                'flashcards.levelFilterDesc': '选择新单词来自哪些级别',
+                'flashcards.levelFilterNote': '已开始学习的单词无论级别都会继续复习。',
+                'flashcards.levelWordCount': '{count} 个单词',
+                'flashcards.settingsSaved': '闪卡设置已保存',
                 'grammar.practiceAllDesc': '练习所有语法类别的题目',
                 'grammar.mixedPracticeDesc': '跨类别随机混合练习题目',
                 'grammar.viewRulesDesc': '浏览语法规则参考',
@@ -878,6 +1259,127 @@ class LanguageManager {
                 'test.complete': '测试完成！',
                 'test.estimatedLevel': '预估等级',
                 'test.toeicScore': '托业分数',
+                'test.scoreRange': '可能区间',
+                'test.sectionListening': '听力',
+                'test.sectionReading': '阅读',
+                'test.confidenceBand': '{level}% 置信区间：{low}–{high}',
+                'test.sectionScore': '{section}：{score}（{low}–{high}）',
+                'test.scoreTable': '分数换算表',
+                'test.scoreTableNote': '使用“{name}”换算表计分',
+                'test.resumeTest': '继续测试',
+                'test.discardTest': '放弃测试',
+                'test.discardConfirm': '放弃未完成的测试？已作答的答案将会丢失。',
+                'test.resumePromptTitle': '你有一场未完成的测试',
+                'test.resumeSummary': '{test} · 已答 {answered}/{total} · 剩余 {time}',
+                'test.resumeExpired': '{test} · 已答 {answered}/{total} · 时间已到',
+                'test.resumePolicy': '测试中关闭应用时',
+                'test.resumePolicyPause': '暂停计时',
+                'test.resumePolicyContinue': '继续计时（考试规则）',
+                'test.resumePolicyPauseNote': '应用关闭期间计时已暂停。',
+                'test.resumePolicyContinueNote': '应用关闭期间计时仍在继续。',
+                'test.examMode': '完整测试计时',
+                'test.examModeOff': '自定节奏 — 统一计时，可重播音频',
+                'test.examModeOn': '真实考试 — 听力随音频推进，阅读单独计时',
+                'test.examModeNote': '真实考试模式：听力音频只播放一次，固定作答时间（第 1–2 部分 5 秒，第 3–4 部分 8 秒）结束后自动进入下一题，且不能返回。阅读部分随后单独计时 75 分钟。',
+                'test.examPacedNote': '听力随音频推进：下一题将自动开始。',
+                'test.examAnswerNow': '请作答 — 剩余 {seconds} 秒',
+                'test.sectionTimeRemaining': '{section} · 剩余时间',
+                'test.specificForm': '指定试卷',
+                'test.specificFormDesc': '按试卷名称或种子生成，人人题目相同',
+                'test.specificFormNote': '每套测试都由一个种子生成。输入老师提供的试卷名称（如 "Form 12"）或以往成绩中的种子编号，即可得到题目与选项顺序完全相同的试卷。',
+                'test.formOrSeed': '试卷名称或种子',
+                'test.formTestType': '测试类型',
+                'test.startForm': '开始这套试卷',
+                'test.formRequired': '请输入试卷名称或种子编号。',
+                'test.formInvalid': '种子必须是 0 到 4294967295 之间的整数。',
+                'test.formWithSeed': '{form} · 种子 {seed}',
+                'test.seedOnly': '种子 {seed}',
+                'test.retakeForm': '重做',
+                'test.flagForReview': '标记',
+                'test.unflag': '取消标记',
+                'test.flagged': '已标记',
+                'test.unanswered': '未作答',
+                'test.answerSheet': '答题卡',
+                'test.answerSheetLocked': '听力随音频推进：不能在题目之间跳转。',
+                'test.submitSummaryTitle': '确认交卷？',
+                'test.submitSummarySection': '{section}：{unanswered} 题未作答，{flagged} 题已标记',
+                'test.submitSummaryWarning': '未作答的题目按错误计分。',
+                'test.submitSummaryReady': '所有题目均已作答。',
+                'test.keepWorking': '继续作答',
+                'test.reviewAnswers': '查看答题详情',
+                'test.reviewTitle': '答题回顾',
+                'test.backToResults': '返回成绩',
+                'test.reviewUnavailable': '没有可回顾的已完成测试。',
+                'test.reviewByPart': '各部分正确率',
+                'test.reviewBySubtype': '各题型正确率',
+                'test.reviewFilterAll': '全部',
+                'test.reviewFilterWrong': '仅错题',
+                'test.reviewFilterFlagged': '仅标记题',
+                'test.reviewEmpty': '没有符合筛选条件的题目。',
+                'test.reviewYourAnswer': '你的答案',
+                'test.reviewCorrectAnswer': '正确答案',
+                'test.reviewNoAnswer': '未作答',
+                'test.reviewTranscript': '听力原文',
+                'test.reviewPassage': '文章',
+                'test.subtype.photo': '照片描述',
+                'test.subtype.whQuestion': '特殊疑问句',
+                'test.subtype.yesNoQuestion': '一般疑问句',
+                'test.subtype.choiceQuestion': '选择疑问句',
+                'test.subtype.statement': '陈述句',
+                'test.subtype.mainIdea': '主旨 / 目的',
+                'test.subtype.detail': '细节',
+                'test.subtype.inference': '推断',
+                'test.subtype.action': '请求 / 下一步行动',
+                'test.subtype.intent': '说话者 / 作者意图',
+                'test.subtype.graphic': '图表题',
+                'test.subtype.vocabInContext': '语境词义',
+                'test.subtype.notTrue': 'NOT / 正误判断',
+                'test.subtype.sentenceInsertion': '句子插入',
+                'test.subtype.crossReference': '多篇关联',
+                'test.subtype.wordForm': '词性变化',
+                'test.subtype.vocabulary': '词汇',
+                'test.subtype.tenses': '时态',
+                'test.subtype.passive_voice': '被动语态',
+                'test.subtype.conditionals': '条件句',
+                'test.subtype.modals': '情态动词',
+                'test.subtype.articles': '冠词',
+                'test.subtype.prepositions': '介词',
+                'test.subtype.conjunctions': '连词',
+                'test.subtype.comparatives': '比较级',
+                'test.subtype.relative_clauses': '定语从句',
+                'test.subtype.gerunds_infinitives': '动名词与不定式',
+                'diagnostic.title': '定级测试',
+                'diagnostic.intro': '包含第 2、3、5、7 部分题目的自适应测试，预估你的 TOEIC 分数并制定学习计划',
+                'diagnostic.lastBand': '上次预估',
+                'diagnostic.overallLevel': '总体水平',
+                'diagnostic.takenOn': '测试日期',
+                'diagnostic.factTime': '约 {count} 题，最长 {minutes} 分钟',
+                'diagnostic.factAdaptive': '每道题都会根据你之前的作答来选择',
+                'diagnostic.factNoFeedback': '测试过程中不显示答案——尽力作答即可',
+                'diagnostic.start': '开始定级测试',
+                'diagnostic.startDesc': '听力题会自动播放音频',
+                'diagnostic.retake': '重新定级测试',
+                'diagnostic.unavailable': '题库仍在加载——请稍后再试',
+                'diagnostic.viewResult': '查看上次结果',
+                'diagnostic.viewResultDesc': '分数区间、各项水平和学习建议',
+                'diagnostic.skip': '跳过',
+                'diagnostic.estimatedBand': '预估分数：{low}–{high}',
+                'diagnostic.bandNote': '答对 {correct}/{answered} 题 · 总体水平 {level}',
+                'diagnostic.appliedTitle': '已为你设置学习计划',
+                'diagnostic.appliedVocabulary': '闪卡新词现在来自 {levels} 级别',
+                'diagnostic.appliedGrammar': '语法主题从 {categories} 开始',
+                'diagnostic.appliedDashboard': '学习建议会显示在首页',
+                'diagnostic.skill.listening': '听力',
+                'diagnostic.skill.grammar': '语法',
+                'diagnostic.skill.reading': '阅读',
+                'diagnostic.rec.listening': '练习听力（第 1–4 部分）',
+                'diagnostic.rec.grammar': '练习语法（第 5 部分）',
+                'diagnostic.rec.reading': '练习阅读（第 7 部分）',
+                'diagnostic.rec.skillDesc': '你最薄弱的技能——定级为 {level}',
+                'diagnostic.rec.grammarCategory': '复习{category}',
+                'diagnostic.rec.grammarCategoryDesc': '你在这个主题上有答错的题目',
+                'diagnostic.rec.vocabulary': '学习新词汇',
+                'diagnostic.rec.vocabularyDesc': '与你的 {level} 水平匹配的闪卡',
                 'test.takeAnother': '再测一次',
                 'test.durationSetting': '测试时长',
                 'test.optStandard': '标准（官方托业计时）',
@@ -905,6 +1407,25 @@ class LanguageManager {
                 'test.part6Instr': '阅读短文，为每个空格选择最佳答案。',
                 'test.part7Instr': '阅读下面的文章，选择问题的最佳答案。',
 
+                // Listening Practice Module
+                'listening.part1Title': '第 1 部分 · 看图辨义',
+                'listening.part2Title': '第 2 部分 · 应答问题',
+                'listening.part3Title': '第 3 部分 · 简短对话',
+                'listening.part4Title': '第 4 部分 · 简短独白',
+                'listening.partProgress': '已练习 {answered}/{available} · 正确率 {accuracy}%',
+                'listening.practiced': '已练习',
+                'listening.questionCount': '每次练习题数',
+                'listening.speed': '语速',
+                'listening.speed.slow': '慢速',
+                'listening.speed.normal': '正常',
+                'listening.speed.fast': '快速',
+                'listening.noQuestions': '该部分暂无听力题目。',
+                'listening.backToListening': '返回听力',
+                'listening.questionsReferConversation': '第 {start}–{end} 题基于以下对话。',
+                'listening.questionsReferTalk': '第 {start}–{end} 题基于以下独白。',
+                'listening.transcript': '听力原文',
+                'listening.sessionComplete': '听力练习完成！',
+
                 // Flashcards Module
                 'flashcards.title': '托业词汇闪卡',
                 'flashcards.subtitle': '通过智能间隔重复掌握托业词汇',
@@ -921,6 +1442,182 @@ class LanguageManager {
                 'flashcards.startLearning': '开始学习',
                 'flashcards.quickActions': '快捷操作',
                 'flashcards.viewProgress': '查看进度',
+                'flashcards.gradeHint': '你记得怎么样？',
+                'flashcards.grade.again': '重来',
+                'flashcards.grade.hard': '困难',
+                'flashcards.grade.good': '良好',
+                'flashcards.grade.easy': '简单',
+                'flashcards.intervalDays': '{count}天',
+                'flashcards.intervalMonths': '{count}个月',
+                'flashcards.intervalYears': '{count}年',
+                'anki.title': 'Anki 卡组',
+                'anki.desc': '导入 Anki 或 CSV 词表，导出单词及复习计划',
+                'anki.importTitle': '导入卡组',
+                'anki.importDesc': 'Anki 卡组包（.apkg）或文本导出（.txt、.csv、.tsv）。导入的单词会加入闪卡，并保留在 Anki 中的复习计划。',
+                'anki.fileSummary': '{file}：{count} 条笔记',
+                'anki.reviewedCount': '其中 {count} 条有复习记录',
+                'anki.map.word': '单词（正面）',
+                'anki.map.meaning': '释义（背面）',
+                'anki.map.example': '例句',
+                'anki.map.tags': '标签',
+                'anki.none': '— 无 —',
+                'anki.noteTags': 'Anki 笔记标签',
+                'anki.importButton': '导入 {count} 条笔记',
+                'anki.sameField': '单词和释义必须来自不同字段',
+                'anki.imported': '已导入 {added} 个单词（跳过 {skipped} 个：重复或为空）',
+                'anki.emptyFile': '此文件中没有笔记',
+                'anki.readError': '无法读取此卡组：{message}',
+                'anki.exportTitle': '导出到 Anki',
+                'anki.exportDesc': '将全部 {count} 个单词连同复习间隔下载为 .apkg，可用于 Anki 桌面版或 AnkiMobile。',
+                'anki.exportButton': '下载 .apkg',
+                'anki.exportError': '导出失败',
+                'anki.importedTitle': '已导入的单词',
+                'anki.importedCount': '词表中有 {count} 个你导入的单词。',
+                'anki.clearImported': '移除导入的单词',
+                'anki.clearConfirm': '从词表中移除所有导入的单词？复习记录会保留。',
+                'anki.cleared': '已移除 {count} 个导入的单词',
+                'decks.title': '我的卡组',
+                'decks.desc': '自建词表，可用任意闪卡模式学习',
+                'decks.create': '新建卡组',
+                'decks.createButton': '创建',
+                'decks.namePlaceholder': '卡组名称，例如“会议词汇”',
+                'decks.addHint': '在任意页面选中一个单词，然后点击顶部的“添加单词”即可保存到卡组。',
+                'decks.none': '还没有卡组，请在上方创建。',
+                'decks.emptyDeck': '此卡组为空。',
+                'decks.addWord': '添加单词',
+                'decks.addToDeck': '加入卡组',
+                'decks.addWordTitle': '将单词加入卡组',
+                'decks.word': '单词',
+                'decks.meaning': '释义',
+                'decks.example': '例句（可选）',
+                'decks.deck': '卡组',
+                'decks.newDeckOption': '+ 新建卡组…',
+                'decks.knownWord': '词表中已有：{meaning}',
+                'decks.newWordHint': '词表中还没有这个单词，请填写释义。',
+                'decks.rename': '重命名',
+                'decks.renamePrompt': '新的卡组名称',
+                'decks.delete': '删除',
+                'decks.deleteConfirm': '删除卡组“{name}”？单词仍会保留在词表中。',
+                'decks.removeWord': '从卡组移除',
+                'decks.studyMode': '学习模式',
+                'decks.study': '学习',
+                'decks.nameRequired': '请输入卡组名称',
+                'decks.wordRequired': '请输入单词',
+                'decks.meaningRequired': '词表中没有这个单词，请填写释义',
+                'decks.wordAdded': '已将“{word}”加入 {deck}',
+                'decks.nothingToStudy': '此模式下暂无可学习的单词',
+                'define.formOf': '由“{form}”变形而来',
+                'define.pronounce': '发音',
+                'define.notFound': '不在 TOEIC 词表中。你仍可以填写释义后加入卡组。',
+                'define.addToReview': '加入复习',
+                'define.inReview': '已在复习计划中',
+                'define.addedToReview': '“{word}”将出现在下次复习中',
+                'exercise.type': '练习方式',
+                'exercise.flashcards': '翻卡',
+                'exercise.mixed': '混合练习',
+                'exercise.meaningChoice': '释义选词',
+                'exercise.meaningChoiceHint': '选出与释义相符的单词。',
+                'exercise.cloze': '完形填空',
+                'exercise.clozeHint': '选出能补全句子的单词。',
+                'exercise.spelling': '听音拼写',
+                'exercise.spellingHint': '听发音，拼写出你听到的单词。',
+                'exercise.collocation': '搭配连线',
+                'exercise.collocationHint': '为每个短语选出能补全它的单词。',
+                'exercise.wordForm': '词形变化',
+                'exercise.wordFormHint': '选出适合句子的词形。',
+                'exercise.typeWord': '输入单词',
+                'exercise.check': '检查',
+                'exercise.matchAll': '请为每个短语选择一个单词',
+                'exercise.correct': '回答正确！',
+                'exercise.incorrect': '正确答案是“{answer}”',
+                'exercise.continue': '继续',
+                'family.title': '词族',
+                'family.openCard': '查看词族卡片',
+                'family.cardTitle': '词族：{word}',
+                'family.drillTitle': '词形变化练习',
+                'family.drillDesc': '为每个句子选出单词的正确形式',
+                'family.pos.noun': '名词',
+                'family.pos.verb': '动词',
+                'family.pos.adjective': '形容词',
+                'family.pos.adverb': '副词',
+                'mistakes.title': '错题画像',
+                'mistakes.desc': '按语法规则查看你的错误类型',
+                'mistakes.empty': '还没有错题记录。做一些语法题后，你的薄弱点会显示在这里。',
+                'mistakes.summary': '{attempts} 题中错 {mistakes} 题 · 近期正确率 {accuracy}%',
+                'mistakes.examples': '例句',
+                'mistakes.commonMistakes': '常见错误',
+                'mistakes.toeicTips': '托业提示',
+                'mistakes.yourMistakes': '你的错误',
+                'mistakes.startDrill': '开始专项练习',
+                'mistakes.drillNote': '练习会持续进行，直到最近 5 题答对 4 题（最多 20 题）。',
+                'mistakes.noQuestions': '此规则暂无练习题',
+                'mistakes.drillTitle': '专项练习：{rule}',
+                'mistakes.typeOfMistake': '错误类型',
+                'mistakes.recovered': '{rule} 的正确率已恢复',
+                'mistakes.notRecovered': '{rule} 仍需加强',
+                'mistakes.sessionPatterns': '本次练习的错误',
+                'mistakes.drillAgain': '再练一次此规则',
+                'mistakes.targeted': '专项练习：{rule}',
+                'mistakes.targetedDesc': '最常见错误：{type} · 近期正确率 {accuracy}%',
+                'mistakes.type.tense': '时态错误',
+                'mistakes.type.voice': '主动/被动语态',
+                'mistakes.type.agreement': '主谓一致',
+                'mistakes.type.word_form': '词形错误',
+                'mistakes.type.verb_pattern': '动名词/不定式用法',
+                'mistakes.type.modal': '情态动词',
+                'mistakes.type.conditional': '条件句形式',
+                'mistakes.type.preposition': '介词混淆',
+                'mistakes.type.article': '冠词选择',
+                'mistakes.type.relative_pronoun': '关系代词',
+                'mistakes.type.comparison': '比较级/最高级',
+                'mistakes.type.conjunction': '连接词选择',
+                'mistakes.type.other': '其他',
+                'mastery.title': '掌握地图',
+                'mastery.desc': '按学习路径排列的语法规则，前置规则通过后解锁',
+                'mastery.practiceNext': '下一步练习：{rule}',
+                'mastery.practiceNextDesc': '已解锁规则中你最薄弱的一项',
+                'mastery.practiceTitle': '练习：{rule}',
+                'mastery.allMastered': '地图上的所有规则均已掌握',
+                'mastery.step': '第 {step} 步',
+                'mastery.needs': '需先完成：{rules}',
+                'mastery.nodeStats': '等级 {level}/5 · {accuracy}% · 已答 {attempts} 题',
+                'mastery.unlocked': '已解锁：{rules}',
+                'mastery.state.locked': '未解锁',
+                'mastery.state.unlocked': '已解锁',
+                'mastery.state.mastered': '已掌握',
+                'speed.title': '速读训练',
+                'speed.desc': '跟随节奏提示阅读 Part 7 文章',
+                'speed.subtitle': '按目标速度阅读一篇文章，然后回答问题。目标速度会根据你的阅读速度和理解率调整。',
+                'speed.targetWpm': '目标速度 (WPM)',
+                'speed.averageWpm': '平均速度 (WPM)',
+                'speed.comprehension': '理解率',
+                'speed.start': '开始一篇文章',
+                'speed.startDesc': '节奏提示：每分钟 {wpm} 词',
+                'speed.howItWorks': '点击“开始阅读”，跟随高亮的词语阅读——高亮会按目标速度移动。读完后立即点击“读完了”，然后回答问题。跟上节奏且理解良好会提高目标速度；理解率低则会降低目标。',
+                'speed.history': '速度记录',
+                'speed.noHistory': '还没有计时阅读记录。你的速度和理解率会显示在这里。',
+                'speed.noPassages': '没有可用于速读训练的文章',
+                'speed.begin': '开始阅读',
+                'speed.done': '读完了',
+                'speed.readTime': '用时 {seconds} 秒（{wpm} WPM）。现在回答问题。',
+                'speed.resultTitle': '阅读速度',
+                'speed.yourWpm': 'WPM（目标 {target}）',
+                'speed.readingTime': '阅读用时',
+                'speed.target.up': '目标提高到 {wpm} WPM',
+                'speed.target.down': '目标降低到 {wpm} WPM——先保证理解',
+                'speed.target.same': '目标保持 {wpm} WPM',
+                'speed.nextPassage': '下一篇',
+                'subtype.title': '题型练习',
+                'subtype.desc': '按 Part 7 题型逐项练习',
+                'subtype.subtitle': '查看你在每种 Part 7 题型上的正确率，选择一个题型进行专项练习。',
+                'subtype.howItWorks': '正确率低于 70% 的题型会标记为薄弱项。每次练习最多 10 道所选题型的题目，并附带对应文章。',
+                'subtype.count': '题目数：{count}',
+                'subtype.accuracy': '正确率 {accuracy}%',
+                'subtype.notPracticed': '尚未练习',
+                'subtype.weak': '薄弱项',
+                'subtype.noQuestions': '暂无该题型的题目',
+                'subtype.insertLabel': '待插入的句子',
+                'subtype.insertHint': '点击文章中的位置 [1]–[4]，把句子放进去试试。',
                 'flashcards.definition': '释义',
                 'flashcards.example': '例句',
                 'flashcards.synonyms': '同义词',
@@ -947,6 +1644,8 @@ class LanguageManager {
                 'flashcards.mode.quickReview.desc': '5分钟快速练习',
                 'flashcards.mode.examPrep.title': '考试备考',
                 'flashcards.mode.examPrep.desc': '托业高频词汇',
+                'flashcards.mode.wordForms.title': '词形变化',
+                'flashcards.mode.wordForms.desc': '有词族的单词，以词形练习呈现',
 
                 // Grammar Module
                 'grammar.practiceTitle': '托业语法练习',
@@ -954,6 +1653,7 @@ class LanguageManager {
                 'grammar.masteredCategories': '已掌握类别',
                 'grammar.totalCategories': '类别总数',
                 'grammar.completion': '完成度',
+                'grammar.placementOrderNote': '已按你的定级测试结果排序——答错的主题排在最前',
                 'grammar.practiceAll': '练习全部类别',
                 'grammar.mixedPractice': '混合练习',
                 'grammar.viewRules': '查看语法规则',
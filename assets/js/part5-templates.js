@@ -0,0 +1,465 @@
+// Part 5 template engine - generates incomplete-sentence items so grammar
+// practice and mock tests aren't limited to the fixed question bank.
+//
+// A template is a sentence frame with slots (subject, verb phrase, time
+// expression) plus a rule for the correct form and the distractors:
+//   tense            "{subject} _____ {verb phrase} {time}." - the time
+//                    expression fixes the tense; distractors are other
+//                    tenses / agreement errors that cannot fit that time
+//   time_preposition "{subject} {past verb} {phrase} _____ {time}." -
+//                    in / on / at / since / for / during
+//   word_form        an example from assets/data/word-families.json with
+//                    one form blanked; options are the rest of its family
+//
+// Verb phrases come from the verb entries of the vocabulary CSV ("We need
+// to examine the financial reports." → examine + "the financial reports"),
+// with a short built-in list while the CSV is still loading.
+//
+// generate() returns items shaped like TOEICGrammarSystem.practiceQuestions
+// (id, category, difficulty, question, options, correctAnswer, explanation,
+// grammarRule) plus `generated: true`. Pass a seeded `random` to make the
+// output reproducible - the test simulator does for named forms.
+
+// Past / past participle for irregular verbs that can appear in the word
+// list or packs; regular verbs are inflected by rule
+const PART5_IRREGULAR_VERBS = {
+    arise: ['arose', 'arisen'], bear: ['bore', 'borne'], beat: ['beat', 'beaten'],
+    become: ['became', 'become'], begin: ['began', 'begun'], bid: ['bid', 'bid'],
+    break: ['broke', 'broken'], bring: ['brought', 'brought'], build: ['built', 'built'],
+    buy: ['bought', 'bought'], choose: ['chose', 'chosen'], cost: ['cost', 'cost'],
+    cut: ['cut', 'cut'], deal: ['dealt', 'dealt'], do: ['did', 'done'], draw: ['drew', 'drawn'],
+    drive: ['drove', 'driven'], feel: ['felt', 'felt'], find: ['found', 'found'],
+    forecast: ['forecast', 'forecast'], forget: ['forgot', 'forgotten'], get: ['got', 'gotten'],
+    give: ['gave', 'given'], go: ['went', 'gone'], grow: ['grew', 'grown'], hold: ['held', 'held'],
+    keep: ['kept', 'kept'], know: ['knew', 'known'], lay: ['laid', 'laid'], lead: ['led', 'led'],
+    leave: ['left', 'left'], lend: ['lent', 'lent'], lose: ['lost', 'lost'], make: ['made', 'made'],
+    meet: ['met', 'met'], oversee: ['oversaw', 'overseen'], pay: ['paid', 'paid'], put: ['put', 'put'],
+    read: ['read', 'read'], rise: ['rose', 'risen'], run: ['ran', 'run'], say: ['said', 'said'],
+    see: ['saw', 'seen'], seek: ['sought', 'sought'], sell: ['sold', 'sold'], send: ['sent', 'sent'],
+    set: ['set', 'set'], show: ['showed', 'shown'], speak: ['spoke', 'spoken'],
+    spend: ['spent', 'spent'], spread: ['spread', 'spread'], stand: ['stood', 'stood'],
+    take: ['took', 'taken'], teach: ['taught', 'taught'], tell: ['told', 'told'],
+    think: ['thought', 'thought'], undergo: ['underwent', 'undergone'],
+    understand: ['understood', 'understood'], undertake: ['undertook', 'undertaken'],
+    win: ['won', 'won'], withdraw: ['withdrew', 'withdrawn'], write: ['wrote', 'written']
+};
+
+// Stressed-final verbs that double their last consonant (admit → admitted);
+// one-syllable verbs are handled by rule
+const PART5_DOUBLING_VERBS = ['admit', 'commit', 'control', 'occur', 'prefer', 'refer', 'regret', 'submit', 'transfer'];
+
+// State verbs read badly in continuous forms ("is needing"), and a few
+// word-list verbs whose examples aren't office actions ("turn to page 10")
+// or don't take an object ("become more competitive", "afford to lose")
+const PART5_STATIVE_VERBS = ['belong', 'contain', 'cost', 'deserve', 'include', 'involve', 'know', 'need', 'own', 'prefer', 'require', 'resemble', 'seem', 'understand', 'want'];
+const PART5_SKIP_VERBS = [
+    'afford', 'arrest', 'attempt', 'avoid', 'be', 'become', 'behave', 'bend', 'bite', 'blame', 'blow',
+    'boil', 'breathe', 'burn', 'depart', 'dine', 'infer', 'pass', 'turn'
+];
+
+// Used until the vocabulary CSV has loaded (and by validate-banks)
+const PART5_FALLBACK_PHRASES = [
+    ['review', 'the supplier contracts'],
+    ['prepare', 'the quarterly budget'],
+    ['update', 'the employee handbook'],
+    ['inspect', 'the new equipment'],
+    ['organize', 'the product launch'],
+    ['analyze', 'the customer survey results'],
+    ['discuss', 'the merger proposal'],
+    ['revise', 'the shipping schedule'],
+    ['train', 'the new sales staff'],
+    ['negotiate', 'a lower price with the vendor']
+];
+
+const PART5_SUBJECTS = [
+    { text: 'The marketing director', plural: false },
+    { text: 'Ms. Patel', plural: false },
+    { text: 'The project manager', plural: false },
+    { text: 'Mr. Okafor', plural: false },
+    { text: 'The head of accounting', plural: false },
+    { text: 'The sales representatives', plural: true },
+    { text: 'The engineers', plural: true },
+    { text: 'Several employees', plural: true },
+    { text: 'The board members', plural: true },
+    { text: 'The consultants', plural: true }
+];
+
+// One template per tense. `times` fix the tense; `distractors` are forms
+// that cannot fit those times - grammatical alternatives (present perfect
+// continuous for "since March") are deliberately left out.
+// Forms: agreement = present simple with the wrong person, ing/pp = bare
+// participles, everything else is a tense name.
+const PART5_TENSE_TEMPLATES = [
+    {
+        grammarRule: 'present_simple',
+        difficulty: 'A2',
+        times: ['every Monday', 'once a month', 'at the start of each quarter', 'twice a year'],
+        distractors: ['agreement', 'ing', 'future_perfect', 'past_continuous'],
+        explanation: 'The present simple is used for regular, repeated actions ("{time}"). "{answer}" agrees with the subject "{subject}".'
+    },
+    {
+        grammarRule: 'past_simple',
+        difficulty: 'A2',
+        times: ['last week', 'two months ago', 'yesterday afternoon', 'in 2019'],
+        distractors: ['present_perfect', 'future_perfect', 'present_simple', 'ing'],
+        explanation: '"{time}" is a finished time in the past, so the past simple "{answer}" is correct. The present perfect cannot be used with a finished past time.'
+    },
+    {
+        grammarRule: 'present_perfect',
+        difficulty: 'B1',
+        // A count keeps one-off actions natural ("has reviewed the contract
+        // twice since March")
+        times: ['twice since March', 'three times since the merger', 'several times since the start of the year'],
+        distractors: ['present_simple', 'past_simple', 'future_perfect', 'ing'],
+        explanation: '"{time}" counts actions from a point in the past up to now, so the present perfect "{answer}" is correct.'
+    },
+    {
+        grammarRule: 'present_continuous',
+        difficulty: 'B1',
+        times: ['at the moment', 'right now', 'this very minute'],
+        distractors: ['past_simple', 'present_perfect', 'future_perfect', 'ing'],
+        continuous: true,
+        explanation: '"{time}" describes an action in progress now, so the present continuous "{answer}" is correct.'
+    },
+    {
+        grammarRule: 'past_continuous',
+        difficulty: 'B1',
+        times: ['when the fire alarm went off', 'when the power went out', 'when the director called'],
+        distractors: ['present_continuous', 'present_perfect_continuous', 'future_perfect', 'ing'],
+        continuous: true,
+        explanation: 'An action in progress in the past and interrupted by another event ("{time}") takes the past continuous: "{answer}".'
+    },
+    {
+        grammarRule: 'present_perfect_continuous',
+        difficulty: 'B2',
+        times: ['for the past two hours', 'since early this morning', 'for the last three days'],
+        distractors: ['present_continuous', 'present_simple', 'future_perfect', 'ing'],
+        continuous: true,
+        explanation: '"{time}" stresses how long an activity has been going on up to now, so the present perfect continuous "{answer}" is correct.'
+    },
+    {
+        grammarRule: 'future_perfect',
+        difficulty: 'B2',
+        times: ['by the end of next month', 'by next Friday', 'by the time the auditors arrive'],
+        distractors: ['present_perfect', 'past_simple', 'present_continuous', 'pp'],
+        explanation: '"{time}" sets a deadline in the future; an action completed before it takes the future perfect: "{answer}".'
+    }
+];
+
+// The key preposition, the times it takes, the tense of the frame and the
+// distractors - never another preposition that would also fit
+const PART5_PREPOSITION_TEMPLATES = [
+    {
+        answer: 'on',
+        times: ['Monday', 'March 3', 'Friday morning', 'the first day of the month'],
+        tense: 'past_simple',
+        distractors: ['in', 'at', 'since'],
+        explanation: '"On" is used with days and dates ("{time}").'
+    },
+    {
+        answer: 'in',
+        times: ['March', '2019', 'the spring', 'the first quarter'],
+        tense: 'past_simple',
+        distractors: ['on', 'at', 'since'],
+        explanation: '"In" is used with months, years, seasons and longer periods ("{time}").'
+    },
+    {
+        answer: 'at',
+        times: ['9:30', 'noon', 'midnight', 'a quarter past four'],
+        tense: 'past_simple',
+        distractors: ['in', 'on', 'since'],
+        explanation: '"At" is used with clock times and points in the day ("{time}").'
+    },
+    {
+        answer: 'since',
+        times: ['March', 'last year', 'the merger', '2019'],
+        tense: 'present_perfect',
+        distractors: ['for', 'at', 'on'],
+        explanation: '"Since" gives the starting point ("{time}") of an action that continues to now, usually with the present perfect.'
+    },
+    {
+        answer: 'for',
+        times: ['two hours', 'three weeks', 'several months'],
+        tense: 'past_simple',
+        distractors: ['since', 'during', 'at'],
+        explanation: '"For" is followed by a length of time ("{time}").'
+    },
+    {
+        answer: 'during',
+        times: ['the lunch break', 'the annual conference', 'the board meeting'],
+        tense: 'past_simple',
+        distractors: ['while', 'since', 'among'],
+        explanation: '"During" is followed by a noun for an event or period ("{time}"); "while" would need a clause.'
+    }
+];
+
+class Part5Generator {
+    constructor(vocabularySystem = null) {
+        this.vocab = vocabularySystem;
+        this.phraseCache = null;
+        this.phraseCacheSize = -1;
+    }
+
+    // Grammar rules generate() can produce
+    getRules() {
+        return [...PART5_TENSE_TEMPLATES.map(template => template.grammarRule), 'time_prepositions', 'word_forms'];
+    }
+
+    // Up to `count` distinct items, optionally limited to one grammar
+    // category ('tenses', 'prepositions', 'word_forms') or rule
+    generate(count, { random = Math.random, category = null, grammarRule = null } = {}) {
+        const builders = this.getBuilders({ category, grammarRule });
+        const items = new Map();
+        if (builders.length === 0) return [];
+
+        // A few misses are normal (no family example, a stative verb in a
+        // continuous frame); stop early when the pool is exhausted
+        for (let attempt = 0; items.size < count && attempt < count * 10; attempt++) {
+            const item = this.pick(builders, random)(random);
+            if (item && !items.has(item.id)) items.set(item.id, item);
+        }
+        return [...items.values()];
+    }
+
+    getBuilders({ category, grammarRule }) {
+        const builders = [];
+        const wants = (itemCategory, rule) =>
+            (!category || category === 'all' || category === 'mixed' || category === itemCategory) &&
+            (!grammarRule || grammarRule === rule);
+
+        PART5_TENSE_TEMPLATES.forEach(template => {
+            if (wants('tenses', template.grammarRule)) builders.push(random => this.buildTense(template, random));
+        });
+        if (wants('prepositions', 'time_prepositions')) builders.push(random => this.buildPreposition(random));
+        if (wants('word_forms', 'word_forms') && this.getFamilies().length > 0) {
+            builders.push(random => this.buildWordForm(random));
+        }
+        return builders;
+    }
+
+    // ------------------------------------------------------------------
+    // Templates
+    // ------------------------------------------------------------------
+
+    buildTense(template, random) {
+        const phrases = this.getVerbPhrases().filter(([verb]) => !template.continuous || !PART5_STATIVE_VERBS.includes(verb));
+        const [verb, rest] = this.pick(phrases, random);
+        const subject = this.pick(PART5_SUBJECTS, random);
+        const time = this.pick(template.times, random);
+
+        const answer = this.conjugate(verb, template.grammarRule, subject.plural);
+        const distractors = this.shuffle(template.distractors, random)
+            .map(form => this.conjugate(verb, form, subject.plural))
+            .filter((form, index, forms) => form !== answer && forms.indexOf(form) === index)
+            .slice(0, 3);
+        if (distractors.length < 3) return null;
+
+        return this.makeItem({
+            kind: 'tense',
+            category: 'tenses',
+            grammarRule: template.grammarRule,
+            difficulty: template.difficulty,
+            question: `${subject.text} _____ ${rest} ${time}.`,
+            answer,
+            distractors,
+            explanation: this.fill(template.explanation, { time, answer, subject: subject.text })
+        }, random);
+    }
+
+    buildPreposition(random) {
+        const template = this.pick(PART5_PREPOSITION_TEMPLATES, random);
+        const [verb, rest] = this.pick(this.getVerbPhrases(), random);
+        const subject = this.pick(PART5_SUBJECTS, random);
+        const time = this.pick(template.times, random);
+        const verbForm = this.conjugate(verb, template.tense, subject.plural);
+
+        return this.makeItem({
+            kind: 'time_preposition',
+            category: 'prepositions',
+            grammarRule: 'time_prepositions',
+            difficulty: 'A2',
+            question: `${subject.text} ${verbForm} ${rest} _____ ${time}.`,
+            answer: template.answer,
+            distractors: template.distractors,
+            explanation: this.fill(template.explanation, { time })
+        }, random);
+    }
+
+    // A family example with its own form blanked; the other forms (then
+    // verb inflections) are the distractors
+    buildWordForm(random) {
+        const family = this.pick(this.getFamilies(), random);
+        const form = this.pick(family.forms, random);
+        // Not at the start of the sentence, so every option stays lower case
+        const match = new RegExp(`\\b${form.word}\\b`).exec(form.example);
+        if (!match || match.index === 0) return null;
+
+        const answer = form.word.toLowerCase();
+        const options = new Set(this.shuffle(family.forms.map(item => item.word.toLowerCase()), random));
+        family.forms.filter(item => item.pos === 'verb').forEach(item => {
+            ['s', 'ed', 'ing'].forEach(inflection => options.add(this.conjugate(item.word.toLowerCase(), inflection, false)));
+        });
+        options.delete(answer);
+        const distractors = [...options].slice(0, 3);
+        if (distractors.length < 3) return null;
+
+        return this.makeItem({
+            kind: 'word_form',
+            category: 'word_forms',
+            grammarRule: 'word_forms',
+            difficulty: 'B1',
+            question: `${form.example.slice(0, match.index)}_____${form.example.slice(match.index + form.word.length)}`,
+            answer,
+            distractors,
+            explanation: `The blank needs ${/^[aeiou]/.test(form.pos) ? 'an' : 'a'} ${form.pos || 'word'} here, so "${answer}" is correct.`,
+            wordFamily: family.id
+        }, random);
+    }
+
+    makeItem({ kind, answer, distractors, ...fields }, random) {
+        const options = this.shuffle([answer, ...distractors], random);
+        const item = {
+            id: `gen_${kind}_${this.hash(`${fields.question}|${answer}`)}`,
+            ...fields,
+            options,
+            correctAnswer: options.indexOf(answer),
+            generated: true,
+            template: kind
+        };
+        if (!item.wordFamily) delete item.wordFamily;
+        return item;
+    }
+
+    // ------------------------------------------------------------------
+    // Word sources
+    // ------------------------------------------------------------------
+
+    // [verb, object phrase] pairs from the word list's verb examples:
+    // "We need to allocate more budget to marketing." → allocate + "more
+    // budget to marketing". Phrases with their own time expression or a
+    // pronoun that might not match the generated subject are skipped.
+    // Only the built-in word list counts (imported and content-pack words
+    // carry a `source`), read in alphabetical order, so a seeded test form
+    // produces the same sentences on every device.
+    getVerbPhrases() {
+        const vocabulary = this.vocab && this.vocab.vocabulary;
+        const builtIn = vocabulary
+            ? [...vocabulary.values()].filter(entry => !entry.source).sort((a, b) => (a.word < b.word ? -1 : a.word > b.word ? 1 : 0))
+            : [];
+        if (this.phraseCache && this.phraseCacheSize === builtIn.length) return this.phraseCache;
+
+        const lead = /^(?:(?:We|The company|The manager|The team|Everyone)\s+(?:need to|needs to|will|plans to|decided to|should|must|cannot)|Please)\s+/;
+        const unsafe = /\b(?:I|me|my|you|your|we|us|our|it|its|they|them|their|he|him|his|she|her|that|today|tonight|tomorrow|yesterday|now|soon|immediately|next|last|ago|on time|by|every|regularly|again)\b/i;
+        const phrases = [];
+        for (const entry of builtIn) {
+            const verb = String(entry.word || '').toLowerCase();
+            if (entry.partOfSpeech !== 'verb' || !/^[a-z]+$/.test(verb) || PART5_SKIP_VERBS.includes(verb)) continue;
+            for (const example of entry.examples || []) {
+                const match = new RegExp(`${lead.source}${verb}\\s+([a-z][\\w\\s'-]*?)[.!]$`).exec(example.trim());
+                if (match && !unsafe.test(match[1]) && match[1].split(/\s+/).length <= 6) {
+                    phrases.push([verb, match[1]]);
+                    break;
+                }
+            }
+        }
+
+        this.phraseCache = phrases.length >= PART5_FALLBACK_PHRASES.length ? phrases : PART5_FALLBACK_PHRASES;
+        this.phraseCacheSize = builtIn.length;
+        return this.phraseCache;
+    }
+
+    getFamilies() {
+        const families = this.vocab && this.vocab.wordFamilies;
+        return families ? [...families.values()].filter(family => family.forms.length >= 2) : [];
+    }
+
+    // ------------------------------------------------------------------
+    // Helpers
+    // ------------------------------------------------------------------
+
+    // Verb form for a tense name (see PART5_TENSE_TEMPLATES) or a bare
+    // inflection: s, ed, ing, pp, agreement
+    conjugate(verb, form, plural) {
+        const be = plural ? 'are' : 'is';
+        const was = plural ? 'were' : 'was';
+        const have = plural ? 'have' : 'has';
+        switch (form) {
+            case 's': return this.inflectS(verb);
+            case 'ed': return this.past(verb);
+            case 'pp': return this.participle(verb);
+            case 'ing': return this.inflectIng(verb);
+            case 'agreement': return plural ? this.inflectS(verb) : verb;
+            case 'present_simple': return plural ? verb : this.inflectS(verb);
+            case 'present_continuous': return `${be} ${this.inflectIng(verb)}`;
+            case 'past_simple': return this.past(verb);
+            case 'past_continuous': return `${was} ${this.inflectIng(verb)}`;
+            case 'present_perfect': return `${have} ${this.participle(verb)}`;
+            case 'present_perfect_continuous': return `${have} been ${this.inflectIng(verb)}`;
+            case 'future_perfect': return `will have ${this.participle(verb)}`;
+            default: return verb;
+        }
+    }
+
+    inflectS(verb) {
+        if (/[^aeiou]y$/.test(verb)) return `${verb.slice(0, -1)}ies`;
+        if (/(s|x|z|ch|sh|o)$/.test(verb)) return `${verb}es`;
+        return `${verb}s`;
+    }
+
+    past(verb) {
+        if (PART5_IRREGULAR_VERBS[verb]) return PART5_IRREGULAR_VERBS[verb][0];
+        if (verb.endsWith('e')) return `${verb}d`;
+        if (/[^aeiou]y$/.test(verb)) return `${verb.slice(0, -1)}ied`;
+        return `${this.doubleFinal(verb)}ed`;
+    }
+
+    participle(verb) {
+        return PART5_IRREGULAR_VERBS[verb] ? PART5_IRREGULAR_VERBS[verb][1] : this.past(verb);
+    }
+
+    inflectIng(verb) {
+        if (/ie$/.test(verb)) return `${verb.slice(0, -2)}ying`;
+        if (/[^e]e$/.test(verb)) return `${verb.slice(0, -1)}ing`;
+        return `${this.doubleFinal(verb)}ing`;
+    }
+
+    doubleFinal(verb) {
+        const oneSyllableCVC = /^[^aeiou]*[aeiou][b-df-hj-np-tv-z]$/.test(verb) && !/[wxy]$/.test(verb);
+        return oneSyllableCVC || PART5_DOUBLING_VERBS.includes(verb) ? `${verb}${verb.slice(-1)}` : verb;
+    }
+
+    fill(text, params) {
+        return text.replace(/\{(\w+)\}/g, (match, key) => (key in params ? params[key] : match));
+    }
+
+    // Stable ids, so the same sentence keeps its progress and doesn't
+    // repeat within a session
+    hash(text) {
+        let h = 2166136261;
+        for (let i = 0; i < text.length; i++) {
+            h ^= text.charCodeAt(i);
+            h = Math.imul(h, 16777619);
+        }
+        return (h >>> 0).toString(36);
+    }
+
+    pick(items, random) {
+        return items[Math.floor(random() * items.length)];
+    }
+
+    shuffle(items, random) {
+        const result = items.slice();
+        for (let i = result.length - 1; i > 0; i--) {
+            const j = Math.floor(random() * (i + 1));
+            [result[i], result[j]] = [result[j], result[i]];
+        }
+        return result;
+    }
+}
+
+// Export for global use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { Part5Generator };
+} else {
+    window.Part5Generator = Part5Generator;
+}
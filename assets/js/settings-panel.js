@@ -4,6 +4,8 @@
 //   Audio     → applied via window.audioSystem.updateSettings()
 //   Game      → published as window.gameSettings
 //   Interface → font size / contrast / motion classes on <html>
+//   Review    → scheduler + target retention via window.spacedRepetition
+//   Content   → content packs on/off via window.contentPacks (next load)
 // UI chrome is translated via window.t() and re-renders on languageChanged.
 
 // Prevent redeclaration
@@ -218,7 +220,9 @@ class SettingsPanel {
             <div class="settings-drawer-body">
                 ${this.createAudioSection()}
                 ${this.createGameSection()}
+                ${this.createReviewSection()}
                 ${this.createUISection()}
+                ${this.createContentPacksSection()}
                 ${this.createActionsSection()}
             </div>
         `;
@@ -296,6 +300,52 @@ class SettingsPanel {
         `;
     }
 
+    createReviewSection() {
+        const srs = window.spacedRepetition;
+        if (!srs) return '';
+        const { scheduler, targetRetention } = srs.getSettings();
+        const retentionPct = Math.round(targetRetention * 100);
+        return `
+            <section class="settings-card">
+                <h3 class="settings-card-title">
+                    <i data-lucide="calendar-clock" class="w-5 h-5"></i>
+                    ${this.t('settings.reviewSection', 'Review Scheduling')}
+                </h3>
+                <div class="settings-row settings-row-stacked">
+                    <span class="settings-row-label">${this.t('settings.scheduler', 'Scheduler')}</span>
+                    <select class="settings-select"
+                            onchange="window.settingsPanel.setReviewScheduler(this.value)">
+                        <option value="sm2" ${scheduler === 'sm2' ? 'selected' : ''}>${this.t('settings.schedulerSm2', 'SM-2 (classic intervals)')}</option>
+                        <option value="fsrs" ${scheduler === 'fsrs' ? 'selected' : ''}>${this.t('settings.schedulerFsrs', 'FSRS (memory model)')}</option>
+                    </select>
+                </div>
+                ${scheduler === 'fsrs' ? `
+                <div class="settings-row settings-row-stacked">
+                    <span class="settings-row-label">${this.t('settings.targetRetention', 'Target Retention')}
+                        <span class="settings-value" id="targetRetentionValue">${retentionPct}%</span>
+                    </span>
+                    <input type="range" class="settings-range" min="0.8" max="0.97" step="0.01" value="${targetRetention}"
+                           oninput="document.getElementById('targetRetentionValue').textContent = Math.round(this.value * 100) + '%'"
+                           onchange="window.settingsPanel.setTargetRetention(parseFloat(this.value))">
+                    <span class="settings-value">${this.t('settings.targetRetentionDesc', 'Higher means more reviews and fewer forgotten words')}</span>
+                </div>
+                ` : ''}
+            </section>
+        `;
+    }
+
+    setReviewScheduler(id) {
+        if (!window.spacedRepetition) return;
+        window.spacedRepetition.setScheduler(id);
+        // The retention slider only applies to FSRS
+        this.renderPanelContent();
+    }
+
+    setTargetRetention(value) {
+        if (!window.spacedRepetition) return;
+        window.spacedRepetition.setScheduler(window.spacedRepetition.getSettings().scheduler, { targetRetention: value });
+    }
+
     createUISection() {
         const u = this.settings.ui;
         return `
@@ -319,6 +369,64 @@ class SettingsPanel {
         `;
     }
 
+    createContentPacksSection() {
+        const packs = window.contentPacks ? window.contentPacks.listPacks() : [];
+        if (packs.length === 0) return '';
+
+        const rows = packs.map(pack => {
+            const counts = pack.counts
+                ? Object.entries(pack.counts)
+                    .filter(([, n]) => n > 0)
+                    .map(([section, n]) => `${this.t(`settings.packSection.${section}`, section)} ${n}`)
+                    .join(' · ')
+                : '';
+            const problems = pack.errors.length > 0
+                ? `<div class="settings-pack-errors">${pack.errors.slice(0, 3).map(e => `<div>${e}</div>`).join('')}${pack.errors.length > 3
+                    ? `<div>${this.t('settings.packMoreErrors', '…and {count} more (see console)').replace('{count}', pack.errors.length - 3)}</div>` : ''}</div>`
+                : '';
+            const usable = pack.status === 'loaded';
+            // The id goes into an inline handler — only pass it through if it is a plain id
+            const safeId = String(pack.id).replace(/[^a-z0-9._-]/gi, '');
+            return `
+                <div class="settings-pack">
+                    <label class="settings-row">
+                        <span class="settings-row-label settings-pack-label">
+                            <span>${pack.name}${pack.version ? ` <span class="settings-value">v${pack.version}</span>` : ''}</span>
+                            <span class="settings-value">${usable ? counts : this.t('settings.packInvalid', 'Not loaded — fix the errors below')}</span>
+                        </span>
+                        <span class="switch">
+                            <input type="checkbox" ${pack.enabled && usable ? 'checked' : ''} ${usable ? '' : 'disabled'}
+                                   onchange="window.settingsPanel.setContentPackEnabled('${safeId}', this.checked)">
+                            <span class="switch-track"><span class="switch-thumb"></span></span>
+                        </span>
+                    </label>
+                    ${problems}
+                </div>
+            `;
+        }).join('');
+
+        return `
+            <section class="settings-card">
+                <h3 class="settings-card-title">
+                    <i data-lucide="package" class="w-5 h-5"></i>
+                    ${this.t('settings.contentSection', 'Content Packs')}
+                </h3>
+                ${rows}
+                <p class="settings-value settings-pack-note">${this.t('settings.packReloadNote', 'Changes take effect after the app reloads.')}</p>
+                <button class="settings-action-btn" onclick="window.location.reload()">
+                    <i data-lucide="refresh-cw" class="w-4 h-4"></i>
+                    ${this.t('settings.reloadNow', 'Reload now')}
+                </button>
+            </section>
+        `;
+    }
+
+    setContentPackEnabled(id, enabled) {
+        if (!window.contentPacks) return;
+        window.contentPacks.setEnabled(id, enabled);
+        console.log(`⚙️ Content pack ${id} ${enabled ? 'enabled' : 'disabled'} (applies on reload)`);
+    }
+
     createActionsSection() {
         return `
             <section class="settings-card">
@@ -351,9 +459,13 @@ class SettingsPanel {
     // Every localStorage key that holds learner progress or preferences.
     // Prefix entries (ending with *) match any key with that prefix.
     static PROGRESS_KEYS = [
-        'toeicVocabularyProgress', 'toeicReadingProgress', 'toeic_grammar_progress',
-        'dailyConversationProgress', 'toeicTestHistory', 'toeicLastModule',
-        'enhancedProgress', 'studySessions', 'srs_schedules', 'srs_history_*',
+        'toeicVocabularyProgress', 'toeicReadingProgress', 'toeicReadingSpeed', 'toeicReadingPassageStats',
+        'toeicListeningProgress', 'toeic_grammar_progress',
+        'dailyConversationProgress', 'toeicTestHistory', 'toeicLastModule', 'toeicScoreTable',
+        'toeicTestInProgress', 'toeicTestClock', 'toeicTestResumePolicy', 'toeicTestExamMode',
+        'toeicPlacementResult', 'toeicVocabLevelFilter', 'toeicUserVocabulary', 'toeicUserDecks',
+        'toeicGrammarCategoryOrder', 'toeicContentPacks', 'toeic_grammar_mistakes',
+        'enhancedProgress', 'studySessions', 'srs_schedules', 'srs_settings', 'srs_history_*',
         'srs_times_*', 'toeic_timeline', 'toeic_user_timezone',
         'toeic_analytics_data', 'toeic_performance_metrics', 'toeic_learning_analytics',
         'toeic_user_id', 'wordmaster_settings', 'audio_settings', 'preferredLanguage'
@@ -1,88 +1,271 @@
 // WordMaster Pro - Spaced Repetition System
 // Scientific algorithm for optimal memory retention
+//
+// Scheduling is pluggable: every scheduler implements
+//   initialState()                      → fresh memory state
+//   review(state, grade, elapsedDays)   → { state, interval } (interval in days)
+//   currentInterval(state)              → interval the state implies right now
+//   migrate({ interval, easeFactor })   → state from a pre-v2 schedule
+// Every review updates the state of ALL registered schedulers, so
+// switching scheduler in settings reschedules from real history instead
+// of starting over. Only the active one sets the next review date.
 
-class SpacedRepetitionSystem {
+// Review grades shared by every scheduler (same scale as Anki/FSRS)
+const SRS_GRADES = { AGAIN: 1, HARD: 2, GOOD: 3, EASY: 4 };
+const SRS_SCHEDULE_VERSION = 2;
+const SRS_DAY_MS = 24 * 60 * 60 * 1000;
+const SRS_SETTINGS_KEY = 'srs_settings';
+
+// SM-2 with fixed 1 → 3 → 7 day learning steps, then interval × ease.
+// Hard grows the interval by 1.2 instead of the ease (always by at least a
+// day, so it never schedules like Again), Easy adds a 1.3 bonus.
+class SM2Scheduler {
     constructor() {
-        this.wordSchedules = new Map(); // word -> schedule data
-        this.reviewQueue = [];
-        this.intervals = [1, 3, 7, 15, 30, 90]; // days
-        this.easeFactor = 2.5;
+        this.id = 'sm2';
+        this.name = 'SM-2';
         this.minEaseFactor = 1.3;
         this.maxEaseFactor = 4.0;
-        
-        this.loadSchedules();
-        console.log('🧠 Spaced Repetition System initialized');
     }
-    
-    // Main SRS calculation based on SM-2 algorithm
-    calculateNextReview(word, quality, previousInterval = 1, easeFactor = 2.5) {
-        // Quality: 0=forgot, 1=hard, 2=good, 3=easy, 4=perfect
-        // Ease delta adapted to the 0-4 scale: quality 4 gives +0.1, lower quality reduces ease
-        let newEaseFactor = easeFactor + (0.1 - (4 - quality) * (0.08 + (4 - quality) * 0.02));
+
+    initialState() {
+        return { interval: 1, easeFactor: 2.5 };
+    }
+
+    review(state, grade) {
+        const { interval: previousInterval, easeFactor } = state || this.initialState();
+
+        if (grade === SRS_GRADES.AGAIN) {
+            // Failed recall - reset to beginning
+            return {
+                state: { interval: 1, easeFactor: Math.max(this.minEaseFactor, easeFactor - 0.2) },
+                interval: 1
+            };
+        }
+
+        // SM-2 ease delta, with the grade as quality on a 0-4 scale:
+        // Hard -0.14, Good ±0, Easy +0.1
+        let newEaseFactor = easeFactor + (0.1 - (4 - grade) * (0.08 + (4 - grade) * 0.02));
         newEaseFactor = Math.max(this.minEaseFactor, Math.min(this.maxEaseFactor, newEaseFactor));
-        
-        let newInterval;
-        
-        if (quality === 0) {
-            // Failed recall (incorrect answer) - reset to beginning
-            newInterval = 1;
-            newEaseFactor = Math.max(1.3, easeFactor - 0.2);
+
+        let goodInterval;
+        if (previousInterval === 1) {
+            goodInterval = 3;
+        } else if (previousInterval === 3) {
+            goodInterval = 7;
+        } else {
+            goodInterval = Math.round(previousInterval * newEaseFactor);
+        }
+
+        let interval = goodInterval;
+        if (grade === SRS_GRADES.HARD) {
+            // Slower than Good but never a reset: 1 → 2, 3 → 4, 10 → 12 days,
+            // with a smaller ease penalty than Again's (-0.14 vs -0.2)
+            interval = Math.min(goodInterval, Math.max(previousInterval + 1, Math.round(previousInterval * 1.2)));
+        } else if (grade === SRS_GRADES.EASY) {
+            interval = Math.round(goodInterval * 1.3);
+        }
+
+        return { state: { interval, easeFactor: newEaseFactor }, interval };
+    }
+
+    currentInterval(state) {
+        return state.interval;
+    }
+
+    migrate({ interval = 1, easeFactor = 2.5 } = {}) {
+        return { interval, easeFactor };
+    }
+}
+
+// FSRS-style memory model (FSRS-4.5 formulas and default weights).
+// A card has a stability S (days until recall probability falls to 90%)
+// and a difficulty D (1-10); the interval is the time until the
+// retrievability R reaches the target retention.
+const FSRS_DEFAULT_WEIGHTS = [
+    0.4872, 1.4003, 3.7145, 13.8206, 5.1618, 1.2298, 0.8975, 0.031, 1.6474,
+    0.1367, 1.0461, 2.1072, 0.0793, 0.3246, 1.587, 0.2272, 2.8755
+];
+const FSRS_DECAY = -0.5;
+const FSRS_FACTOR = 19 / 81; // makes R = 0.9 exactly when elapsed days = S
+const FSRS_MAX_INTERVAL = 36500;
+
+class FSRSScheduler {
+    constructor({ targetRetention = 0.9, weights = FSRS_DEFAULT_WEIGHTS } = {}) {
+        this.id = 'fsrs';
+        this.name = 'FSRS';
+        this.w = weights;
+        this.setTargetRetention(targetRetention);
+    }
+
+    setTargetRetention(targetRetention) {
+        this.targetRetention = Math.min(0.99, Math.max(0.7, Number(targetRetention) || 0.9));
+    }
+
+    initialState() {
+        return null; // the first grade decides the starting stability
+    }
+
+    retrievability(stability, elapsedDays) {
+        return Math.pow(1 + FSRS_FACTOR * Math.max(0, elapsedDays) / stability, FSRS_DECAY);
+    }
+
+    intervalFor(stability) {
+        const interval = stability / FSRS_FACTOR * (Math.pow(this.targetRetention, 1 / FSRS_DECAY) - 1);
+        return Math.min(FSRS_MAX_INTERVAL, Math.max(1, Math.round(interval)));
+    }
+
+    initialDifficulty(grade) {
+        return this.clampDifficulty(this.w[4] - (grade - 3) * this.w[5]);
+    }
+
+    clampDifficulty(difficulty) {
+        return Math.min(10, Math.max(1, difficulty));
+    }
+
+    review(state, grade, elapsedDays = 0) {
+        const w = this.w;
+        let stability;
+        let difficulty;
+
+        if (!state) {
+            stability = w[grade - 1];
+            difficulty = this.initialDifficulty(grade);
         } else {
-            if (previousInterval === 1) {
-                newInterval = 3;
-            } else if (previousInterval === 3) {
-                newInterval = 7;
+            const r = this.retrievability(state.stability, elapsedDays);
+            if (grade === SRS_GRADES.AGAIN) {
+                stability = Math.min(state.stability,
+                    w[11] * Math.pow(state.difficulty, -w[12]) * (Math.pow(state.stability + 1, w[13]) - 1) * Math.exp(w[14] * (1 - r)));
             } else {
-                newInterval = Math.round(previousInterval * newEaseFactor);
+                const hardPenalty = grade === SRS_GRADES.HARD ? w[15] : 1;
+                const easyBonus = grade === SRS_GRADES.EASY ? w[16] : 1;
+                stability = state.stability * (1 + Math.exp(w[8]) * (11 - state.difficulty) *
+                    Math.pow(state.stability, -w[9]) * (Math.exp(w[10] * (1 - r)) - 1) * hardPenalty * easyBonus);
             }
+            // Difficulty moves with the grade, then reverts slightly toward the "Good" default
+            const next = state.difficulty - w[6] * (grade - 3);
+            difficulty = this.clampDifficulty(w[7] * this.initialDifficulty(SRS_GRADES.GOOD) + (1 - w[7]) * next);
         }
-        
-        const nextReviewDate = new Date();
-        nextReviewDate.setDate(nextReviewDate.getDate() + newInterval);
-        
+
+        stability = Math.max(0.1, stability);
+        return { state: { stability, difficulty }, interval: this.intervalFor(stability) };
+    }
+
+    currentInterval(state) {
+        return this.intervalFor(state.stability);
+    }
+
+    // An SM-2 interval was (roughly) the point where recall was still
+    // likely, so it stands in for stability; low ease means a hard card
+    migrate({ interval = 1, easeFactor = 2.5 } = {}) {
         return {
-            interval: newInterval,
-            easeFactor: newEaseFactor,
-            nextReviewDate: nextReviewDate.toISOString(),
-            lastReviewed: new Date().toISOString(),
-            quality: quality,
-            reviewCount: (this.wordSchedules.get(word)?.reviewCount || 0) + 1
+            stability: Math.max(0.1, interval),
+            difficulty: this.clampDifficulty(5 + (2.5 - easeFactor) * 5)
         };
     }
-    
-    // Record a review session
-    recordReview(word, isCorrect, responseTime = 0, difficulty = 'medium') {
-        let quality;
+}
+
+class SpacedRepetitionSystem {
+    constructor() {
+        this.wordSchedules = new Map(); // word -> schedule data
+        this.reviewQueue = [];
+        this.settings = this.loadSettings();
+        this.schedulers = {
+            sm2: new SM2Scheduler(),
+            fsrs: new FSRSScheduler({ targetRetention: this.settings.targetRetention })
+        };
         
-        // Convert performance to quality score
-        if (!isCorrect) {
-            quality = 0; // Forgot
-        } else {
-            // Quality based on response time; correct answers score at least 2
-            // (responseTime includes reading time, so slow-correct is not a failure)
-            if (responseTime < 2000) {
-                quality = 4; // Perfect
-            } else if (responseTime < 5000) {
-                quality = 3; // Easy
-            } else {
-                quality = 2; // Good
-            }
+        this.loadSchedules();
+        console.log(`🧠 Spaced Repetition System initialized (${this.getScheduler().name})`);
+    }
+    
+    loadSettings() {
+        const defaults = { scheduler: 'sm2', targetRetention: 0.9 };
+        try {
+            return { ...defaults, ...(JSON.parse(localStorage.getItem(SRS_SETTINGS_KEY)) || {}) };
+        } catch (error) {
+            console.warn('⚠️ Failed to load SRS settings:', error);
+            return defaults;
+        }
+    }
+    
+    saveSettings() {
+        try {
+            localStorage.setItem(SRS_SETTINGS_KEY, JSON.stringify(this.settings));
+        } catch (error) {
+            console.warn('⚠️ Failed to save SRS settings:', error);
+        }
+    }
+    
+    getScheduler() {
+        return this.schedulers[this.settings.scheduler] || this.schedulers.sm2;
+    }
+    
+    getSettings() {
+        return { ...this.settings };
+    }
+    
+    // Switch scheduler and/or target retention; due dates are recomputed
+    // from each word's stored memory state so the change applies at once
+    setScheduler(id, { targetRetention } = {}) {
+        if (this.schedulers[id]) this.settings.scheduler = id;
+        if (targetRetention !== undefined) {
+            this.schedulers.fsrs.setTargetRetention(targetRetention);
+            this.settings.targetRetention = this.schedulers.fsrs.targetRetention;
         }
+        this.saveSettings();
+        this.rescheduleAll();
+        console.log(`🧠 SRS scheduler: ${this.getScheduler().name} (retention ${this.settings.targetRetention})`);
+    }
+    
+    rescheduleAll() {
+        const scheduler = this.getScheduler();
+        for (const schedule of this.wordSchedules.values()) {
+            const state = schedule.models && schedule.models[scheduler.id];
+            if (!state || !schedule.lastReviewed) continue;
+            schedule.algorithm = scheduler.id;
+            schedule.interval = scheduler.currentInterval(state);
+            schedule.nextReviewDate = new Date(new Date(schedule.lastReviewed).getTime() + schedule.interval * SRS_DAY_MS).toISOString();
+        }
+        this.saveSchedules();
+    }
+    
+    // Run a grade through every scheduler; the active one sets the due date
+    calculateNextReview(word, grade, now = new Date()) {
+        const previous = this.wordSchedules.get(word);
+        const elapsedDays = previous && previous.lastReviewed
+            ? Math.max(0, (now - new Date(previous.lastReviewed)) / SRS_DAY_MS)
+            : 0;
+        const active = this.getScheduler();
         
-        const currentSchedule = this.wordSchedules.get(word) || {
-            interval: 1,
-            easeFactor: 2.5,
-            reviewCount: 0,
-            successRate: 0,
-            averageTime: 0
-        };
+        const models = {};
+        let interval = 1;
+        Object.values(this.schedulers).forEach(scheduler => {
+            const state = previous && previous.models ? previous.models[scheduler.id] : scheduler.initialState();
+            const result = scheduler.review(state, grade, elapsedDays);
+            models[scheduler.id] = result.state;
+            if (scheduler === active) interval = result.interval;
+        });
         
-        const newSchedule = this.calculateNextReview(
-            word, 
-            quality, 
-            currentSchedule.interval, 
-            currentSchedule.easeFactor
-        );
+        return {
+            version: SRS_SCHEDULE_VERSION,
+            algorithm: active.id,
+            models,
+            interval,
+            easeFactor: models.sm2 ? models.sm2.easeFactor : 2.5,
+            nextReviewDate: new Date(now.getTime() + interval * SRS_DAY_MS).toISOString(),
+            lastReviewed: now.toISOString(),
+            grade,
+            reviewCount: (previous?.reviewCount || 0) + 1,
+            lapses: (previous?.lapses || 0) + (grade === SRS_GRADES.AGAIN ? 1 : 0)
+        };
+    }
+    
+    // Record a self-graded review (Again/Hard/Good/Easy). responseTime is
+    // kept for statistics only — it never changes the grade, the interval
+    // or the difficulty label that orders the review queue.
+    recordGrade(word, grade, responseTime = 0) {
+        const isCorrect = grade > SRS_GRADES.AGAIN;
+        const newSchedule = this.calculateNextReview(word, grade);
         
         // Update statistics
         newSchedule.successRate = this.calculateSuccessRate(word, isCorrect);
@@ -90,7 +273,7 @@ class SpacedRepetitionSystem {
 
         // Store the fresh schedule first so difficulty is computed from up-to-date stats
         this.wordSchedules.set(word, newSchedule);
-        newSchedule.difficulty = this.calculateWordDifficulty(word, quality);
+        newSchedule.difficulty = this.calculateWordDifficulty(word, grade);
         this.saveSchedules();
         
         console.log(`📅 SRS: ${word} -> Next review in ${newSchedule.interval} days`);
@@ -98,6 +281,92 @@ class SpacedRepetitionSystem {
         return newSchedule;
     }
     
+    // Right/wrong answers (quizzes) count as Good/Again
+    recordReview(word, isCorrect, responseTime = 0) {
+        return this.recordGrade(word, isCorrect ? SRS_GRADES.GOOD : SRS_GRADES.AGAIN, responseTime);
+    }
+    
+    // Interval in days each grade would give right now, for labelling grade buttons
+    previewIntervals(word, now = new Date()) {
+        const preview = {};
+        Object.values(SRS_GRADES).forEach(grade => {
+            preview[grade] = this.calculateNextReview(word, grade, now).interval;
+        });
+        return preview;
+    }
+    
+    // Queue a word the student picked out (e.g. tapped in a passage) for a
+    // first review now. Words that already have a schedule keep it.
+    queueForReview(word, now = new Date()) {
+        if (this.wordSchedules.has(word)) return false;
+        const models = {};
+        Object.values(this.schedulers).forEach(scheduler => {
+            models[scheduler.id] = scheduler.initialState();
+        });
+        this.wordSchedules.set(word, {
+            version: SRS_SCHEDULE_VERSION,
+            algorithm: this.getScheduler().id,
+            models,
+            interval: 0,
+            easeFactor: 2.5,
+            nextReviewDate: now.toISOString(),
+            lastReviewed: null,
+            reviewCount: 0,
+            lapses: 0,
+            successRate: 0,
+            averageTime: 0
+        });
+        this.saveSchedules();
+        return true;
+    }
+    
+    getSchedule(word) {
+        return this.wordSchedules.get(word) || null;
+    }
+    
+    isDue(word, now = new Date()) {
+        const schedule = this.wordSchedules.get(word);
+        return !schedule || new Date(schedule.nextReviewDate) <= now;
+    }
+    
+    // Bring a pre-v2 schedule ({ interval, easeFactor, nextReviewDate, ... })
+    // up to the current shape, keeping its due date
+    migrateSchedule(schedule) {
+        if (schedule && schedule.version === SRS_SCHEDULE_VERSION && schedule.models) return schedule;
+        const legacy = {
+            interval: Number(schedule?.interval) || 1,
+            easeFactor: Number(schedule?.easeFactor) || 2.5
+        };
+        const models = {};
+        Object.values(this.schedulers).forEach(scheduler => {
+            models[scheduler.id] = scheduler.migrate(legacy);
+        });
+        const lastReviewed = schedule?.lastReviewed || new Date().toISOString();
+        return {
+            reviewCount: 0,
+            successRate: 0,
+            averageTime: 0,
+            ...schedule,
+            version: SRS_SCHEDULE_VERSION,
+            algorithm: 'sm2',
+            models,
+            interval: legacy.interval,
+            easeFactor: legacy.easeFactor,
+            lastReviewed,
+            nextReviewDate: schedule?.nextReviewDate ||
+                new Date(new Date(lastReviewed).getTime() + legacy.interval * SRS_DAY_MS).toISOString(),
+            lapses: schedule?.lapses || 0
+        };
+    }
+    
+    // Adopt review history kept elsewhere (e.g. the vocabulary system's old
+    // mastery ladder) for a word the scheduler has not seen yet
+    importLegacySchedule(word, legacy) {
+        if (this.wordSchedules.has(word)) return false;
+        this.wordSchedules.set(word, this.migrateSchedule(legacy));
+        return true;
+    }
+    
     // Get words due for review
     getWordsForReview(limit = 20) {
         const now = new Date();
@@ -175,15 +444,17 @@ class SpacedRepetitionSystem {
         return times.reduce((sum, time) => sum + time, 0) / times.length;
     }
     
-    // Calculate word difficulty
-    calculateWordDifficulty(word, quality) {
+    // Calculate word difficulty from grades, success rate and lapses.
+    // Response time is left out: slow answers say little about recall.
+    calculateWordDifficulty(word, grade) {
         const schedule = this.wordSchedules.get(word);
         
         if (!schedule) return 'medium';
         
-        if (schedule.successRate < 0.5 || schedule.averageTime > 8000) {
+        const lapses = schedule.lapses || 0;
+        if (schedule.successRate < 0.5 || lapses >= 3) {
             return 'hard';
-        } else if (schedule.successRate > 0.8 && schedule.averageTime < 3000) {
+        } else if (schedule.successRate > 0.8 && grade >= SRS_GRADES.GOOD && lapses < 2) {
             return 'easy';
         } else {
             return 'medium';
@@ -208,7 +479,7 @@ class SpacedRepetitionSystem {
             
             if (schedule.successRate > 0.8 && schedule.reviewCount > 5) {
                 masteredWords++;
-            } else if (schedule.successRate < 0.5) {
+            } else if (schedule.reviewCount > 0 && schedule.successRate < 0.5) {
                 strugglingWords++;
             }
         }
@@ -229,7 +500,15 @@ class SpacedRepetitionSystem {
             const stored = localStorage.getItem('srs_schedules');
             if (stored) {
                 const data = JSON.parse(stored);
-                this.wordSchedules = new Map(Object.entries(data));
+                let migrated = 0;
+                this.wordSchedules = new Map(Object.entries(data).map(([word, schedule]) => {
+                    if (schedule.version !== SRS_SCHEDULE_VERSION) migrated++;
+                    return [word, this.migrateSchedule(schedule)];
+                }));
+                if (migrated > 0) {
+                    this.saveSchedules();
+                    console.log(`🧠 Migrated ${migrated} SRS schedules to v${SRS_SCHEDULE_VERSION}`);
+                }
             }
         } catch (error) {
             console.warn('⚠️ Failed to load SRS schedules:', error);
@@ -301,7 +580,7 @@ class SpacedRepetitionSystem {
         const data = {
             schedules: Object.fromEntries(this.wordSchedules),
             timestamp: new Date().toISOString(),
-            version: '1.0'
+            version: '2.0'
         };
         
         return JSON.stringify(data, null, 2);
@@ -311,7 +590,8 @@ class SpacedRepetitionSystem {
     importData(jsonData) {
         try {
             const data = JSON.parse(jsonData);
-            this.wordSchedules = new Map(Object.entries(data.schedules));
+            this.wordSchedules = new Map(Object.entries(data.schedules)
+                .map(([word, schedule]) => [word, this.migrateSchedule(schedule)]));
             this.saveSchedules();
             console.log('✅ SRS data imported successfully');
             return true;
@@ -323,5 +603,8 @@ class SpacedRepetitionSystem {
 }
 
 // Export for global use
+window.SRS_GRADES = SRS_GRADES;
+window.SM2Scheduler = SM2Scheduler;
+window.FSRSScheduler = FSRSScheduler;
 window.SpacedRepetitionSystem = SpacedRepetitionSystem;
 console.log('🧠 Spaced Repetition System loaded');
@@ -8,10 +8,13 @@
  *      deterministic per calendar day, with audio and a practice link
  *   3. Your Progress    — streak, words studied, tests taken and best
  *      score, conversation scenarios completed
+ *   4. Your Level       — placement test call-to-action for new users;
+ *      afterwards the estimated score band, per-skill levels and
+ *      recommendations from that result
  *
  * All data comes from storage the modules already write:
  *   toeicLastModule, toeicVocabularyProgress, toeicTestHistory,
- *   enhancedProgress, dailyConversationProgress
+ *   enhancedProgress, dailyConversationProgress, toeicPlacementResult
  * Every read is defensive — a missing/corrupt key just hides that stat.
  */
 
@@ -84,6 +87,11 @@ class StudyDashboard {
         };
     }
 
+    getPlacement() {
+        const result = this.readJSON('toeicPlacementResult');
+        return result && result.score && result.skills ? result : null;
+    }
+
     getStats() {
         const stats = [];
 
@@ -151,6 +159,7 @@ class StudyDashboard {
 
         this.container.innerHTML = `
             <div class="dashboard-grid">
+                ${this.renderPlacementCard()}
                 ${this.renderContinueCard()}
                 ${this.renderWordCard()}
                 ${this.renderStatsCard()}
@@ -160,6 +169,75 @@ class StudyDashboard {
         if (window.lucide) window.lucide.createIcons();
     }
 
+    renderPlacementCard() {
+        const placement = this.getPlacement();
+
+        if (!placement) {
+            return `
+                <div class="dashboard-card dashboard-card-wide dashboard-card-accent">
+                    <h3 class="dashboard-card-title">
+                        <i data-lucide="compass" class="w-5 h-5"></i>
+                        ${this.t('dashboard.yourLevel', 'Your Level')}
+                    </h3>
+                    <div class="dashboard-card-body dashboard-placement">
+                        <div class="dashboard-continue">
+                            <span class="dashboard-continue-icon">🧭</span>
+                            <div>
+                                <p class="dashboard-continue-title">${this.t('dashboard.findLevel', 'Find your level')}</p>
+                                <p class="dashboard-continue-sub">${this.t('dashboard.findLevelDesc', 'A 20–30 minute adaptive test places you and tailors what to study first')}</p>
+                            </div>
+                        </div>
+                        <button class="dashboard-primary-btn" onclick="window.startDiagnostic()">
+                            ${this.t('diagnostic.start', 'Start placement test')}
+                            <i data-lucide="arrow-right" class="w-4 h-4"></i>
+                        </button>
+                    </div>
+                </div>
+            `;
+        }
+
+        const skills = Object.entries(placement.skills)
+            .filter(([, s]) => s.answered > 0)
+            .map(([skill, s]) => `<span class="dashboard-chip">${this.t(`diagnostic.skill.${skill}`, skill)} ${s.level}</span>`)
+            .join('');
+        // Recommendation text and links are built by the app so they match the result screen
+        const actionFor = window.app && typeof window.app.getDiagnosticRecommendationAction === 'function'
+            ? rec => window.app.getDiagnosticRecommendationAction(rec)
+            : null;
+        const recommendations = actionFor
+            ? (placement.recommendations || []).map(rec => {
+                const action = actionFor(rec);
+                return `
+                    <button class="dashboard-secondary-btn dashboard-rec-btn" onclick="${action.onclick}">
+                        <span aria-hidden="true">${action.icon}</span>
+                        ${action.title}
+                    </button>`;
+            }).join('')
+            : '';
+
+        return `
+            <div class="dashboard-card dashboard-card-wide">
+                <h3 class="dashboard-card-title">
+                    <i data-lucide="compass" class="w-5 h-5"></i>
+                    ${this.t('dashboard.yourLevel', 'Your Level')}
+                </h3>
+                <div class="dashboard-card-body dashboard-placement">
+                    <div>
+                        <p class="dashboard-continue-sub">${this.t('dashboard.estimatedScore', 'Estimated TOEIC score')}</p>
+                        <p class="dashboard-wotd-word">${placement.score.low}–${placement.score.high}</p>
+                        <div class="dashboard-wotd-header">${skills}</div>
+                    </div>
+                    <div class="dashboard-recs">
+                        ${recommendations}
+                        <button class="dashboard-icon-link" onclick="window.startDiagnostic()">
+                            ${this.t('diagnostic.retake', 'Retake placement test')}
+                        </button>
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+
     renderContinueCard() {
         const last = this.getLastModule();
         const meta = last ? this.moduleMeta(last.type) : null;
@@ -232,10 +310,16 @@ class StudyDashboard {
                     </div>
                     ${wotd.meaning ? `<p class="dashboard-wotd-meaning">${wotd.meaning}</p>` : ''}
                     ${wotd.example ? `<p class="dashboard-wotd-example">"${wotd.example}"</p>` : ''}
-                    <button class="dashboard-secondary-btn" onclick="window.startTOEICModule('vocabulary')">
-                        ${this.t('dashboard.practiceWord', 'Practice Vocabulary')}
-                        <i data-lucide="arrow-right" class="w-4 h-4"></i>
-                    </button>
+                    <div class="dashboard-wotd-actions">
+                        <button class="dashboard-secondary-btn" onclick="window.startTOEICModule('vocabulary')">
+                            ${this.t('dashboard.practiceWord', 'Practice Vocabulary')}
+                            <i data-lucide="arrow-right" class="w-4 h-4"></i>
+                        </button>
+                        <button class="dashboard-secondary-btn" onclick="window.app && window.app.showAddToDeckDialog('${safeWord}')">
+                            <i data-lucide="bookmark-plus" class="w-4 h-4"></i>
+                            ${this.t('decks.addToDeck', 'Add to deck')}
+                        </button>
+                    </div>
                 </div>
             </div>
         `;
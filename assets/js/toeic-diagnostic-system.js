@@ -0,0 +1,457 @@
+// TOEIC Diagnostic System - adaptive placement test for new users
+// Draws Part 2, 3, 5 and 7 items from the banks the practice modules
+// already load and picks each next item from the running ability
+// estimate, so ~24 items are enough to place a student.
+//
+// Content sources (same as the test simulator):
+//   window.TOEIC_LISTENING_BANK  (Parts 2/3, see assets/data/toeic-listening-banks.js)
+//   window.toeicGrammar          (Part 5 — TOEICGrammarSystem instance)
+//   window.toeicReading          (Part 7 — TOEICReadingSystem instance)
+//
+// Model: one-parameter logistic (Rasch) with a fixed guessing floor of
+// 1/options. Item difficulty comes from the CEFR `difficulty` field on
+// grammar and reading items; the listening bank has none, so Part 2/3
+// items are placed by transcript length unless they carry one.
+
+const DIAGNOSTIC_RESULT_KEY = 'toeicPlacementResult';
+
+// CEFR level → item difficulty on the ability (logit) scale
+const DIAGNOSTIC_LEVEL_DIFFICULTY = { A1: -2.5, A2: -1.5, B1: -0.5, B2: 0.5, C1: 1.5 };
+const DIAGNOSTIC_LEVELS = ['A1', 'A2', 'B1', 'B2', 'C1'];
+
+// Ability → TOEIC total, anchored on the mid-points of the score ranges
+// TOEICVocabularySystem.difficultyLevels assigns to each CEFR level
+const DIAGNOSTIC_SCORE_ANCHORS = [
+    [-3.5, 10], [-2.5, 100], [-1.5, 300], [-0.5, 500], [0.5, 700], [1.5, 895], [2.5, 990]
+];
+
+// Quadrature grid for the posterior (EAP estimate with a N(0, 1) prior)
+const DIAGNOSTIC_THETA_GRID = Array.from({ length: 81 }, (_, i) => -4 + i * 0.1);
+
+class TOEICDiagnosticSystem {
+    constructor() {
+        this.config = {
+            timeLimit: 30 * 60 * 1000,
+            // One round = one item from each part; rounds repeat until the
+            // blueprint is used up or the time limit is hit
+            blueprint: [2, 5, 3, 7],
+            rounds: 6,
+            maxPlays: 2
+        };
+
+        this.skillByPart = { 2: 'listening', 3: 'listening', 5: 'grammar', 7: 'reading' };
+        this.current = null;
+
+        console.log('🧭 TOEIC Diagnostic System initialized');
+    }
+
+    // ---- Item pool ----
+
+    levelDifficulty(level) {
+        return DIAGNOSTIC_LEVEL_DIFFICULTY[level] ?? DIAGNOSTIC_LEVEL_DIFFICULTY.B1;
+    }
+
+    wordCount(text) {
+        return String(text || '').split(/\s+/).filter(Boolean).length;
+    }
+
+    // Rough listening difficulty: longer prompts and conversations carry more
+    // to hold in memory. Cut points split the current bank roughly in thirds.
+    estimateListeningLevel(item, part) {
+        if (item.difficulty) return item.difficulty;
+        if (part === 2) {
+            const words = this.wordCount(item.question) +
+                (item.responses || []).reduce((sum, r) => sum + this.wordCount(r), 0);
+            return words <= 21 ? 'A2' : words <= 25 ? 'B1' : 'B2';
+        }
+        const words = (item.conversation || []).reduce((sum, line) => sum + this.wordCount(line.text), 0);
+        return words <= 96 ? 'B1' : 'B2';
+    }
+
+    // Normalised items: { id, part, skill, level, b, groupId, question, passage }.
+    // Parts 3 and 7 take one question per conversation/passage (groupId), so a
+    // single hard passage can't dominate the estimate.
+    buildItemPool() {
+        const items = [];
+        const bank = (typeof window !== 'undefined' && window.TOEIC_LISTENING_BANK) || null;
+        const grammar = (typeof window !== 'undefined' && window.toeicGrammar) || null;
+        const reading = (typeof window !== 'undefined' && window.toeicReading) || null;
+        const pushItem = (item) => items.push({ ...item, b: this.levelDifficulty(item.level) });
+
+        if (bank) {
+            (bank.part2 || []).forEach((item, i) => {
+                const id = `p2-${i + 1}`;
+                pushItem({
+                    id, part: 2, skill: 'listening', groupId: id,
+                    level: this.estimateListeningLevel(item, 2),
+                    question: {
+                        id, part: 2, type: 'questionResponse',
+                        prompt: item.question,
+                        responses: item.responses,
+                        options: item.responses.map((_, idx) => String.fromCharCode(65 + idx)),
+                        lettersOnly: true,
+                        correctAnswer: item.correctAnswer
+                    }
+                });
+            });
+
+            (bank.part3 || []).forEach((item, i) => {
+                const groupId = `p3-${i + 1}`;
+                const level = this.estimateListeningLevel(item, 3);
+                (item.questions || []).forEach((q, qIndex) => {
+                    const id = `${groupId}-q${qIndex + 1}`;
+                    pushItem({
+                        id, part: 3, skill: 'listening', groupId, level,
+                        question: {
+                            id, part: 3, type: 'conversations', groupId,
+                            conversation: item.conversation,
+                            question: q.question,
+                            options: q.options,
+                            correctAnswer: q.correctAnswer
+                        }
+                    });
+                });
+            });
+        }
+
+        if (grammar && grammar.practiceQuestions) {
+            for (const q of grammar.practiceQuestions.values()) {
+                if (!q || !Array.isArray(q.options) || q.options[q.correctAnswer] === undefined) continue;
+                pushItem({
+                    id: q.id, part: 5, skill: 'grammar', groupId: q.id,
+                    level: q.difficulty || 'B1',
+                    category: q.category || null,
+                    question: q
+                });
+            }
+        }
+
+        if (reading && reading.questions && reading.passages) {
+            for (const q of reading.questions.values()) {
+                if (q.type !== 'reading_comprehension' || !q.passageId) continue;
+                const passage = reading.passages.get(q.passageId);
+                if (!passage || !passage.content) continue;
+                const documents = typeof reading.getPassageDocuments === 'function'
+                    ? reading.getPassageDocuments(passage)
+                    : [passage];
+                pushItem({
+                    id: q.id, part: 7, skill: 'reading', groupId: q.passageId,
+                    level: q.difficulty || passage.difficulty || 'B1',
+                    question: q,
+                    passage,
+                    companionPassage: documents[1] || null,
+                    documents
+                });
+            }
+        }
+
+        return items;
+    }
+
+    // ---- Session ----
+
+    isAvailable() {
+        const parts = new Set(this.buildItemPool().map(item => item.part));
+        return this.config.blueprint.every(part => parts.has(part));
+    }
+
+    start() {
+        const pool = this.buildItemPool();
+        const blueprint = [];
+        for (let round = 0; round < this.config.rounds; round++) {
+            this.config.blueprint.forEach(part => {
+                if (pool.some(item => item.part === part)) blueprint.push(part);
+            });
+        }
+
+        this.current = {
+            startTime: Date.now(),
+            pool,
+            blueprint,
+            responses: [],
+            usedGroups: new Set(),
+            item: null,
+            plays: 0,
+            itemShownAt: null
+        };
+        this.current.item = this.selectNextItem();
+        this.current.itemShownAt = Date.now();
+
+        console.log(`🧭 Started diagnostic (${blueprint.length} items from a pool of ${pool.length})`);
+        return this.current;
+    }
+
+    getCurrentItem() {
+        return this.current ? this.current.item : null;
+    }
+
+    getProgress() {
+        if (!this.current) return { current: 0, total: 0 };
+        return {
+            current: this.current.responses.length + 1,
+            total: this.current.blueprint.length
+        };
+    }
+
+    getTimeRemaining() {
+        if (!this.current) return 0;
+        return Math.max(0, this.config.timeLimit - (Date.now() - this.current.startTime));
+    }
+
+    registerPlay() {
+        if (!this.current || this.current.plays >= this.config.maxPlays) return false;
+        this.current.plays++;
+        return true;
+    }
+
+    getPlaysLeft() {
+        return this.current ? Math.max(0, this.config.maxPlays - this.current.plays) : 0;
+    }
+
+    // Pick the unused item whose difficulty is closest to the current
+    // estimate for that skill; ties are broken at random so retakes vary
+    selectNextItem() {
+        const session = this.current;
+        const part = session.blueprint[session.responses.length];
+        if (part === undefined) return null;
+
+        const candidates = session.pool.filter(item =>
+            item.part === part && !session.usedGroups.has(item.groupId));
+        if (candidates.length === 0) return null;
+
+        const target = this.estimateAbility(session.responses.filter(r => r.skill === this.skillByPart[part])).theta;
+        const distance = item => Math.abs(item.b - target);
+        const best = Math.min(...candidates.map(distance));
+        const closest = candidates.filter(item => distance(item) - best < 1e-9);
+        return closest[Math.floor(Math.random() * closest.length)];
+    }
+
+    // Record the answer (null = skipped) and move on. Returns the next item,
+    // or null when the diagnostic is over.
+    answer(selectedAnswer) {
+        const session = this.current;
+        if (!session || !session.item) return null;
+
+        const item = session.item;
+        session.responses.push({
+            id: item.id,
+            part: item.part,
+            skill: item.skill,
+            level: item.level,
+            b: item.b,
+            category: item.category || null,
+            options: item.question.options.length,
+            answer: selectedAnswer,
+            correct: selectedAnswer === item.question.correctAnswer,
+            timeSpent: Date.now() - (session.itemShownAt || Date.now())
+        });
+        session.usedGroups.add(item.groupId);
+
+        session.item = this.getTimeRemaining() > 0 ? this.selectNextItem() : null;
+        session.plays = 0;
+        session.itemShownAt = Date.now();
+        return session.item;
+    }
+
+    isComplete() {
+        return !!this.current && !this.current.item;
+    }
+
+    cancel() {
+        this.current = null;
+    }
+
+    // ---- Scoring ----
+
+    probabilityCorrect(theta, b, optionCount) {
+        const guess = optionCount > 0 ? 1 / optionCount : 0.25;
+        return guess + (1 - guess) / (1 + Math.exp(-(theta - b)));
+    }
+
+    // Posterior mean and SD over the grid; with no responses this is the prior
+    estimateAbility(responses) {
+        const weights = DIAGNOSTIC_THETA_GRID.map(theta => {
+            let logLikelihood = -theta * theta / 2;
+            responses.forEach(r => {
+                const p = this.probabilityCorrect(theta, r.b, r.options);
+                logLikelihood += Math.log(r.correct ? p : 1 - p);
+            });
+            return logLikelihood;
+        });
+        const peak = Math.max(...weights);
+        const density = weights.map(w => Math.exp(w - peak));
+        const total = density.reduce((sum, d) => sum + d, 0);
+        const theta = DIAGNOSTIC_THETA_GRID.reduce((sum, x, i) => sum + x * density[i], 0) / total;
+        const variance = DIAGNOSTIC_THETA_GRID.reduce((sum, x, i) => sum + (x - theta) ** 2 * density[i], 0) / total;
+        return { theta, sd: Math.sqrt(variance) };
+    }
+
+    thetaToScore(theta) {
+        const anchors = DIAGNOSTIC_SCORE_ANCHORS;
+        if (theta <= anchors[0][0]) return anchors[0][1];
+        for (let i = 1; i < anchors.length; i++) {
+            const [x1, y1] = anchors[i];
+            if (theta <= x1) {
+                const [x0, y0] = anchors[i - 1];
+                return y0 + (y1 - y0) * (theta - x0) / (x1 - x0);
+            }
+        }
+        return anchors[anchors.length - 1][1];
+    }
+
+    roundScore(score) {
+        return Math.max(10, Math.min(990, Math.round(score / 5) * 5));
+    }
+
+    // Level whose item difficulty is nearest the estimate
+    thetaToLevel(theta) {
+        return DIAGNOSTIC_LEVELS.reduce((best, level) =>
+            Math.abs(DIAGNOSTIC_LEVEL_DIFFICULTY[level] - theta) < Math.abs(DIAGNOSTIC_LEVEL_DIFFICULTY[best] - theta)
+                ? level : best, DIAGNOSTIC_LEVELS[0]);
+    }
+
+    finish() {
+        const session = this.current;
+        if (!session || session.responses.length === 0) {
+            this.current = null;
+            return null;
+        }
+
+        const responses = session.responses;
+        const overall = this.estimateAbility(responses);
+
+        const skills = {};
+        ['listening', 'grammar', 'reading'].forEach(skill => {
+            const skillResponses = responses.filter(r => r.skill === skill);
+            const estimate = this.estimateAbility(skillResponses);
+            skills[skill] = {
+                theta: Math.round(estimate.theta * 100) / 100,
+                level: this.thetaToLevel(estimate.theta),
+                answered: skillResponses.length,
+                correct: skillResponses.filter(r => r.correct).length
+            };
+        });
+
+        const categories = {};
+        responses.filter(r => r.category).forEach(r => {
+            const entry = categories[r.category] || (categories[r.category] = { answered: 0, correct: 0 });
+            entry.answered++;
+            if (r.correct) entry.correct++;
+        });
+
+        const result = {
+            completedAt: Date.now(),
+            durationMs: Date.now() - session.startTime,
+            answered: responses.length,
+            correct: responses.filter(r => r.correct).length,
+            theta: Math.round(overall.theta * 100) / 100,
+            level: this.thetaToLevel(overall.theta),
+            score: {
+                estimate: this.roundScore(this.thetaToScore(overall.theta)),
+                low: this.roundScore(this.thetaToScore(overall.theta - overall.sd)),
+                high: this.roundScore(this.thetaToScore(overall.theta + overall.sd))
+            },
+            skills,
+            categories
+        };
+        result.recommendations = this.buildRecommendations(result);
+        result.applied = this.applyPlacement(result);
+
+        this.saveResult(result);
+        this.current = null;
+        console.log(`🧭 Diagnostic complete: ${result.score.low}–${result.score.high} (${result.level})`);
+        return result;
+    }
+
+    // Weakest skill first, then missed grammar categories, then vocabulary at
+    // the placement level. Entries are ids the dashboard turns into text/links.
+    buildRecommendations(result) {
+        const recommendations = [];
+        const bySkill = Object.entries(result.skills)
+            .filter(([, s]) => s.answered > 0)
+            .sort((a, b) => a[1].theta - b[1].theta);
+        if (bySkill.length > 0) {
+            const [skill, stats] = bySkill[0];
+            recommendations.push({ type: 'skill', skill, level: stats.level });
+        }
+
+        const missed = this.getMissedCategories(result);
+        if (missed.length > 0) {
+            recommendations.push({ type: 'grammarCategory', category: missed[0] });
+        }
+
+        recommendations.push({ type: 'vocabulary', level: result.level });
+        return recommendations;
+    }
+
+    getMissedCategories(result) {
+        return Object.entries(result.categories)
+            .filter(([, c]) => c.correct < c.answered)
+            .sort((a, b) => (a[1].correct / a[1].answered) - (b[1].correct / b[1].answered))
+            .map(([category]) => category);
+    }
+
+    // Seed the vocabulary level filter and the grammar category order.
+    // Returns what was applied so the result screen can say so.
+    applyPlacement(result) {
+        const applied = { vocabularyLevels: [], grammarOrder: [] };
+
+        const vocab = (typeof window !== 'undefined' && window.toeicVocabulary) || null;
+        if (vocab && typeof vocab.setLevelFilter === 'function') {
+            // New words at the placement level and one above; if the word list
+            // has neither, fall back to its nearest level so the filter never
+            // empties the new-word queue
+            const index = DIAGNOSTIC_LEVELS.indexOf(result.level);
+            const wanted = DIAGNOSTIC_LEVELS.slice(index, index + 2);
+            const available = vocab.getAvailableLevels();
+            let levels = available.filter(level => wanted.includes(level));
+            if (levels.length === 0 && available.length > 0) {
+                const distance = level => Math.abs(DIAGNOSTIC_LEVELS.indexOf(level) - index);
+                levels = [available.reduce((best, level) => distance(level) < distance(best) ? level : best)];
+            }
+            vocab.setLevelFilter(levels);
+            applied.vocabularyLevels = levels;
+        }
+
+        const grammar = (typeof window !== 'undefined' && window.toeicGrammar) || null;
+        if (grammar && typeof grammar.setCategoryOrder === 'function') {
+            // Missed categories first, then untested ones nearest the grammar
+            // level, then the ones answered correctly
+            const grammarTheta = result.skills.grammar.theta;
+            const missed = this.getMissedCategories(result);
+            const rank = key => {
+                if (missed.includes(key)) return missed.indexOf(key);
+                const tested = result.categories[key];
+                const levelGap = Math.abs(this.levelDifficulty(grammar.getGrammarCategories()[key].difficulty) - grammarTheta);
+                return (tested ? 200 : 100) + levelGap;
+            };
+            const order = Object.keys(grammar.getGrammarCategories()).sort((a, b) => rank(a) - rank(b));
+            grammar.setCategoryOrder(order);
+            applied.grammarOrder = order;
+        }
+
+        return applied;
+    }
+
+    // ---- Storage ----
+
+    saveResult(result) {
+        try {
+            localStorage.setItem(DIAGNOSTIC_RESULT_KEY, JSON.stringify(result));
+        } catch (error) {
+            console.error('❌ Error saving placement result:', error);
+        }
+    }
+
+    getLastResult() {
+        try {
+            return JSON.parse(localStorage.getItem(DIAGNOSTIC_RESULT_KEY) || 'null');
+        } catch (error) {
+            console.error('❌ Error loading placement result:', error);
+            return null;
+        }
+    }
+}
+
+// Export for global use
+window.TOEICDiagnosticSystem = TOEICDiagnosticSystem;
@@ -1,11 +1,81 @@
 // TOEIC Grammar System - Comprehensive grammar practice for TOEIC exam
 // Covers all essential grammar patterns tested in TOEIC
 
+// What a wrong answer says about the learner. A question can tag its
+// options directly (distractorErrors, parallel to options, null for the
+// key); untagged distractors are classified against the key.
+const GRAMMAR_ERROR_TYPES = [
+    'tense', 'voice', 'agreement', 'word_form', 'verb_pattern', 'modal', 'conditional',
+    'preposition', 'article', 'relative_pronoun', 'comparison', 'conjunction', 'other'
+];
+
+// Fallback when the options themselves don't give the confusion away
+const GRAMMAR_CATEGORY_ERRORS = {
+    tenses: 'tense',
+    passive_voice: 'voice',
+    conditionals: 'conditional',
+    modals: 'modal',
+    prepositions: 'preposition',
+    articles: 'article',
+    relative_clauses: 'relative_pronoun',
+    gerunds_infinitives: 'verb_pattern',
+    comparatives: 'comparison',
+    conjunctions: 'conjunction',
+    word_forms: 'word_form'
+};
+
+// Closed word classes: key and distractor from the same list means the
+// learner confused two members of that class
+const GRAMMAR_WORD_CLASSES = {
+    article: ['a', 'an', 'the', 'no article'],
+    relative_pronoun: ['who', 'whom', 'whose', 'which', 'that', 'where', 'when', 'what'],
+    preposition: ['in', 'on', 'at', 'by', 'for', 'with', 'from', 'to', 'of', 'about', 'during',
+        'within', 'until', 'since', 'between', 'among', 'through', 'throughout', 'over', 'under',
+        'before', 'after', 'into', 'despite', 'beside', 'toward', 'towards', 'across', 'along'],
+    conjunction: ['and', 'but', 'or', 'so', 'yet', 'nor', 'because', 'although', 'though',
+        'even though', 'while', 'whereas', 'unless', 'if', 'whether', 'however', 'therefore',
+        'moreover', 'so that', 'as long as', 'in case', 'as soon as', 'otherwise'],
+    modal: ['can', 'could', 'may', 'might', 'must', 'should', 'would', 'will', 'shall', 'ought to']
+};
+
+// A remediation drill ends once the last `window` answers reach `target`
+// accuracy, or after `maxQuestions` questions, whichever comes first
+const GRAMMAR_REMEDIATION = {
+    window: 5,
+    target: 0.8,
+    maxQuestions: 20,
+    // A rule is flagged for remediation at this many mistakes and below
+    // this recent accuracy (%)
+    minMistakes: 2,
+    weakAccuracy: 70
+};
+
+// Mastery map thresholds. A rule counts as passed (unlocking the rules
+// that build on it) after `passAttempts` answers - fewer when the rule has
+// fewer questions - at `passAccuracy`; mastered matches the category
+// summary (mastery level 4 and 80% accuracy).
+const GRAMMAR_MASTERY = {
+    passAttempts: 3,
+    passAccuracy: 70,
+    masteredLevel: 4,
+    masteredAccuracy: 80
+};
+
+// Share of a practice session filled with template-generated items (see
+// part5-templates.js) when the caller asks for them; the bank questions
+// stay the majority so curated explanations still come up
+const GRAMMAR_GENERATED_SHARE = 0.4;
+
 class TOEICGrammarSystem {
     constructor() {
         this.grammarRules = new Map();
         this.practiceQuestions = new Map();
+        // Generated items live outside practiceQuestions so the bank (and
+        // validate-banks) only ever sees curated questions
+        this.questionGenerator = null;
+        this.generatedQuestions = new Map();
         this.userProgress = new Map();
+        this.mistakeProfile = {};
         this.currentSession = null;
         this.sessionStats = {
             totalQuestions: 0,
@@ -85,21 +155,32 @@ class TOEICGrammarSystem {
                 icon: 'plus',
                 color: 'cyan',
                 difficulty: 'A2'
+            },
+            'word_forms': {
+                name: 'Word Forms',
+                description: 'Noun, verb, adjective or adverb of the same word',
+                icon: 'shuffle',
+                color: 'violet',
+                difficulty: 'B1'
             }
         };
         
         this.loadGrammarRules();
         this.loadPracticeQuestions();
         this.loadUserProgress();
+        this.loadMistakeProfile();
         
         console.log('📚 TOEIC Grammar System initialized');
     }
     
+    // `prerequisites` are the rules a learner should have down before this
+    // one; together they form the learning path behind getMasteryMap()
     loadGrammarRules() {
         // Tenses
         this.grammarRules.set('present_simple', {
             id: 'present_simple',
             category: 'tenses',
+            prerequisites: [],
             title: 'Present Simple',
             description: 'Used for habits, general truths, and scheduled events',
             formula: 'Subject + Verb (base form) + Object',
@@ -123,6 +204,7 @@ class TOEICGrammarSystem {
         this.grammarRules.set('present_continuous', {
             id: 'present_continuous',
             category: 'tenses',
+            prerequisites: ['present_simple'],
             title: 'Present Continuous',
             description: 'Used for actions happening now or temporary situations',
             formula: 'Subject + am/is/are + Verb-ing + Object',
@@ -146,6 +228,7 @@ class TOEICGrammarSystem {
         this.grammarRules.set('past_simple', {
             id: 'past_simple',
             category: 'tenses',
+            prerequisites: ['present_simple'],
             title: 'Past Simple',
             description: 'Used for completed actions in the past',
             formula: 'Subject + Verb (past form) + Object',
@@ -169,6 +252,7 @@ class TOEICGrammarSystem {
         this.grammarRules.set('present_perfect', {
             id: 'present_perfect',
             category: 'tenses',
+            prerequisites: ['past_simple'],
             title: 'Present Perfect',
             description: 'Used for actions that started in the past and continue to present',
             formula: 'Subject + have/has + Past Participle + Object',
@@ -193,6 +277,7 @@ class TOEICGrammarSystem {
         this.grammarRules.set('passive_voice', {
             id: 'passive_voice',
             category: 'passive_voice',
+            prerequisites: ['present_perfect'],
             title: 'Passive Voice',
             description: 'Used when the action is more important than the doer',
             formula: 'Subject + be + Past Participle + (by + Object)',
@@ -217,6 +302,7 @@ class TOEICGrammarSystem {
         this.grammarRules.set('first_conditional', {
             id: 'first_conditional',
             category: 'conditionals',
+            prerequisites: ['conjunctions', 'modal_verbs'],
             title: 'First Conditional',
             description: 'Used for real future possibilities',
             formula: 'If + Present Simple, will + base verb',
@@ -241,6 +327,7 @@ class TOEICGrammarSystem {
         this.grammarRules.set('modal_verbs', {
             id: 'modal_verbs',
             category: 'modals',
+            prerequisites: ['present_simple'],
             title: 'Modal Verbs',
             description: 'Used to express ability, possibility, necessity, etc.',
             formula: 'Subject + Modal + Base Verb + Object',
@@ -265,6 +352,7 @@ class TOEICGrammarSystem {
         this.grammarRules.set('time_prepositions', {
             id: 'time_prepositions',
             category: 'prepositions',
+            prerequisites: [],
             title: 'Time Prepositions',
             description: 'Used to indicate when something happens',
             formula: 'Preposition + Time Expression',
@@ -290,6 +378,7 @@ class TOEICGrammarSystem {
         this.grammarRules.set('articles', {
             id: 'articles',
             category: 'articles',
+            prerequisites: [],
             title: 'Articles (a / an / the)',
             description: 'Use a/an for one non-specific countable noun, the for something specific or already known, and no article for general plurals and uncountables',
             formula: 'a + consonant sound / an + vowel sound / the + specific noun',
@@ -313,6 +402,7 @@ class TOEICGrammarSystem {
         this.grammarRules.set('relative_clauses', {
             id: 'relative_clauses',
             category: 'relative_clauses',
+            prerequisites: ['conjunctions'],
             title: 'Relative Clauses',
             description: 'Clauses starting with who, which, that, whose, where that describe a noun',
             formula: 'noun + who/which/that/whose/where + clause',
@@ -336,6 +426,7 @@ class TOEICGrammarSystem {
         this.grammarRules.set('gerunds_infinitives', {
             id: 'gerunds_infinitives',
             category: 'gerunds_infinitives',
+            prerequisites: ['time_prepositions', 'modal_verbs'],
             title: 'Gerunds & Infinitives',
             description: 'Some verbs take -ing (enjoy, avoid, consider), others take to + verb (decide, plan, agree); a few change meaning (remember, stop, try)',
             formula: 'verb + gerund (-ing) OR verb + to-infinitive',
@@ -359,6 +450,7 @@ class TOEICGrammarSystem {
         this.grammarRules.set('comparatives', {
             id: 'comparatives',
             category: 'comparatives',
+            prerequisites: ['articles'],
             title: 'Comparatives & Superlatives',
             description: 'Comparing two things (-er / more) or three and more (-est / most), plus as...as and the double comparative',
             formula: 'adj-er + than / more + adj + than / the + adj-est / the most + adj',
@@ -382,6 +474,7 @@ class TOEICGrammarSystem {
         this.grammarRules.set('conjunctions', {
             id: 'conjunctions',
             category: 'conjunctions',
+            prerequisites: ['present_simple'],
             title: 'Conjunctions & Connectors',
             description: 'Words that join clauses: although, because, while, unless, despite, however -- the choice depends on the logic AND the grammar that follows',
             formula: 'although/because/while + clause; despite/because of + noun; however + full sentence',
@@ -402,10 +495,35 @@ class TOEICGrammarSystem {
             ]
         });
 
+        this.grammarRules.set('word_forms', {
+            id: 'word_forms',
+            category: 'word_forms',
+            prerequisites: ['articles', 'present_simple'],
+            title: 'Word Forms',
+            description: 'Part 5 often offers four forms of one word (accomplish / accomplishment / accomplished); the words around the blank decide which part of speech fits',
+            formula: 'the/a/adjective + NOUN; ADJECTIVE + noun; verb + ADVERB; ADVERB + adjective',
+            examples: [
+                'The board praised the accomplishment of the sales team.',
+                'She is an accomplished negotiator.',
+                'The staff worked efficiently to clear the backlog.'
+            ],
+            commonMistakes: [
+                'An adjective can\'t follow an article on its own: the efficient → the efficiency of',
+                'Verbs like be, seem and become take an adjective, not an adverb',
+                'A noun ending in -ant/-er/-or is a person: applicant, not application, when someone acts'
+            ],
+            toeicTips: [
+                'Read only a few words either side of the blank -- the structure usually decides it',
+                'Suffixes give the part of speech away: -tion/-ment/-ity nouns, -ive/-al/-ful adjectives, -ly adverbs',
+                'Blank between an article and a noun: adjective; blank after a complete clause: adverb'
+            ]
+        });
+
         // Tense rules referenced by individual questions
         this.grammarRules.set('past_continuous', {
             id: 'past_continuous',
             category: 'tenses',
+            prerequisites: ['past_simple', 'present_continuous'],
             title: 'Past Continuous',
             description: 'An action in progress at a specific past moment, often interrupted by a past simple event',
             formula: 'Subject + was/were + verb-ing',
@@ -426,6 +544,7 @@ class TOEICGrammarSystem {
         this.grammarRules.set('present_perfect_continuous', {
             id: 'present_perfect_continuous',
             category: 'tenses',
+            prerequisites: ['present_perfect', 'present_continuous'],
             title: 'Present Perfect Continuous',
             description: 'An activity that started in the past and is still running (or just stopped), emphasizing duration',
             formula: 'Subject + has/have been + verb-ing',
@@ -446,6 +565,7 @@ class TOEICGrammarSystem {
         this.grammarRules.set('future_perfect', {
             id: 'future_perfect',
             category: 'tenses',
+            prerequisites: ['present_perfect'],
             title: 'Future Perfect',
             description: 'An action that will be completed before a specific future time',
             formula: 'Subject + will have + past participle',
@@ -466,6 +586,7 @@ class TOEICGrammarSystem {
         this.grammarRules.set('future_perfect_continuous', {
             id: 'future_perfect_continuous',
             category: 'tenses',
+            prerequisites: ['future_perfect', 'present_perfect_continuous'],
             title: 'Future Perfect Continuous',
             description: 'How long an activity will have been in progress by a future point',
             formula: 'Subject + will have been + verb-ing',
@@ -1101,7 +1222,10 @@ class TOEICGrammarSystem {
             ],
             correctAnswer: 1,
             explanation: 'The blank is followed by "to complete", and modals like "must", "should", and "can" take the base verb directly without "to". Only "are required" can be followed by a to-infinitive.',
-            grammarRule: 'modal_verbs'
+            grammarRule: 'modal_verbs',
+            // "are required" vs a modal isn't a voice slip: the modals fail
+            // because they can't take "to"
+            distractorErrors: ['modal', null, 'modal', 'modal']
         });
 
         this.practiceQuestions.set('q_modals_005', {
@@ -1455,7 +1579,8 @@ class TOEICGrammarSystem {
             ],
             correctAnswer: 0,
             explanation: 'Maintenance receives the action (someone notifies them), so the passive "must be notified" is required. First conditionals can take a modal instead of "will" in the main clause.',
-            grammarRule: 'first_conditional'
+            grammarRule: 'first_conditional',
+            distractorErrors: [null, 'voice', 'modal', 'modal']
         });
 
         // Additional Articles Questions
@@ -2103,6 +2228,193 @@ class TOEICGrammarSystem {
             grammarRule: 'conjunctions'
         });
 
+        this.practiceQuestions.set('q_word_forms_001', {
+            id: 'q_word_forms_001',
+            category: 'word_forms',
+            difficulty: 'B1',
+            question: 'The board was impressed by the _____ of the sales team this quarter.',
+            options: [
+                'accomplish',
+                'accomplished',
+                'accomplishment',
+                'accomplishes'
+            ],
+            correctAnswer: 2,
+            explanation: 'After "the" and before "of" the blank needs a noun. "Accomplishment" is the noun form; "accomplish" is the verb and "accomplished" is the adjective or past tense.',
+            grammarRule: 'word_forms',
+            wordFamily: 'accomplish'
+        });
+
+        this.practiceQuestions.set('q_word_forms_002', {
+            id: 'q_word_forms_002',
+            category: 'word_forms',
+            difficulty: 'B2',
+            question: 'Mr. Ito is an _____ engineer who has worked on several award-winning designs.',
+            options: [
+                'accomplish',
+                'accomplished',
+                'accomplishment',
+                'accomplishing'
+            ],
+            correctAnswer: 1,
+            explanation: 'The blank sits between the article "an" and the noun "engineer", so it needs an adjective. "Accomplished" means highly skilled.',
+            grammarRule: 'word_forms',
+            wordFamily: 'accomplish'
+        });
+
+        this.practiceQuestions.set('q_word_forms_003', {
+            id: 'q_word_forms_003',
+            category: 'word_forms',
+            difficulty: 'B1',
+            question: 'The new scheduling software allows staff to work more _____.',
+            options: [
+                'efficient',
+                'efficiency',
+                'efficiencies',
+                'efficiently'
+            ],
+            correctAnswer: 3,
+            explanation: '"More _____" follows the verb "work" and describes how the staff work, so the adverb "efficiently" is needed.',
+            grammarRule: 'word_forms',
+            wordFamily: 'efficient'
+        });
+
+        this.practiceQuestions.set('q_word_forms_004', {
+            id: 'q_word_forms_004',
+            category: 'word_forms',
+            difficulty: 'B1',
+            question: 'Please submit your _____ for the marketing position by March 15.',
+            options: [
+                'apply',
+                'applicable',
+                'applicant',
+                'application'
+            ],
+            correctAnswer: 3,
+            explanation: '"Your" needs a noun, and what you submit is a document: "application". An "applicant" is the person who applies.',
+            grammarRule: 'word_forms',
+            wordFamily: 'apply'
+        });
+
+        this.practiceQuestions.set('q_word_forms_005', {
+            id: 'q_word_forms_005',
+            category: 'word_forms',
+            difficulty: 'B2',
+            question: 'Sales of the new tablet have increased _____ since the price was lowered.',
+            options: [
+                'considerable',
+                'considerably',
+                'consideration',
+                'consider'
+            ],
+            correctAnswer: 1,
+            explanation: 'The blank describes how sales "have increased", so it needs the adverb "considerably". "Considerable" is an adjective and would need a noun after it.',
+            grammarRule: 'word_forms',
+            wordFamily: 'consider'
+        });
+
+        this.practiceQuestions.set('q_word_forms_006', {
+            id: 'q_word_forms_006',
+            category: 'word_forms',
+            difficulty: 'B1',
+            question: 'Hollis Foods offers _____ salaries to attract experienced chefs.',
+            options: [
+                'compete',
+                'competition',
+                'competitively',
+                'competitive'
+            ],
+            correctAnswer: 3,
+            explanation: 'The blank comes before the noun "salaries", so it needs an adjective: "competitive salaries".',
+            grammarRule: 'word_forms',
+            wordFamily: 'compete'
+        });
+
+        this.practiceQuestions.set('q_word_forms_007', {
+            id: 'q_word_forms_007',
+            category: 'word_forms',
+            difficulty: 'B1',
+            question: 'The museum is _____ located near the central train station.',
+            options: [
+                'convenient',
+                'convenience',
+                'conveniences',
+                'conveniently'
+            ],
+            correctAnswer: 3,
+            explanation: 'The blank modifies the participle "located", so it needs an adverb. "Conveniently located" is a very common TOEIC phrase.',
+            grammarRule: 'word_forms',
+            wordFamily: 'convenient'
+        });
+
+        this.practiceQuestions.set('q_word_forms_008', {
+            id: 'q_word_forms_008',
+            category: 'word_forms',
+            difficulty: 'B2',
+            question: 'All visitors must show a valid form of _____ at the security desk.',
+            options: [
+                'identify',
+                'identification',
+                'identified',
+                'identifiable'
+            ],
+            correctAnswer: 1,
+            explanation: '"A valid form of" is followed by a noun. "Identification" is the noun; "identify" is the verb.',
+            grammarRule: 'word_forms',
+            wordFamily: 'identify'
+        });
+
+        this.practiceQuestions.set('q_word_forms_009', {
+            id: 'q_word_forms_009',
+            category: 'word_forms',
+            difficulty: 'A2',
+            question: 'The company plans to _____ its operations into three new markets next year.',
+            options: [
+                'expand',
+                'expansion',
+                'expansive',
+                'expanding'
+            ],
+            correctAnswer: 0,
+            explanation: '"Plans to" is followed by the base form of a verb, so "expand" is correct. "Expansion" is the noun form.',
+            grammarRule: 'word_forms',
+            wordFamily: 'expand'
+        });
+
+        this.practiceQuestions.set('q_word_forms_010', {
+            id: 'q_word_forms_010',
+            category: 'word_forms',
+            difficulty: 'B2',
+            question: 'Thanks to the new training program, employee _____ has risen by twelve percent.',
+            options: [
+                'produce',
+                'productive',
+                'productivity',
+                'productively'
+            ],
+            correctAnswer: 2,
+            explanation: 'The blank is the subject of "has risen", and "employee" is working as a noun modifier, so a noun is needed: "employee productivity".',
+            grammarRule: 'word_forms',
+            wordFamily: 'produce'
+        });
+
+        this.practiceQuestions.set('q_word_forms_011', {
+            id: 'q_word_forms_011',
+            category: 'word_forms',
+            difficulty: 'B2',
+            question: 'Ms. Lawson was praised for her _____ handling of the client complaint.',
+            options: [
+                'decide',
+                'decision',
+                'decisively',
+                'decisive'
+            ],
+            correctAnswer: 3,
+            explanation: 'Between the possessive "her" and the noun "handling" the blank needs an adjective: "her decisive handling".',
+            grammarRule: 'word_forms',
+            wordFamily: 'decide'
+        });
+
         console.log(`✅ Loaded ${this.practiceQuestions.size} practice questions`);
     }
     
@@ -2128,6 +2440,24 @@ class TOEICGrammarSystem {
         }
     }
     
+    loadMistakeProfile() {
+        try {
+            const saved = JSON.parse(localStorage.getItem('toeic_grammar_mistakes') || '{}');
+            this.mistakeProfile = saved && typeof saved === 'object' && !Array.isArray(saved) ? saved : {};
+        } catch (error) {
+            console.error('❌ Error loading grammar mistake profile:', error);
+            this.mistakeProfile = {};
+        }
+    }
+    
+    saveMistakeProfile() {
+        try {
+            localStorage.setItem('toeic_grammar_mistakes', JSON.stringify(this.mistakeProfile));
+        } catch (error) {
+            console.error('❌ Error saving grammar mistake profile:', error);
+        }
+    }
+    
     // Start a grammar practice session
     startSession(options = {}) {
         const sessionId = 'grammar_' + Date.now();
@@ -2144,13 +2474,33 @@ class TOEICGrammarSystem {
             availableQuestions = availableQuestions.filter(q => q.category === category);
         }
         
+        // One rule from the mastery map
+        if (options.grammarRule) {
+            availableQuestions = availableQuestions.filter(q => q.grammarRule === options.grammarRule);
+        }
+        
         if (difficulty !== 'all') {
             availableQuestions = availableQuestions.filter(q => q.difficulty === difficulty);
         }
         
+        // Template items take a share of the session, and fill the rest
+        // when the bank is too thin (single-question rules)
+        let generatedQuestions = [];
+        if (options.includeGenerated) {
+            const wanted = Math.max(
+                Math.round(questionCount * GRAMMAR_GENERATED_SHARE),
+                questionCount - availableQuestions.length
+            );
+            generatedQuestions = this.generateQuestions(wanted, { category, grammarRule: options.grammarRule })
+                .filter(q => difficulty === 'all' || q.difficulty === difficulty);
+        }
+        
         // Shuffle and select questions
-        const shuffledQuestions = this.shuffleArray([...availableQuestions]);
-        const selectedQuestions = shuffledQuestions.slice(0, questionCount);
+        const bankCount = Math.min(availableQuestions.length, questionCount - generatedQuestions.length);
+        const selectedQuestions = this.shuffleArray([
+            ...this.shuffleArray([...availableQuestions]).slice(0, bankCount),
+            ...generatedQuestions
+        ]);
         
         console.log(`🔍 Debug: Available questions: ${availableQuestions.length}`);
         console.log(`🔍 Debug: Requested question count: ${questionCount}`);
@@ -2161,12 +2511,15 @@ class TOEICGrammarSystem {
             id: sessionId,
             category: category,
             difficulty: difficulty,
+            grammarRule: options.grammarRule || null,
             questions: selectedQuestions,
             currentQuestionIndex: 0,
             answers: [],
             startTime: Date.now(),
             endTime: null,
-            status: 'active'
+            status: 'active',
+            remediation: null,
+            lockedAtStart: this.getLockedRuleIds()
         };
         
         this.sessionStats = {
@@ -2225,6 +2578,9 @@ class TOEICGrammarSystem {
             selectedAnswer: selectedAnswer,
             correctAnswer: currentQuestion.correctAnswer,
             isCorrect: isCorrect,
+            // getCurrentQuestion() resolves grammarRule to the rule itself
+            grammarRule: currentQuestion.grammarRule ? currentQuestion.grammarRule.id : null,
+            errorType: isCorrect ? null : this.classifyDistractor(currentQuestion, selectedAnswer),
             timeSpent: timeSpent,
             timestamp: Date.now()
         };
@@ -2253,8 +2609,12 @@ class TOEICGrammarSystem {
             this.sessionStats.incorrectAnswers++;
         }
         
+        if (this.currentSession.remediation) {
+            this.currentSession.remediation.results.push(isCorrect);
+        }
+        
         // Update user progress
-        this.updateUserProgress(currentQuestion.id, isCorrect);
+        this.updateUserProgress(currentQuestion.id, isCorrect, answerRecord.errorType);
         
         console.log(`📝 Answered question: ${isCorrect ? 'Correct' : 'Incorrect'}`);
         return isCorrect;
@@ -2272,6 +2632,11 @@ class TOEICGrammarSystem {
         
         this.currentSession.currentQuestionIndex++;
         
+        if (this.currentSession.remediation && !this.continueRemediation()) {
+            this.completeSession();
+            return false;
+        }
+        
         if (this.currentSession.currentQuestionIndex >= this.currentSession.questions.length) {
             console.log('🔍 Debug: Session completed, calling completeSession()');
             this.completeSession();
@@ -2285,6 +2650,9 @@ class TOEICGrammarSystem {
     // Move to previous question
     previousQuestion() {
         if (!this.currentSession) return false;
+        // A remediation drill only moves forward; its recovery check
+        // counts answers in the order they were given
+        if (this.currentSession.remediation) return false;
         
         if (this.currentSession.currentQuestionIndex > 0) {
             this.currentSession.currentQuestionIndex--;
@@ -2322,7 +2690,7 @@ class TOEICGrammarSystem {
         // Analyze performance by category
         const categoryPerformance = {};
         this.currentSession.answers.forEach(answer => {
-            const question = this.practiceQuestions.get(answer.questionId);
+            const question = this.getQuestion(answer.questionId);
             if (question) {
                 if (!categoryPerformance[question.category]) {
                     categoryPerformance[question.category] = { correct: 0, total: 0 };
@@ -2340,6 +2708,17 @@ class TOEICGrammarSystem {
             perf.accuracy = (perf.correct / perf.total) * 100;
         });
         
+        // What kind of wrong answers this session produced
+        const errorPatterns = {};
+        this.currentSession.answers.forEach(answer => {
+            if (answer.errorType) {
+                errorPatterns[answer.errorType] = (errorPatterns[answer.errorType] || 0) + 1;
+            }
+        });
+        
+        const remediation = this.currentSession.remediation;
+        const stillLocked = new Set(this.getLockedRuleIds());
+        
         return {
             sessionId: this.currentSession.id,
             totalQuestions: totalQuestions,
@@ -2348,7 +2727,16 @@ class TOEICGrammarSystem {
             accuracy: Math.round(accuracy),
             timeSpent: this.sessionStats.timeSpent,
             categoryPerformance: categoryPerformance,
+            errorPatterns: errorPatterns,
             recommendations: this.generateRecommendations(categoryPerformance),
+            remediation: remediation ? {
+                ruleId: remediation.ruleId,
+                recovered: this.isRemediationRecovered(remediation)
+            } : null,
+            remediationTarget: this.getRemediationTarget(),
+            grammarRule: this.currentSession.grammarRule || null,
+            unlockedRules: (this.currentSession.lockedAtStart || []).filter(ruleId => !stillLocked.has(ruleId)),
+            nextRule: this.getNextRule(),
             completedAt: new Date().toISOString()
         };
     }
@@ -2381,11 +2769,18 @@ class TOEICGrammarSystem {
             if (perf.accuracy < 70) {
                 const categoryInfo = this.grammarCategories[category];
                 if (categoryInfo) {
+                    // Point at the rule in this category the learner gets
+                    // wrong most, and at how they get it wrong
+                    const weakest = this.getMistakeProfile().find(entry => entry.category === category);
                     recommendations.push({
                         category: category,
                         categoryName: categoryInfo.name,
                         accuracy: Math.round(perf.accuracy),
-                        suggestion: `Focus on ${categoryInfo.name} - accuracy is ${Math.round(perf.accuracy)}%`
+                        ruleId: weakest ? weakest.ruleId : null,
+                        topError: weakest ? weakest.topError : null,
+                        suggestion: weakest && weakest.topError
+                            ? `Focus on ${weakest.title} - most mistakes are ${weakest.topError.replace(/_/g, ' ')} errors`
+                            : `Focus on ${categoryInfo.name} - accuracy is ${Math.round(perf.accuracy)}%`
                     });
                 }
             }
@@ -2395,8 +2790,8 @@ class TOEICGrammarSystem {
     }
     
     // Update user progress
-    updateUserProgress(questionId, isCorrect) {
-        const question = this.practiceQuestions.get(questionId);
+    updateUserProgress(questionId, isCorrect, errorType = null) {
+        const question = this.getQuestion(questionId);
         if (!question) return;
         
         const progressKey = `${question.category}_${question.grammarRule}`;
@@ -2419,6 +2814,373 @@ class TOEICGrammarSystem {
         
         this.userProgress.set(progressKey, progress);
         this.saveUserProgress();
+        
+        if (question.grammarRule) {
+            this.recordMistakePattern(question.grammarRule, isCorrect, errorType);
+        }
+    }
+    
+    // Tag a wrong answer with the confusion it shows. Tagged options win;
+    // otherwise the distractor is compared with the key (same closed word
+    // class, modal + to/-ing, active vs passive, to-infinitive vs -ing, same
+    // stem), and the question's category is the last resort.
+    classifyDistractor(question, selectedIndex) {
+        const tagged = Array.isArray(question.distractorErrors) ? question.distractorErrors[selectedIndex] : null;
+        if (GRAMMAR_ERROR_TYPES.includes(tagged)) return tagged;
+        
+        const chosen = String(question.options[selectedIndex] || '').toLowerCase().trim();
+        const key = String(question.options[question.correctAnswer] || '').toLowerCase().trim();
+        const fallback = GRAMMAR_CATEGORY_ERRORS[question.category] || 'other';
+        if (!chosen || !key) return fallback;
+        
+        const wordClass = Object.keys(GRAMMAR_WORD_CLASSES)
+            .find(type => GRAMMAR_WORD_CLASSES[type].includes(chosen) && GRAMMAR_WORD_CLASSES[type].includes(key));
+        if (wordClass) return wordClass;
+        if (question.category === 'word_forms') return 'word_form';
+        
+        // "must to notify" / "must notifying" break the modal + base form
+        // rule, whatever voice the key is in
+        const isBadModal = text => /\b(can|could|may|might|must|shall|should|will|would)\s+(to\s|\w{3,}ing\b)/.test(text);
+        if (isBadModal(chosen) && !isBadModal(key)) return 'modal';
+        
+        const isPassive = text => /\b(be|is|are|was|were|been|being)\s+\w+(ed|en|wn|t)\b/.test(text);
+        if (isPassive(chosen) !== isPassive(key)) return 'voice';
+        
+        const isInfinitive = text => /^to\s/.test(text);
+        const isGerund = text => /^\w+ing$/.test(text);
+        if ((isInfinitive(chosen) && isGerund(key)) || (isGerund(chosen) && isInfinitive(key))) return 'verb_pattern';
+        
+        const isComparison = text => /\b(more|most|less|least)\b/.test(text);
+        if (isComparison(chosen) || isComparison(key)) return 'comparison';
+        
+        // One-word options built on the same stem: -s alone is agreement,
+        // base vs -ing is a verb pattern, -er/-est a comparison (in the
+        // comparatives category), other inflections tense, and any other
+        // suffix a different part of speech
+        if (!/\s/.test(chosen) && !/\s/.test(key)) {
+            const [shorter, longer] = chosen.length <= key.length ? [chosen, key] : [key, chosen];
+            const stem = shorter.replace(/e$/, '');
+            if (stem.length >= 3 && longer.startsWith(stem)) {
+                const suffix = longer.slice(stem.length);
+                const isBase = shorter.length - stem.length <= 1;
+                if (isBase && /^e?s$/.test(suffix)) return 'agreement';
+                if (isBase && suffix === 'ing') return 'verb_pattern';
+                if (question.category === 'comparatives' && /^e?(r|st)$/.test(suffix)) return 'comparison';
+                if (/^(e?d|ing|e?s)$/.test(suffix)) return 'tense';
+                return 'word_form';
+            }
+        }
+        
+        return fallback;
+    }
+    
+    // Per-rule tally behind the mistake profile: attempts, correct answers,
+    // error types, and the last ten results for "is this recovering?"
+    recordMistakePattern(ruleId, isCorrect, errorType = null) {
+        const entry = this.mistakeProfile[ruleId] || {
+            attempts: 0,
+            correct: 0,
+            errors: {},
+            recent: [],
+            lastMistake: null
+        };
+        entry.attempts++;
+        if (isCorrect) {
+            entry.correct++;
+        } else {
+            const type = errorType || 'other';
+            entry.errors[type] = (entry.errors[type] || 0) + 1;
+            entry.lastMistake = Date.now();
+        }
+        entry.recent = [...entry.recent, isCorrect ? 1 : 0].slice(-10);
+        this.mistakeProfile[ruleId] = entry;
+        this.saveMistakeProfile();
+    }
+    
+    // Rules the learner has answered, weakest first: most mistakes, then
+    // lowest recent accuracy
+    getMistakeProfile() {
+        return Object.entries(this.mistakeProfile)
+            .filter(([ruleId, entry]) => this.grammarRules.has(ruleId) && entry.attempts > 0)
+            .map(([ruleId, entry]) => {
+                const rule = this.grammarRules.get(ruleId);
+                const errors = Object.entries(entry.errors)
+                    .map(([type, count]) => ({ type, count }))
+                    .sort((a, b) => b.count - a.count);
+                const recent = entry.recent;
+                return {
+                    ruleId,
+                    title: rule.title,
+                    category: rule.category,
+                    attempts: entry.attempts,
+                    correct: entry.correct,
+                    mistakes: entry.attempts - entry.correct,
+                    accuracy: Math.round((entry.correct / entry.attempts) * 100),
+                    recentAccuracy: recent.length > 0
+                        ? Math.round((recent.reduce((sum, value) => sum + value, 0) / recent.length) * 100)
+                        : 0,
+                    errors,
+                    topError: errors.length > 0 ? errors[0].type : null,
+                    lastMistake: entry.lastMistake
+                };
+            })
+            .sort((a, b) => b.mistakes - a.mistakes || a.recentAccuracy - b.recentAccuracy);
+    }
+    
+    // The rule a remediation session should target next, or null
+    getRemediationTarget() {
+        return this.getMistakeProfile().find(entry =>
+            entry.mistakes >= GRAMMAR_REMEDIATION.minMistakes &&
+            entry.recentAccuracy < GRAMMAR_REMEDIATION.weakAccuracy
+        ) || null;
+    }
+    
+    // Questions for a rule; rules with only a question or two are topped up
+    // with generated items, then borrow the rest of their category so the
+    // drill has something to repeat
+    getRemediationPool(ruleId) {
+        const rule = this.grammarRules.get(ruleId);
+        if (!rule) return [];
+        const questions = Array.from(this.practiceQuestions.values());
+        const own = questions.filter(q => q.grammarRule === ruleId);
+        if (own.length < GRAMMAR_REMEDIATION.window) {
+            own.push(...this.generateQuestions(GRAMMAR_REMEDIATION.maxQuestions - own.length, { grammarRule: ruleId }));
+        }
+        if (own.length >= GRAMMAR_REMEDIATION.window) return own;
+        return [...own, ...questions.filter(q => q.grammarRule !== ruleId && q.category === rule.category)];
+    }
+    
+    // Drill one rule until accuracy recovers (see GRAMMAR_REMEDIATION)
+    startRemediationSession(ruleId) {
+        const pool = this.getRemediationPool(ruleId);
+        if (pool.length === 0) return null;
+        
+        const rule = this.grammarRules.get(ruleId);
+        const questions = this.shuffleArray(pool).slice(0, GRAMMAR_REMEDIATION.maxQuestions);
+        this.currentSession = {
+            id: 'grammar_' + Date.now(),
+            category: rule.category,
+            difficulty: 'all',
+            questions,
+            currentQuestionIndex: 0,
+            answers: [],
+            startTime: Date.now(),
+            endTime: null,
+            status: 'active',
+            remediation: { ruleId, results: [] },
+            lockedAtStart: this.getLockedRuleIds()
+        };
+        
+        this.sessionStats = {
+            totalQuestions: questions.length,
+            correctAnswers: 0,
+            incorrectAnswers: 0,
+            timeSpent: 0,
+            startTime: Date.now()
+        };
+        
+        console.log(`🩺 Started remediation session: ${ruleId} (${pool.length} questions in pool)`);
+        return this.currentSession;
+    }
+    
+    isRemediationRecovered(remediation) {
+        const last = remediation.results.slice(-GRAMMAR_REMEDIATION.window);
+        if (last.length < GRAMMAR_REMEDIATION.window) return false;
+        return last.filter(Boolean).length / last.length >= GRAMMAR_REMEDIATION.target;
+    }
+    
+    // Called after the index moves on: false ends the drill (recovered or
+    // out of questions); running off the end of the list re-queues the
+    // questions missed in this drill, then the rest of the pool
+    continueRemediation() {
+        const session = this.currentSession;
+        if (this.isRemediationRecovered(session.remediation)) return false;
+        if (session.remediation.results.length >= GRAMMAR_REMEDIATION.maxQuestions) return false;
+        
+        if (session.currentQuestionIndex >= session.questions.length) {
+            const missed = new Set(session.answers.filter(answer => !answer.isCorrect).map(answer => answer.questionId));
+            // Missed items come from the drill itself - a fresh pool has
+            // new generated items with new ids
+            const missedQuestions = session.questions.filter((q, index, list) =>
+                missed.has(q.id) && list.findIndex(other => other.id === q.id) === index);
+            const pool = this.getRemediationPool(session.remediation.ruleId);
+            const again = [
+                ...this.shuffleArray(missedQuestions),
+                ...this.shuffleArray(pool.filter(q => !missed.has(q.id)))
+            ].slice(0, GRAMMAR_REMEDIATION.maxQuestions - session.remediation.results.length);
+            session.questions.push(...again);
+        }
+        return session.currentQuestionIndex < session.questions.length;
+    }
+    
+    // Template engine for extra Part 5 items (Part5Generator, set up by the app)
+    setQuestionGenerator(generator) {
+        this.questionGenerator = generator || null;
+    }
+
+    canGenerate(ruleId) {
+        return !!this.questionGenerator && this.questionGenerator.getRules().includes(ruleId);
+    }
+
+    // Generated items whose rule exists here; kept so answers, progress and
+    // session results can look them up by id like bank questions
+    generateQuestions(count, { category = null, grammarRule = null, random = Math.random } = {}) {
+        if (!this.questionGenerator || count <= 0) return [];
+        const questions = this.questionGenerator.generate(count, { category, grammarRule, random })
+            .filter(q => this.grammarRules.has(q.grammarRule) && !this.practiceQuestions.has(q.id));
+        questions.forEach(q => this.generatedQuestions.set(q.id, q));
+        return questions;
+    }
+
+    getQuestion(questionId) {
+        return this.practiceQuestions.get(questionId) || this.generatedQuestions.get(questionId) || null;
+    }
+
+    // Merge a content pack's grammar section (see content-pack-loader.js).
+    // Existing ids are kept; returns descriptions of the skipped items.
+    addContent({ categories = {}, rules = [], questions = [] } = {}, source = null) {
+        const skipped = [];
+        
+        Object.entries(categories).forEach(([key, category]) => {
+            if (this.grammarCategories[key]) {
+                skipped.push(`category ${key} (id exists)`);
+                return;
+            }
+            this.grammarCategories[key] = {
+                description: '',
+                icon: 'book-open',
+                color: 'blue',
+                difficulty: 'B1',
+                ...category
+            };
+        });
+        
+        rules.forEach(rule => {
+            if (this.grammarRules.has(rule.id)) {
+                skipped.push(`rule ${rule.id} (id exists)`);
+                return;
+            }
+            this.grammarRules.set(rule.id, {
+                description: '',
+                prerequisites: [],
+                formula: '',
+                examples: [],
+                commonMistakes: [],
+                toeicTips: [],
+                ...rule,
+                source
+            });
+        });
+        
+        questions.forEach(question => {
+            if (this.practiceQuestions.has(question.id)) {
+                skipped.push(`question ${question.id} (id exists)`);
+                return;
+            }
+            this.practiceQuestions.set(question.id, {
+                difficulty: 'B1',
+                explanation: '',
+                ...question,
+                source
+            });
+        });
+        
+        return skipped;
+    }
+    
+    // Prerequisites that exist (pack rules may name rules that don't)
+    getRulePrerequisites(ruleId) {
+        const rule = this.grammarRules.get(ruleId);
+        return rule && Array.isArray(rule.prerequisites)
+            ? rule.prerequisites.filter(id => id !== ruleId && this.grammarRules.has(id))
+            : [];
+    }
+    
+    // Rule ids with every rule after its prerequisites (built-in order
+    // among equals); rules caught in a prerequisite cycle go last
+    getRuleOrder() {
+        const ids = Array.from(this.grammarRules.keys());
+        const placed = new Set();
+        const order = [];
+        let progress = true;
+        while (progress) {
+            progress = false;
+            ids.forEach(id => {
+                if (!placed.has(id) && this.getRulePrerequisites(id).every(req => placed.has(req))) {
+                    placed.add(id);
+                    order.push(id);
+                    progress = true;
+                }
+            });
+        }
+        return [...order, ...ids.filter(id => !placed.has(id))];
+    }
+    
+    // Per-rule progress, summed over the userProgress entries of the rule's
+    // questions (keyed category_rule)
+    getRuleMastery(ruleId) {
+        const questions = Array.from(this.practiceQuestions.values()).filter(q => q.grammarRule === ruleId);
+        const keys = new Set(questions.map(q => `${q.category}_${ruleId}`));
+        const entries = Array.from(keys).map(key => this.userProgress.get(key)).filter(Boolean);
+        
+        const attempts = entries.reduce((sum, p) => sum + p.totalAttempts, 0);
+        const correct = entries.reduce((sum, p) => sum + p.correctAttempts, 0);
+        const level = entries.length > 0
+            ? Math.round(entries.reduce((sum, p) => sum + p.masteryLevel, 0) / entries.length)
+            : 0;
+        const accuracy = attempts > 0 ? Math.round((correct / attempts) * 100) : 0;
+        // Generated items mean a one-question rule can still be practised
+        // `passAttempts` times
+        const available = this.canGenerate(ruleId) ? GRAMMAR_MASTERY.passAttempts : questions.length;
+        const needed = Math.max(1, Math.min(GRAMMAR_MASTERY.passAttempts, available));
+        
+        return {
+            questionCount: questions.length,
+            attempts,
+            accuracy,
+            level,
+            passed: attempts >= needed && accuracy >= GRAMMAR_MASTERY.passAccuracy,
+            mastered: level >= GRAMMAR_MASTERY.masteredLevel && accuracy >= GRAMMAR_MASTERY.masteredAccuracy
+        };
+    }
+    
+    // The learning path: every rule in prerequisite order with its depth
+    // (longest prerequisite chain), mastery and state - locked until all
+    // prerequisites are passed, then unlocked, then mastered
+    getMasteryMap() {
+        const order = this.getRuleOrder();
+        const masteryById = new Map(order.map(ruleId => [ruleId, this.getRuleMastery(ruleId)]));
+        const depth = {};
+        return order.map(ruleId => {
+            const rule = this.grammarRules.get(ruleId);
+            const prerequisites = this.getRulePrerequisites(ruleId);
+            const mastery = masteryById.get(ruleId);
+            depth[ruleId] = prerequisites.reduce((max, req) => Math.max(max, (depth[req] || 0) + 1), 0);
+            const unlocked = prerequisites.every(req => masteryById.get(req).passed);
+            return {
+                ruleId,
+                title: rule.title,
+                category: rule.category,
+                prerequisites,
+                depth: depth[ruleId],
+                ...mastery,
+                state: mastery.mastered ? 'mastered' : (unlocked ? 'unlocked' : 'locked')
+            };
+        });
+    }
+    
+    getLockedRuleIds() {
+        return this.getMasteryMap().filter(node => node.state === 'locked').map(node => node.ruleId);
+    }
+    
+    // "Practice next": the unlocked, unmastered rule with the lowest
+    // mastery level; earlier in the path wins ties. Null once everything
+    // with questions is mastered.
+    getNextRule() {
+        const candidates = this.getMasteryMap()
+            .filter(node => node.state === 'unlocked' && node.questionCount > 0);
+        if (candidates.length === 0) return null;
+        return candidates.reduce((best, node) => (node.level < best.level ? node : best));
     }
     
     // Get grammar rule by ID
@@ -2431,6 +3193,34 @@ class TOEICGrammarSystem {
         return this.grammarCategories;
     }
     
+    // Study order for the category list (seeded by the placement test);
+    // unknown keys are dropped and categories missing from it follow in
+    // their default order
+    getCategoryOrder() {
+        try {
+            const saved = JSON.parse(localStorage.getItem('toeicGrammarCategoryOrder') || '[]');
+            return Array.isArray(saved) ? saved.filter(key => this.grammarCategories[key]) : [];
+        } catch (error) {
+            console.error('❌ Error loading grammar category order:', error);
+            return [];
+        }
+    }
+    
+    setCategoryOrder(order = []) {
+        try {
+            localStorage.setItem('toeicGrammarCategoryOrder', JSON.stringify(order.filter(key => this.grammarCategories[key])));
+        } catch (error) {
+            console.error('❌ Error saving grammar category order:', error);
+        }
+    }
+    
+    // [key, category] pairs in study order
+    getOrderedCategories() {
+        const order = this.getCategoryOrder();
+        const keys = [...order, ...Object.keys(this.grammarCategories).filter(key => !order.includes(key))];
+        return keys.map(key => [key, this.grammarCategories[key]]);
+    }
+    
     // Get questions by category
     getQuestionsByCategory(category) {
         return Array.from(this.practiceQuestions.values()).filter(q => q.category === category);
@@ -0,0 +1,448 @@
+// TOEIC Listening Practice System
+// Part 1–4 practice sessions outside the full test, drawn from
+// window.TOEIC_LISTENING_BANK (assets/data/toeic-listening-banks.js)
+
+class TOEICListeningSystem {
+    constructor() {
+        this.questions = new Map();
+        this.userProgress = new Map();
+        this.currentSession = null;
+        this.currentQuestionIndex = 0;
+        this.sessionAnswers = [];
+        this.audioPlays = {};
+        this.sessionStats = {
+            totalQuestions: 0,
+            correctAnswers: 0,
+            incorrectAnswers: 0,
+            timeSpent: 0,
+            startTime: null
+        };
+
+        this.partTypes = {
+            1: { type: 'photographs', name: 'Photographs', letters: 4 },
+            2: { type: 'questionResponse', name: 'Question-Response', letters: 3 },
+            3: { type: 'conversations', name: 'Conversations', letters: 4 },
+            4: { type: 'talks', name: 'Talks', letters: 4 }
+        };
+
+        // TTS rates for the speed picker; 'normal' defers to the audio settings
+        this.speeds = {
+            slow: 0.8,
+            normal: null,
+            fast: 1.2
+        };
+
+        // First play + 2 replays, same as the listening section of the test
+        this.maxPlays = 3;
+
+        this.loadQuestions();
+        this.loadUserProgress();
+    }
+
+    // Flatten the bank into one question per answerable item. Parts 3/4
+    // share one recording across three questions, so they carry a groupId
+    // that keys both session grouping and the replay counter.
+    loadQuestions() {
+        const bank = (typeof window !== 'undefined' && window.TOEIC_LISTENING_BANK) || null;
+        if (!bank) {
+            console.warn('⚠️ TOEIC listening bank not available');
+            return;
+        }
+
+        (bank.part1 || []).forEach((item, i) => {
+            const id = `p1-${i + 1}`;
+            this.questions.set(id, {
+                id,
+                part: 1,
+                type: 'photographs',
+                groupId: id,
+                scene: item.scene,
+                caption: item.caption || '',
+                statements: item.statements,
+                options: item.statements.map((_, idx) => String.fromCharCode(65 + idx)),
+                lettersOnly: true,
+                correctAnswer: item.correctAnswer
+            });
+        });
+
+        (bank.part2 || []).forEach((item, i) => {
+            const id = `p2-${i + 1}`;
+            this.questions.set(id, {
+                id,
+                part: 2,
+                type: 'questionResponse',
+                groupId: id,
+                prompt: item.question,
+                responses: item.responses,
+                options: item.responses.map((_, idx) => String.fromCharCode(65 + idx)),
+                lettersOnly: true,
+                correctAnswer: item.correctAnswer
+            });
+        });
+
+        (bank.part3 || []).forEach((item, i) => {
+            const groupId = `p3-${i + 1}`;
+            (item.questions || []).forEach((q, qIndex) => {
+                const id = `${groupId}-q${qIndex + 1}`;
+                this.questions.set(id, {
+                    id,
+                    part: 3,
+                    type: 'conversations',
+                    groupId,
+                    conversation: item.conversation,
+                    question: q.question,
+                    options: q.options,
+                    correctAnswer: q.correctAnswer
+                });
+            });
+        });
+
+        (bank.part4 || []).forEach((item, i) => {
+            const groupId = `p4-${i + 1}`;
+            (item.questions || []).forEach((q, qIndex) => {
+                const id = `${groupId}-q${qIndex + 1}`;
+                this.questions.set(id, {
+                    id,
+                    part: 4,
+                    type: 'talks',
+                    groupId,
+                    talk: item.talk,
+                    talkType: item.type || 'talk',
+                    question: q.question,
+                    options: q.options,
+                    correctAnswer: q.correctAnswer
+                });
+            });
+        });
+
+        console.log(`✅ Loaded ${this.questions.size} listening questions`);
+    }
+
+    loadUserProgress() {
+        try {
+            const savedProgress = localStorage.getItem('toeicListeningProgress');
+            if (savedProgress) {
+                const progress = JSON.parse(savedProgress);
+                this.userProgress = new Map(Object.entries(progress));
+                console.log('✅ Loaded listening progress');
+            }
+        } catch (error) {
+            console.error('❌ Error loading listening progress:', error);
+        }
+    }
+
+    saveUserProgress() {
+        try {
+            const progressObj = Object.fromEntries(this.userProgress);
+            localStorage.setItem('toeicListeningProgress', JSON.stringify(progressObj));
+        } catch (error) {
+            console.error('❌ Error saving listening progress:', error);
+        }
+    }
+
+    // Start a practice session for one part
+    startSession(options = {}) {
+        const part = Number(options.part) || 1;
+        const count = options.count || 10;
+
+        this.sessionStats = {
+            totalQuestions: 0,
+            correctAnswers: 0,
+            incorrectAnswers: 0,
+            timeSpent: 0,
+            startTime: Date.now()
+        };
+        this.speed = this.speeds.hasOwnProperty(options.speed) ? options.speed : 'normal';
+        this.part = part;
+
+        this.currentSession = this.generateSession(part, count);
+        this.currentQuestionIndex = 0;
+        this.sessionAnswers = [];
+        this.audioPlays = {};
+        this.sessionStats.totalQuestions = this.currentSession.length;
+
+        console.log(`🎧 Started TOEIC listening session: Part ${part}, ${this.currentSession.length} questions`);
+        return this.currentSession;
+    }
+
+    // Least-practiced recordings first (random tiebreak), and the three
+    // questions about one conversation/talk always stay together
+    generateSession(part, count) {
+        const groups = new Map();
+        for (const question of this.questions.values()) {
+            if (question.part !== part) continue;
+            if (!groups.has(question.groupId)) groups.set(question.groupId, []);
+            groups.get(question.groupId).push(question.id);
+        }
+
+        const practiceScore = (ids) => ids.reduce((sum, id) => {
+            const stats = this.userProgress.get(id);
+            return sum + (stats ? stats.timesAnswered || 0 : 0);
+        }, 0) / ids.length;
+
+        const ordered = Array.from(groups.values())
+            .map(ids => ({ ids, score: practiceScore(ids), jitter: Math.random() }))
+            .sort((a, b) => (a.score - b.score) || (a.jitter - b.jitter))
+            .map(entry => entry.ids);
+
+        // Keep whole groups; a small overflow past `count` beats cutting a conversation short
+        const sessionQuestions = [];
+        for (const ids of ordered) {
+            if (sessionQuestions.length >= count) break;
+            sessionQuestions.push(...ids);
+        }
+        return sessionQuestions;
+    }
+
+    getSessionPosition() {
+        if (!this.currentSession) return { current: 0, total: 0 };
+        return {
+            current: Math.min(this.currentQuestionIndex + 1, this.currentSession.length),
+            total: this.currentSession.length
+        };
+    }
+
+    // Current question without advancing the cursor
+    peekNextQuestion() {
+        if (!this.currentSession || this.currentQuestionIndex >= this.currentSession.length) {
+            return null;
+        }
+        return this.questions.get(this.currentSession[this.currentQuestionIndex]) || null;
+    }
+
+    // Advance the cursor. Returns true while another question exists.
+    moveToNextQuestion() {
+        if (!this.currentSession || this.currentQuestionIndex >= this.currentSession.length - 1) {
+            if (this.currentSession) this.currentQuestionIndex = this.currentSession.length;
+            return false;
+        }
+        this.currentQuestionIndex++;
+        return true;
+    }
+
+    // "Questions 4–6 refer to the following conversation" for Parts 3/4
+    getQuestionGroupRange(index) {
+        if (!this.currentSession) return null;
+        const groupAt = (i) => this.questions.get(this.currentSession[i])?.groupId;
+        const key = groupAt(index);
+        let start = index;
+        let end = index;
+        while (start > 0 && groupAt(start - 1) === key) start--;
+        while (end < this.currentSession.length - 1 && groupAt(end + 1) === key) end++;
+        return { start: start + 1, end: end + 1 };
+    }
+
+    getPlayCount(question) {
+        return question ? this.audioPlays[question.groupId] || 0 : 0;
+    }
+
+    getReplaysLeft(question) {
+        return Math.max(0, this.maxPlays - Math.max(1, this.getPlayCount(question)));
+    }
+
+    // Count a play against the recording's limit; false once the limit is used up
+    registerPlay(question) {
+        const played = this.getPlayCount(question);
+        if (!question || played >= this.maxPlays) return false;
+        this.audioPlays[question.groupId] = played + 1;
+        return true;
+    }
+
+    getSpeechRate() {
+        return this.speeds[this.speed] || null;
+    }
+
+    // TTS parts for AudioSystem.speakSequence ({ text, voiceHint, pauseAfterMs })
+    buildAudioSequence(question) {
+        const parts = [];
+        if (!question) return parts;
+        const letters = ['A', 'B', 'C', 'D'];
+
+        if (question.type === 'photographs') {
+            question.statements.forEach((statement, i) => {
+                parts.push({ text: `${letters[i]}. ${statement}`, voiceHint: null, pauseAfterMs: 700 });
+            });
+        } else if (question.type === 'questionResponse') {
+            parts.push({ text: question.prompt, voiceHint: 'M', pauseAfterMs: 900 });
+            question.responses.forEach((response, i) => {
+                parts.push({ text: `${letters[i]}. ${response}`, voiceHint: 'W', pauseAfterMs: 700 });
+            });
+        } else if (question.type === 'conversations') {
+            (question.conversation || []).forEach(line => {
+                if (!line || !line.text) return;
+                const speaker = (line.speaker || 'M').charAt(0).toUpperCase() === 'W' ? 'W' : 'M';
+                parts.push({ text: line.text, voiceHint: speaker, pauseAfterMs: 350 });
+            });
+        } else if (question.type === 'talks' && question.talk) {
+            parts.push({ text: question.talk, voiceHint: 'M', pauseAfterMs: 0 });
+        }
+
+        return parts;
+    }
+
+    // Transcript lines for the post-answer reveal ({ speaker, text, correct })
+    getTranscript(question) {
+        if (!question) return [];
+        const letters = ['A', 'B', 'C', 'D'];
+
+        if (question.type === 'photographs') {
+            return question.statements.map((statement, i) => ({
+                speaker: letters[i],
+                text: statement,
+                correct: i === question.correctAnswer
+            }));
+        }
+        if (question.type === 'questionResponse') {
+            return [{ speaker: 'Q', text: question.prompt, correct: false }]
+                .concat(question.responses.map((response, i) => ({
+                    speaker: letters[i],
+                    text: response,
+                    correct: i === question.correctAnswer
+                })));
+        }
+        if (question.type === 'conversations') {
+            return (question.conversation || []).map(line => ({
+                speaker: line.speaker || 'M',
+                text: line.text,
+                correct: false
+            }));
+        }
+        if (question.type === 'talks') {
+            return [{ speaker: '', text: question.talk, correct: false }];
+        }
+        return [];
+    }
+
+    // Record answer
+    recordAnswer(questionId, selectedAnswer, responseTime = 0) {
+        const question = this.questions.get(questionId);
+        if (!question) return null;
+
+        const isCorrect = selectedAnswer === question.correctAnswer;
+
+        const questionStats = this.userProgress.get(questionId) || {
+            part: question.part,
+            timesAnswered: 0,
+            correctCount: 0,
+            incorrectCount: 0,
+            averageTime: 0,
+            lastAnswered: null
+        };
+
+        questionStats.timesAnswered++;
+        questionStats.lastAnswered = Date.now();
+        questionStats.lastAnswer = selectedAnswer;
+        questionStats.lastCorrect = isCorrect;
+
+        if (isCorrect) {
+            questionStats.correctCount++;
+            this.sessionStats.correctAnswers++;
+        } else {
+            questionStats.incorrectCount++;
+            this.sessionStats.incorrectAnswers++;
+        }
+
+        const totalTime = questionStats.averageTime * (questionStats.timesAnswered - 1) + responseTime;
+        questionStats.averageTime = totalTime / questionStats.timesAnswered;
+
+        this.userProgress.set(questionId, questionStats);
+
+        this.sessionAnswers.push({
+            questionId: questionId,
+            selectedAnswer: selectedAnswer,
+            isCorrect: isCorrect,
+            plays: this.getPlayCount(question)
+        });
+
+        this.saveUserProgress();
+
+        console.log(`🎧 Recorded answer for question ${questionId}: ${isCorrect ? 'Correct' : 'Incorrect'}`);
+
+        return {
+            isCorrect,
+            correctAnswer: question.correctAnswer
+        };
+    }
+
+    getSessionStats() {
+        const answered = this.sessionStats.correctAnswers + this.sessionStats.incorrectAnswers;
+        const accuracy = answered > 0 ? (this.sessionStats.correctAnswers / answered) * 100 : 0;
+        const timeSpent = this.sessionStats.startTime ? Date.now() - this.sessionStats.startTime : 0;
+
+        return {
+            ...this.sessionStats,
+            accuracy: Math.round(accuracy),
+            timeSpent: timeSpent,
+            questionsRemaining: this.currentSession
+                ? Math.max(0, this.currentSession.length - this.currentQuestionIndex)
+                : 0
+        };
+    }
+
+    // Per-part totals for the module screen: { 1: { available, answered, correct, incorrect, accuracy }, ... }
+    getStatsByPart() {
+        const partStats = {};
+        for (const part of Object.keys(this.partTypes)) {
+            partStats[part] = { available: 0, answered: 0, correct: 0, incorrect: 0, accuracy: 0 };
+        }
+
+        for (const question of this.questions.values()) {
+            partStats[question.part].available++;
+        }
+
+        for (const [questionId, stats] of this.userProgress) {
+            const question = this.questions.get(questionId);
+            const part = question ? question.part : stats.part;
+            if (!partStats[part]) continue;
+            partStats[part].answered++;
+            partStats[part].correct += stats.correctCount || 0;
+            partStats[part].incorrect += stats.incorrectCount || 0;
+        }
+
+        for (const stats of Object.values(partStats)) {
+            const totalAnswers = stats.correct + stats.incorrect;
+            stats.accuracy = totalAnswers > 0 ? Math.round((stats.correct / totalAnswers) * 100) : 0;
+        }
+
+        return partStats;
+    }
+
+    getOverallStats() {
+        const partStats = Object.values(this.getStatsByPart());
+        const totalCorrect = partStats.reduce((sum, s) => sum + s.correct, 0);
+        const totalIncorrect = partStats.reduce((sum, s) => sum + s.incorrect, 0);
+        const totalAnswered = totalCorrect + totalIncorrect;
+
+        return {
+            totalQuestions: this.questions.size,
+            answeredQuestions: partStats.reduce((sum, s) => sum + s.answered, 0),
+            totalAnswered,
+            accuracy: totalAnswered > 0 ? Math.round((totalCorrect / totalAnswered) * 100) : 0
+        };
+    }
+
+    // End current session
+    endSession() {
+        console.log('🎧 Ending TOEIC Listening session...');
+        this.currentSession = null;
+        this.currentQuestionIndex = 0;
+        this.audioPlays = {};
+        this.sessionStats = {
+            totalQuestions: 0,
+            correctAnswers: 0,
+            incorrectAnswers: 0,
+            timeSpent: 0,
+            startTime: null
+        };
+        console.log('✅ TOEIC Listening session ended');
+    }
+
+    resetProgress() {
+        this.userProgress.clear();
+        this.saveUserProgress();
+        console.log('🔄 Listening progress reset');
+    }
+}
+
+// Export for global use
+window.TOEICListeningSystem = TOEICListeningSystem;
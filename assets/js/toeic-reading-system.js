@@ -1,12 +1,38 @@
 // TOEIC Reading Comprehension System
 // Handles reading passages, questions, and comprehension exercises
 
+// Reading speed trainer. Finishing Part 7 in time takes roughly 150 WPM or
+// more; after each passage the target moves by `step` - up when the read
+// kept pace with comprehension at `raiseAt`%, down when comprehension fell
+// below `lowerAt`% (speed without understanding doesn't count).
+const READING_SPEED = {
+    startWpm: 150,
+    minWpm: 100,
+    maxWpm: 300,
+    step: 10,
+    raiseAt: 75,
+    lowerAt: 50,
+    // Words per pacing-guide chunk, and reads kept in the history
+    chunkWords: 3,
+    historyLimit: 50
+};
+
+// Part 7 question subtypes, in the order the practice filter lists them.
+// Ids match TOEICTestSimulator.classifyQuestionSubtype so reading practice
+// and the mock-test review report the same categories.
+const READING_SUBTYPES = [
+    'mainIdea', 'detail', 'inference', 'vocabInContext', 'notTrue',
+    'sentenceInsertion', 'crossReference', 'intent'
+];
+
 class TOEICReadingSystem {
     constructor() {
         this.passages = new Map();
         this.questions = new Map();
         this.userProgress = new Map();
         this.currentSession = null;
+        this.speedRead = null;
+        this.speedTraining = { targetWpm: READING_SPEED.startWpm, history: [] };
         this.sessionStats = {
             totalQuestions: 0,
             correctAnswers: 0,
@@ -36,8 +62,12 @@ class TOEICReadingSystem {
             }
         };
         
-        this.loadReadingMaterials();
+        // Progress first: passages pick up their saved speed-read times
+        // as they are created
         this.loadUserProgress();
+        // Content packs wait on this before merging their passages
+        this.ready = this.loadReadingMaterials();
+        this.loadSpeedTraining();
         
         console.log('📖 TOEIC Reading System initialized');
     }
@@ -279,6 +309,30 @@ Brightline Manufacturing`,
                 wordCount: 150,
                 difficulty: 'B1',
                 category: 'business_communication'
+            },
+            {
+                id: 'email_008',
+                type: 'business_email',
+                title: 'Partial Shipment Options',
+                content: `Subject: Your order #55120
+
+Dear Ms. Alvarez,
+
+Thank you for your order of 40 ergonomic office chairs, placed on April 2. [1] Unfortunately, our supplier has informed us that the adjustable armrests for this model will not be available until April 20.
+
+We can offer you two options. We can ship all 40 chairs together once the armrests arrive, or we can send 25 chairs from our current stock this week and the remaining 15 in late April. [2]
+
+If you choose the second option, there will be no additional shipping charge. [3] Please reply to this e-mail by Friday so that we can schedule the delivery.
+
+We apologize for the inconvenience. [4]
+
+Sincerely,
+Kevin Park
+Customer Service
+Brightline Office Furniture`,
+                wordCount: 120,
+                difficulty: 'B1',
+                category: 'customer_service'
             }
         ];
 
@@ -327,6 +381,28 @@ A thirty-minute online training session on FinTrack will be offered on November
                 wordCount: 160,
                 difficulty: 'B2',
                 category: 'finance'
+            },
+            {
+                id: 'memo_003',
+                type: 'business_email',
+                title: 'Memo: New Visitor Check-In Procedure',
+                content: `MEMO
+
+To: All Staff
+From: Building Security
+Date: February 12
+Subject: New Visitor Check-In Procedure
+
+Starting Monday, February 19, all visitors to the Harlow Tower offices must check in at the security desk in the main lobby. [1] Visitors will receive a printed badge, which must be worn at all times while they are in the building.
+
+Employees expecting guests should register them in advance through the online visitor system by 5:00 P.M. on the day before the visit. [2] Guests who have not been registered will be asked to wait in the lobby until their host comes down to meet them.
+
+Delivery drivers are not affected by this change. [3] They should continue to use the loading entrance on Carter Street.
+
+Thank you for your cooperation. [4] Questions about the new procedure can be sent to security@harlowtower.com.`,
+                wordCount: 140,
+                difficulty: 'B1',
+                category: 'office_administration'
             }
         ];
 
@@ -419,6 +495,23 @@ However, the report notes that the higher purchase price of electric vans remain
                 wordCount: 150,
                 difficulty: 'B2',
                 category: 'transportation'
+            },
+            {
+                id: 'news_004',
+                type: 'news_article',
+                title: 'Local Printer Expands into Packaging',
+                content: `LOCAL PRINTER EXPANDS INTO PACKAGING
+
+BRIDGEPORT (June 3) - Carver Print Works, a family-owned printing company founded in 1978, announced on Tuesday that it will open a packaging design division in September. [1]
+
+For decades the company has printed brochures, catalogs and business cards for customers across the region. Demand for printed marketing materials has fallen steadily, however, as more businesses advertise online. [2]
+
+The new division will design and print boxes, labels and shopping bags for food producers and retailers. Company president Alicia Carver said the firm had already signed agreements with two regional bakeries. [3]
+
+To make room for the new equipment, Carver Print Works will move its office staff to a rented building across the street. [4] The company expects to hire twelve additional employees by the end of the year.`,
+                wordCount: 130,
+                difficulty: 'B2',
+                category: 'business_news'
             }
         ];
 
@@ -451,6 +544,38 @@ Ridgeway Appliances`,
                 wordCount: 165,
                 difficulty: 'B2',
                 category: 'customer_service'
+            },
+            {
+                id: 'letter_002',
+                type: 'business_email',
+                title: 'Letter: Invitation to Speak',
+                content: `Westfield Business Association
+88 Main Street
+Westfield, NJ 07090
+
+September 16
+
+Mr. Daniel Grant
+412 Orchard Lane
+Summit, NJ 07901
+
+Dear Mr. Grant,
+
+On behalf of the Westfield Business Association, I am pleased to invite you to speak at our annual Small Business Forum on Thursday, November 7. [1] The event will be held at the Westfield Community Center and is expected to attract about 150 local business owners.
+
+Many of our members have read your recent book on customer service for small retailers. [2] We would be delighted if you could give a 40-minute talk on this topic, followed by a short question-and-answer session.
+
+The association will cover your travel costs and provide a speaker's fee of $500. [3]
+
+Please let me know by October 10 whether you are able to accept. [4] I would be happy to answer any questions you may have.
+
+Sincerely,
+Grace Liu
+Events Chair
+Westfield Business Association`,
+                wordCount: 155,
+                difficulty: 'B2',
+                category: 'business_communication'
             }
         ];
 
@@ -583,18 +708,233 @@ Claudia Weber`,
             }
         ];
 
-        const allPassages = [...doublePassages, ...emailPassages, ...newsPassages, ...adPassages, ...emailPassages2, ...memoPassages, ...adPassages2, ...newsPassages2, ...letterPassages, ...formPassages];
+        // Triple passages: the _a text lists its companions in
+        // linkedPassageIds (rendered as tabs), each companion carries partOf
+        const triplePassages = [
+            {
+                id: 'tp_summit_a',
+                type: 'advertisement',
+                title: 'Pacific Retail Summit',
+                linkedPassageIds: ['tp_summit_b', 'tp_summit_c'],
+                content: `PACIFIC RETAIL SUMMIT - October 14-15, Harbor Convention Center, Seattle
+
+Join more than 600 store owners, buyers and suppliers for two days of talks, workshops and networking.
+
+Registration fees:
+- Full pass (both days): $340
+- One-day pass: $190
+- Workshop add-on: $45 per workshop
+
+Register by August 31 to receive a 15% early-bird discount on any pass. Groups of five or more from the same company receive a further $20 off each pass.
+
+Workshops are limited to 40 participants and fill quickly. All passes include lunch and the evening reception on October 14.`,
+                wordCount: 94,
+                difficulty: 'B1',
+                category: 'business_communication'
+            },
+            {
+                id: 'tp_summit_b',
+                type: 'business_email',
+                title: 'Registration Request from Ms. Tanaka',
+                partOf: 'tp_summit_a',
+                content: `Subject: Summit registration - Lindgren Home Goods
+
+Dear Registration Team,
+
+I would like to register three members of our purchasing team for the Pacific Retail Summit. Mr. Ortiz and I will attend both days, and Ms. Berg will attend on October 15 only.
+
+I would also like to sign up for the workshop on visual merchandising. Please send the invoice to our accounts department at accounts@lindgrenhome.com.
+
+We are submitting this request on August 28, so I assume the early-bird discount applies.
+
+Sincerely,
+Emi Tanaka
+Purchasing Manager, Lindgren Home Goods`,
+                wordCount: 89,
+                difficulty: 'B1',
+                category: 'business_communication'
+            },
+            {
+                id: 'tp_summit_c',
+                type: 'business_email',
+                title: 'Schedule: Workshop Program, October 15',
+                partOf: 'tp_summit_a',
+                content: `PACIFIC RETAIL SUMMIT - WORKSHOP PROGRAM (October 15)
+
+9:00 A.M.    Visual Merchandising on a Budget - Room B (FULL: waiting list only)
+10:30 A.M.   Pricing Strategies for Small Stores - Room C
+1:30 P.M.    Building Customer Loyalty Online - Room B
+3:00 P.M.    Managing Seasonal Inventory - Room A
+
+Participants on a waiting list will be contacted by e-mail if a place becomes available. Workshop fees are charged only when a place is confirmed.`,
+                wordCount: 74,
+                difficulty: 'B1',
+                category: 'business_communication'
+            },
+            {
+                id: 'tp_move_a',
+                type: 'business_email',
+                title: 'Memo: Move to the Riverside Building',
+                linkedPassageIds: ['tp_move_b', 'tp_move_c'],
+                content: `To: All Finance and Legal Staff
+From: Facilities Department
+Date: March 3
+
+As announced last month, the Finance and Legal departments will move to the fourth floor of the Riverside Building on the weekend of March 22. Movers will pack shared files and equipment, but each employee is responsible for packing personal items and desk contents in the boxes provided.
+
+Boxes will be delivered to your desks on March 18. Please label each box with your name and new desk number, which you can find on the attached seating plan. Anyone who needs a standing desk or other special equipment should contact Anil Shah in Facilities by March 12.`,
+                wordCount: 109,
+                difficulty: 'B1',
+                category: 'office_administration'
+            },
+            {
+                id: 'tp_move_b',
+                type: 'business_email',
+                title: 'Schedule: Fourth-Floor Seating Plan',
+                partOf: 'tp_move_a',
+                content: `RIVERSIDE BUILDING - FOURTH FLOOR SEATING PLAN
+
+Desks 401-408    Finance (accounts payable)
+Desks 409-414    Finance (payroll)
+Desks 415-420    Legal
+Desk 421         Rosa Delgado, Finance Director (corner office)
+Room 422         Meeting room (shared, book through Facilities)
+
+Quiet zone: desks 415-420. Phone calls should be taken in the meeting room or the kitchen area.`,
+                wordCount: 52,
+                difficulty: 'B1',
+                category: 'office_administration'
+            },
+            {
+                id: 'tp_move_c',
+                type: 'business_email',
+                title: 'E-mail from Thomas Kim',
+                partOf: 'tp_move_a',
+                content: `Subject: Desk request for the move
+
+Dear Mr. Shah,
+
+I work in payroll and have been given desk 412. Because of a back injury, my doctor has recommended that I use a standing desk. Would it be possible to have one installed at my new desk before the move?
+
+I realize that the deadline for equipment requests was yesterday, so I understand if this takes extra time. If a standing desk cannot be arranged in time, I would be happy to keep using my current desk and chair for the first few weeks.
+
+Thank you,
+Thomas Kim`,
+                wordCount: 97,
+                difficulty: 'B2',
+                category: 'office_administration'
+            },
+            {
+                id: 'tp_catering_a',
+                type: 'advertisement',
+                title: 'Greenleaf Catering Office Lunch Menu',
+                linkedPassageIds: ['tp_catering_b', 'tp_catering_c'],
+                content: `GREENLEAF CATERING - OFFICE LUNCH MENU
+
+Sandwich Platter (serves 10) .......... $85
+Mediterranean Salad Bowl (serves 8) ... $60
+Hot Pasta Tray (serves 12) ............ $110
+Fresh Fruit Platter (serves 10) ....... $45
+
+Free delivery within the downtown area for orders over $150. Orders must be placed at least 48 hours in advance. Vegetarian and gluten-free versions of every item are available at no extra cost - simply note them on your order form.`,
+                wordCount: 74,
+                difficulty: 'B1',
+                category: 'customer_service'
+            },
+            {
+                id: 'tp_catering_b',
+                type: 'business_email',
+                title: 'Order Form: Greenleaf Catering',
+                partOf: 'tp_catering_a',
+                content: `GREENLEAF CATERING - ORDER FORM
+
+Customer: Wexley Architects, 200 Pine Street (downtown)
+Contact: Martin Cho
+Delivery: Thursday, May 8, 12:00 noon
+Ordered: Tuesday, May 6, 9:15 A.M.
+
+Item                     Qty    Price
+Sandwich Platter          2     $170
+Fresh Fruit Platter       1     $45
+Delivery                        $0
+
+Special requests: Please make one sandwich platter vegetarian.`,
+                wordCount: 49,
+                difficulty: 'B1',
+                category: 'customer_service'
+            },
+            {
+                id: 'tp_catering_c',
+                type: 'business_email',
+                title: 'E-mail from Martin Cho',
+                partOf: 'tp_catering_a',
+                content: `Subject: Last Thursday's order
+
+Dear Greenleaf Catering,
+
+Thank you for delivering our lunch on time last Thursday. Our clients were impressed, and the fruit platter was especially popular.
+
+However, both sandwich platters contained meat, although our order form asked for one vegetarian platter. Three of our guests could not eat the sandwiches. I would appreciate it if you could look into this.
+
+We are planning a larger event next month for about 30 people and would like to order from you again if this issue can be resolved.
+
+Regards,
+Martin Cho
+Office Manager, Wexley Architects`,
+                wordCount: 95,
+                difficulty: 'B2',
+                category: 'customer_service'
+            }
+        ];
+
+        // Text-message chains and online chat discussions: `messages` holds
+        // the transcript and `content` is derived from it at load time
+        const chatPassages = [
+            {
+                id: 'chat_001',
+                type: 'chat',
+                title: 'Text messages: Laura Chen and Omar Haddad',
+                messages: [
+                    { speaker: 'Laura Chen', time: '9:12 A.M.', text: 'Omar, are you still at the Fulton Street store? The display boxes for the spring sale haven\'t arrived here yet.' },
+                    { speaker: 'Omar Haddad', time: '9:14 A.M.', text: 'I\'m here. The delivery truck came this morning, but the driver left all ten boxes with us by mistake.' },
+                    { speaker: 'Laura Chen', time: '9:15 A.M.', text: 'Our sale starts at noon. Could someone drive half of them over?' },
+                    { speaker: 'Omar Haddad', time: '9:17 A.M.', text: 'I can\'t leave the store until Ken arrives at ten. Our van is free after that, though.' },
+                    { speaker: 'Laura Chen', time: '9:19 A.M.', text: 'That works.' },
+                    { speaker: 'Omar Haddad', time: '9:20 A.M.', text: 'Great. I\'ll bring five boxes over myself as soon as he gets here.' }
+                ],
+                wordCount: 83,
+                difficulty: 'B1',
+                category: 'business_communication'
+            },
+            {
+                id: 'chat_002',
+                type: 'chat',
+                title: 'Online chat discussion: Website launch',
+                messages: [
+                    { speaker: 'Sofia Marquez', time: '2:02 P.M.', text: 'Quick check before Monday\'s website launch. Where are we with the product photos?' },
+                    { speaker: 'Daniel Okafor', time: '2:04 P.M.', text: 'All 120 photos are edited. I\'m uploading them now.' },
+                    { speaker: 'Priya Raman', time: '2:05 P.M.', text: 'The checkout page still shows last year\'s shipping rates. I\'ve asked IT to update them.' },
+                    { speaker: 'Sofia Marquez', time: '2:06 P.M.', text: 'When will that be done?' },
+                    { speaker: 'Priya Raman', time: '2:08 P.M.', text: 'They said Friday afternoon at the latest.' },
+                    { speaker: 'Sofia Marquez', time: '2:09 P.M.', text: 'That\'s cutting it close.' },
+                    { speaker: 'Kevin Lam', time: '2:11 P.M.', text: 'I can test the checkout on Saturday morning if that helps. I\'ll be working anyway.' },
+                    { speaker: 'Sofia Marquez', time: '2:12 P.M.', text: 'Perfect. Please send me a short report when you\'re done, Kevin.' }
+                ],
+                wordCount: 79,
+                difficulty: 'B2',
+                category: 'project_management'
+            }
+        ];
+
+
+        const allPassages = [...doublePassages, ...triplePassages, ...chatPassages, ...emailPassages, ...newsPassages, ...adPassages, ...emailPassages2, ...memoPassages, ...adPassages2, ...newsPassages2, ...letterPassages, ...formPassages];
         
         allPassages.forEach(passage => {
             this.passages.set(passage.id, {
                 ...passage,
+                content: passage.content || this.formatChatContent(passage.messages),
                 questions: [],
-                userStats: {
-                    timesRead: 0,
-                    averageTime: 0,
-                    comprehensionScore: 0,
-                    lastRead: null
-                }
+                userStats: this.createPassageStats(passage.id)
             });
         });
         
@@ -608,6 +948,7 @@ Claudia Weber`,
                 id: 'q_email_001_1',
                 passageId: 'email_001',
                 type: 'reading_comprehension',
+                subtype: 'mainIdea',
                 question: 'What is the main purpose of this email?',
                 options: [
                     'To request a meeting about a project proposal',
@@ -617,12 +958,14 @@ Claudia Weber`,
                 ],
                 correctAnswer: 0,
                 explanation: 'The email is requesting a meeting to discuss the project proposal and present findings.',
+                evidence: 'I am writing to request a meeting to discuss the upcoming project proposal that we submitted last week',
                 difficulty: 'B1'
             },
             {
                 id: 'q_email_001_2',
                 passageId: 'email_001',
                 type: 'reading_comprehension',
+                subtype: 'detail',
                 question: 'According to the email, what do the preliminary results show?',
                 options: [
                     'Limited opportunities in the European market',
@@ -632,12 +975,14 @@ Claudia Weber`,
                 ],
                 correctAnswer: 1,
                 explanation: 'The email states that preliminary results show significant opportunities in the European market, particularly in the technology sector.',
+                evidence: 'The preliminary results show significant opportunities in the European market, particularly in the technology sector',
                 difficulty: 'B1'
             },
             {
                 id: 'q_email_001_3',
                 passageId: 'email_001',
                 type: 'reading_comprehension',
+                subtype: 'detail',
                 question: 'When is the sender available for a meeting?',
                 options: [
                     'Monday or Tuesday afternoon',
@@ -647,6 +992,7 @@ Claudia Weber`,
                 ],
                 correctAnswer: 1,
                 explanation: 'The sender mentions being available for a meeting next Tuesday or Wednesday afternoon.',
+                evidence: 'I am available for a meeting next Tuesday or Wednesday afternoon',
                 difficulty: 'A2'
             }
         ];
@@ -657,6 +1003,7 @@ Claudia Weber`,
                 id: 'q_email_003_1',
                 passageId: 'email_003',
                 type: 'reading_comprehension',
+                subtype: 'mainIdea',
                 question: 'What is the main purpose of this email?',
                 options: [
                     'To announce a new delivery service',
@@ -666,12 +1013,14 @@ Claudia Weber`,
                 ],
                 correctAnswer: 1,
                 explanation: 'The email is responding to a customer complaint about delivery service issues.',
+                evidence: 'We sincerely apologize for the inconvenience you experienced with our delivery service last week',
                 difficulty: 'B2'
             },
             {
                 id: 'q_email_003_2',
                 passageId: 'email_003',
                 type: 'reading_comprehension',
+                subtype: 'detail',
                 question: 'What caused the delivery delay?',
                 options: [
                     'Weather conditions',
@@ -681,12 +1030,14 @@ Claudia Weber`,
                 ],
                 correctAnswer: 1,
                 explanation: 'The email states that the delay was due to an unexpected system outage in the warehouse.',
+                evidence: 'there was indeed a delay in processing your order due to an unexpected system outage in our warehouse',
                 difficulty: 'B1'
             },
             {
                 id: 'q_email_003_3',
                 passageId: 'email_003',
                 type: 'reading_comprehension',
+                subtype: 'detail',
                 question: 'What compensation is being offered to the customer?',
                 options: [
                     'Only a full refund',
@@ -696,6 +1047,7 @@ Claudia Weber`,
                 ],
                 correctAnswer: 1,
                 explanation: 'The company is offering a full refund plus a 20% discount on the next purchase.',
+                evidence: 'we would like to offer you a full refund for your order, plus a 20% discount on your next purchase',
                 difficulty: 'B2'
             }
         ];
@@ -706,6 +1058,7 @@ Claudia Weber`,
                 id: 'q_email_004_1',
                 passageId: 'email_004',
                 type: 'reading_comprehension',
+                subtype: 'detail',
                 question: 'What is the completion status of the website redesign project?',
                 options: [
                     '50% complete',
@@ -715,12 +1068,14 @@ Claudia Weber`,
                 ],
                 correctAnswer: 2,
                 explanation: 'The email states that the website redesign project is 85% complete.',
+                evidence: 'the new user interface now 85% complete',
                 difficulty: 'B1'
             },
             {
                 id: 'q_email_004_2',
                 passageId: 'email_004',
                 type: 'reading_comprehension',
+                subtype: 'detail',
                 question: 'What improvement was achieved in the checkout process?',
                 options: [
                     '20% improvement',
@@ -730,12 +1085,14 @@ Claudia Weber`,
                 ],
                 correctAnswer: 2,
                 explanation: 'User testing has shown a 40% improvement in checkout completion rates.',
+                evidence: 'user testing has shown a 40% improvement in checkout completion rates',
                 difficulty: 'B2'
             },
             {
                 id: 'q_email_004_3',
                 passageId: 'email_004',
                 type: 'reading_comprehension',
+                subtype: 'detail',
                 question: 'What challenge is mentioned regarding the database migration?',
                 options: [
                     'Budget constraints',
@@ -745,12 +1102,14 @@ Claudia Weber`,
                 ],
                 correctAnswer: 1,
                 explanation: 'The email mentions compatibility issues that may require an additional two weeks to resolve.',
+                evidence: 'The technical team has identified compatibility issues that may require an additional two weeks to resolve',
                 difficulty: 'B2'
             },
             {
                 id: 'q_email_004_4',
                 passageId: 'email_004',
                 type: 'reading_comprehension',
+                subtype: 'detail',
                 question: 'When is the quarterly review meeting scheduled?',
                 options: [
                     'October 10th at 2:00 PM',
@@ -760,6 +1119,7 @@ Claudia Weber`,
                 ],
                 correctAnswer: 1,
                 explanation: 'The quarterly review meeting has been moved to October 15th at 2:00 PM.',
+                evidence: 'the quarterly review meeting has been moved to October 15th at 2:00 PM in the main conference room',
                 difficulty: 'A2'
             }
         ];
@@ -770,6 +1130,7 @@ Claudia Weber`,
                 id: 'q_email_005_1',
                 passageId: 'email_005',
                 type: 'reading_comprehension',
+                subtype: 'detail',
                 question: 'What is the name of the professional development program?',
                 options: [
                     'Leadership Excellence 2023',
@@ -779,12 +1140,14 @@ Claudia Weber`,
                 ],
                 correctAnswer: 1,
                 explanation: 'The program is called "Leadership Excellence 2024."',
+                evidence: 'Leadership Excellence 2024',
                 difficulty: 'A2'
             },
             {
                 id: 'q_email_005_2',
                 passageId: 'email_005',
                 type: 'reading_comprehension',
+                subtype: 'detail',
                 question: 'How many modules does the program consist of?',
                 options: [
                     'Six modules',
@@ -794,12 +1157,14 @@ Claudia Weber`,
                 ],
                 correctAnswer: 2,
                 explanation: 'The program consists of eight modules covering essential leadership topics.',
+                evidence: 'The program will consist of eight modules',
                 difficulty: 'A2'
             },
             {
                 id: 'q_email_005_3',
                 passageId: 'email_005',
                 type: 'reading_comprehension',
+                subtype: 'detail',
                 question: 'What is the maximum number of participants per cohort?',
                 options: [
                     '20 participants',
@@ -809,12 +1174,14 @@ Claudia Weber`,
                 ],
                 correctAnswer: 1,
                 explanation: 'Space is limited to 25 participants per cohort.',
+                evidence: 'Space is limited to 25 participants per cohort',
                 difficulty: 'B1'
             },
             {
                 id: 'q_email_005_4',
                 passageId: 'email_005',
                 type: 'reading_comprehension',
+                subtype: 'detail',
                 question: 'When is the registration deadline?',
                 options: [
                     'February 15th',
@@ -824,6 +1191,7 @@ Claudia Weber`,
                 ],
                 correctAnswer: 1,
                 explanation: 'The online application form must be completed by February 20th.',
+                evidence: 'please complete the online application form by February 20th',
                 difficulty: 'B1'
             }
         ];
@@ -834,6 +1202,7 @@ Claudia Weber`,
                 id: 'q_news_001_1',
                 passageId: 'news_001',
                 type: 'reading_comprehension',
+                subtype: 'detail',
                 question: 'What is the expected global GDP growth this year?',
                 options: [
                     '2.1%',
@@ -843,12 +1212,14 @@ Claudia Weber`,
                 ],
                 correctAnswer: 1,
                 explanation: 'The article states that global GDP is expected to grow by 3.2% this year.',
+                evidence: 'global GDP is expected to grow by 3.2% this year',
                 difficulty: 'B1'
             },
             {
                 id: 'q_news_001_2',
                 passageId: 'news_001',
                 type: 'reading_comprehension',
+                subtype: 'detail',
                 question: 'Which sector has shown particularly strong recovery?',
                 options: [
                     'Manufacturing',
@@ -858,6 +1229,7 @@ Claudia Weber`,
                 ],
                 correctAnswer: 1,
                 explanation: 'The article mentions that the recovery has been particularly strong in the technology sector.',
+                evidence: 'The recovery has been particularly strong in the technology sector',
                 difficulty: 'B1'
             }
         ];
@@ -1041,6 +1413,7 @@ HR Department`;
                 id: 'q_email_006_1',
                 passageId: 'email_006',
                 type: 'reading_comprehension',
+                subtype: 'mainIdea',
                 question: 'What is the main purpose of this email?',
                 options: [
                     'To place an order for a coffee machine',
@@ -1050,12 +1423,14 @@ HR Department`;
                 ],
                 correctAnswer: 1,
                 explanation: 'The writer reports a cracked water tank and missing power cord and asks the company to "send a replacement machine or issue a full refund within seven business days."',
+                evidence: 'send a replacement machine or issue a full refund within seven business days',
                 difficulty: 'B1'
             },
             {
                 id: 'q_email_006_2',
                 passageId: 'email_006',
                 type: 'reading_comprehension',
+                subtype: 'detail',
                 question: 'What was wrong with the coffee machine when it arrived?',
                 options: [
                     'It was the wrong model',
@@ -1065,12 +1440,14 @@ HR Department`;
                 ],
                 correctAnswer: 1,
                 explanation: 'The email states: "I discovered that the water tank was cracked and the power cord was missing."',
+                evidence: 'I discovered that the water tank was cracked and the power cord was missing',
                 difficulty: 'A2'
             },
             {
                 id: 'q_email_006_3',
                 passageId: 'email_006',
                 type: 'reading_comprehension',
+                subtype: 'detail',
                 question: 'What does Ms. Bennett say she will do if she receives no response by June 20?',
                 options: [
                     'Cancel her credit card',
@@ -1080,12 +1457,14 @@ HR Department`;
                 ],
                 correctAnswer: 2,
                 explanation: 'She writes: "If I do not receive a response by June 20, I will report this matter to the consumer protection office."',
+                evidence: 'If I do not receive a response by June 20, I will report this matter to the consumer protection office',
                 difficulty: 'B1'
             },
             {
                 id: 'q_email_006_4',
                 passageId: 'email_006',
                 type: 'reading_comprehension',
+                subtype: 'notTrue',
                 question: 'What problem is NOT mentioned in the email?',
                 options: [
                     'A late delivery',
@@ -1095,6 +1474,7 @@ HR Department`;
                 ],
                 correctAnswer: 3,
                 explanation: 'The email mentions a delivery three days late, a forty-minute wait on the hotline, and a cracked water tank, but never mentions a rude sales representative.',
+                evidence: ['The package did not arrive until June 9, three days later than promised', 'I waited more than forty minutes without speaking to a representative', 'the water tank was cracked'],
                 difficulty: 'B2'
             }
         ];
@@ -1105,6 +1485,7 @@ HR Department`;
                 id: 'q_email_007_1',
                 passageId: 'email_007',
                 type: 'reading_comprehension',
+                subtype: 'mainIdea',
                 question: 'What is the main purpose of this email?',
                 options: [
                     'To cancel the annual safety training',
@@ -1114,12 +1495,14 @@ HR Department`;
                 ],
                 correctAnswer: 1,
                 explanation: 'The email announces that the workshop "has been moved to Monday, July 21" and "will now take place in the main auditorium instead of Room 204."',
+                evidence: ['has been moved to Monday, July 21', 'will now take place in the main auditorium instead of Room 204'],
                 difficulty: 'B1'
             },
             {
                 id: 'q_email_007_2',
                 passageId: 'email_007',
                 type: 'reading_comprehension',
+                subtype: 'detail',
                 question: 'Why was the workshop rescheduled?',
                 options: [
                     'The auditorium was unavailable',
@@ -1129,12 +1512,14 @@ HR Department`;
                 ],
                 correctAnswer: 1,
                 explanation: 'The email explains: "Our external trainer, Mr. Alvarez, has a scheduling conflict and is unable to visit our office on the original date."',
+                evidence: 'Our external trainer, Mr. Alvarez, has a scheduling conflict and is unable to visit our office on the original date',
                 difficulty: 'B1'
             },
             {
                 id: 'q_email_007_3',
                 passageId: 'email_007',
                 type: 'reading_comprehension',
+                subtype: 'detail',
                 question: 'When will the workshop now take place?',
                 options: [
                     'Friday, July 18',
@@ -1144,12 +1529,14 @@ HR Department`;
                 ],
                 correctAnswer: 2,
                 explanation: 'The workshop, originally scheduled for Friday, July 18, "has been moved to Monday, July 21."',
+                evidence: 'has been moved to Monday, July 21',
                 difficulty: 'A2'
             },
             {
                 id: 'q_email_007_4',
                 passageId: 'email_007',
                 type: 'reading_comprehension',
+                subtype: 'detail',
                 question: 'Who is required to attend the workshop?',
                 options: [
                     'All office employees',
@@ -1159,7 +1546,63 @@ HR Department`;
                 ],
                 correctAnswer: 1,
                 explanation: 'The email states: "Attendance is required for all warehouse and maintenance staff." Office employees are only "welcome to join if space allows."',
+                evidence: ['Attendance is required for all warehouse and maintenance staff', 'welcome to join if space allows'],
+                difficulty: 'B1'
+            }
+        ];
+
+        // Questions for email_008 (Partial Shipment Options)
+        const email008Questions = [
+            {
+                id: 'q_email_008_1',
+                passageId: 'email_008',
+                type: 'reading_comprehension',
+                subtype: 'mainIdea',
+                question: 'Why did Mr. Park write to Ms. Alvarez?',
+                options: [
+                    'To confirm that her order has shipped',
+                    'To offer a discount on a new chair model',
+                    'To request payment for an order',
+                    'To explain a delay affecting her order'
+                ],
+                correctAnswer: 3,
+                explanation: 'The e-mail explains that the armrests for the chairs "will not be available until April 20" and offers ways to handle the delay.',
+                evidence: 'the adjustable armrests for this model will not be available until April 20',
+                difficulty: 'B1'
+            },
+            {
+                id: 'q_email_008_2',
+                passageId: 'email_008',
+                type: 'reading_comprehension',
+                subtype: 'detail',
+                question: 'What will Ms. Alvarez receive if she accepts two separate deliveries?',
+                options: [
+                    'No extra shipping charge',
+                    'A 10 percent discount',
+                    'Free armrests',
+                    'An additional chair'
+                ],
+                correctAnswer: 0,
+                explanation: 'Mr. Park writes that with the second option "there will be no additional shipping charge."',
+                evidence: 'If you choose the second option, there will be no additional shipping charge',
                 difficulty: 'B1'
+            },
+            {
+                id: 'q_email_008_3',
+                passageId: 'email_008',
+                type: 'reading_comprehension',
+                subtype: 'sentenceInsertion',
+                question: 'In which of the positions marked [1], [2], [3], and [4] does the following sentence best belong? "Either way, the price you were quoted will not change."',
+                options: [
+                    '[1]',
+                    '[2]',
+                    '[3]',
+                    '[4]'
+                ],
+                correctAnswer: 1,
+                explanation: '"Either way" needs two choices before it, and position [2] comes right after the two delivery options are described.',
+                evidence: 'We can ship all 40 chairs together once the armrests arrive, or we can send 25 chairs from our current stock this week and the remaining 15 in late April',
+                difficulty: 'B2'
             }
         ];
 
@@ -1169,6 +1612,7 @@ HR Department`;
                 id: 'q_memo_001_1',
                 passageId: 'memo_001',
                 type: 'reading_comprehension',
+                subtype: 'mainIdea',
                 question: 'What is the purpose of this memo?',
                 options: [
                     'To announce the closure of the company',
@@ -1178,12 +1622,14 @@ HR Department`;
                 ],
                 correctAnswer: 1,
                 explanation: 'The memo informs employees that "renovation work on the third floor will begin on Monday, September 8."',
+                evidence: 'renovation work on the third floor will begin on Monday, September 8',
                 difficulty: 'B1'
             },
             {
                 id: 'q_memo_001_2',
                 passageId: 'memo_001',
                 type: 'reading_comprehension',
+                subtype: 'detail',
                 question: 'By when must third-floor employees pack their belongings?',
                 options: [
                     'September 3',
@@ -1193,12 +1639,14 @@ HR Department`;
                 ],
                 correctAnswer: 2,
                 explanation: 'The memo asks employees to pack and label their belongings "before 5:00 P.M. on Friday, September 5."',
+                evidence: 'before 5:00 P.M. on Friday, September 5',
                 difficulty: 'B1'
             },
             {
                 id: 'q_memo_001_3',
                 passageId: 'memo_001',
                 type: 'reading_comprehension',
+                subtype: 'detail',
                 question: 'Where can employees get free earplugs?',
                 options: [
                     'From their team leaders',
@@ -1208,12 +1656,14 @@ HR Department`;
                 ],
                 correctAnswer: 1,
                 explanation: 'The memo states: "Free earplugs will be available at the reception desk."',
+                evidence: 'Free earplugs will be available at the reception desk',
                 difficulty: 'A2'
             },
             {
                 id: 'q_memo_001_4',
                 passageId: 'memo_001',
                 type: 'reading_comprehension',
+                subtype: 'inference',
                 question: 'What is indicated about the elevator on the east side?',
                 options: [
                     'It will be closed during the renovation',
@@ -1223,6 +1673,7 @@ HR Department`;
                 ],
                 correctAnswer: 2,
                 explanation: 'The memo says the east-side elevator "will remain in service throughout the renovation."',
+                evidence: 'will remain in service throughout the renovation',
                 difficulty: 'B1'
             }
         ];
@@ -1233,6 +1684,7 @@ HR Department`;
                 id: 'q_memo_002_1',
                 passageId: 'memo_002',
                 type: 'reading_comprehension',
+                subtype: 'mainIdea',
                 question: 'What is the main purpose of this memo?',
                 options: [
                     'To announce a new travel agency partnership',
@@ -1242,12 +1694,14 @@ HR Department`;
                 ],
                 correctAnswer: 1,
                 explanation: 'The memo announces that "Effective December 1, the company will introduce a new expense reimbursement policy" and describes its rules.',
+                evidence: 'Effective December 1, the company will introduce a new expense reimbursement policy',
                 difficulty: 'B1'
             },
             {
                 id: 'q_memo_002_2',
                 passageId: 'memo_002',
                 type: 'reading_comprehension',
+                subtype: 'detail',
                 question: 'For which of the following would a receipt be required?',
                 options: [
                     'A $12 taxi ride',
@@ -1257,12 +1711,14 @@ HR Department`;
                 ],
                 correctAnswer: 2,
                 explanation: 'The policy states that "receipts are required for every purchase over $25," and only the $40 printer cable is over $25.',
+                evidence: 'receipts are required for every purchase over $25',
                 difficulty: 'B2'
             },
             {
                 id: 'q_memo_002_3',
                 passageId: 'memo_002',
                 type: 'reading_comprehension',
+                subtype: 'detail',
                 question: 'What must an employee do before making a purchase of more than $500?',
                 options: [
                     'Contact Horizon Travel',
@@ -1272,12 +1728,14 @@ HR Department`;
                 ],
                 correctAnswer: 2,
                 explanation: 'The memo states: "Any expense above $500 will require written approval from a department director before the purchase is made."',
+                evidence: 'Any expense above $500 will require written approval from a department director before the purchase is made',
                 difficulty: 'B1'
             },
             {
                 id: 'q_memo_002_4',
                 passageId: 'memo_002',
                 type: 'reading_comprehension',
+                subtype: 'inference',
                 question: 'What is suggested about expense reports submitted after thirty days?',
                 options: [
                     'They will be automatically rejected',
@@ -1287,6 +1745,62 @@ HR Department`;
                 ],
                 correctAnswer: 1,
                 explanation: 'The memo says: "Late submissions will be reimbursed only with special approval from the Finance Department."',
+                evidence: 'Late submissions will be reimbursed only with special approval from the Finance Department',
+                difficulty: 'B2'
+            }
+        ];
+
+        // Questions for memo_003 (New Visitor Check-In Procedure)
+        const memo003Questions = [
+            {
+                id: 'q_memo_003_1',
+                passageId: 'memo_003',
+                type: 'reading_comprehension',
+                subtype: 'detail',
+                question: 'Where should delivery drivers enter the building?',
+                options: [
+                    'At the security desk in the main lobby',
+                    'Through the staff entrance',
+                    'At the reception area on each floor',
+                    'Through the loading entrance on Carter Street'
+                ],
+                correctAnswer: 3,
+                explanation: 'The memo says delivery drivers "should continue to use the loading entrance on Carter Street."',
+                evidence: 'They should continue to use the loading entrance on Carter Street',
+                difficulty: 'A2'
+            },
+            {
+                id: 'q_memo_003_2',
+                passageId: 'memo_003',
+                type: 'reading_comprehension',
+                subtype: 'detail',
+                question: 'What will happen to guests who have not been registered?',
+                options: [
+                    'They will wait in the lobby for their host',
+                    'They will be sent home',
+                    'They will have to fill out a form online',
+                    'They will receive a temporary parking pass'
+                ],
+                correctAnswer: 0,
+                explanation: 'Unregistered guests "will be asked to wait in the lobby until their host comes down to meet them."',
+                evidence: 'Guests who have not been registered will be asked to wait in the lobby until their host comes down to meet them',
+                difficulty: 'B1'
+            },
+            {
+                id: 'q_memo_003_3',
+                passageId: 'memo_003',
+                type: 'reading_comprehension',
+                subtype: 'sentenceInsertion',
+                question: 'In which of the positions marked [1], [2], [3], and [4] does the following sentence best belong? "This allows the security team to print badges before guests arrive."',
+                options: [
+                    '[1]',
+                    '[2]',
+                    '[3]',
+                    '[4]'
+                ],
+                correctAnswer: 1,
+                explanation: '"This" refers to registering guests "by 5:00 P.M. on the day before the visit," the sentence just before [2]. Registering a day early is what lets badges be printed in advance.',
+                evidence: 'Employees expecting guests should register them in advance through the online visitor system by 5:00 P.M. on the day before the visit',
                 difficulty: 'B2'
             }
         ];
@@ -1297,6 +1811,7 @@ HR Department`;
                 id: 'q_ad_002_1',
                 passageId: 'ad_002',
                 type: 'reading_comprehension',
+                subtype: 'detail',
                 question: 'What position is being advertised?',
                 options: [
                     'Store manager',
@@ -1306,12 +1821,14 @@ HR Department`;
                 ],
                 correctAnswer: 1,
                 explanation: 'The advertisement is titled "SALES ASSOCIATE WANTED" and seeks "two full-time sales associates."',
+                evidence: ['SALES ASSOCIATE WANTED', 'two full-time sales associates'],
                 difficulty: 'A2'
             },
             {
                 id: 'q_ad_002_2',
                 passageId: 'ad_002',
                 type: 'reading_comprehension',
+                subtype: 'detail',
                 question: 'What is a requirement for the position?',
                 options: [
                     'A university degree',
@@ -1321,12 +1838,14 @@ HR Department`;
                 ],
                 correctAnswer: 2,
                 explanation: 'The requirements list includes "Availability to work weekends." Appliance experience is "preferred but not required," only one year of experience is needed, and a high school diploma (not a university degree) is required.',
+                evidence: ['Availability to work weekends', 'preferred but not required'],
                 difficulty: 'B2'
             },
             {
                 id: 'q_ad_002_3',
                 passageId: 'ad_002',
                 type: 'reading_comprehension',
+                subtype: 'detail',
                 question: 'By when should applications be submitted?',
                 options: [
                     'By July 15',
@@ -1336,12 +1855,14 @@ HR Department`;
                 ],
                 correctAnswer: 0,
                 explanation: 'Applicants must send their resume and cover letter "by July 15." The third week of July is when interviews are held, and August 1 is the branch opening date.',
+                evidence: 'by July 15',
                 difficulty: 'B1'
             },
             {
                 id: 'q_ad_002_4',
                 passageId: 'ad_002',
                 type: 'reading_comprehension',
+                subtype: 'inference',
                 question: 'What is indicated about health insurance?',
                 options: [
                     'It is available immediately upon hiring',
@@ -1351,6 +1872,7 @@ HR Department`;
                 ],
                 correctAnswer: 1,
                 explanation: 'The advertisement offers "full health insurance after a three-month probation period."',
+                evidence: 'full health insurance after a three-month probation period',
                 difficulty: 'B1'
             }
         ];
@@ -1361,6 +1883,7 @@ HR Department`;
                 id: 'q_ad_003_1',
                 passageId: 'ad_003',
                 type: 'reading_comprehension',
+                subtype: 'mainIdea',
                 question: 'What is being advertised?',
                 options: [
                     'Office furniture',
@@ -1370,12 +1893,14 @@ HR Department`;
                 ],
                 correctAnswer: 1,
                 explanation: 'The advertisement promotes SparkleClean Commercial Cleaning Services and its monthly cleaning plans.',
+                evidence: 'SPARKLECLEAN COMMERCIAL CLEANING SERVICES',
                 difficulty: 'A2'
             },
             {
                 id: 'q_ad_003_2',
                 passageId: 'ad_003',
                 type: 'reading_comprehension',
+                subtype: 'detail',
                 question: 'How much does the Standard Plan cost per month?',
                 options: [
                     '$150',
@@ -1385,12 +1910,14 @@ HR Department`;
                 ],
                 correctAnswer: 1,
                 explanation: 'The advertisement lists "Standard Plan – $250 per month."',
+                evidence: 'Standard Plan – $250 per month',
                 difficulty: 'A2'
             },
             {
                 id: 'q_ad_003_3',
                 passageId: 'ad_003',
                 type: 'reading_comprehension',
+                subtype: 'detail',
                 question: 'According to the advertisement, what happens if a customer is not satisfied with a visit?',
                 options: [
                     'They receive a full refund',
@@ -1400,12 +1927,14 @@ HR Department`;
                 ],
                 correctAnswer: 1,
                 explanation: 'The guarantee states: "if you are not happy with a visit, we will repeat the service at no charge within 48 hours."',
+                evidence: 'if you are not happy with a visit, we will repeat the service at no charge within 48 hours',
                 difficulty: 'B1'
             },
             {
                 id: 'q_ad_003_4',
                 passageId: 'ad_003',
                 type: 'reading_comprehension',
+                subtype: 'detail',
                 question: 'How can a customer receive a $50 credit?',
                 options: [
                     'By signing up before October 31',
@@ -1415,6 +1944,7 @@ HR Department`;
                 ],
                 correctAnswer: 2,
                 explanation: 'The advertisement says: "Customers who refer another business receive a $50 credit on their next bill." Signing up before October 31 gives the first month at half price instead.',
+                evidence: 'Customers who refer another business receive a $50 credit on their next bill',
                 difficulty: 'B1'
             }
         ];
@@ -1425,6 +1955,7 @@ HR Department`;
                 id: 'q_news_002_1',
                 passageId: 'news_002',
                 type: 'reading_comprehension',
+                subtype: 'mainIdea',
                 question: 'What is the article mainly about?',
                 options: [
                     'A furniture company\'s plan to expand into Asia',
@@ -1434,12 +1965,14 @@ HR Department`;
                 ],
                 correctAnswer: 0,
                 explanation: 'The article reports that Nordwind "will open three new stores in Asia next year, marking the company\'s first expansion outside Europe."',
+                evidence: 'will open three new stores in Asia next year, marking the company\'s first expansion outside Europe',
                 difficulty: 'B1'
             },
             {
                 id: 'q_news_002_2',
                 passageId: 'news_002',
                 type: 'reading_comprehension',
+                subtype: 'notTrue',
                 question: 'Which city is NOT mentioned as a location for a new store?',
                 options: [
                     'Singapore',
@@ -1449,12 +1982,14 @@ HR Department`;
                 ],
                 correctAnswer: 2,
                 explanation: 'The new locations are "in Singapore, Seoul, and Taipei." Tokyo is not mentioned.',
+                evidence: 'in Singapore, Seoul, and Taipei',
                 difficulty: 'B1'
             },
             {
                 id: 'q_news_002_3',
                 passageId: 'news_002',
                 type: 'reading_comprehension',
+                subtype: 'detail',
                 question: 'According to Ms. Halvorsen, why is the company expanding?',
                 options: [
                     'European sales have decreased',
@@ -1464,12 +1999,14 @@ HR Department`;
                 ],
                 correctAnswer: 1,
                 explanation: 'The CEO says: "Asian customers already account for nearly 20 percent of our web orders," following two years of record online sales in the region.',
+                evidence: 'Asian customers already account for nearly 20 percent of our web orders',
                 difficulty: 'B2'
             },
             {
                 id: 'q_news_002_4',
                 passageId: 'news_002',
                 type: 'reading_comprehension',
+                subtype: 'detail',
                 question: 'How many jobs is the expansion expected to create in total?',
                 options: [
                     '85',
@@ -1479,6 +2016,7 @@ HR Department`;
                 ],
                 correctAnswer: 2,
                 explanation: 'The article states: "The expansion is expected to create approximately 450 jobs." The figure 120 refers only to the distribution center positions.',
+                evidence: 'The expansion is expected to create approximately 450 jobs',
                 difficulty: 'B1'
             }
         ];
@@ -1489,6 +2027,7 @@ HR Department`;
                 id: 'q_news_003_1',
                 passageId: 'news_003',
                 type: 'reading_comprehension',
+                subtype: 'mainIdea',
                 question: 'What is the main topic of the article?',
                 options: [
                     'Rising fuel prices for delivery companies',
@@ -1498,12 +2037,14 @@ HR Department`;
                 ],
                 correctAnswer: 1,
                 explanation: 'The article reports that "a growing number of delivery companies are replacing their gasoline vans with electric vehicles."',
+                evidence: 'A growing number of delivery companies are replacing their gasoline vans with electric vehicles',
                 difficulty: 'B1'
             },
             {
                 id: 'q_news_003_2',
                 passageId: 'news_003',
                 type: 'reading_comprehension',
+                subtype: 'detail',
                 question: 'What percentage of new delivery vehicle purchases were electric vans last year?',
                 options: [
                     '7 percent',
@@ -1513,12 +2054,14 @@ HR Department`;
                 ],
                 correctAnswer: 1,
                 explanation: 'The study found that "electric vans made up 18 percent of new delivery vehicle purchases last year." The 7 percent figure is from three years ago.',
+                evidence: 'electric vans made up 18 percent of new delivery vehicle purchases last year',
                 difficulty: 'B1'
             },
             {
                 id: 'q_news_003_3',
                 passageId: 'news_003',
                 type: 'reading_comprehension',
+                subtype: 'detail',
                 question: 'What is the main reason companies are making the switch?',
                 options: [
                     'Government requirements',
@@ -1528,12 +2071,14 @@ HR Department`;
                 ],
                 correctAnswer: 2,
                 explanation: 'The article states: "Lower operating costs are the main reason for the change," with electric vans costing about 40 percent less to run.',
+                evidence: 'Lower operating costs are the main reason for the change',
                 difficulty: 'B2'
             },
             {
                 id: 'q_news_003_4',
                 passageId: 'news_003',
                 type: 'reading_comprehension',
+                subtype: 'detail',
                 question: 'According to the report, what prevents some small businesses from switching?',
                 options: [
                     'A lack of charging stations',
@@ -1543,6 +2088,80 @@ HR Department`;
                 ],
                 correctAnswer: 1,
                 explanation: 'The report notes that "the higher purchase price of electric vans remains a barrier for small businesses."',
+                evidence: 'the higher purchase price of electric vans remains a barrier for small businesses',
+                difficulty: 'B2'
+            }
+        ];
+
+        // Questions for news_004 (the [1]-[4] markers belong to its
+        // sentence-insertion question)
+        const news004Questions = [
+            {
+                id: 'q_news_004_1',
+                passageId: 'news_004',
+                type: 'reading_comprehension',
+                subtype: 'mainIdea',
+                question: 'What is the article mainly about?',
+                options: [
+                    'A company adding a new line of business',
+                    'A printing company closing its office',
+                    'The history of a regional bakery',
+                    'A fall in demand for shopping bags'
+                ],
+                correctAnswer: 0,
+                explanation: 'The article reports that Carver Print Works "will open a packaging design division in September" and explains why.',
+                evidence: 'will open a packaging design division in September',
+                difficulty: 'B1'
+            },
+            {
+                id: 'q_news_004_2',
+                passageId: 'news_004',
+                type: 'reading_comprehension',
+                subtype: 'detail',
+                question: 'What has Carver Print Works already done?',
+                options: [
+                    'Hired twelve new employees',
+                    'Bought the building across the street',
+                    'Stopped printing business cards',
+                    'Signed agreements with two bakeries'
+                ],
+                correctAnswer: 3,
+                explanation: 'Paragraph 3: "the firm had already signed agreements with two regional bakeries." The new hires are expected by the end of the year, and the new building is rented.',
+                evidence: 'the firm had already signed agreements with two regional bakeries',
+                difficulty: 'B1'
+            },
+            {
+                id: 'q_news_004_3',
+                passageId: 'news_004',
+                type: 'reading_comprehension',
+                subtype: 'vocabInContext',
+                question: 'The word "steadily" in paragraph 2 is closest in meaning to',
+                options: [
+                    'firmly',
+                    'calmly',
+                    'suddenly',
+                    'gradually'
+                ],
+                correctAnswer: 3,
+                explanation: '"Demand ... has fallen steadily" means it has fallen gradually and continuously over time. "Firmly" and "calmly" fit other senses of "steady".',
+                evidence: 'Demand for printed marketing materials has fallen steadily',
+                difficulty: 'B2'
+            },
+            {
+                id: 'q_news_004_4',
+                passageId: 'news_004',
+                type: 'reading_comprehension',
+                subtype: 'sentenceInsertion',
+                question: 'In which of the positions marked [1], [2], [3], and [4] does the following sentence best belong? "Both will begin ordering custom boxes this fall."',
+                options: [
+                    '[1]',
+                    '[2]',
+                    '[3]',
+                    '[4]'
+                ],
+                correctAnswer: 2,
+                explanation: '"Both" needs two things to refer to: the "two regional bakeries" just before [3]. Ordering custom boxes also matches the new packaging division described in that paragraph.',
+                evidence: 'the firm had already signed agreements with two regional bakeries',
                 difficulty: 'B2'
             }
         ];
@@ -1553,6 +2172,7 @@ HR Department`;
                 id: 'q_letter_001_1',
                 passageId: 'letter_001',
                 type: 'reading_comprehension',
+                subtype: 'mainIdea',
                 question: 'What is the main purpose of this letter?',
                 options: [
                     'To reject a warranty claim',
@@ -1562,12 +2182,14 @@ HR Department`;
                 ],
                 correctAnswer: 1,
                 explanation: 'The letter confirms that "the faulty drain pump you described is covered under your two-year manufacturer\'s warranty" and will be replaced free of charge.',
+                evidence: 'the faulty drain pump you described is covered under your two-year manufacturer\'s warranty',
                 difficulty: 'B1'
             },
             {
                 id: 'q_letter_001_2',
                 passageId: 'letter_001',
                 type: 'reading_comprehension',
+                subtype: 'detail',
                 question: 'What will happen within three business days?',
                 options: [
                     'A technician will replace the pump',
@@ -1577,12 +2199,14 @@ HR Department`;
                 ],
                 correctAnswer: 2,
                 explanation: 'The letter states: "Our service center will call you within three business days to arrange a convenient appointment time."',
+                evidence: 'Our service center will call you within three business days to arrange a convenient appointment time',
                 difficulty: 'B1'
             },
             {
                 id: 'q_letter_001_3',
                 passageId: 'letter_001',
                 type: 'reading_comprehension',
+                subtype: 'notTrue',
                 question: 'What is NOT covered by the warranty?',
                 options: [
                     'Replacement parts',
@@ -1592,12 +2216,14 @@ HR Department`;
                 ],
                 correctAnswer: 3,
                 explanation: 'The letter notes the warranty "covers parts and labor but does not cover damage caused by improper installation or the use of unauthorized cleaning products."',
+                evidence: 'covers parts and labor but does not cover damage caused by improper installation or the use of unauthorized cleaning products',
                 difficulty: 'B2'
             },
             {
                 id: 'q_letter_001_4',
                 passageId: 'letter_001',
                 type: 'reading_comprehension',
+                subtype: 'detail',
                 question: 'How can Mr. Osman extend his warranty coverage?',
                 options: [
                     'By paying a $50 fee',
@@ -1607,6 +2233,62 @@ HR Department`;
                 ],
                 correctAnswer: 1,
                 explanation: 'The letter recommends "registering your product on our website, which extends your coverage by an additional six months at no cost."',
+                evidence: 'registering your product on our website, which extends your coverage by an additional six months at no cost',
+                difficulty: 'B2'
+            }
+        ];
+
+        // Questions for letter_002 (Invitation to Speak)
+        const letter002Questions = [
+            {
+                id: 'q_letter_002_1',
+                passageId: 'letter_002',
+                type: 'reading_comprehension',
+                subtype: 'mainIdea',
+                question: 'What is the purpose of the letter?',
+                options: [
+                    'To invite someone to speak at an event',
+                    'To ask for a book review',
+                    'To announce a new association member',
+                    'To request a donation for a forum'
+                ],
+                correctAnswer: 0,
+                explanation: 'Ms. Liu writes that she is "pleased to invite you to speak at our annual Small Business Forum."',
+                evidence: 'I am pleased to invite you to speak at our annual Small Business Forum',
+                difficulty: 'B1'
+            },
+            {
+                id: 'q_letter_002_2',
+                passageId: 'letter_002',
+                type: 'reading_comprehension',
+                subtype: 'detail',
+                question: 'By when should Mr. Grant reply?',
+                options: [
+                    'By September 16',
+                    'By November 7',
+                    'By the end of the year',
+                    'By October 10'
+                ],
+                correctAnswer: 3,
+                explanation: 'The letter asks, "Please let me know by October 10 whether you are able to accept." November 7 is the date of the forum.',
+                evidence: 'Please let me know by October 10 whether you are able to accept',
+                difficulty: 'A2'
+            },
+            {
+                id: 'q_letter_002_3',
+                passageId: 'letter_002',
+                type: 'reading_comprehension',
+                subtype: 'sentenceInsertion',
+                question: 'In which of the positions marked [1], [2], [3], and [4] does the following sentence best belong? "Several of them have told us that its advice has helped them keep their customers coming back."',
+                options: [
+                    '[1]',
+                    '[2]',
+                    '[3]',
+                    '[4]'
+                ],
+                correctAnswer: 1,
+                explanation: '"Them" needs a group and "its" a single thing: the "members" who have read "your recent book" in the sentence just before [2].',
+                evidence: 'Many of our members have read your recent book on customer service for small retailers',
                 difficulty: 'B2'
             }
         ];
@@ -1617,6 +2299,7 @@ HR Department`;
                 id: 'q_form_001_1',
                 passageId: 'form_001',
                 type: 'reading_comprehension',
+                subtype: 'mainIdea',
                 question: 'What is the purpose of this document?',
                 options: [
                     'To advertise a consulting service',
@@ -1626,12 +2309,14 @@ HR Department`;
                 ],
                 correctAnswer: 1,
                 explanation: 'The document is the "NEW EMPLOYEE ORIENTATION SCHEDULE" for Westbridge Consulting, listing the sessions planned for April 6.',
+                evidence: 'NEW EMPLOYEE ORIENTATION SCHEDULE',
                 difficulty: 'A2'
             },
             {
                 id: 'q_form_001_2',
                 passageId: 'form_001',
                 type: 'reading_comprehension',
+                subtype: 'detail',
                 question: 'What should attendees bring to the Human Resources session?',
                 options: [
                     'Their laptops',
@@ -1641,12 +2326,14 @@ HR Department`;
                 ],
                 correctAnswer: 1,
                 explanation: 'The Human Resources Session entry says: "Bring a signed copy of your employment contract."',
+                evidence: 'Bring a signed copy of your employment contract',
                 difficulty: 'B1'
             },
             {
                 id: 'q_form_001_3',
                 passageId: 'form_001',
                 type: 'reading_comprehension',
+                subtype: 'detail',
                 question: 'Who will present the company overview?',
                 options: [
                     'Hannah Ruiz',
@@ -1656,12 +2343,14 @@ HR Department`;
                 ],
                 correctAnswer: 1,
                 explanation: 'The schedule lists "Company Overview — Presented by CEO Marcus Webb."',
+                evidence: 'Company Overview — Presented by CEO Marcus Webb',
                 difficulty: 'A2'
             },
             {
                 id: 'q_form_001_4',
                 passageId: 'form_001',
                 type: 'reading_comprehension',
+                subtype: 'detail',
                 question: 'What should employees do if they cannot attend on April 6?',
                 options: [
                     'Attend a later session in Room C',
@@ -1671,6 +2360,7 @@ HR Department`;
                 ],
                 correctAnswer: 2,
                 explanation: 'The note says to "contact Hannah Ruiz in Human Resources at extension 2214 no later than April 1."',
+                evidence: 'contact Hannah Ruiz in Human Resources at extension 2214 no later than April 1',
                 difficulty: 'B1'
             }
         ];
@@ -1957,6 +2647,7 @@ Thank you for helping us create a greener workplace.`;
                 id: 'q_dp_training_1',
                 passageId: 'dp_training_a',
                 type: 'reading_comprehension',
+                subtype: 'crossReference',
                 question: 'What topic will Mr. Reyes study at the workshop?',
                 options: [
                     'Spreadsheet analysis',
@@ -1966,12 +2657,14 @@ Thank you for helping us create a greener workplace.`;
                 ],
                 correctAnswer: 1,
                 explanation: 'In his reply (Text 2) Mr. Reyes reserves the AFTERNOON session, and the invitation (Text 1) says the afternoon session covers data visualization — this needs both texts.',
+                evidence: ['I would like to reserve a seat in the afternoon session on data visualization', 'the afternoon session (1:30 PM - 4:30 PM) covers data visualization'],
                 difficulty: 'B2'
             },
             {
                 id: 'q_dp_training_2',
                 passageId: 'dp_training_a',
                 type: 'reading_comprehension',
+                subtype: 'crossReference',
                 question: 'What time will Ms. Nair\'s session begin?',
                 options: [
                     'At 9:00 AM',
@@ -1981,12 +2674,14 @@ Thank you for helping us create a greener workplace.`;
                 ],
                 correctAnswer: 0,
                 explanation: 'Text 2 says Ms. Nair wants the spreadsheet analysis session; Text 1 places spreadsheet analysis in the morning session starting at 9:00 AM.',
+                evidence: ['she would like to take the spreadsheet analysis session', 'The morning session (9:00 AM - 12:00 PM) covers spreadsheet analysis'],
                 difficulty: 'B2'
             },
             {
                 id: 'q_dp_training_3',
                 passageId: 'dp_training_a',
                 type: 'reading_comprehension',
+                subtype: 'detail',
                 question: 'Why can\'t Mr. Reyes attend the morning session?',
                 options: [
                     'He is traveling to another city.',
@@ -1996,12 +2691,14 @@ Thank you for helping us create a greener workplace.`;
                 ],
                 correctAnswer: 1,
                 explanation: 'Text 2: "I cannot attend in the morning because I have a client meeting from 9:30 to 11:00 that cannot be moved."',
+                evidence: 'I cannot attend in the morning because I have a client meeting from 9:30 to 11:00 that cannot be moved',
                 difficulty: 'B1'
             },
             {
                 id: 'q_dp_training_4',
                 passageId: 'dp_training_a',
                 type: 'reading_comprehension',
+                subtype: 'detail',
                 question: 'What does Mr. Reyes want to know?',
                 options: [
                     'Whether lunch will be provided',
@@ -2011,12 +2708,14 @@ Thank you for helping us create a greener workplace.`;
                 ],
                 correctAnswer: 1,
                 explanation: 'Text 2 asks: "whether we need to bring our own laptops, or will computers be provided in Training Room 4?" Lunch is already answered in Text 1.',
+                evidence: 'whether we need to bring our own laptops, or will computers be provided in Training Room 4?',
                 difficulty: 'B1'
             },
             {
                 id: 'q_dp_hotel_1',
                 passageId: 'dp_hotel_a',
                 type: 'reading_comprehension',
+                subtype: 'mainIdea',
                 question: 'Why is Ms. Weber writing to the hotel?',
                 options: [
                     'To cancel an existing reservation',
@@ -2026,12 +2725,14 @@ Thank you for helping us create a greener workplace.`;
                 ],
                 correctAnswer: 2,
                 explanation: 'Text 2 opens: "I saw your Weekend Package advertisement and would like to book it for my wedding anniversary."',
+                evidence: 'I saw your Weekend Package advertisement and would like to book it for my wedding anniversary',
                 difficulty: 'B1'
             },
             {
                 id: 'q_dp_hotel_2',
                 passageId: 'dp_hotel_a',
                 type: 'reading_comprehension',
+                subtype: 'crossReference',
                 question: 'What problem is there with Ms. Weber\'s requested dates?',
                 options: [
                     'The hotel is fully booked in September.',
@@ -2041,12 +2742,14 @@ Thank you for helping us create a greener workplace.`;
                 ],
                 correctAnswer: 1,
                 explanation: 'Text 1 says the offer "applies to stays completed before August 31", but Text 2 requests September 6-7 — spotting the conflict requires both texts.',
+                evidence: 'applies to stays completed before August 31',
                 difficulty: 'C1'
             },
             {
                 id: 'q_dp_hotel_3',
                 passageId: 'dp_hotel_a',
                 type: 'reading_comprehension',
+                subtype: 'detail',
                 question: 'What is included in the Weekend Package?',
                 options: [
                     'Free parking for two days',
@@ -2056,12 +2759,14 @@ Thank you for helping us create a greener workplace.`;
                 ],
                 correctAnswer: 2,
                 explanation: 'Text 1 lists "Late check-out until 2:00 PM on Sunday". Parking is asked about in Text 2 but never promised in the ad.',
+                evidence: 'Late check-out until 2:00 PM on Sunday',
                 difficulty: 'B1'
             },
             {
                 id: 'q_dp_hotel_4',
                 passageId: 'dp_hotel_a',
                 type: 'reading_comprehension',
+                subtype: 'crossReference',
                 question: 'What does Ms. Weber ask about that the advertisement does NOT mention?',
                 options: [
                     'Breakfast hours',
@@ -2071,46 +2776,436 @@ Thank you for helping us create a greener workplace.`;
                 ],
                 correctAnswer: 1,
                 explanation: 'Text 2 asks "does the package price include parking?" — the ad in Text 1 covers breakfast, price, pool and fitness access, but says nothing about parking.',
+                evidence: 'does the package price include parking?',
                 difficulty: 'B2'
             }
         ];
 
-        // Questions for email_002 (Product Launch Announcement)
-        const email002Questions = [
+        // Questions for the triple passages (several require two of the three texts)
+        const triplePassageQuestions = [
             {
-                id: 'q_email_002_1',
-                passageId: 'email_002',
+                id: 'q_tp_summit_1',
+                passageId: 'tp_summit_a',
                 type: 'reading_comprehension',
-                question: 'What is the main purpose of this email?',
+                subtype: 'detail',
+                question: 'What is included in every pass?',
                 options: [
-                    'To apologize for a software problem',
-                    'To announce a new product and a launch offer',
-                    'To invite customers to a training conference',
-                    'To explain a change in subscription pricing'
+                    'Lunch and an evening reception',
+                    'One free workshop',
+                    'Hotel accommodation',
+                    'A printed program'
                 ],
-                correctAnswer: 1,
-                explanation: 'The email announces the launch of TechFlow Pro and offers customers a 30% first-year discount with the code LAUNCH30.',
+                correctAnswer: 0,
+                explanation: 'Text 1: "All passes include lunch and the evening reception on October 14." Workshops cost $45 extra.',
+                evidence: 'All passes include lunch and the evening reception on October 14',
                 difficulty: 'B1'
             },
             {
-                id: 'q_email_002_2',
-                passageId: 'email_002',
+                id: 'q_tp_summit_2',
+                passageId: 'tp_summit_a',
                 type: 'reading_comprehension',
-                question: 'What must customers do to receive the discount?',
+                subtype: 'crossReference',
+                question: 'How much will Mr. Ortiz\'s pass cost, not including workshops?',
                 options: [
-                    'Call the customer support team',
-                    'Attend a free training session',
-                    'Use the code LAUNCH30 on the website',
+                    '$340',
+                    '$269',
+                    '$289',
+                    '$190'
+                ],
+                correctAnswer: 2,
+                explanation: 'Text 2 says Mr. Ortiz attends both days (full pass, $340 in Text 1) and that the request was sent on August 28, before the August 31 early-bird deadline: $340 minus 15% is $289. Only three people are registering, so the group discount for five or more does not apply.',
+                evidence: ['Full pass (both days): $340', 'Register by August 31 to receive a 15% early-bird discount on any pass', 'We are submitting this request on August 28'],
+                difficulty: 'B2'
+            },
+            {
+                id: 'q_tp_summit_3',
+                passageId: 'tp_summit_a',
+                type: 'reading_comprehension',
+                subtype: 'detail',
+                question: 'What does Ms. Tanaka ask the registration team to do?',
+                options: [
+                    'Reserve hotel rooms for her team',
+                    'Change the date of a workshop',
+                    'Move Ms. Berg to a different day',
+                    'Send the invoice to another department'
+                ],
+                correctAnswer: 3,
+                explanation: 'Text 2: "Please send the invoice to our accounts department at accounts@lindgrenhome.com."',
+                evidence: 'Please send the invoice to our accounts department at accounts@lindgrenhome.com',
+                difficulty: 'B1'
+            },
+            {
+                id: 'q_tp_summit_4',
+                passageId: 'tp_summit_a',
+                type: 'reading_comprehension',
+                subtype: 'crossReference',
+                question: 'What will most likely happen with Ms. Tanaka\'s workshop request?',
+                options: [
+                    'She will be placed on a waiting list.',
+                    'She will be charged $45 immediately.',
+                    'She will be moved to Room C.',
+                    'She will attend the workshop on October 14.'
+                ],
+                correctAnswer: 0,
+                explanation: 'Ms. Tanaka asks for the visual merchandising workshop (Text 2), which the program marks "FULL: waiting list only" (Text 3). Fees are charged only when a place is confirmed.',
+                evidence: 'FULL: waiting list only',
+                difficulty: 'B2'
+            },
+            {
+                id: 'q_tp_summit_5',
+                passageId: 'tp_summit_a',
+                type: 'reading_comprehension',
+                subtype: 'detail',
+                question: 'When does the workshop on customer loyalty begin?',
+                options: [
+                    'At 9:00 A.M.',
+                    'At 10:30 A.M.',
+                    'At 3:00 P.M.',
+                    'At 1:30 P.M.'
+                ],
+                correctAnswer: 3,
+                explanation: 'Text 3: "1:30 P.M. Building Customer Loyalty Online - Room B".',
+                evidence: 'Building Customer Loyalty Online - Room B',
+                difficulty: 'A2'
+            },
+            {
+                id: 'q_tp_move_1',
+                passageId: 'tp_move_a',
+                type: 'reading_comprehension',
+                subtype: 'detail',
+                question: 'What are employees asked to do?',
+                options: [
+                    'Pack the shared files',
+                    'Hire their own movers',
+                    'Label their boxes with their new desk numbers',
+                    'Return their old keys to Facilities'
+                ],
+                correctAnswer: 2,
+                explanation: 'Text 1: "Please label each box with your name and new desk number." Movers pack the shared files.',
+                evidence: 'Please label each box with your name and new desk number',
+                difficulty: 'B1'
+            },
+            {
+                id: 'q_tp_move_2',
+                passageId: 'tp_move_a',
+                type: 'reading_comprehension',
+                subtype: 'detail',
+                question: 'According to the seating plan, where is the quiet zone?',
+                options: [
+                    'Desks 401-408',
+                    'Desks 409-414',
+                    'Room 422',
+                    'Desks 415-420'
+                ],
+                correctAnswer: 3,
+                explanation: 'Text 2: "Quiet zone: desks 415-420."',
+                evidence: 'Quiet zone: desks 415-420',
+                difficulty: 'A2'
+            },
+            {
+                id: 'q_tp_move_3',
+                passageId: 'tp_move_a',
+                type: 'reading_comprehension',
+                subtype: 'crossReference',
+                question: 'When did Mr. Kim most likely send his e-mail?',
+                options: [
+                    'On March 3',
+                    'On March 13',
+                    'On March 18',
+                    'On March 22'
+                ],
+                correctAnswer: 1,
+                explanation: 'The memo (Text 1) sets March 12 as the deadline for equipment requests, and Mr. Kim writes that the deadline "was yesterday" (Text 3), so he wrote on March 13.',
+                evidence: ['should contact Anil Shah in Facilities by March 12', 'the deadline for equipment requests was yesterday'],
+                difficulty: 'B2'
+            },
+            {
+                id: 'q_tp_move_4',
+                passageId: 'tp_move_a',
+                type: 'reading_comprehension',
+                subtype: 'crossReference',
+                question: 'What is suggested about Mr. Kim\'s new desk?',
+                options: [
+                    'It is outside the quiet zone.',
+                    'It is in the Legal section.',
+                    'It is in the corner office.',
+                    'It already has a standing desk.'
+                ],
+                correctAnswer: 0,
+                explanation: 'Mr. Kim has desk 412 (Text 3), a payroll desk; the quiet zone is desks 415-420 (Text 2).',
+                evidence: ['Quiet zone: desks 415-420', 'I work in payroll and have been given desk 412'],
+                difficulty: 'B2'
+            },
+            {
+                id: 'q_tp_move_5',
+                passageId: 'tp_move_a',
+                type: 'reading_comprehension',
+                subtype: 'detail',
+                question: 'What does Mr. Kim offer to do?',
+                options: [
+                    'Move on a different weekend',
+                    'Pay for the standing desk himself',
+                    'Use his current desk and chair for a while',
+                    'Share a desk with a colleague'
+                ],
+                correctAnswer: 2,
+                explanation: 'Text 3: "I would be happy to keep using my current desk and chair for the first few weeks."',
+                evidence: 'I would be happy to keep using my current desk and chair for the first few weeks',
+                difficulty: 'B1'
+            },
+            {
+                id: 'q_tp_catering_1',
+                passageId: 'tp_catering_a',
+                type: 'reading_comprehension',
+                subtype: 'notTrue',
+                question: 'What is stated about Greenleaf Catering orders?',
+                options: [
+                    'They are paid for on delivery.',
+                    'They are delivered free to any address.',
+                    'They must include at least one hot item.',
+                    'They must be placed at least two days in advance.'
+                ],
+                correctAnswer: 3,
+                explanation: 'Text 1: "Orders must be placed at least 48 hours in advance."',
+                evidence: 'Orders must be placed at least 48 hours in advance',
+                difficulty: 'B1'
+            },
+            {
+                id: 'q_tp_catering_2',
+                passageId: 'tp_catering_a',
+                type: 'reading_comprehension',
+                subtype: 'crossReference',
+                question: 'Why was Wexley Architects not charged for delivery?',
+                options: [
+                    'Its downtown order was over $150.',
+                    'It is a first-time customer.',
+                    'It ordered two days early.',
+                    'It picked up the order itself.'
+                ],
+                correctAnswer: 0,
+                explanation: 'The order form (Text 2) shows a downtown address and a $215 total, and the menu (Text 1) offers free downtown delivery for orders over $150.',
+                evidence: ['Free delivery within the downtown area for orders over $150', 'Wexley Architects, 200 Pine Street (downtown)'],
+                difficulty: 'B2'
+            },
+            {
+                id: 'q_tp_catering_3',
+                passageId: 'tp_catering_a',
+                type: 'reading_comprehension',
+                subtype: 'crossReference',
+                question: 'What problem does Mr. Cho mention?',
+                options: [
+                    'The delivery arrived late.',
+                    'He was charged the wrong price.',
+                    'A special request on the order was not followed.',
+                    'The fruit platter was missing.'
+                ],
+                correctAnswer: 2,
+                explanation: 'The order form (Text 2) asks for one vegetarian sandwich platter, but Mr. Cho writes that "both sandwich platters contained meat" (Text 3).',
+                evidence: 'both sandwich platters contained meat',
+                difficulty: 'B2'
+            },
+            {
+                id: 'q_tp_catering_4',
+                passageId: 'tp_catering_a',
+                type: 'reading_comprehension',
+                subtype: 'detail',
+                question: 'What does Mr. Cho say about next month?',
+                options: [
+                    'His office will move downtown.',
+                    'He expects a refund by then.',
+                    'His clients will visit again.',
+                    'His company may place a larger order.'
+                ],
+                correctAnswer: 3,
+                explanation: 'Text 3: "We are planning a larger event next month for about 30 people and would like to order from you again."',
+                evidence: 'We are planning a larger event next month for about 30 people and would like to order from you again',
+                difficulty: 'B1'
+            },
+            {
+                id: 'q_tp_catering_5',
+                passageId: 'tp_catering_a',
+                type: 'reading_comprehension',
+                subtype: 'vocabInContext',
+                question: 'In the e-mail, the word "resolved" in paragraph 3 is closest in meaning to',
+                options: [
+                    'settled',
+                    'decided',
+                    'dissolved',
+                    'repeated'
+                ],
+                correctAnswer: 0,
+                explanation: '"If this issue can be resolved" means if the problem can be settled or fixed.',
+                evidence: 'if this issue can be resolved',
+                difficulty: 'B1'
+            }
+        ];
+
+
+        // Questions for the chat passages; intent questions quote one message
+        const chatQuestions = [
+            {
+                id: 'q_chat_001_1',
+                passageId: 'chat_001',
+                type: 'reading_comprehension',
+                subtype: 'detail',
+                question: 'What problem does Ms. Chen mention?',
+                options: [
+                    'A delivery has not reached her store.',
+                    'A sale has been canceled.',
+                    'A van needs to be repaired.',
+                    'An employee is late for work.'
+                ],
+                correctAnswer: 0,
+                explanation: 'At 9:12 A.M. Ms. Chen writes that "the display boxes for the spring sale haven\'t arrived here yet."',
+                evidence: 'The display boxes for the spring sale haven\'t arrived here yet',
+                difficulty: 'B1'
+            },
+            {
+                id: 'q_chat_001_2',
+                passageId: 'chat_001',
+                type: 'reading_comprehension',
+                subtype: 'intent',
+                question: 'At 9:19 A.M., what does Ms. Chen most likely mean when she writes, "That works"?',
+                options: [
+                    'She has finished setting up the display.',
+                    'She wants Mr. Haddad to call the driver.',
+                    'She thinks the van is too small.',
+                    'She accepts Mr. Haddad\'s plan for the delivery.'
+                ],
+                correctAnswer: 3,
+                explanation: 'Mr. Haddad has just said the van will be free once Ken arrives at ten; "That works" tells him the timing suits her, since the sale starts at noon.',
+                evidence: 'That works',
+                difficulty: 'B1'
+            },
+            {
+                id: 'q_chat_001_3',
+                passageId: 'chat_001',
+                type: 'reading_comprehension',
+                subtype: 'inference',
+                question: 'When will the boxes most likely arrive at Ms. Chen\'s store?',
+                options: [
+                    'Before the sale begins',
+                    'At 9:30 A.M.',
+                    'After the sale ends',
+                    'The next morning'
+                ],
+                correctAnswer: 0,
+                explanation: 'Mr. Haddad will leave when Ken arrives at ten, and the sale starts at noon, so the boxes should arrive before the sale begins.',
+                evidence: ['I can\'t leave the store until Ken arrives at ten', 'Our sale starts at noon'],
+                difficulty: 'B2'
+            },
+            {
+                id: 'q_chat_002_1',
+                passageId: 'chat_002',
+                type: 'reading_comprehension',
+                subtype: 'mainIdea',
+                question: 'What is the discussion mainly about?',
+                options: [
+                    'Preparing for a website launch',
+                    'Hiring a new photographer',
+                    'Reducing shipping costs',
+                    'Planning a weekend schedule'
+                ],
+                correctAnswer: 0,
+                explanation: 'Ms. Marquez opens with "Quick check before Monday\'s website launch," and every message is about tasks for the launch.',
+                evidence: 'Quick check before Monday\'s website launch',
+                difficulty: 'B1'
+            },
+            {
+                id: 'q_chat_002_2',
+                passageId: 'chat_002',
+                type: 'reading_comprehension',
+                subtype: 'detail',
+                question: 'What has Mr. Okafor finished?',
+                options: [
+                    'Updating the shipping rates',
+                    'Testing the checkout page',
+                    'Writing a short report',
+                    'Editing the product photos'
+                ],
+                correctAnswer: 3,
+                explanation: 'At 2:04 P.M. Mr. Okafor writes, "All 120 photos are edited."',
+                evidence: 'All 120 photos are edited',
+                difficulty: 'B1'
+            },
+            {
+                id: 'q_chat_002_3',
+                passageId: 'chat_002',
+                type: 'reading_comprehension',
+                subtype: 'intent',
+                question: 'At 2:09 P.M., what does Ms. Marquez most likely mean when she writes, "That\'s cutting it close"?',
+                options: [
+                    'She is worried there is little time left before the launch.',
+                    'She thinks the shipping rates are too high.',
+                    'She believes the photos are not ready.',
+                    'She wants to move the launch to Friday.'
+                ],
+                correctAnswer: 0,
+                explanation: 'IT will update the rates on Friday afternoon "at the latest," and the launch is on Monday, so there is almost no time to fix problems before the launch.',
+                evidence: 'at the latest',
+                difficulty: 'B2'
+            },
+            {
+                id: 'q_chat_002_4',
+                passageId: 'chat_002',
+                type: 'reading_comprehension',
+                subtype: 'inference',
+                question: 'What will Mr. Lam most likely do on Saturday?',
+                options: [
+                    'Upload product photos',
+                    'Contact the IT department',
+                    'Update the shipping rates',
+                    'Test the checkout page'
+                ],
+                correctAnswer: 3,
+                explanation: 'At 2:11 P.M. Mr. Lam offers to "test the checkout on Saturday morning," and Ms. Marquez accepts.',
+                evidence: 'test the checkout on Saturday morning',
+                difficulty: 'B1'
+            }
+        ];
+
+
+        // Questions for email_002 (Product Launch Announcement)
+        const email002Questions = [
+            {
+                id: 'q_email_002_1',
+                passageId: 'email_002',
+                type: 'reading_comprehension',
+                subtype: 'mainIdea',
+                question: 'What is the main purpose of this email?',
+                options: [
+                    'To apologize for a software problem',
+                    'To announce a new product and a launch offer',
+                    'To invite customers to a training conference',
+                    'To explain a change in subscription pricing'
+                ],
+                correctAnswer: 1,
+                explanation: 'The email announces the launch of TechFlow Pro and offers customers a 30% first-year discount with the code LAUNCH30.',
+                evidence: 'We are thrilled to announce the launch of our revolutionary new software solution, TechFlow Pro',
+                difficulty: 'B1'
+            },
+            {
+                id: 'q_email_002_2',
+                passageId: 'email_002',
+                type: 'reading_comprehension',
+                subtype: 'detail',
+                question: 'What must customers do to receive the discount?',
+                options: [
+                    'Call the customer support team',
+                    'Attend a free training session',
+                    'Use the code LAUNCH30 on the website',
                     'Sign up before the end of two years'
                 ],
                 correctAnswer: 2,
                 explanation: 'The email says: "please visit our website and use the promotional code LAUNCH30 at checkout."',
+                evidence: 'please visit our website and use the promotional code LAUNCH30 at checkout',
                 difficulty: 'B1'
             },
             {
                 id: 'q_email_002_3',
                 passageId: 'email_002',
                 type: 'reading_comprehension',
+                subtype: 'detail',
                 question: 'What is offered free of charge during the first month?',
                 options: [
                     'A one-year subscription',
@@ -2120,6 +3215,7 @@ Thank you for helping us create a greener workplace.`;
                 ],
                 correctAnswer: 1,
                 explanation: 'The email states: "we are offering free training sessions for all users during the first month." The subscription itself is discounted 30%, not free.',
+                evidence: 'we are offering free training sessions for all users during the first month',
                 difficulty: 'B2'
             }
         ];
@@ -2130,6 +3226,7 @@ Thank you for helping us create a greener workplace.`;
                 id: 'q_ad_001_1',
                 passageId: 'ad_001',
                 type: 'reading_comprehension',
+                subtype: 'detail',
                 question: 'What special offer is mentioned in the advertisement?',
                 options: [
                     'Free parking for all visitors',
@@ -2139,12 +3236,14 @@ Thank you for helping us create a greener workplace.`;
                 ],
                 correctAnswer: 2,
                 explanation: 'The promotion says: "First three months rent-free for new tenants who sign a two-year lease."',
+                evidence: 'First three months rent-free for new tenants who sign a two-year lease',
                 difficulty: 'B1'
             },
             {
                 id: 'q_ad_001_2',
                 passageId: 'ad_001',
                 type: 'reading_comprehension',
+                subtype: 'notTrue',
                 question: 'What is NOT mentioned as a feature of the office complex?',
                 options: [
                     'On-site parking',
@@ -2154,12 +3253,14 @@ Thank you for helping us create a greener workplace.`;
                 ],
                 correctAnswer: 1,
                 explanation: 'The feature list includes parking, 24/7 security, and conference rooms — a restaurant is never mentioned.',
+                evidence: ['24/7 security and concierge services', 'Modern conference rooms with video conferencing capabilities', 'On-site parking and easy access to public transportation'],
                 difficulty: 'B1'
             },
             {
                 id: 'q_ad_001_3',
                 passageId: 'ad_001',
                 type: 'reading_comprehension',
+                subtype: 'notTrue',
                 question: 'What is true about the rent-free promotion?',
                 options: [
                     'It can be combined with other offers.',
@@ -2169,12 +3270,15 @@ Thank you for helping us create a greener workplace.`;
                 ],
                 correctAnswer: 1,
                 explanation: 'The ad says the offer "is valid until the end of the month and cannot be combined with other promotions", and it is for NEW tenants with a two-year lease.',
+                evidence: 'is valid until the end of the month and cannot be combined with other promotions',
                 difficulty: 'B2'
             }
         ];
 
         const allQuestions = [
             ...doublePassageQuestions,
+            ...triplePassageQuestions,
+            ...chatQuestions,
             ...email001Questions,
             ...email002Questions,
             ...ad001Questions,
@@ -2186,13 +3290,17 @@ Thank you for helping us create a greener workplace.`;
             ...textCompletion,
             ...email006Questions,
             ...email007Questions,
+            ...email008Questions,
             ...memo001Questions,
             ...memo002Questions,
+            ...memo003Questions,
             ...ad002Questions,
             ...ad003Questions,
             ...news002Questions,
             ...news003Questions,
+            ...news004Questions,
             ...letter001Questions,
+            ...letter002Questions,
             ...form001Questions,
             ...incompleteSentences2,
             ...textCompletion2
@@ -2228,6 +3336,61 @@ Thank you for helping us create a greener workplace.`;
         }
     }
     
+    // Merge a content pack's reading section (see content-pack-loader.js).
+    // Existing ids are kept; returns descriptions of the skipped items.
+    addContent({ passages = [], questions = [] } = {}, source = null) {
+        const skipped = [];
+        
+        passages.forEach(passage => {
+            if (this.passages.has(passage.id)) {
+                skipped.push(`passage ${passage.id} (id exists)`);
+                return;
+            }
+            const content = passage.content || this.formatChatContent(passage.messages);
+            this.passages.set(passage.id, {
+                type: 'business_email',
+                title: '',
+                difficulty: 'B1',
+                category: 'general',
+                ...passage,
+                content,
+                wordCount: passage.wordCount || content.split(/\s+/).filter(Boolean).length,
+                source,
+                questions: [],
+                userStats: this.createPassageStats(passage.id)
+            });
+        });
+        
+        questions.forEach(question => {
+            const type = question.type || 'reading_comprehension';
+            if (this.questions.has(question.id)) {
+                skipped.push(`question ${question.id} (id exists)`);
+                return;
+            }
+            const passage = question.passageId ? this.passages.get(question.passageId) : null;
+            if (type === 'reading_comprehension' && !passage) {
+                skipped.push(`question ${question.id} (passage ${question.passageId} not found)`);
+                return;
+            }
+            this.questions.set(question.id, {
+                difficulty: 'B1',
+                ...question,
+                type,
+                source,
+                userStats: {
+                    timesAnswered: 0,
+                    correctCount: 0,
+                    incorrectCount: 0,
+                    averageTime: 0,
+                    lastAnswered: null
+                }
+            });
+            if (passage) passage.questions.push(question.id);
+        });
+        
+        return skipped;
+    }
+    
     loadFallbackMaterials() {
         // Fallback materials for offline use
         const fallbackPassage = {
@@ -2282,6 +3445,7 @@ Management`,
                 this.userProgress = new Map(Object.entries(progress));
                 console.log('✅ Loaded reading progress');
             }
+            this.savedPassageStats = JSON.parse(localStorage.getItem('toeicReadingPassageStats') || '{}') || {};
         } catch (error) {
             console.error('❌ Error loading reading progress:', error);
         }
@@ -2291,13 +3455,59 @@ Management`,
         try {
             const progressObj = Object.fromEntries(this.userProgress);
             localStorage.setItem('toeicReadingProgress', JSON.stringify(progressObj));
+            // Speed-read times are the only passage stats not rebuilt from
+            // question progress
+            const passageStats = {};
+            for (const [id, passage] of this.passages) {
+                if (passage.userStats && passage.userStats.speedReads > 0) {
+                    passageStats[id] = { averageTime: passage.userStats.averageTime, speedReads: passage.userStats.speedReads };
+                }
+            }
+            localStorage.setItem('toeicReadingPassageStats', JSON.stringify(passageStats));
         } catch (error) {
             console.error('❌ Error saving reading progress:', error);
         }
     }
     
+    // Fresh userStats for a passage, with any saved speed-read time
+    createPassageStats(passageId) {
+        const saved = (this.savedPassageStats && this.savedPassageStats[passageId]) || {};
+        return {
+            timesRead: 0,
+            averageTime: Number(saved.averageTime) || 0,
+            speedReads: Number(saved.speedReads) || 0,
+            comprehensionScore: 0,
+            lastRead: null
+        };
+    }
+    
+    loadSpeedTraining() {
+        try {
+            const saved = JSON.parse(localStorage.getItem('toeicReadingSpeed') || 'null');
+            if (saved && Array.isArray(saved.history)) {
+                this.speedTraining = {
+                    targetWpm: this.clampWpm(saved.targetWpm),
+                    history: saved.history
+                };
+            }
+        } catch (error) {
+            console.error('❌ Error loading reading speed history:', error);
+        }
+    }
+    
+    saveSpeedTraining() {
+        try {
+            localStorage.setItem('toeicReadingSpeed', JSON.stringify(this.speedTraining));
+        } catch (error) {
+            console.error('❌ Error saving reading speed history:', error);
+        }
+    }
+    
     // Start a reading comprehension session
     startSession(options = {}) {
+        // A timed read left unfinished (its questions abandoned) must not be
+        // logged against this session's answers
+        this.speedRead = null;
         this.sessionStats = {
             totalQuestions: 0,
             correctAnswers: 0,
@@ -2306,11 +3516,13 @@ Management`,
             startTime: Date.now()
         };
 
-        const questionType = options.type || 'mixed';
+        // A subtype filter only makes sense for Part 7 questions
+        const subtype = options.subtype || null;
+        const questionType = subtype ? 'reading_comprehension' : (options.type || 'mixed');
         const difficulty = options.difficulty || 'mixed';
         const count = options.count || 20;
 
-        this.currentSession = this.generateSession(questionType, difficulty, count);
+        this.currentSession = this.generateSession(questionType, difficulty, count, subtype);
         this.currentQuestionIndex = 0;
         this.sessionAnswers = []; // per-session answer log for the review screen
         this.sessionStats.totalQuestions = this.currentSession.length;
@@ -2325,13 +3537,17 @@ Management`,
     // (Part 6), and grammar items stand alone (Part 5). Passages
     // the student has practiced least come first; ties are
     // shuffled so every session feels different.
-    generateSession(type, difficulty, count) {
+    generateSession(type, difficulty, count, subtype = null) {
         let availableQuestions = Array.from(this.questions.values());
 
         if (type !== 'mixed') {
             availableQuestions = availableQuestions.filter(q => q.type === type);
         }
 
+        if (subtype) {
+            availableQuestions = availableQuestions.filter(q => q.subtype === subtype);
+        }
+
         if (difficulty !== 'mixed') {
             availableQuestions = availableQuestions.filter(q => q.difficulty === difficulty);
         }
@@ -2411,6 +3627,105 @@ Management`,
         return null;
     }
 
+    // Companion texts of a multi-document set, in reading order. Double
+    // passages name one companion (linkedPassageId), triples list them all
+    // (linkedPassageIds); ids that don't resolve are skipped.
+    getLinkedPassages(passage) {
+        if (!passage) return [];
+        const ids = Array.isArray(passage.linkedPassageIds)
+            ? passage.linkedPassageIds
+            : (passage.linkedPassageId ? [passage.linkedPassageId] : []);
+        return ids.map(id => this.passages.get(id)).filter(Boolean);
+    }
+
+    // Every document a question is about: the passage itself plus its companions
+    getPassageDocuments(passage) {
+        return passage ? [passage, ...this.getLinkedPassages(passage)] : [];
+    }
+
+    // Plain-text transcript of a chat passage ("Name (9:12 A.M.): text" per
+    // line), used wherever the passage is handled as text: the mock test,
+    // search, word counts
+    formatChatContent(messages) {
+        if (!Array.isArray(messages)) return '';
+        return messages
+            .map(message => `${message.speaker}${message.time ? ` (${message.time})` : ''}: ${message.text}`)
+            .join('\n');
+    }
+
+    // The chat message a question quotes ('... when she writes, "That
+    // works"?'), matched on its text and, when the stem names one, its time.
+    // Returns { passageId, index } or null.
+    findQuotedMessage(question, documents) {
+        const quote = /"([^"]+)"/.exec((question && question.question) || '');
+        if (!quote) return null;
+        const time = /\bat (\d{1,2}:\d{2} [AP]\.M\.)/i.exec(question.question);
+        for (const passage of documents || []) {
+            if (!passage || !Array.isArray(passage.messages)) continue;
+            const index = passage.messages.findIndex(message =>
+                String(message.text || '').includes(quote[1]) && (!time || message.time === time[1]));
+            if (index !== -1) return { passageId: passage.id, index };
+        }
+        return null;
+    }
+
+    // Where the answer is stated, for highlighting once the question is
+    // answered. `evidence` is a quoted sentence, a { passageId, start, end }
+    // character range of the passage content (passageId defaults to the
+    // question's passage), or an array of either when the answer draws on
+    // several places. Returns [{ passageId, start, end }] in listed order;
+    // spans inside a chat also carry `message`, the index of the message
+    // they fall in, with start/end relative to its text. Entries that don't
+    // resolve are dropped.
+    getEvidenceSpans(question, documents) {
+        const entries = [].concat((question && question.evidence) || []);
+        const docs = (documents || []).filter(Boolean);
+        return entries
+            .map(entry => typeof entry === 'string'
+                ? this.findEvidenceQuote(entry, docs)
+                : this.resolveEvidenceRange(entry, docs))
+            .filter(Boolean);
+    }
+
+    findEvidenceQuote(quote, documents) {
+        if (!quote) return null;
+        for (const passage of documents) {
+            if (Array.isArray(passage.messages)) {
+                const index = passage.messages.findIndex(message => String(message.text || '').includes(quote));
+                if (index === -1) continue;
+                const start = passage.messages[index].text.indexOf(quote);
+                return { passageId: passage.id, message: index, start, end: start + quote.length };
+            }
+            const start = String(passage.content || '').indexOf(quote);
+            if (start !== -1) return { passageId: passage.id, start, end: start + quote.length };
+        }
+        return null;
+    }
+
+    resolveEvidenceRange(range, documents) {
+        if (!range || !Number.isInteger(range.start) || !Number.isInteger(range.end)) return null;
+        const passageId = range.passageId || (documents[0] && documents[0].id);
+        const passage = documents.find(doc => doc.id === passageId);
+        const { start, end } = range;
+        if (!passage || start < 0 || end <= start) return null;
+        if (!Array.isArray(passage.messages)) {
+            return end <= String(passage.content || '').length ? { passageId, start, end } : null;
+        }
+        // Chat offsets count through the formatChatContent transcript; the
+        // range has to sit inside a single message's text
+        let lineStart = 0;
+        for (let index = 0; index < passage.messages.length; index++) {
+            const message = passage.messages[index];
+            const line = this.formatChatContent([message]);
+            const textStart = lineStart + line.length - String(message.text || '').length;
+            if (start >= textStart && end <= lineStart + line.length) {
+                return { passageId, message: index, start: start - textStart, end: end - textStart };
+            }
+            lineStart += line.length + 1;
+        }
+        return null;
+    }
+
     // Session position: 1-based current question number and total
     getSessionPosition() {
         if (!this.currentSession) return { current: 0, total: 0 };
@@ -2454,9 +3769,7 @@ Management`,
     buildQuestionView(question) {
         if (!question) return null;
         const passage = this.resolvePassage(question);
-        const companionPassage = passage && passage.linkedPassageId
-            ? this.passages.get(passage.linkedPassageId) || null
-            : null;
+        const documents = this.getPassageDocuments(passage);
         return {
             id: question.id,
             type: question.type,
@@ -2466,7 +3779,12 @@ Management`,
             correctAnswer: question.correctAnswer,
             explanation: question.explanation,
             passage: passage,
-            companionPassage: companionPassage,
+            companionPassage: documents[1] || null,
+            documents: documents,
+            subtype: question.subtype || null,
+            insertSentence: this.getInsertionSentence(question),
+            quotedMessage: this.findQuotedMessage(question, documents),
+            evidence: this.getEvidenceSpans(question, documents),
             difficulty: question.difficulty,
             timeLimit: this.questionTypes[question.type].timeLimit,
             points: this.questionTypes[question.type].points,
@@ -2647,6 +3965,7 @@ Management`,
         this.currentPassage = null;
         this.currentQuestion = null;
         this.sessionStartTime = null;
+        this.speedRead = null;
         this.sessionStats = {
             totalQuestions: 0,
             correctAnswers: 0,
@@ -2658,14 +3977,15 @@ Management`,
     }
     
     
-    // Get statistics by question type
+    // Statistics keyed by question type; Part 7 questions count under
+    // their subtype (see getQuestionSubtype)
     getStatsByType() {
         const typeStats = {};
         
         for (const [questionId, stats] of this.userProgress) {
             const question = this.questions.get(questionId);
             if (question) {
-                const type = question.type;
+                const type = this.getQuestionSubtype(question);
                 
                 if (!typeStats[type]) {
                     typeStats[type] = {
@@ -2714,12 +4034,58 @@ Management`,
         const recommendations = {
             'incomplete_sentences': 'Focus on grammar rules, especially prepositions, conjunctions, and verb forms.',
             'text_completion': 'Practice reading comprehension and understanding context clues.',
-            'reading_comprehension': 'Improve reading speed and practice identifying main ideas and details.'
+            'reading_comprehension': 'Improve reading speed and practice identifying main ideas and details.',
+            'mainIdea': 'Read the first paragraph and the subject line closely; the purpose is usually stated early.',
+            'detail': 'Scan for the key word from the question (a name, date or number) before reading around it.',
+            'inference': 'Choose the option the text supports without stating it; reject options that go beyond the text.',
+            'vocabInContext': 'Reread the whole sentence and pick the meaning that fits it, not the most common meaning.',
+            'notTrue': 'Check each option against the text and cross out the three that are mentioned.',
+            'sentenceInsertion': 'Look for words in the new sentence that point back (this, both, however) and find what they refer to.',
+            'crossReference': 'Find the fact in one text, then look up the matching detail in the other text before answering.',
+            'intent': 'Read the messages just before and after the quoted line; its meaning depends on what it answers.'
         };
         
         return recommendations[type] || 'Continue practicing this question type.';
     }
     
+    // Practice-filter key of a question: its tagged subtype for Part 7,
+    // otherwise the question type (untagged Part 7 stays 'reading_comprehension')
+    getQuestionSubtype(question) {
+        if (!question) return null;
+        return question.type === 'reading_comprehension' && question.subtype
+            ? question.subtype
+            : question.type;
+    }
+
+    // Part 7 subtypes with how many questions the bank has for each and
+    // the student's accuracy on them (null until answered)
+    getSubtypeSummary() {
+        const typeStats = this.getStatsByType();
+        const counts = {};
+        for (const question of this.questions.values()) {
+            if (question.type !== 'reading_comprehension' || !question.subtype) continue;
+            counts[question.subtype] = (counts[question.subtype] || 0) + 1;
+        }
+        return READING_SUBTYPES.map(subtype => {
+            const stats = typeStats[subtype];
+            const answered = stats ? stats.correct + stats.incorrect : 0;
+            return {
+                subtype: subtype,
+                questions: counts[subtype] || 0,
+                answered: answered,
+                accuracy: answered > 0 ? Math.round(stats.accuracy) : null
+            };
+        });
+    }
+
+    // The sentence a sentence-insertion question places: the quoted text
+    // closing its stem. Null for every other question.
+    getInsertionSentence(question) {
+        if (!question || question.subtype !== 'sentenceInsertion') return null;
+        const match = /"([^"]+)"\s*$/.exec(question.question || '');
+        return match ? match[1] : null;
+    }
+
     // Search passages
     searchPassages(query) {
         const results = [];
@@ -2749,7 +4115,8 @@ Management`,
         const passageStats = [];
         
         for (const [id, passage] of this.passages) {
-            if (passage.userStats.timesRead > 0) {
+            // averageTime (seconds) is only measured by the speed trainer
+            if (passage.userStats.averageTime > 0) {
                 const wordsPerMinute = passage.wordCount / (passage.userStats.averageTime / 60);
                 passageStats.push({
                     id: id,
@@ -2765,6 +4132,161 @@ Management`,
         return passageStats.sort((a, b) => a.wordsPerMinute - b.wordsPerMinute);
     }
     
+    // ------------------------------------------------------------------
+    // Speed trainer: read one Part 7 passage against a pacing guide, press
+    // "done", answer its questions. Flow: startSpeedRead → beginSpeedRead
+    // (clock starts) → finishSpeedRead (clock stops, questions become the
+    // session) → completeSpeedRead once they're answered.
+    // ------------------------------------------------------------------
+    
+    clampWpm(wpm) {
+        const value = Number(wpm) || READING_SPEED.startWpm;
+        return Math.min(READING_SPEED.maxWpm, Math.max(READING_SPEED.minWpm, Math.round(value)));
+    }
+    
+    // Single Part 7 passages with comprehension questions. Multi-document
+    // sets are left out: one read time can't be split between several texts.
+    // Chats are too, as a pacing guide doesn't fit a message transcript.
+    getSpeedPassages() {
+        const passages = Array.from(this.passages.values());
+        const companions = new Set(passages.flatMap(p => this.getLinkedPassages(p).map(linked => linked.id)));
+        return passages.filter(passage =>
+            passage.content && passage.wordCount > 0 && passage.type !== 'chat' &&
+            !this.getLinkedPassages(passage).length && !companions.has(passage.id) &&
+            (passage.questions || []).some(id => (this.questions.get(id) || {}).type === 'reading_comprehension'));
+    }
+    
+    // The passage trained least often, random among ties
+    pickSpeedPassage() {
+        const counts = {};
+        this.speedTraining.history.forEach(entry => {
+            counts[entry.passageId] = (counts[entry.passageId] || 0) + 1;
+        });
+        const ranked = this.getSpeedPassages()
+            .map(passage => ({ passage, count: counts[passage.id] || 0, jitter: Math.random() }))
+            .sort((a, b) => (a.count - b.count) || (a.jitter - b.jitter));
+        return ranked.length > 0 ? ranked[0].passage : null;
+    }
+    
+    startSpeedRead(passageId = null) {
+        const passage = passageId ? this.passages.get(passageId) : this.pickSpeedPassage();
+        if (!passage) return null;
+        this.speedRead = {
+            passageId: passage.id,
+            // Counted, not passage.wordCount - the bank's counts are rounded
+            words: passage.content.split(/\s+/).filter(Boolean).length,
+            targetWpm: this.speedTraining.targetWpm,
+            startedAt: null,
+            seconds: null,
+            wpm: null
+        };
+        return { passage, targetWpm: this.speedRead.targetWpm };
+    }
+    
+    beginSpeedRead() {
+        if (this.speedRead) this.speedRead.startedAt = Date.now();
+    }
+    
+    // The passage split into lines of word chunks for the pacing guide; each
+    // chunk knows the word offset where it starts, so the guide can move
+    // to whichever chunk holds word `elapsedMinutes * targetWpm`
+    getSpeedChunks(content) {
+        let offset = 0;
+        return String(content || '').split('\n').map(line => {
+            const words = line.split(/\s+/).filter(Boolean);
+            const chunks = [];
+            for (let i = 0; i < words.length; i += READING_SPEED.chunkWords) {
+                chunks.push({ start: offset + i, text: words.slice(i, i + READING_SPEED.chunkWords).join(' ') });
+            }
+            offset += words.length;
+            return chunks;
+        });
+    }
+    
+    // Stop the clock and turn the passage's questions into the session
+    finishSpeedRead() {
+        const read = this.speedRead;
+        const passage = read && this.passages.get(read.passageId);
+        if (!passage || !read.startedAt) return null;
+        
+        read.seconds = Math.max(1, (Date.now() - read.startedAt) / 1000);
+        read.wpm = Math.round(read.words / (read.seconds / 60));
+        
+        // Feeds getReadingSpeedAnalysis()
+        const reads = (passage.userStats.speedReads || 0) + 1;
+        passage.userStats.averageTime = (passage.userStats.averageTime * (reads - 1) + read.seconds) / reads;
+        passage.userStats.speedReads = reads;
+        this.saveUserProgress();
+        
+        this.sessionStats = {
+            totalQuestions: 0,
+            correctAnswers: 0,
+            incorrectAnswers: 0,
+            timeSpent: 0,
+            startTime: Date.now()
+        };
+        this.currentSession = passage.questions.filter(id => (this.questions.get(id) || {}).type === 'reading_comprehension');
+        this.currentQuestionIndex = 0;
+        this.sessionAnswers = [];
+        this.sessionStats.totalQuestions = this.currentSession.length;
+        
+        console.log(`⏱️ Read ${passage.id} in ${Math.round(read.seconds)}s (${read.wpm} WPM, target ${read.targetWpm})`);
+        return { seconds: read.seconds, wpm: read.wpm, targetWpm: read.targetWpm };
+    }
+    
+    // After the questions: log the read and adapt the target WPM
+    completeSpeedRead() {
+        const read = this.speedRead;
+        if (!read || read.wpm === null) return null;
+        
+        const answers = Array.isArray(this.sessionAnswers) ? this.sessionAnswers : [];
+        const comprehension = answers.length > 0
+            ? Math.round((answers.filter(answer => answer.isCorrect).length / answers.length) * 100)
+            : 0;
+        
+        let nextTarget = read.targetWpm;
+        if (comprehension < READING_SPEED.lowerAt) {
+            nextTarget -= READING_SPEED.step;
+        } else if (comprehension >= READING_SPEED.raiseAt && read.wpm >= read.targetWpm) {
+            nextTarget += READING_SPEED.step;
+        }
+        nextTarget = this.clampWpm(nextTarget);
+        
+        const entry = {
+            passageId: read.passageId,
+            date: new Date().toISOString(),
+            seconds: Math.round(read.seconds),
+            wpm: read.wpm,
+            targetWpm: read.targetWpm,
+            comprehension,
+            questions: answers.length
+        };
+        this.speedTraining.targetWpm = nextTarget;
+        this.speedTraining.history = [...this.speedTraining.history, entry].slice(-READING_SPEED.historyLimit);
+        this.saveSpeedTraining();
+        this.speedRead = null;
+        
+        return { ...entry, nextTargetWpm: nextTarget };
+    }
+    
+    // Target, recent averages (last 5 reads), the best speed read with good
+    // comprehension, and the history, oldest first
+    getSpeedTrainingStats() {
+        const history = this.speedTraining.history;
+        const recent = history.slice(-5);
+        const average = key => recent.length > 0
+            ? Math.round(recent.reduce((sum, entry) => sum + entry[key], 0) / recent.length)
+            : 0;
+        return {
+            targetWpm: this.speedTraining.targetWpm,
+            reads: history.length,
+            averageWpm: average('wpm'),
+            averageComprehension: average('comprehension'),
+            bestWpm: history.reduce((best, entry) => Math.max(best, entry.comprehension >= READING_SPEED.raiseAt ? entry.wpm : 0), 0),
+            history
+        };
+    }
+    
     // Reset progress
     resetProgress() {
         this.userProgress.clear();
@@ -0,0 +1,231 @@
+// TOEIC Score Converter - raw correct counts → scaled 5–495 section scores
+// Conversion tables are keyed on RAW COUNTS per section (like the published
+// ETS tables), one named table per test form / difficulty. Tables are loaded
+// from assets/data/toeic-score-tables.json; the standard table below is
+// embedded so scoring still works offline or if that fetch fails.
+//
+// Table shape:
+//   {
+//     name, description,
+//     standardError: { listening, reading },   // SEM in scaled points
+//     listening: [ { raw: [min, max], scaled: [low, high] }, ... ],
+//     reading:   [ ... ]
+//   }
+// Every raw count from 0 to the section maximum must fall in exactly one band.
+
+const TOEIC_SCORE_TABLES_URL = 'assets/data/toeic-score-tables.json';
+const TOEIC_SECTION_MAX_SCALED = 495;
+const TOEIC_SECTION_MIN_SCALED = 5;
+
+function buildScoreBands(rawBands, scaledBands) {
+    return rawBands.map((raw, i) => ({ raw, scaled: scaledBands[i] }));
+}
+
+const TOEIC_RAW_BANDS = [
+    [96, 100], [91, 95], [86, 90], [81, 85], [76, 80], [71, 75], [66, 70],
+    [61, 65], [56, 60], [51, 55], [46, 50], [41, 45], [36, 40], [31, 35],
+    [26, 30], [21, 25], [16, 20], [11, 15], [6, 10], [1, 5], [0, 0]
+];
+
+// Mirrors tables.standard in toeic-score-tables.json
+const FALLBACK_SCORE_TABLE = {
+    name: 'Standard form',
+    description: 'Typical public-test difficulty',
+    standardError: { listening: 25, reading: 25 },
+    listening: buildScoreBands(TOEIC_RAW_BANDS, [
+        [475, 495], [435, 495], [405, 470], [370, 450], [345, 420], [320, 390], [290, 360],
+        [265, 335], [240, 310], [215, 280], [190, 255], [160, 230], [130, 205], [105, 175],
+        [85, 145], [60, 115], [30, 90], [5, 70], [5, 60], [5, 35], [5, 5]
+    ]),
+    reading: buildScoreBands(TOEIC_RAW_BANDS, [
+        [460, 495], [425, 490], [400, 465], [375, 440], [340, 415], [310, 390], [285, 370],
+        [255, 340], [230, 310], [200, 275], [170, 245], [140, 215], [115, 180], [95, 150],
+        [75, 120], [60, 95], [45, 75], [30, 55], [10, 40], [5, 30], [5, 5]
+    ])
+};
+
+class TOEICScoreConverter {
+    constructor() {
+        this.tables = new Map();
+        this.defaultTable = 'standard';
+        this.registerTable('standard', FALLBACK_SCORE_TABLE);
+
+        // Callers that need the JSON tables (e.g. a settings picker) can await this
+        this.ready = this.loadTables();
+    }
+
+    async loadTables(url = TOEIC_SCORE_TABLES_URL) {
+        try {
+            const response = await fetch(url);
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+
+            const data = await response.json();
+            if (!data || typeof data.tables !== 'object') {
+                throw new Error('score table file has no "tables" object');
+            }
+
+            let loadedCount = 0;
+            for (const [id, table] of Object.entries(data.tables)) {
+                try {
+                    this.registerTable(id, table);
+                    loadedCount++;
+                } catch (error) {
+                    // One broken table shouldn't take the others down with it
+                    console.error(`❌ Skipping score table "${id}":`, error.message);
+                }
+            }
+
+            if (data.defaultTable && this.tables.has(data.defaultTable)) {
+                this.defaultTable = data.defaultTable;
+            }
+
+            console.log(`✅ Loaded ${loadedCount} score conversion tables`);
+        } catch (error) {
+            console.warn('⚠️ Using built-in score conversion table:', error.message);
+        }
+        return this.listTables();
+    }
+
+    // Add or replace a named conversion table (throws on malformed tables)
+    registerTable(id, table) {
+        this.validateTable(id, table);
+        this.tables.set(id, {
+            id,
+            name: table.name || id,
+            description: table.description || '',
+            standardError: {
+                listening: table.standardError?.listening ?? 25,
+                reading: table.standardError?.reading ?? 25
+            },
+            listening: this.sortBands(table.listening),
+            reading: this.sortBands(table.reading)
+        });
+    }
+
+    validateTable(id, table) {
+        if (!table || typeof table !== 'object') {
+            throw new Error(`score table "${id}" is not an object`);
+        }
+        for (const sectionName of ['listening', 'reading']) {
+            const bands = table[sectionName];
+            if (!Array.isArray(bands) || bands.length === 0) {
+                throw new Error(`score table "${id}" has no ${sectionName} bands`);
+            }
+            for (const band of bands) {
+                const validPair = pair => Array.isArray(pair) && pair.length === 2 &&
+                    pair.every(Number.isFinite) && pair[0] <= pair[1];
+                if (!validPair(band.raw) || !validPair(band.scaled)) {
+                    throw new Error(`score table "${id}" has a malformed ${sectionName} band: ${JSON.stringify(band)}`);
+                }
+            }
+
+            // Bands must cover 0..max without gaps or overlaps, or some raw counts can't be scored
+            const sorted = this.sortBands(bands);
+            for (let i = 1; i < sorted.length; i++) {
+                if (sorted[i].raw[0] !== sorted[i - 1].raw[1] + 1) {
+                    throw new Error(`score table "${id}" ${sectionName} bands are not contiguous at raw ${sorted[i - 1].raw[1]}`);
+                }
+            }
+            if (sorted[0].raw[0] !== 0) {
+                throw new Error(`score table "${id}" ${sectionName} bands must start at raw 0`);
+            }
+        }
+    }
+
+    sortBands(bands) {
+        return bands.slice().sort((a, b) => a.raw[0] - b.raw[0]);
+    }
+
+    getTable(id) {
+        return this.tables.get(id) || this.tables.get(this.defaultTable) || this.tables.get('standard');
+    }
+
+    listTables() {
+        return Array.from(this.tables.values()).map(({ id, name, description }) => ({ id, name, description }));
+    }
+
+    /**
+     * Convert a raw correct count into a scaled section score.
+     * Returns { scaled, range: { low, high }, standardError, table }.
+     */
+    convert(sectionName, correct, total, tableId) {
+        const table = this.getTable(tableId);
+        const bands = table[sectionName] || table.listening;
+        const maxRaw = bands[bands.length - 1].raw[1];
+
+        // Tables are keyed on a full 100-question section; only rescale when the
+        // section came up short (e.g. a content bank couldn't fill every slot)
+        let raw = Math.max(0, Math.round(correct));
+        if (total > 0 && total !== maxRaw) {
+            raw = Math.round((correct / total) * maxRaw);
+        }
+        raw = Math.min(raw, maxRaw);
+
+        const bandIndex = Math.max(0, bands.findIndex(b => raw >= b.raw[0] && raw <= b.raw[1]));
+        const band = bands[bandIndex];
+        const [low, high] = band.scaled;
+
+        // Point estimate: interpolate between band midpoints rather than inside one
+        // band — neighbouring bands overlap, so in-band interpolation isn't monotonic
+        const center = b => ({ raw: (b.raw[0] + b.raw[1]) / 2, scaled: (b.scaled[0] + b.scaled[1]) / 2 });
+        const here = center(band);
+        const upward = raw >= here.raw;
+        const neighbour = upward ? bands[bandIndex + 1] : bands[bandIndex - 1];
+        // Past the outermost midpoint, run to the band's own edge so a perfect section still reaches 495
+        const there = neighbour
+            ? center(neighbour)
+            : (upward ? { raw: band.raw[1], scaled: high } : { raw: band.raw[0], scaled: low });
+        let estimate = here.scaled;
+        if (there.raw !== here.raw) {
+            estimate += (there.scaled - here.scaled) * (raw - here.raw) / (there.raw - here.raw);
+        }
+        // Reported in 5-point steps like the real test, and never outside the band's range
+        const scaled = Math.min(high, Math.max(low, this.roundToFive(estimate)));
+
+        return {
+            scaled: this.clampSection(scaled),
+            range: { low, high },
+            standardError: table.standardError[sectionName] ?? 25,
+            table: table.id
+        };
+    }
+
+    /**
+     * Combine section scores into a total with a range and a ~68% confidence
+     * band (total ± combined standard error of measurement).
+     */
+    combine(sectionScores) {
+        const scores = sectionScores.filter(Boolean);
+        const total = scores.reduce((sum, s) => sum + (s.scaled || 0), 0);
+        const range = {
+            low: scores.reduce((sum, s) => sum + (s.range?.low ?? s.scaled ?? 0), 0),
+            high: scores.reduce((sum, s) => sum + (s.range?.high ?? s.scaled ?? 0), 0)
+        };
+        const standardError = Math.sqrt(scores.reduce((sum, s) => sum + Math.pow(s.standardError || 0, 2), 0));
+        const min = TOEIC_SECTION_MIN_SCALED * scores.length;
+        const max = TOEIC_SECTION_MAX_SCALED * scores.length;
+
+        return {
+            total,
+            range,
+            confidence: {
+                low: Math.max(min, this.roundToFive(total - standardError)),
+                high: Math.min(max, this.roundToFive(total + standardError)),
+                level: 68
+            }
+        };
+    }
+
+    roundToFive(value) {
+        return Math.round(value / 5) * 5;
+    }
+
+    clampSection(value) {
+        return Math.max(TOEIC_SECTION_MIN_SCALED, Math.min(TOEIC_SECTION_MAX_SCALED, value));
+    }
+}
+
+// Export for global use
+window.TOEICScoreConverter = TOEICScoreConverter;
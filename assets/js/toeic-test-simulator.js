@@ -897,21 +897,53 @@ const TOEIC_READING_COMPREHENSION_BANK = [
 // External banks are preferred when present and non-empty:
 //   window.TOEIC_LISTENING_BANK  (Parts 1-4, see assets/data/toeic-listening-banks.js)
 //   window.TOEIC_PART6_BANK      (Part 6)
-//   window.toeicGrammar          (Part 5 — TOEICGrammarSystem instance)
+//   window.toeicGrammar          (Part 5 — TOEICGrammarSystem bank plus generated items)
 //   window.toeicReading          (Part 7 — TOEICReadingSystem instance)
 // Every part falls back to the internal banks above when a
 // source is missing or empty, so a test can always be built.
 // ============================================================
 
+// Share of Part 5 drawn from the grammar system's template generator
+// (part5-templates.js) so repeat test-takers don't meet only memorized items
+const PART5_GENERATED_SHARE = 0.5;
+
+// Part 7 questions asked on multi-document sets in a real form, keyed by
+// document count: 2 double sets and 3 triple sets of 5. The remaining
+// questions (29 of 54) come from single texts.
+const PART7_MULTI_DOC_QUESTIONS = { 3: 15, 2: 10 };
+
 // Strip legacy "A) " / "B) " prefixes so the UI can prepend letters itself
 function stripOptionLetter(option) {
     return typeof option === 'string' ? option.replace(/^[A-D]\)\s*/, '') : option;
 }
 
-function shuffleArray(items) {
+// Seeded PRNG (mulberry32): same 32-bit seed → same sequence in [0, 1),
+// so a test form can be regenerated exactly from its seed
+function createSeededRandom(seed) {
+    let state = seed >>> 0;
+    return function () {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// 32-bit FNV-1a hash, used to turn form IDs ("Form 12") into seeds
+function hashSeed(text) {
+    let hash = 0x811C9DC5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+function shuffleArray(items, random = Math.random) {
     const arr = items.slice();
     for (let i = arr.length - 1; i > 0; i--) {
-        const j = Math.floor(Math.random() * (i + 1));
+        const j = Math.floor(random() * (i + 1));
         [arr[i], arr[j]] = [arr[j], arr[i]];
     }
     return arr;
@@ -919,8 +951,8 @@ function shuffleArray(items) {
 
 // Shuffle options and remap the correct-answer index (the grammar bank
 // has a heavy A/B answer bias, so Part 5 must always reshuffle)
-function shuffleOptionsWithAnswer(options, correctAnswer) {
-    const order = shuffleArray(options.map((_, i) => i));
+function shuffleOptionsWithAnswer(options, correctAnswer, random = Math.random) {
+    const order = shuffleArray(options.map((_, i) => i), random);
     return {
         options: order.map(i => options[i]),
         correctAnswer: order.indexOf(correctAnswer)
@@ -958,10 +990,11 @@ class TOEICTestSimulator {
                 totalQuestions: 100,
                 timeLimit: 45 * 60 * 1000, // 45 minutes in milliseconds
                 sections: {
-                    photographs: { count: 6, timePerQuestion: 3000 },        // Part 1
-                    questionResponse: { count: 25, timePerQuestion: 2000 },  // Part 2
-                    conversations: { count: 39, timePerQuestion: 4500 },     // Part 3 (13 x 3)
-                    talks: { count: 30, timePerQuestion: 6000 }              // Part 4 (10 x 3)
+                    // responseGap: answer window after the audio in exam-realistic mode
+                    photographs: { count: 6, timePerQuestion: 3000, responseGap: 5000 },        // Part 1
+                    questionResponse: { count: 25, timePerQuestion: 2000, responseGap: 5000 },  // Part 2
+                    conversations: { count: 39, timePerQuestion: 4500, responseGap: 8000 },     // Part 3 (13 x 3)
+                    talks: { count: 30, timePerQuestion: 6000, responseGap: 8000 }              // Part 4 (10 x 3)
                 }
             },
             reading: {
@@ -975,16 +1008,17 @@ class TOEICTestSimulator {
             }
         };
         
-        this.scoringSystem = {
-            listening: {
-                rawToScaled: this.generateListeningScoreTable(),
-                maxScore: 495
-            },
-            reading: {
-                rawToScaled: this.generateReadingScoreTable(),
-                maxScore: 495
-            }
-        };
+        // Raw-count conversion tables (named per form/difficulty, see toeic-score-converter.js)
+        this.scoreConverter = new window.TOEICScoreConverter();
+        
+        // Shuffles during question generation draw from this; startTest
+        // swaps in a seeded generator per section (see seedSection)
+        this.random = Math.random;
+        
+        // Exam-realistic listening pacing (see playPacedListening)
+        this.pacingToken = 0;
+        this.pacingTimer = null;
+        this.pacedStimulusKey = null;
         
         this.testHistory = [];
         this.loadTestHistory();
@@ -1013,39 +1047,28 @@ class TOEICTestSimulator {
         return this.startTest({ type: 'reading' });
     }
     
-    generateListeningScoreTable() {
-        // Generate realistic score conversion table for listening
-        const table = {};
-        for (let raw = 0; raw <= 100; raw++) {
-            // TOEIC listening scores typically range from 5-495
-            // Higher raw scores get higher scaled scores with some curve
-            let scaled = Math.round(5 + (raw / 100) * 490);
-            
-            // Add some realistic variation
-            if (raw >= 90) scaled = Math.min(scaled + 10, 495);
-            else if (raw >= 80) scaled = Math.min(scaled + 5, 485);
-            else if (raw <= 10) scaled = Math.max(scaled - 5, 5);
-            
-            table[raw] = scaled;
-        }
-        return table;
+    // Conversion table used for new tests (chosen in test settings)
+    getPreferredScoreTable() {
+        return localStorage.getItem('toeicScoreTable') || this.scoreConverter.defaultTable;
     }
-    
-    generateReadingScoreTable() {
-        // Generate realistic score conversion table for reading
-        const table = {};
-        for (let raw = 0; raw <= 100; raw++) {
-            // TOEIC reading scores typically range from 5-495
-            let scaled = Math.round(5 + (raw / 100) * 490);
-            
-            // Reading section often has slightly different curve
-            if (raw >= 95) scaled = Math.min(scaled + 15, 495);
-            else if (raw >= 85) scaled = Math.min(scaled + 8, 485);
-            else if (raw <= 15) scaled = Math.max(scaled - 8, 5);
-            
-            table[raw] = scaled;
-        }
-        return table;
+
+    setPreferredScoreTable(tableId) {
+        if (!this.scoreConverter.tables.has(tableId)) return false;
+        localStorage.setItem('toeicScoreTable', tableId);
+        return true;
+    }
+
+    getScoreTables() {
+        return this.scoreConverter.listTables();
+    }
+
+    // Whether new full tests use exam-realistic timing (chosen in test settings)
+    getExamModePreference() {
+        return localStorage.getItem('toeicTestExamMode') === 'true';
+    }
+
+    setExamModePreference(enabled) {
+        localStorage.setItem('toeicTestExamMode', enabled ? 'true' : 'false');
     }
     
     loadTestHistory() {
@@ -1067,11 +1090,170 @@ class TOEICTestSimulator {
             console.error('❌ Error saving test history:', error);
         }
     }
+
+    // ---- In-progress test persistence ----
+    // The whole currentTest (generated questions, answers, section states)
+    // is written to toeicTestInProgress on every state change, and the UI
+    // clock to the much smaller toeicTestClock on every tick, so a reload
+    // or crash mid-test loses at most a second.
+
+    persistCurrentTest() {
+        if (!this.currentTest || !['in_progress', 'paused'].includes(this.currentTest.status)) return;
+        try {
+            localStorage.setItem('toeicTestInProgress', JSON.stringify({
+                version: 1,
+                savedAt: Date.now(),
+                test: this.currentTest
+            }));
+        } catch (error) {
+            console.error('❌ Error saving in-progress test:', error);
+        }
+    }
+
+    // Remaining seconds from the UI timer plus per-question audio play counts
+    saveTestClock(timeRemaining, audioPlays = {}) {
+        if (!this.currentTest) return;
+        try {
+            localStorage.setItem('toeicTestClock', JSON.stringify({
+                testId: this.currentTest.id,
+                timeRemaining: timeRemaining,
+                audioPlays: audioPlays,
+                savedAt: Date.now()
+            }));
+        } catch (error) {
+            // Non-fatal: the next tick tries again
+        }
+    }
+
+    clearSavedTest() {
+        try {
+            localStorage.removeItem('toeicTestInProgress');
+            localStorage.removeItem('toeicTestClock');
+        } catch (error) {
+            console.error('❌ Error clearing in-progress test:', error);
+        }
+    }
+
+    // 'pause' stops the clock while the app is closed; 'continue' keeps it
+    // running on wall-clock time like a real exam room
+    getResumePolicy() {
+        return localStorage.getItem('toeicTestResumePolicy') === 'continue' ? 'continue' : 'pause';
+    }
+
+    setResumePolicy(policy) {
+        localStorage.setItem('toeicTestResumePolicy', policy === 'continue' ? 'continue' : 'pause');
+    }
+
+    /**
+     * The saved in-progress test, with its remaining time adjusted by the
+     * resume policy, or null when there is nothing to resume.
+     */
+    getSavedTest(policy = this.getResumePolicy()) {
+        let saved = null;
+        let clock = null;
+        try {
+            saved = JSON.parse(localStorage.getItem('toeicTestInProgress') || 'null');
+            clock = JSON.parse(localStorage.getItem('toeicTestClock') || 'null');
+        } catch (error) {
+            console.error('❌ Error reading in-progress test:', error);
+            return null;
+        }
+
+        const test = saved && saved.version === 1 ? saved.test : null;
+        if (!test || !test.sections || !['in_progress', 'paused'].includes(test.status)) return null;
+        if (clock && clock.testId !== test.id) clock = null;
+
+        // Before the first tick there is no clock yet: fall back to the full
+        // allowance (in exam mode, the current section's own allowance)
+        const allowanceMs = test.examMode
+            ? (test.sections[test.currentSection]?.timeRemaining ?? test.timeRemaining)
+            : test.timeRemaining;
+        let timeRemaining = clock ? clock.timeRemaining : Math.round(allowanceMs / 1000);
+        const lastSeen = clock ? clock.savedAt : saved.savedAt;
+        const awayMs = Math.max(0, Date.now() - lastSeen);
+        if (policy === 'continue') {
+            timeRemaining = Math.max(0, timeRemaining - Math.floor(awayMs / 1000));
+        }
+
+        const sections = Object.values(test.sections);
+        return {
+            test: test,
+            policy: policy,
+            awayMs: awayMs,
+            timeRemaining: timeRemaining,
+            expired: timeRemaining <= 0,
+            audioPlays: clock ? clock.audioPlays || {} : {},
+            answered: sections.reduce((sum, section) => sum + Object.keys(section.answers || {}).length, 0),
+            total: sections.reduce((sum, section) => sum + (section.questions || []).length, 0)
+        };
+    }
+
+    // Make a saved test the current one again
+    restoreSavedTest(saved = this.getSavedTest()) {
+        if (!saved) return null;
+
+        this.currentTest = saved.test;
+        this.currentTest.status = 'in_progress';
+        delete this.currentTest.pausedAt;
+        // Time spent away isn't time spent on the question that was showing
+        this.currentTest.questionShownAt = Date.now();
+        if (saved.policy === 'pause') {
+            // Time away counts as paused, same as pauseTest()/resumeTest()
+            this.currentTest.totalPausedTime = (this.currentTest.totalPausedTime || 0) + saved.awayMs;
+        }
+        this.testSessions.set(this.currentTest.id, this.currentTest);
+        this.persistCurrentTest();
+
+        console.log(`▶️ Restored TOEIC test ${this.currentTest.id} (${saved.answered}/${saved.total} answered)`);
+        return this.currentTest;
+    }
+
+    discardSavedTest() {
+        const saved = this.getSavedTest();
+        if (saved && this.currentTest && this.currentTest.id === saved.test.id) {
+            this.resetTest();
+        }
+        this.clearSavedTest();
+        console.log('🗑️ Discarded in-progress test');
+    }
     
+    // ---- Seeded test forms ----
+    // Every test is generated from a 32-bit seed stored on the test and in
+    // testHistory. Each section draws from its own stream derived from the
+    // seed, so "Form 12" has the same reading section whether it's taken as
+    // a full test or reading-only. Same seed + same content banks → the same
+    // questions in the same option order.
+
+    // Form IDs are matched case- and spacing-insensitively ("form  12" = "Form 12")
+    normalizeFormId(formId) {
+        return String(formId || '').trim().replace(/\s+/g, ' ').toLowerCase();
+    }
+
+    /**
+     * Seed for a new test: options.seed (number or digit string) wins, then
+     * options.formId hashed, else a fresh random seed.
+     */
+    resolveTestSeed(options = {}) {
+        if (options.seed !== undefined && options.seed !== null && String(options.seed).trim() !== '') {
+            const seed = Number(String(options.seed).trim());
+            if (Number.isInteger(seed) && seed >= 0 && seed <= 0xFFFFFFFF) return seed;
+            throw new Error(`Invalid test seed "${options.seed}" (expected a whole number from 0 to 4294967295)`);
+        }
+        if (options.formId) {
+            return hashSeed(this.normalizeFormId(options.formId));
+        }
+        return Math.floor(Math.random() * 0x100000000);
+    }
+
+    seedSection(seed, sectionName) {
+        this.random = createSeededRandom(hashSeed(`${seed}:${sectionName}`));
+    }
+
     // Start a new test session
     startTest(options = {}) {
         const testId = this.generateTestId();
         const testType = options.type || 'full'; // 'full', 'listening', 'reading'
+        const seed = this.resolveTestSeed(options);
         
         this.currentTest = {
             id: testId,
@@ -1083,17 +1265,25 @@ class TOEICTestSimulator {
             currentQuestion: 0,
             answers: {},
             timeRemaining: this.calculateTimeRemaining(testType),
-            sections: this.initializeSections(testType),
+            seed: seed,
+            formId: options.formId ? String(options.formId).trim() : null,
+            sections: this.initializeSections(testType, seed),
+            scoreTable: options.scoreTable || this.getPreferredScoreTable(),
+            // Only a full test has both sections to pace and clock separately
+            examMode: testType === 'full' && (options.examMode ?? this.getExamModePreference()),
             score: null,
             results: null
         };
         
         this.testSessions.set(testId, this.currentTest);
+        this.stopPacedListening();
+        this.pacedStimulusKey = null;
 
         // Activate the first section so getCurrentQuestion() can serve questions
         this.startSection(this.currentTest.currentSection);
+        this.persistCurrentTest();
 
-        console.log(`🎯 Started TOEIC test: ${testType} (ID: ${testId})`);
+        console.log(`🎯 Started TOEIC test: ${testType} (ID: ${testId}, seed: ${seed})`);
         return this.currentTest;
     }
     
@@ -1112,10 +1302,11 @@ class TOEICTestSimulator {
         return 0;
     }
     
-    initializeSections(testType) {
+    initializeSections(testType, seed = this.resolveTestSeed()) {
         const sections = {};
         
         if (testType === 'full' || testType === 'listening') {
+            this.seedSection(seed, 'listening');
             sections.listening = {
                 status: 'pending',
                 startTime: null,
@@ -1128,6 +1319,7 @@ class TOEICTestSimulator {
         }
         
         if (testType === 'full' || testType === 'reading') {
+            this.seedSection(seed, 'reading');
             sections.reading = {
                 status: 'pending',
                 startTime: null,
@@ -1139,6 +1331,7 @@ class TOEICTestSimulator {
             };
         }
         
+        this.random = Math.random;
         return sections;
     }
     
@@ -1297,7 +1490,17 @@ class TOEICTestSimulator {
         const grammar = (typeof window !== 'undefined' && window.toeicGrammar) || null;
         if (!grammar || !grammar.practiceQuestions || grammar.practiceQuestions.size === 0) return null;
 
-        const pool = shuffleArray([...grammar.practiceQuestions.values()])
+        // Generated items draw from their own stream seeded off this.random
+        // (one draw whatever they consume), so a named form reproduces the
+        // same sentences and the rest of the section doesn't shift with them
+        const generated = typeof grammar.generateQuestions === 'function'
+            ? grammar.generateQuestions(Math.round(count * PART5_GENERATED_SHARE), {
+                random: createSeededRandom(Math.floor(this.random() * 0x100000000))
+            })
+            : [];
+        const bank = shuffleArray([...grammar.practiceQuestions.values()], this.random)
+            .slice(0, Math.max(count - generated.length, 0));
+        const pool = shuffleArray([...bank, ...generated], this.random)
             .filter(q => q && q.question && Array.isArray(q.options) &&
                 Number.isInteger(q.correctAnswer) && q.options[q.correctAnswer] !== undefined);
         if (pool.length === 0) return null;
@@ -1305,19 +1508,24 @@ class TOEICTestSimulator {
         const items = [];
         for (let i = 0; i < count; i++) {
             const src = pool[i % pool.length]; // cycles only if the bank has < count items
-            const shuffledItem = shuffleOptionsWithAnswer(src.options.map(stripOptionLetter), src.correctAnswer);
+            const shuffledItem = shuffleOptionsWithAnswer(src.options.map(stripOptionLetter), src.correctAnswer, this.random);
             items.push({
                 sentence: src.question,
                 options: shuffledItem.options,
                 correctAnswer: shuffledItem.correctAnswer,
-                explanation: src.explanation || null
+                explanation: src.explanation || null,
+                category: src.category || null,
+                grammarRule: src.grammarRule || null,
+                wordFamily: src.wordFamily || null
             });
         }
         return items;
     }
 
     // Part 7 passage groups from the reading system, grouped by passageId
-    // with companion texts resolved for double passages. Null if unavailable.
+    // with the companion texts of double and triple sets resolved into
+    // `documents` (companionPassage keeps the second text for older
+    // callers). Null if unavailable.
     buildPart7Groups() {
         const reading = (typeof window !== 'undefined' && window.toeicReading) || null;
         if (!reading || !reading.questions || reading.questions.size === 0 || !reading.passages) return null;
@@ -1329,30 +1537,65 @@ class TOEICTestSimulator {
             byPassage.get(question.passageId).push(question);
         }
 
+        const toDocument = p => ({
+            id: p.id,
+            type: p.type || null,
+            title: p.title || '',
+            content: p.content,
+            messages: Array.isArray(p.messages) ? p.messages : null
+        });
         const groups = [];
         for (const [passageId, groupQuestions] of byPassage) {
             const passage = reading.passages.get(passageId);
             if (!passage || !passage.content) continue;
-            const companion = passage.linkedPassageId
-                ? reading.passages.get(passage.linkedPassageId) || null
-                : null;
+            const documents = (typeof reading.getPassageDocuments === 'function'
+                ? reading.getPassageDocuments(passage)
+                : [passage]).map(toDocument);
             groups.push({
                 passageId: passageId,
-                passage: { id: passageId, title: passage.title || '', content: passage.content },
-                companionPassage: companion
-                    ? { id: companion.id, title: companion.title || '', content: companion.content }
-                    : null,
+                passage: documents[0],
+                companionPassage: documents[1] || null,
+                documents: documents,
                 questions: groupQuestions
             });
         }
         return groups.length > 0 ? groups : null;
     }
 
+    // Pick Part 7 sets in the real form's mix: whole triple and double sets
+    // up to PART7_MULTI_DOC_QUESTIONS, single texts for the rest. Sets are
+    // ordered single → double → triple as on the test. Returns [{group, take}].
+    selectPart7Groups(groups, target) {
+        const documentCount = group => Math.max(1, (group.documents || []).length);
+        const selection = [];
+        let remaining = target;
+
+        const sizes = Object.keys(PART7_MULTI_DOC_QUESTIONS).map(Number).sort((a, b) => b - a);
+        for (const size of sizes) {
+            let budget = Math.min(PART7_MULTI_DOC_QUESTIONS[size], remaining);
+            const sets = shuffleArray(groups.filter(g => documentCount(g) === size), this.random);
+            for (const group of sets) {
+                if (group.questions.length > budget) continue;
+                selection.push({ group: group, take: group.questions.length });
+                budget -= group.questions.length;
+                remaining -= group.questions.length;
+            }
+        }
+
+        // Whatever the multi-document quota didn't cover goes to single texts;
+        // a bank without any falls back to the unused sets
+        const used = new Set(selection.map(entry => entry.group));
+        const singles = groups.filter(g => documentCount(g) === 1);
+        const fill = this.fillPart7Groups(singles.length > 0 ? singles : groups.filter(g => !used.has(g)), remaining);
+
+        return [...fill, ...selection].sort((a, b) => documentCount(a.group) - documentCount(b.group));
+    }
+
     // Greedily select whole passage groups summing to exactly `target`
     // questions where possible; if not exactly reachable, the last group
     // is trimmed. Returns [{group, take}] entries.
-    selectPart7Groups(groups, target) {
-        const pool = shuffleArray(groups);
+    fillPart7Groups(groups, target) {
+        const pool = shuffleArray(groups, this.random);
         const selection = [];
         let remaining = target;
 
@@ -1427,6 +1670,9 @@ class TOEICTestSimulator {
                 options: item.options,
                 correctAnswer: item.correctAnswer,
                 explanation: item.explanation,
+                category: item.category || null,
+                grammarRule: item.grammarRule || null,
+                wordFamily: item.wordFamily || null,
                 timeLimit: cfg.incompleteSentences.timePerQuestion
             });
         }
@@ -1468,16 +1714,20 @@ class TOEICTestSimulator {
         let groups = this.buildPart7Groups();
         if (!groups) {
             // Internal fallback: rebuild the 2 sample passages as groups
-            groups = TOEIC_READING_COMPREHENSION_BANK.map((bankQuestions, idx) => ({
-                passageId: `internal_${idx + 1}`,
-                passage: { id: `internal_${idx + 1}`, title: '', content: this.generateReadingPassage(idx + 1) },
-                companionPassage: null,
-                questions: bankQuestions.map(q => ({
-                    question: q.question,
-                    options: q.options.map(stripOptionLetter),
-                    correctAnswer: q.correctAnswer
-                }))
-            }));
+            groups = TOEIC_READING_COMPREHENSION_BANK.map((bankQuestions, idx) => {
+                const passage = { id: `internal_${idx + 1}`, title: '', content: this.generateReadingPassage(idx + 1) };
+                return {
+                    passageId: passage.id,
+                    passage: passage,
+                    companionPassage: null,
+                    documents: [passage],
+                    questions: bankQuestions.map(q => ({
+                        question: q.question,
+                        options: q.options.map(stripOptionLetter),
+                        correctAnswer: q.correctAnswer
+                    }))
+                };
+            });
         }
 
         const selection = this.selectPart7Groups(groups, part7Target);
@@ -1495,9 +1745,12 @@ class TOEICTestSimulator {
                     passageId: group.passageId,
                     passage: group.passage,
                     companionPassage: group.companionPassage,
+                    documents: group.documents,
+                    subtype: item.subtype || null,
                     question: item.question,
                     options: (item.options || []).map(stripOptionLetter),
                     correctAnswer: item.correctAnswer,
+                    explanation: item.explanation || null,
                     timeLimit: cfg.readingComprehension.timePerQuestion
                 });
             }
@@ -1556,6 +1809,7 @@ The International Energy Agency predicts that renewable energy will account for
         section.startTime = Date.now();
         this.currentTest.currentSection = sectionName;
         this.currentTest.currentQuestion = 0;
+        this.currentTest.questionShownAt = Date.now();
         
         console.log(`📝 Started ${sectionName} section`);
         return true;
@@ -1582,21 +1836,54 @@ The International Energy Agency predicts that renewable energy will account for
         };
     }
     
-    // Answer current question
-    answerQuestion(answer, timeSpent = 0) {
+    // Charge the time since the current question was shown to it. Revisits
+    // add up, so the review shows total time per question, not last visit.
+    trackQuestionTime() {
+        const test = this.currentTest;
+        if (!test) return 0;
+
+        const now = Date.now();
+        const section = test.sections[test.currentSection];
+        const question = section?.questions?.[test.currentQuestion];
+        if (!question || section.status !== 'in_progress') {
+            test.questionShownAt = now;
+            return 0;
+        }
+
+        section.timeSpent = section.timeSpent || {};
+        if (test.questionShownAt) {
+            section.timeSpent[question.number] = (section.timeSpent[question.number] || 0) + (now - test.questionShownAt);
+        }
+        test.questionShownAt = now;
+        return section.timeSpent[question.number] || 0;
+    }
+
+    // Record an answer for the current question without moving on
+    // (answer-sheet bubbles fill as soon as an option is picked)
+    setAnswer(answer, timeSpent = 0) {
         if (!this.currentTest) return false;
         
         const section = this.currentTest.sections[this.currentTest.currentSection];
         if (!section || section.status !== 'in_progress') return false;
         
-        const questionNumber = section.questions[this.currentTest.currentQuestion].number;
+        const question = section.questions[this.currentTest.currentQuestion];
+        if (!question) return false;
+        const trackedTime = this.trackQuestionTime();
         
-        // Record answer
-        section.answers[questionNumber] = {
+        section.answers[question.number] = {
             answer: answer,
-            timeSpent: timeSpent,
+            timeSpent: timeSpent || trackedTime,
             timestamp: Date.now()
         };
+        this.persistCurrentTest();
+        return true;
+    }
+
+    // Answer current question
+    answerQuestion(answer, timeSpent = 0) {
+        if (!this.setAnswer(answer, timeSpent)) return false;
+        
+        const section = this.currentTest.sections[this.currentTest.currentSection];
         
         // Move to next question
         this.currentTest.currentQuestion++;
@@ -1606,6 +1893,7 @@ The International Energy Agency predicts that renewable energy will account for
             this.completeSection(this.currentTest.currentSection);
         }
         
+        this.persistCurrentTest();
         return true;
     }
     
@@ -1616,14 +1904,17 @@ The International Energy Agency predicts that renewable energy will account for
         const section = this.currentTest.sections[this.currentTest.currentSection];
         if (!section || section.status !== 'in_progress') return false;
         
+        this.trackQuestionTime();
         this.currentTest.currentQuestion++;
         
         // Check if section is complete
         if (this.currentTest.currentQuestion >= section.questions.length) {
             this.completeSection(this.currentTest.currentSection);
+            this.persistCurrentTest();
             return false; // No more questions in this section
         }
         
+        this.persistCurrentTest();
         return true;
     }
     
@@ -1633,20 +1924,271 @@ The International Energy Agency predicts that renewable energy will account for
         
         const section = this.currentTest.sections[this.currentTest.currentSection];
         if (!section || section.status !== 'in_progress') return false;
+        if (!this.canGoBack()) return false;
         
         if (this.currentTest.currentQuestion > 0) {
+            this.trackQuestionTime();
             this.currentTest.currentQuestion--;
+            this.persistCurrentTest();
             return true;
         }
         
         return false;
     }
     
+    // ---- Exam-realistic timing ----
+    // In exam mode (full tests only) listening is paced by the audio: each
+    // item plays once, answers are taken during a fixed response gap, and
+    // there is no going back. Each section also runs on its own clock, so
+    // reading always gets its full 75 minutes and the UI calls
+    // expireSection() when the current section's clock reaches zero.
+
+    isExamMode() {
+        return !!(this.currentTest && this.currentTest.examMode);
+    }
+
+    isAudioPaced() {
+        return this.isExamMode() && this.currentTest.currentSection === 'listening';
+    }
+
+    canGoBack() {
+        return !!this.currentTest && !this.isAudioPaced();
+    }
+
+    getSectionTimeLimit(sectionName) {
+        return this.testConfig[sectionName]?.timeLimit || 0;
+    }
+
+    getResponseGap(question) {
+        return this.testConfig.listening.sections[question?.type]?.responseGap || 5000;
+    }
+
+    /**
+     * TTS parts ({ text, voiceHint, pauseAfterMs }) for a listening question.
+     * options.includeStimulus: false skips the Part 3/4 conversation or talk
+     * (already played for an earlier question in the set);
+     * options.includeQuestion: true also reads the Part 3/4 question aloud.
+     */
+    buildListeningAudio(question, options = {}) {
+        const parts = [];
+        const letters = ['A', 'B', 'C', 'D'];
+        const includeStimulus = options.includeStimulus !== false;
+
+        if (question.type === 'photographs') {
+            (question.spokenStatements || []).forEach((statement, i) => {
+                parts.push({ text: `${letters[i]}. ${statement}`, voiceHint: null, pauseAfterMs: 700 });
+            });
+        } else if (question.type === 'questionResponse') {
+            if (question.spokenQuestion) {
+                parts.push({ text: question.spokenQuestion, voiceHint: 'M', pauseAfterMs: 900 });
+            }
+            (question.spokenResponses || []).forEach((response, i) => {
+                parts.push({ text: `${letters[i]}. ${response}`, voiceHint: 'W', pauseAfterMs: 700 });
+            });
+        } else if (question.type === 'conversations') {
+            if (includeStimulus) {
+                (question.conversation || []).forEach(line => {
+                    if (!line || !line.text) return;
+                    const speaker = (line.speaker || 'M').charAt(0).toUpperCase() === 'W' ? 'W' : 'M';
+                    parts.push({ text: line.text, voiceHint: speaker, pauseAfterMs: 350 });
+                });
+            }
+        } else if (question.type === 'talks') {
+            if (includeStimulus && question.talk) {
+                parts.push({ text: question.talk, voiceHint: 'M', pauseAfterMs: 0 });
+            }
+        }
+
+        if (options.includeQuestion && question.question && (question.type === 'conversations' || question.type === 'talks')) {
+            const last = parts[parts.length - 1];
+            if (last) last.pauseAfterMs = Math.max(last.pauseAfterMs, 900);
+            parts.push({ text: question.question, voiceHint: null, pauseAfterMs: 0 });
+        }
+
+        return parts;
+    }
+
+    /**
+     * Play the current listening question once, wait its response gap, then
+     * record whatever is selected and move on.
+     * callbacks: getAnswer() → option index or null, onPhase(phase, gapMs)
+     * with 'playing'/'answering', onAdvance(nextQuestion or null).
+     */
+    playPacedListening(callbacks = {}) {
+        const question = this.getCurrentQuestion();
+        if (!question || !this.isAudioPaced()) return false;
+
+        this.stopPacedListening();
+        const token = this.pacingToken;
+
+        // A Part 3/4 set plays its conversation/talk once, before its first
+        // question; after a reload mid-set it plays again so the set is answerable
+        const stimulusKey = question.part >= 3
+            ? `${question.part}-${question.conversationNumber || question.talkNumber}`
+            : null;
+        const includeStimulus = !stimulusKey || stimulusKey !== this.pacedStimulusKey;
+        this.pacedStimulusKey = stimulusKey;
+
+        const gapMs = this.getResponseGap(question);
+        const openAnswerWindow = () => {
+            if (token !== this.pacingToken) return;
+            if (callbacks.onPhase) callbacks.onPhase('answering', gapMs);
+            this.pacingTimer = setTimeout(() => {
+                if (token !== this.pacingToken) return;
+                this.pacingTimer = null;
+                this.advancePacedListening(callbacks);
+            }, gapMs);
+        };
+
+        if (callbacks.onPhase) callbacks.onPhase('playing', gapMs);
+        const parts = this.buildListeningAudio(question, { includeStimulus, includeQuestion: true });
+        const audio = typeof window !== 'undefined' ? window.audioSystem : null;
+        if (audio && typeof audio.speakSequence === 'function' && parts.length > 0) {
+            // Without TTS support speakSequence resolves false at once; the
+            // answer window still opens so the section keeps moving
+            Promise.resolve(audio.speakSequence(parts)).then(openAnswerWindow, openAnswerWindow);
+        } else {
+            openAnswerWindow();
+        }
+        return true;
+    }
+
+    advancePacedListening(callbacks = {}) {
+        const question = this.getCurrentQuestion();
+        if (!question) return;
+
+        const answer = callbacks.getAnswer ? callbacks.getAnswer() : null;
+        if (Number.isInteger(answer)) {
+            this.answerQuestion(answer, this.getResponseGap(question));
+        } else {
+            this.nextQuestion();
+        }
+        if (callbacks.onAdvance) callbacks.onAdvance(this.getCurrentQuestion());
+    }
+
+    // Cancel the pending audio/answer window (navigation, submit, leaving the test)
+    stopPacedListening() {
+        this.pacingToken++;
+        if (this.pacingTimer) {
+            clearTimeout(this.pacingTimer);
+            this.pacingTimer = null;
+        }
+        if (typeof window !== 'undefined') {
+            window.audioSystem?.cancelSpeech?.();
+        }
+    }
+
+    /**
+     * The current section's own clock ran out (exam mode): close it, which
+     * starts the next section. Returns true if a section is still running.
+     */
+    expireSection(sectionName = this.currentTest?.currentSection) {
+        if (!this.isExamMode()) return false;
+
+        const section = this.currentTest.sections[sectionName];
+        if (!section || section.status !== 'in_progress') return false;
+
+        if (sectionName === 'listening') {
+            this.stopPacedListening();
+            this.pacedStimulusKey = null;
+        }
+        console.log(`⏰ ${sectionName} section time is up`);
+        this.completeSection(sectionName);
+        this.persistCurrentTest();
+
+        return this.getCurrentQuestion() !== null;
+    }
+
+    // ---- Flags and answer-sheet navigation ----
+    // Flags live in currentTest.answers keyed by question number (1–200),
+    // next to the per-section answer sheets, so they survive section changes
+    // and show up in the post-test review.
+
+    isFlagged(questionNumber) {
+        return !!this.currentTest?.answers?.[questionNumber]?.flagged;
+    }
+
+    // Toggle the flag on a question (default: the current one); returns the new state
+    toggleFlag(questionNumber = this.getCurrentQuestion()?.number) {
+        if (!this.currentTest || questionNumber === undefined) return false;
+
+        const answers = this.currentTest.answers = this.currentTest.answers || {};
+        const flagged = !this.isFlagged(questionNumber);
+        answers[questionNumber] = { ...(answers[questionNumber] || {}), flagged: flagged };
+        this.persistCurrentTest();
+        return flagged;
+    }
+
+    // Jump within the current section (not in audio-paced listening)
+    jumpToQuestion(index) {
+        if (!this.currentTest || !this.canGoBack()) return false;
+
+        const section = this.currentTest.sections[this.currentTest.currentSection];
+        if (!section || section.status !== 'in_progress') return false;
+        if (!Number.isInteger(index) || index < 0 || index >= section.questions.length) return false;
+
+        this.trackQuestionTime();
+        this.currentTest.currentQuestion = index;
+        this.persistCurrentTest();
+        return true;
+    }
+
+    // Bubble-sheet state for every question in a section
+    getAnswerSheet(sectionName = this.currentTest?.currentSection) {
+        const section = this.currentTest?.sections?.[sectionName];
+        if (!section) return [];
+
+        const isCurrent = sectionName === this.currentTest.currentSection;
+        return section.questions.map((question, index) => ({
+            index: index,
+            number: question.number,
+            part: question.part,
+            answered: Number.isInteger(section.answers?.[question.number]?.answer),
+            flagged: this.isFlagged(question.number),
+            current: isCurrent && index === this.currentTest.currentQuestion
+        }));
+    }
+
+    // Last question of the last section: "Next" would end the test
+    isOnLastQuestion() {
+        const test = this.currentTest;
+        const section = test?.sections?.[test.currentSection];
+        if (!section || section.status !== 'in_progress') return false;
+
+        const morePending = Object.values(test.sections).some(s => s.status === 'pending');
+        return !morePending && test.currentQuestion >= section.questions.length - 1;
+    }
+
+    // Unanswered/flagged counts across the whole test, shown before submitting
+    getSubmitSummary() {
+        const summary = { total: 0, answered: 0, unanswered: 0, flagged: 0, sections: {} };
+        if (!this.currentTest) return summary;
+
+        for (const sectionName of Object.keys(this.currentTest.sections)) {
+            const sheet = this.getAnswerSheet(sectionName);
+            const answered = sheet.filter(entry => entry.answered).length;
+            const flagged = sheet.filter(entry => entry.flagged).length;
+            summary.sections[sectionName] = {
+                total: sheet.length,
+                answered: answered,
+                unanswered: sheet.length - answered,
+                flagged: flagged
+            };
+            summary.total += sheet.length;
+            summary.answered += answered;
+            summary.flagged += flagged;
+        }
+        summary.unanswered = summary.total - summary.answered;
+        return summary;
+    }
+
     // Submit the test
     submitTest() {
         if (!this.currentTest) return null;
         
         console.log('📝 Submitting TOEIC test...');
+        this.stopPacedListening();
+        this.trackQuestionTime();
         
         // Complete any remaining sections
         for (const [sectionName, section] of Object.entries(this.currentTest.sections)) {
@@ -1671,6 +2213,9 @@ The International Energy Agency predicts that renewable energy will account for
         const section = this.currentTest.sections[sectionName];
         if (!section) return false;
         
+        if (sectionName === this.currentTest.currentSection) {
+            this.trackQuestionTime();
+        }
         section.status = 'completed';
         section.endTime = Date.now();
         section.score = this.calculateSectionScore(section, sectionName);
@@ -1701,17 +2246,20 @@ The International Energy Agency predicts that renewable energy will account for
             }
         }
 
-        const rawScore = Math.round((correctAnswers / totalQuestions) * 100);
-        // Score with the conversion table for this section, not the section's status
-        const scoringTable = this.scoringSystem[sectionName] || this.scoringSystem.listening;
-        const scaledScore = scoringTable.rawToScaled[rawScore];
+        // Conversion tables are keyed on the raw correct count, not a percentage
+        const conversion = this.scoreConverter.convert(
+            sectionName, correctAnswers, totalQuestions, this.currentTest?.scoreTable
+        );
 
         return {
-            raw: rawScore,
-            scaled: scaledScore,
+            raw: correctAnswers,
+            scaled: conversion.scaled,
+            range: conversion.range,
+            standardError: conversion.standardError,
+            table: conversion.table,
             correct: correctAnswers,
             total: totalQuestions,
-            accuracy: Math.round((correctAnswers / totalQuestions) * 100)
+            accuracy: totalQuestions > 0 ? Math.round((correctAnswers / totalQuestions) * 100) : 0
         };
     }
     
@@ -1751,6 +2299,8 @@ The International Energy Agency predicts that renewable energy will account for
         this.testHistory.push({
             id: this.currentTest.id,
             type: this.currentTest.type,
+            seed: this.currentTest.seed,
+            formId: this.currentTest.formId || null,
             date: new Date().toISOString(),
             completedAt: new Date().toISOString(),
             score: this.currentTest.score,
@@ -1759,6 +2309,7 @@ The International Energy Agency predicts that renewable energy will account for
         });
 
         this.saveTestHistory();
+        this.clearSavedTest();
 
         console.log(`🎯 Test completed! Total score: ${this.currentTest.score.total}`);
 
@@ -1769,24 +2320,18 @@ The International Energy Agency predicts that renewable energy will account for
     calculateTotalScore() {
         if (!this.currentTest) return null;
         
-        let listeningScore = 0;
-        let readingScore = 0;
-        
-        if (this.currentTest.sections.listening) {
-            listeningScore = this.currentTest.sections.listening.score.scaled;
-        }
-        
-        if (this.currentTest.sections.reading) {
-            readingScore = this.currentTest.sections.reading.score.scaled;
-        }
-        
-        const total = listeningScore + readingScore;
+        const listeningScore = this.currentTest.sections.listening?.score || null;
+        const readingScore = this.currentTest.sections.reading?.score || null;
+        const combined = this.scoreConverter.combine([listeningScore, readingScore]);
         
         return {
-            listening: listeningScore,
-            reading: readingScore,
-            total: total,
-            level: this.getProficiencyLevel(total)
+            listening: listeningScore ? listeningScore.scaled : 0,
+            reading: readingScore ? readingScore.scaled : 0,
+            total: combined.total,
+            range: combined.range,
+            confidence: combined.confidence,
+            table: this.currentTest.scoreTable,
+            level: this.getProficiencyLevel(combined.total)
         };
     }
     
@@ -1807,6 +2352,8 @@ The International Energy Agency predicts that renewable energy will account for
         
         const results = {
             overall: this.currentTest.score,
+            seed: this.currentTest.seed,
+            formId: this.currentTest.formId || null,
             sections: {},
             recommendations: [],
             strengths: [],
@@ -1824,6 +2371,10 @@ The International Energy Agency predicts that renewable energy will account for
             }
         }
         
+        // Per-part and per-subtype accuracy travels with the results into
+        // history; the per-question review is rebuilt from the test itself
+        results.breakdown = this.getAccuracyBreakdown();
+        
         // Generate recommendations
         results.recommendations = this.generateRecommendations(results);
         
@@ -1867,6 +2418,150 @@ The International Energy Agency predicts that renewable energy will account for
         return performance;
     }
     
+    // ---- Answer review ----
+
+    /**
+     * Question subtype used for the review breakdown. Explicit tags win
+     * (Part 7 questions carry one, see READING_SUBTYPES in
+     * toeic-reading-system.js); otherwise it's inferred from the part and
+     * the question stem. Cross-reference is only ever tagged.
+     */
+    classifyQuestionSubtype(question) {
+        if (!question) return 'other';
+        if (question.subtype) return question.subtype;
+
+        if (question.part === 1) return 'photo';
+
+        if (question.part === 2) {
+            const spoken = (question.spokenQuestion || '').trim();
+            if (/^(who|what|when|where|why|how|which|whose)\b/i.test(spoken)) return 'whQuestion';
+            if (/\?$/.test(spoken) && /\bor\b/i.test(spoken)) return 'choiceQuestion';
+            if (/\?$/.test(spoken)) return 'yesNoQuestion';
+            return 'statement';
+        }
+
+        if (question.part === 5 || question.part === 6) {
+            const options = (question.options || []).map(option => String(option).trim());
+            // Part 6 sentence-insertion blanks offer whole sentences
+            if (question.part === 6 && options.length > 0 && options.every(option => option.split(/\s+/).length >= 5)) {
+                return 'sentenceInsertion';
+            }
+            if (question.category === 'word_forms') return 'wordForm';
+            if (question.category) return question.category;
+            // Options built on one stem (decide / decision / decisive) test word form
+            const stem = options[0] ? options[0].toLowerCase().slice(0, 4) : '';
+            if (stem.length === 4 && options.every(option => option.toLowerCase().startsWith(stem))) return 'wordForm';
+            return 'vocabulary';
+        }
+
+        // Parts 3, 4 and 7: read the stem
+        const stem = question.question || '';
+        if (/look at the graphic/i.test(stem)) return 'graphic';
+        if (/positions marked \[1\]/i.test(stem)) return 'sentenceInsertion';
+        if (/mean[s]? when|why does .+ (say|write)|what does .+ imply when/i.test(stem)) return 'intent';
+        if (/closest in meaning/i.test(stem)) return 'vocabInContext';
+        if (/\bNOT\b|true about|stated about|mentioned about/.test(stem)) return 'notTrue';
+        if (/main (purpose|topic|idea|subject)|mainly (about|discuss)|purpose of|why is .+ (calling|writing)|what is being (advertised|announced)/i.test(stem)) return 'mainIdea';
+        if (/most likely|probably|infer|impl(y|ied)|suggested about|indicated about/i.test(stem)) return 'inference';
+        if (/(do|happen) next|will .+ (do|happen)|suggest|recommend|offer to|ask .+ to|request/i.test(stem)) return 'action';
+        return 'detail';
+    }
+
+    // Spoken script of a listening question as [{ speaker, text, correct }]
+    getQuestionTranscript(question) {
+        const letters = ['A', 'B', 'C', 'D'];
+        if (question.type === 'photographs') {
+            return (question.spokenStatements || []).map((text, i) => ({
+                speaker: letters[i], text: text, correct: i === question.correctAnswer
+            }));
+        }
+        if (question.type === 'questionResponse') {
+            const lines = question.spokenQuestion ? [{ speaker: 'Q', text: question.spokenQuestion, correct: false }] : [];
+            return lines.concat((question.spokenResponses || []).map((text, i) => ({
+                speaker: letters[i], text: text, correct: i === question.correctAnswer
+            })));
+        }
+        if (question.type === 'conversations') {
+            return (question.conversation || [])
+                .filter(line => line && line.text)
+                .map(line => ({ speaker: line.speaker || 'M', text: line.text, correct: false }));
+        }
+        if (question.type === 'talks') {
+            return question.talk ? [{ speaker: question.talkType || 'talk', text: question.talk, correct: false }] : [];
+        }
+        return [];
+    }
+
+    // Display text of an option (Parts 1/2 options are bare letters; the text is spoken)
+    getOptionText(question, index) {
+        if (!Number.isInteger(index)) return '';
+        if (question.type === 'photographs') return question.spokenStatements?.[index] || '';
+        if (question.type === 'questionResponse') return question.spokenResponses?.[index] || '';
+        return question.options?.[index] ?? '';
+    }
+
+    /**
+     * Every question of the current (usually just completed) test with the
+     * chosen and correct answers, explanation, transcript and time spent.
+     */
+    getAnswerReview(test = this.currentTest) {
+        if (!test || !test.sections) return [];
+
+        const items = [];
+        for (const [sectionName, section] of Object.entries(test.sections)) {
+            for (const question of section.questions || []) {
+                const answer = section.answers?.[question.number];
+                const chosen = answer && Number.isInteger(answer.answer) ? answer.answer : null;
+                items.push({
+                    number: question.number,
+                    section: sectionName,
+                    part: question.part,
+                    subtype: this.classifyQuestionSubtype(question),
+                    prompt: question.sentence || question.question || '',
+                    passage: question.passage || null,
+                    companionPassage: question.companionPassage || null,
+                    documents: question.documents || null,
+                    chosen: chosen,
+                    chosenText: this.getOptionText(question, chosen),
+                    correctAnswer: question.correctAnswer,
+                    correctText: this.getOptionText(question, question.correctAnswer),
+                    answered: chosen !== null,
+                    correct: chosen !== null && chosen === question.correctAnswer,
+                    flagged: !!test.answers?.[question.number]?.flagged,
+                    timeSpent: section.timeSpent?.[question.number] ?? answer?.timeSpent ?? 0,
+                    explanation: question.explanation || null,
+                    wordFamily: question.wordFamily || null,
+                    transcript: sectionName === 'listening' ? this.getQuestionTranscript(question) : []
+                });
+            }
+        }
+        return items.sort((a, b) => a.number - b.number);
+    }
+
+    // Accuracy by Part 1–7 and by subtype within each part; unanswered counts as wrong
+    getAccuracyBreakdown(items = this.getAnswerReview()) {
+        const byPart = {};
+        const bySubtype = {};
+        const tally = (bucket, item) => {
+            bucket.total++;
+            if (item.correct) bucket.correct++;
+            bucket.accuracy = Math.round((bucket.correct / bucket.total) * 100);
+        };
+
+        for (const item of items) {
+            if (!byPart[item.part]) byPart[item.part] = { part: item.part, correct: 0, total: 0, accuracy: 0 };
+            tally(byPart[item.part], item);
+
+            const key = `${item.part}:${item.subtype}`;
+            if (!bySubtype[key]) {
+                bySubtype[key] = { part: item.part, subtype: item.subtype, correct: 0, total: 0, accuracy: 0 };
+            }
+            tally(bySubtype[key], item);
+        }
+
+        return { byPart, bySubtype };
+    }
+    
     // Generate recommendations
     generateRecommendations(results) {
         const recommendations = [];
@@ -1961,8 +2656,10 @@ The International Energy Agency predicts that renewable energy will account for
     pauseTest() {
         if (!this.currentTest || this.currentTest.status !== 'in_progress') return false;
         
+        this.trackQuestionTime();
         this.currentTest.status = 'paused';
         this.currentTest.pausedAt = Date.now();
+        this.persistCurrentTest();
         
         console.log('⏸️ Test paused');
         return true;
@@ -1979,6 +2676,8 @@ The International Energy Agency predicts that renewable energy will account for
             this.currentTest.totalPausedTime = (this.currentTest.totalPausedTime || 0) + pauseDuration;
             delete this.currentTest.pausedAt;
         }
+        this.currentTest.questionShownAt = Date.now();
+        this.persistCurrentTest();
 
         console.log('▶️ Test resumed');
         return true;
@@ -2008,7 +2707,10 @@ The International Energy Agency predicts that renewable energy will account for
             this.currentTest.endTime = Date.now();
         }
         
+        this.stopPacedListening();
+        this.pacedStimulusKey = null;
         this.currentTest = null;
+        this.clearSavedTest();
         console.log('🔄 Test reset');
     }
 }
@@ -23,7 +23,25 @@ class TOEICVocabularySystem {
             'C1': { minScore: 801, maxScore: 990, color: '#EF4444' }
         };
         
-        this.loadVocabulary();
+        // CEFR levels new words are drawn from (empty = all levels); words
+        // already in progress are reviewed whatever their level
+        this.levelFilter = this.loadLevelFilter();
+        
+        // Words the student imported (Anki decks, CSV lists); merged after
+        // the CSV so built-in entries win on duplicates
+        this.userWords = this.loadUserWords();
+        
+        // Named personal decks: [{ id, name, words: [...], createdAt }]
+        this.decks = this.loadDecks();
+        
+        // Related forms (accomplish / accomplishment / accomplished),
+        // keyed by family id and indexed by every form
+        this.wordFamilies = new Map();
+        this.familyIndex = new Map();
+        
+        // Content packs wait on this before merging their words
+        this.ready = Promise.all([this.loadVocabulary(), this.loadWordFamilies()])
+            .then(() => this.mergeUserWords());
         this.loadUserProgress();
         this.initializeSpacedRepetition();
         
@@ -102,6 +120,48 @@ class TOEICVocabularySystem {
         }
     }
     
+    // assets/data/word-families.json: { version, families: [{ id, forms:
+    // [{ word, pos, example }] }] }. Optional — without it word-form
+    // exercises fall back to families derived from the word list.
+    async loadWordFamilies() {
+        try {
+            const response = await fetch('assets/data/word-families.json');
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+            const data = await response.json();
+            (data.families || []).forEach(family => this.addWordFamily(family));
+            console.log(`🌳 Loaded ${this.wordFamilies.size} word families`);
+        } catch (error) {
+            console.warn('⚠️ Word families not loaded:', error.message);
+        }
+    }
+    
+    addWordFamily(family) {
+        if (!family || !/^[\w-]+$/.test(family.id || '') || !Array.isArray(family.forms)) return false;
+        const forms = family.forms
+            .filter(form => form && typeof form.word === 'string' && form.word.trim())
+            .map(form => ({
+                word: form.word.trim(),
+                pos: String(form.pos || ''),
+                example: String(form.example || '')
+            }));
+        if (forms.length < 2) return false;
+        this.wordFamilies.set(family.id, { id: family.id, forms });
+        forms.forEach(form => this.familyIndex.set(form.word.toLowerCase(), family.id));
+        return true;
+    }
+    
+    // Family of a word-list word, any of its forms or an inflection
+    // ("accomplished", "acquisitions"), or null
+    getWordFamily(text) {
+        const lower = String(text || '').trim().toLowerCase();
+        const id = this.familyIndex.get(lower) ||
+            this.familyIndex.get(String(this.lookupWord(text) || '').toLowerCase()) ||
+            this.getLemmaCandidates(lower).map(candidate => this.familyIndex.get(candidate)).find(Boolean);
+        return id ? this.wordFamilies.get(id) : null;
+    }
+    
     parseCSVLine(line) {
         const result = [];
         let current = '';
@@ -169,9 +229,336 @@ class TOEICVocabularySystem {
         console.log('🔄 Force reloading vocabulary from CSV...');
         this.vocabulary.clear(); // Clear existing vocabulary
         await this.loadVocabulary();
+        this.mergeUserWords();
         return this.vocabulary.size;
     }
     
+    // Merge a content pack's word list (see content-pack-loader.js). Words
+    // already loaded keep their CSV entry; returns the skipped words. Like
+    // validateContentPack(), "Agenda" and "agenda" count as the same word.
+    addWords(words = [], source = null) {
+        const skipped = [];
+        const known = new Set(Array.from(this.vocabulary.keys(), key => key.toLowerCase()));
+        words.forEach(entry => {
+            const word = entry.word.trim();
+            if (known.has(word.toLowerCase())) {
+                skipped.push(`word ${word} (already in the word list)`);
+                return;
+            }
+            known.add(word.toLowerCase());
+            this.vocabulary.set(word, {
+                word,
+                level: entry.level || 'B1',
+                meaning: entry.meaning.trim(),
+                examples: (entry.examples || []).filter(ex => ex && ex.trim()),
+                category: entry.category || 'general',
+                frequency: entry.frequency || 'medium',
+                partOfSpeech: entry.partOfSpeech || 'noun',
+                source,
+                masteryLevel: 0,
+                lastReviewed: null,
+                reviewCount: 0,
+                correctCount: 0,
+                incorrectCount: 0
+            });
+        });
+        return skipped;
+    }
+    
+    loadUserWords() {
+        try {
+            const saved = JSON.parse(localStorage.getItem('toeicUserVocabulary') || '[]');
+            return Array.isArray(saved) ? saved : [];
+        } catch (error) {
+            console.error('❌ Error loading imported vocabulary:', error);
+            return [];
+        }
+    }
+    
+    saveUserWords() {
+        try {
+            localStorage.setItem('toeicUserVocabulary', JSON.stringify(this.userWords));
+        } catch (error) {
+            console.error('❌ Error saving imported vocabulary:', error);
+        }
+    }
+    
+    mergeUserWords() {
+        const skipped = this.addWords(this.userWords, 'user');
+        if (this.userWords.length > 0) {
+            console.log(`📥 Merged ${this.userWords.length - skipped.length} imported words`);
+        }
+    }
+    
+    getUserWordCount(source = null) {
+        return this.userWords.filter(entry => !source || entry.importedFrom === source).length;
+    }
+    
+    // Add imported words: [{ word, meaning, examples, tags, category, review }]
+    // where review (optional) is { interval, easeFactor, nextReviewDate,
+    // lastReviewed, reviewCount, lapses } from the source deck. Words already
+    // in the list are skipped, so re-importing a deck is harmless.
+    importUserWords(entries = [], source = 'anki') {
+        const scheduler = this.getScheduler();
+        let added = 0;
+        let skipped = 0;
+        
+        entries.forEach(entry => {
+            const word = this.createUserWord(entry, source);
+            if (!word) {
+                skipped++;
+                return;
+            }
+            added++;
+            
+            // Cards already learned in the source deck keep their schedule
+            const review = entry.review;
+            if (review && review.lastReviewed && !this.userProgress.has(word)) {
+                const lapses = review.lapses || 0;
+                this.userProgress.set(word, {
+                    masteryLevel: Math.min(6, Math.round(Math.log2((review.interval || 1) + 1))),
+                    lastReviewed: new Date(review.lastReviewed).getTime(),
+                    reviewCount: review.reviewCount || 0,
+                    correctCount: Math.max(0, (review.reviewCount || 0) - lapses),
+                    incorrectCount: lapses
+                });
+                if (scheduler) scheduler.importLegacySchedule(word, review);
+            }
+        });
+        
+        this.saveUserWords();
+        this.saveUserProgress();
+        if (scheduler) scheduler.saveSchedules();
+        console.log(`📥 Imported ${added} words from ${source} (${skipped} skipped)`);
+        return { added, skipped };
+    }
+    
+    // Add one word to the user set; null if it's empty, has no meaning or
+    // is already in the word list. Caller saves.
+    createUserWord(entry, source) {
+        // Card text is rendered as HTML; user text must stay plain
+        const clean = value => String(value || '').replace(/[<>]/g, '').trim();
+        const word = clean(entry.word);
+        const meaning = clean(entry.meaning);
+        if (!word || !meaning) return null;
+        
+        const tags = entry.tags || [];
+        const levelTag = tags.map(tag => String(tag).replace(/^level::/i, '').toUpperCase())
+            .find(tag => /^(A1|A2|B1|B2|C1|C2)$/.test(tag));
+        const userWord = {
+            word,
+            level: levelTag === 'C2' ? 'C1' : levelTag || 'B1',
+            meaning,
+            examples: (entry.examples || []).map(clean).filter(Boolean),
+            category: clean(entry.category) || source,
+            frequency: 'medium',
+            partOfSpeech: clean(entry.partOfSpeech) || 'noun',
+            importedFrom: source
+        };
+        if (this.addWords([userWord], 'user').length > 0) return null;
+        this.userWords.push(userWord);
+        return word;
+    }
+    
+    // Forget words imported from `source` (their review history stays, in
+    // case they come back). Words typed into decks by hand are kept.
+    clearUserWords(source = 'anki') {
+        const removed = this.userWords.filter(entry => entry.importedFrom === source);
+        removed.forEach(entry => {
+            const current = this.vocabulary.get(entry.word);
+            if (current && current.source === 'user') this.vocabulary.delete(entry.word);
+        });
+        this.userWords = this.userWords.filter(entry => entry.importedFrom !== source);
+        this.saveUserWords();
+        return removed.length;
+    }
+    
+    // Every word with its review state, for AnkiPackage.buildApkg()
+    getAnkiExportEntries() {
+        const scheduler = this.getScheduler();
+        return Array.from(this.vocabulary.values()).map(data => ({
+            word: data.word,
+            meaning: data.meaning,
+            example: (data.examples || []).join('\n'),
+            partOfSpeech: data.partOfSpeech,
+            tags: ['toeic', data.level, data.category].filter(Boolean),
+            review: scheduler ? scheduler.getSchedule(data.word) : null
+        }));
+    }
+    
+    loadDecks() {
+        try {
+            const saved = JSON.parse(localStorage.getItem('toeicUserDecks') || '[]');
+            return Array.isArray(saved) ? saved.filter(deck => this.isValidDeck(deck)) : [];
+        } catch (error) {
+            console.error('❌ Error loading decks:', error);
+            return [];
+        }
+    }
+    
+    // Deck ids end up in onclick handlers, so only plain ids are accepted
+    isValidDeck(deck) {
+        return Boolean(deck) && /^[\w-]+$/.test(deck.id || '') && typeof deck.name === 'string' && Array.isArray(deck.words);
+    }
+    
+    saveDecks() {
+        try {
+            localStorage.setItem('toeicUserDecks', JSON.stringify(this.decks));
+        } catch (error) {
+            console.error('❌ Error saving decks:', error);
+        }
+    }
+    
+    getDecks() {
+        return this.decks.map(deck => ({ ...deck, words: [...deck.words] }));
+    }
+    
+    getDeck(deckId) {
+        return this.decks.find(deck => deck.id === deckId) || null;
+    }
+    
+    createDeck(name) {
+        const trimmed = String(name || '').replace(/[<>]/g, '').trim();
+        if (!trimmed) return null;
+        const deck = {
+            id: `deck_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+            name: trimmed,
+            words: [],
+            createdAt: Date.now()
+        };
+        this.decks.push(deck);
+        this.saveDecks();
+        return deck;
+    }
+    
+    renameDeck(deckId, name) {
+        const deck = this.getDeck(deckId);
+        const trimmed = String(name || '').replace(/[<>]/g, '').trim();
+        if (!deck || !trimmed) return false;
+        deck.name = trimmed;
+        this.saveDecks();
+        return true;
+    }
+    
+    deleteDeck(deckId) {
+        const before = this.decks.length;
+        this.decks = this.decks.filter(deck => deck.id !== deckId);
+        this.saveDecks();
+        return this.decks.length < before;
+    }
+    
+    // Word-list key for text picked on a page ("Agenda", "agenda.")
+    findWord(text) {
+        const cleaned = String(text || '').trim().replace(/^[^\p{L}]+|[^\p{L}]+$/gu, '');
+        if (!cleaned) return null;
+        if (this.vocabulary.has(cleaned)) return cleaned;
+        const lower = cleaned.toLowerCase();
+        for (const word of this.vocabulary.keys()) {
+            if (word.toLowerCase() === lower) return word;
+        }
+        return null;
+    }
+    
+    // Word-list entry for a word as it appears in running text: exact or
+    // case-insensitive match first, then common inflections
+    // ("acquired" → "acquire", "companies" → "company", "planned" → "plan")
+    lookupWord(text) {
+        const direct = this.findWord(text);
+        if (direct) return direct;
+        const lower = String(text || '').trim().toLowerCase().replace(/['’]s$/, '');
+        for (const candidate of [lower, ...this.getLemmaCandidates(lower)]) {
+            const found = this.findWord(candidate);
+            if (found) return found;
+        }
+        return null;
+    }
+    
+    getLemmaCandidates(word) {
+        const rules = [
+            [/ies$/, 'y'], [/ied$/, 'y'], [/ier$/, 'y'], [/iest$/, 'y'], [/ily$/, 'y'], [/ves$/, 'f'],
+            [/es$/, ''], [/s$/, ''],
+            [/er$/, ''], [/er$/, 'e'], [/est$/, ''], [/ly$/, ''], [/ment$/, '']
+        ];
+        const candidates = [];
+        rules.forEach(([suffix, replacement]) => {
+            if (!suffix.test(word)) return;
+            const stem = word.replace(suffix, replacement);
+            if (stem.length < 2) return;
+            candidates.push(stem);
+            // Doubled final consonant: bigger → big
+            if (/([b-df-hj-np-tv-z])\1$/.test(stem)) candidates.push(stem.slice(0, -1));
+        });
+        
+        // -ed / -ing: the spelling of the stem says which form to try first
+        const inflected = word.match(/^(.+)(?:ed|ing)$/);
+        if (inflected && inflected[1].length >= 2) {
+            const stem = inflected[1];
+            if (/([b-df-hj-np-tv-z])\1$/.test(stem)) {
+                // Doubled final consonant: planned → plan
+                candidates.push(stem.slice(0, -1), stem);
+            } else if (/(^|[^aeiou])[aeiou][b-df-hj-np-tvz]$/.test(stem)) {
+                // One vowel + one consonant usually lost an e: used → use
+                candidates.push(`${stem}e`, stem);
+            } else {
+                candidates.push(stem, `${stem}e`);
+            }
+        }
+        return candidates;
+    }
+    
+    // One-tap "add to review": the word comes up in the next review session
+    queueForReview(word) {
+        const scheduler = this.getScheduler();
+        if (!scheduler || !this.vocabulary.has(word)) return false;
+        return scheduler.queueForReview(word);
+    }
+    
+    isQueuedOrScheduled(word) {
+        const scheduler = this.getScheduler();
+        return Boolean(scheduler && scheduler.getSchedule(word));
+    }
+    
+    // Add a word to a deck. Words not in the word list need details.meaning
+    // (and optionally details.example); they join the user word set.
+    // Returns { ok, word, created } or { ok: false, reason }.
+    addWordToDeck(deckId, text, details = {}) {
+        const deck = this.getDeck(deckId);
+        if (!deck) return { ok: false, reason: 'deck' };
+        
+        let word = this.findWord(text);
+        let created = false;
+        if (!word) {
+            if (!String(details.meaning || '').trim()) return { ok: false, reason: 'meaning' };
+            word = this.createUserWord({
+                word: String(text).trim(),
+                meaning: details.meaning,
+                examples: details.example ? [details.example] : [],
+                category: deck.name
+            }, 'manual');
+            if (!word) return { ok: false, reason: 'word' };
+            this.saveUserWords();
+            created = true;
+        }
+        
+        if (!deck.words.includes(word)) {
+            deck.words.push(word);
+            this.saveDecks();
+        }
+        return { ok: true, word, created };
+    }
+    
+    removeWordFromDeck(deckId, word) {
+        const deck = this.getDeck(deckId);
+        if (!deck) return false;
+        deck.words = deck.words.filter(item => item !== word);
+        this.saveDecks();
+        return true;
+    }
+    
+    getDecksForWord(word) {
+        return this.decks.filter(deck => deck.words.includes(word)).map(deck => deck.id);
+    }
+    
     loadUserProgress() {
         try {
             const savedProgress = localStorage.getItem('toeicVocabularyProgress');
@@ -194,19 +581,96 @@ class TOEICVocabularySystem {
         }
     }
     
+    loadLevelFilter() {
+        try {
+            const saved = JSON.parse(localStorage.getItem('toeicVocabLevelFilter') || '[]');
+            return Array.isArray(saved) ? saved : [];
+        } catch (error) {
+            console.error('❌ Error loading vocabulary level filter:', error);
+            return [];
+        }
+    }
+    
+    getLevelFilter() {
+        return [...this.levelFilter];
+    }
+    
+    setLevelFilter(levels = []) {
+        this.levelFilter = levels.filter(level => this.difficultyLevels[level]);
+        try {
+            localStorage.setItem('toeicVocabLevelFilter', JSON.stringify(this.levelFilter));
+        } catch (error) {
+            console.error('❌ Error saving vocabulary level filter:', error);
+        }
+    }
+    
+    // Levels that actually occur in the loaded word list, easiest first
+    getAvailableLevels() {
+        const present = new Set(Array.from(this.vocabulary.values()).map(data => data.level));
+        return Object.keys(this.difficultyLevels).filter(level => present.has(level));
+    }
+    
     initializeSpacedRepetition() {
-        // Initialize spaced repetition intervals (in days)
-        this.reviewIntervals = [1, 3, 7, 14, 30, 60, 120];
-        this.currentIntervalIndex = 0;
+        // Due dates come from the scheduler shared with flashcards
+        // (window.spacedRepetition); progress saved before it existed is
+        // moved over the first time it's needed
+        this.schedulesMigrated = false;
+    }
+    
+    getScheduler() {
+        if (!window.spacedRepetition && window.SpacedRepetitionSystem) {
+            window.spacedRepetition = new window.SpacedRepetitionSystem();
+        }
+        const scheduler = window.spacedRepetition || null;
+        if (scheduler && !this.schedulesMigrated) {
+            this.schedulesMigrated = true;
+            this.migrateReviewSchedules(scheduler);
+        }
+        return scheduler;
+    }
+    
+    // Words reviewed under the old mastery ladder (1/3/7/14/30/60/120 days
+    // per mastery level) keep their due date in the shared scheduler
+    migrateReviewSchedules(scheduler) {
+        const legacyIntervals = [1, 3, 7, 14, 30, 60, 120];
+        let migrated = 0;
+        for (const [word, progress] of this.userProgress) {
+            if (!progress.lastReviewed || scheduler.getSchedule(word)) continue;
+            const interval = legacyIntervals[Math.min(progress.masteryLevel || 0, legacyIntervals.length - 1)];
+            const answered = (progress.correctCount || 0) + (progress.incorrectCount || 0);
+            scheduler.importLegacySchedule(word, {
+                interval,
+                lastReviewed: new Date(progress.lastReviewed).toISOString(),
+                nextReviewDate: new Date(progress.lastReviewed + interval * 24 * 60 * 60 * 1000).toISOString(),
+                reviewCount: progress.reviewCount || 0,
+                successRate: answered > 0 ? (progress.correctCount || 0) / answered : 0
+            });
+            migrated++;
+        }
+        if (migrated > 0) {
+            scheduler.saveSchedules();
+            console.log(`📅 Moved ${migrated} vocabulary review schedules to the shared scheduler`);
+        }
     }
     
-    // Get words for review based on spaced repetition algorithm
-    getWordsForReview(count = 20) {
-        const now = Date.now();
-        const wordsToReview = [];
+    // Get words for review based on spaced repetition algorithm.
+    // options.mode is a flashcard mode (see App.getModeInfo) and
+    // options.deckId limits the session to a personal deck.
+    getWordsForReview(count = 20, options = {}) {
+        const mode = options.mode || 'spaced_repetition';
+        const deck = options.deckId ? this.getDeck(options.deckId) : null;
+        const deckWords = deck ? new Set(deck.words) : null;
+        const now = new Date();
+        const scheduler = this.getScheduler();
+        const candidates = [];
+        // A filter that matches no loaded word would leave nothing new to
+        // learn; a deck is an explicit choice, so the filter doesn't apply
+        const levelFilter = !deckWords && this.levelFilter.length > 0 &&
+            this.getAvailableLevels().some(level => this.levelFilter.includes(level))
+            ? this.levelFilter : null;
         
-        // Get words that need review
         for (const [word, data] of this.vocabulary) {
+            if (deckWords && !deckWords.has(word)) continue;
             const progress = this.userProgress.get(word) || {
                 masteryLevel: 0,
                 lastReviewed: null,
@@ -215,24 +679,65 @@ class TOEICVocabularySystem {
                 incorrectCount: 0
             };
             
-            const daysSinceReview = progress.lastReviewed ? 
-                (now - progress.lastReviewed) / (1000 * 60 * 60 * 24) : 999;
+            // Words the student queued themselves (tap-to-define) come first
+            const queued = !progress.lastReviewed && scheduler && scheduler.getSchedule(word);
             
-            const requiredInterval = this.reviewIntervals[Math.min(progress.masteryLevel, this.reviewIntervals.length - 1)];
+            // Never-seen words outside the level filter wait until the filter changes
+            if (!progress.lastReviewed && !queued && levelFilter && !levelFilter.includes(data.level)) continue;
             
-            if (daysSinceReview >= requiredInterval || progress.masteryLevel === 0) {
-                wordsToReview.push({
-                    word: data.word,
-                    data: data,
-                    progress: progress,
-                    priority: this.calculatePriority(data, progress)
-                });
-            }
+            candidates.push({
+                word: data.word,
+                data: data,
+                progress: progress,
+                seen: Boolean(progress.lastReviewed),
+                due: !progress.lastReviewed || !scheduler || scheduler.isDue(word, now),
+                priority: this.calculatePriority(data, progress) + (queued ? 200 : 0)
+            });
+        }
+        
+        let selected = this.selectWordsForMode(mode, candidates);
+        // Modes with nothing to offer fall back to the regular review queue,
+        // and a deck with nothing due is studied anyway
+        if (selected.length === 0 && mode !== 'spaced_repetition') {
+            selected = this.selectWordsForMode('spaced_repetition', candidates);
+        }
+        if (selected.length === 0 && deckWords) {
+            selected = [...candidates].sort((a, b) => b.priority - a.priority);
         }
+        return selected.slice(0, count).map(item => item.word);
+    }
+    
+    selectWordsForMode(mode, candidates) {
+        const byPriority = (a, b) => b.priority - a.priority;
+        const errorRate = item => {
+            const answered = item.progress.correctCount + item.progress.incorrectCount;
+            return answered > 0 ? item.progress.incorrectCount / answered : 0;
+        };
         
-        // Sort by priority and return top words
-        wordsToReview.sort((a, b) => b.priority - a.priority);
-        return wordsToReview.slice(0, count).map(item => item.word);
+        switch (mode) {
+            case 'new_words':
+                return candidates.filter(item => !item.seen).sort(byPriority);
+            case 'difficulty_review':
+                // Words missed before, worst first, due or not
+                return candidates.filter(item => item.progress.incorrectCount > 0)
+                    .sort((a, b) => errorRate(b) - errorRate(a) || byPriority(a, b));
+            case 'category_review': {
+                // One topic per session: the one the most urgent word belongs to
+                const due = candidates.filter(item => item.due).sort(byPriority);
+                if (due.length === 0) return [];
+                return due.filter(item => item.data.category === due[0].data.category);
+            }
+            case 'quick_review':
+                return candidates.filter(item => item.seen && item.due).sort(byPriority);
+            case 'exam_prep':
+                return candidates.filter(item => item.due && item.data.frequency === 'high').sort(byPriority);
+            case 'word_forms':
+                // Words with a known family, due ones first
+                return candidates.filter(item => this.getWordFamily(item.word))
+                    .sort((a, b) => Number(b.due) - Number(a.due) || byPriority(a, b));
+            default:
+                return candidates.filter(item => item.due).sort(byPriority);
+        }
     }
     
     calculatePriority(wordData, progress) {
@@ -264,7 +769,10 @@ class TOEICVocabularySystem {
             startTime: Date.now()
         };
         
-        this.currentSession = this.getWordsForReview(options.wordCount || 20);
+        this.currentSession = this.getWordsForReview(options.wordCount || 20, {
+            mode: options.mode,
+            deckId: options.deckId
+        });
         this.sessionStats.totalWords = this.currentSession.length;
         
         console.log(`🎯 Started TOEIC vocabulary session with ${this.currentSession.length} words`);
@@ -333,13 +841,13 @@ class TOEICVocabularySystem {
         return this.currentSession.length > 0;
     }
     
-    answerWord(isCorrect) {
+    answerWord(isCorrect, grade = null, responseTime = 0) {
         if (!this.currentSession || this.currentSession.length === 0) {
             return false;
         }
         
         const word = this.currentSession[0];
-        this.recordAnswer(word, isCorrect);
+        this.recordAnswer(word, isCorrect, responseTime, grade);
         return true;
     }
     
@@ -364,7 +872,9 @@ class TOEICVocabularySystem {
     }
     
     // Record answer and update progress
-    recordAnswer(word, isCorrect, responseTime = 0) {
+    // grade (1-4, Again..Easy) comes from flashcard self-grading; plain
+    // right/wrong answers are scheduled as Good/Again
+    recordAnswer(word, isCorrect, responseTime = 0, grade = null) {
         const wordData = this.vocabulary.get(word);
         if (!wordData) return;
         
@@ -393,6 +903,15 @@ class TOEICVocabularySystem {
         this.userProgress.set(word, progress);
         this.saveUserProgress();
         
+        const scheduler = this.getScheduler();
+        if (scheduler) {
+            if (grade) {
+                scheduler.recordGrade(word, grade, responseTime);
+            } else {
+                scheduler.recordReview(word, isCorrect, responseTime);
+            }
+        }
+        
         // Update session stats
         this.sessionStats.timeSpent += responseTime;
         
@@ -530,6 +1049,13 @@ class TOEICVocabularySystem {
             .filter(word => word.frequency === frequency);
     }
     
+    // Get words in a personal deck (words since removed from the list are skipped)
+    getWordsByDeck(deckId) {
+        const deck = this.getDeck(deckId);
+        if (!deck) return [];
+        return deck.words.map(word => this.vocabulary.get(word)).filter(Boolean);
+    }
+    
     // Search words
     searchWords(query) {
         const results = [];
@@ -663,6 +1189,8 @@ class TOEICVocabularySystem {
     exportProgress() {
         const progressData = {
             userProgress: Object.fromEntries(this.userProgress),
+            userWords: this.userWords,
+            decks: this.decks,
             overallStats: this.getOverallStats(),
             categoryStats: this.getCategoryStats(),
             exportDate: new Date().toISOString()
@@ -678,6 +1206,16 @@ class TOEICVocabularySystem {
             if (data.userProgress) {
                 this.userProgress = new Map(Object.entries(data.userProgress));
                 this.saveUserProgress();
+                // Backups from before decks existed carry neither field
+                if (Array.isArray(data.userWords)) {
+                    // Words already in the list are skipped by createUserWord()
+                    data.userWords.forEach(entry => this.createUserWord(entry, entry.importedFrom || 'manual'));
+                    this.saveUserWords();
+                }
+                if (Array.isArray(data.decks)) {
+                    this.decks = data.decks.filter(deck => this.isValidDeck(deck));
+                    this.saveDecks();
+                }
                 console.log('✅ Progress data imported successfully');
                 return true;
             }
@@ -0,0 +1,464 @@
+// Vocabulary exercise generators - production and recall drills built from
+// the same word list the flip cards use (assets/data/toeic_vocabulary.csv).
+//
+// Every exercise targets one word and is checked to a single right/wrong
+// result, so the caller can feed it to TOEICVocabularySystem.recordAnswer()
+// (and through it the review scheduler) exactly like a flip-card answer.
+//
+// Types:
+//   meaning_choice  meaning → pick the word; distractors share its part of speech
+//   cloze           example1/example2 with the word blanked, four options
+//   spelling        hear the word (AudioSystem.speakWord), type it
+//   collocation     match four words to the phrases they appear in
+//   word_form       blanked example, options are forms of the same word family
+//                   (assets/data/word-families.json, else derived by suffix)
+//
+// build() returns null when the data can't support a type for a word (no
+// example containing it, too few same-POS words, no family), so callers
+// fall back to another type or the flip card.
+
+const VOCAB_EXERCISE_TYPES = ['meaning_choice', 'cloze', 'spelling', 'collocation', 'word_form'];
+
+// Past forms for the irregular verbs in the word list; regular verbs are
+// inflected by rule
+const VOCAB_IRREGULAR_PAST = {
+    arise: 'arose', be: 'was', bear: 'bore', beat: 'beat', become: 'became', begin: 'began',
+    bend: 'bent', bet: 'bet', bite: 'bit', blow: 'blew', break: 'broke', bring: 'brought',
+    build: 'built', buy: 'bought', lead: 'led', pay: 'paid', sell: 'sold'
+};
+
+// Stressed-final verbs that double their last consonant (admit → admitted);
+// one-syllable verbs are handled by rule
+const VOCAB_DOUBLING_VERBS = ['admit', 'commit', 'control', 'infer', 'occur', 'prefer', 'refer', 'regret', 'transfer'];
+
+// Word-list verbs that take the same objects ("_____ many applicants":
+// attracts, brings). A word is never a cloze or collocation distractor for
+// another in its group, since either would be a right answer.
+const VOCAB_INTERCHANGEABLE = [
+    ['attract', 'bring', 'draw'],
+    ['develop', 'create', 'build', 'establish', 'design'],
+    ['use', 'apply', 'adopt', 'employ'],
+    ['increase', 'expand', 'raise', 'advance', 'accelerate'],
+    ['reduce', 'cut', 'lower'],
+    ['buy', 'purchase', 'acquire', 'obtain', 'receive'],
+    ['show', 'present', 'explain', 'announce', 'introduce', 'publish'],
+    ['start', 'begin', 'launch'],
+    ['complete', 'accomplish', 'achieve', 'finish'],
+    ['deliver', 'supply', 'provide', 'send'],
+    ['assist', 'support', 'help'],
+    ['need', 'require'],
+    ['examine', 'review', 'evaluate', 'assess', 'consider', 'discuss', 'approve'],
+    ['change', 'adjust', 'adapt', 'upgrade', 'improve'],
+    ['maintain', 'keep'],
+    ['hire', 'appoint'],
+    ['contact', 'notify', 'advise', 'inform'],
+    ['include', 'involve', 'attach', 'enclose', 'add'],
+    ['implement', 'handle', 'address'],
+    ['approve', 'accept', 'acknowledge'],
+    ['postpone', 'reschedule']
+];
+
+// Words skipped when finding the collocate a blank is tied to: the head of
+// "_____ many new applicants" is "applicants"
+const VOCAB_FRAME_WORDS = [
+    'a', 'an', 'the', 'this', 'that', 'these', 'those', 'our', 'your', 'their', 'its', 'his', 'her', 'my',
+    'new', 'many', 'more', 'most', 'all', 'some', 'any', 'every', 'each', 'several', 'to', 'of', 'for',
+    'with', 'in', 'on', 'at', 'by', 'from', 'and', 'or', 'very', 'well'
+];
+
+// Derivational suffixes used to link family members (announce → announcement,
+// attract → attractive). Deliberately short: a wrong family is worse than none.
+const VOCAB_FAMILY_SUFFIXES = ['ment', 'ance', 'ence', 'ation', 'tion', 'ion', 'al', 'ive', 'ity', 'ant', 'ent', 'er', 'or', 'ly'];
+
+class VocabularyExercises {
+    constructor(vocabularySystem) {
+        this.vocab = vocabularySystem;
+        this.families = null;
+    }
+
+    getTypes() {
+        return VOCAB_EXERCISE_TYPES.slice();
+    }
+
+    // Build an exercise of the given type for a word-list word, or null
+    build(type, word) {
+        const entry = this.vocab && this.vocab.vocabulary.get(word);
+        if (!entry) return null;
+        switch (type) {
+            case 'meaning_choice': return this.buildMeaningChoice(entry);
+            case 'cloze': return this.buildCloze(entry);
+            case 'spelling': return this.buildSpelling(entry);
+            case 'collocation': return this.buildCollocation(entry);
+            case 'word_form': return this.buildWordForm(entry);
+            default: return null;
+        }
+    }
+
+    // Mixed practice: a random type the data supports, meaning_choice last
+    // because it works for nearly every word
+    buildAny(word, types = VOCAB_EXERCISE_TYPES) {
+        const order = this.shuffle(types.filter(type => type !== 'meaning_choice'));
+        if (types.includes('meaning_choice')) order.push('meaning_choice');
+        for (const type of order) {
+            const exercise = this.build(type, word);
+            if (exercise) return exercise;
+        }
+        return null;
+    }
+
+    // response: option string (choice types), typed text (spelling) or an
+    // array of chosen words in pair order (collocation)
+    check(exercise, response) {
+        if (!exercise) return false;
+        if (exercise.type === 'collocation') {
+            const chosen = Array.isArray(response) ? response : [];
+            return exercise.pairs.every((pair, index) => this.normalize(chosen[index]) === this.normalize(pair.answer));
+        }
+        return this.normalize(response) === this.normalize(exercise.answer);
+    }
+
+    normalize(text) {
+        return String(text || '').trim().toLowerCase().replace(/\s+/g, ' ');
+    }
+
+    // ------------------------------------------------------------------
+    // Generators
+    // ------------------------------------------------------------------
+
+    buildMeaningChoice(entry) {
+        const distractors = this.pickDistractors(entry, 3);
+        if (distractors.length < 3) return null;
+        return {
+            type: 'meaning_choice',
+            word: entry.word,
+            prompt: entry.meaning,
+            options: this.shuffle([entry.word, ...distractors]),
+            answer: entry.word
+        };
+    }
+
+    buildCloze(entry) {
+        const located = this.locateInExamples(entry);
+        if (!located) return null;
+        const collocate = this.getCollocate(located);
+        const distractors = this.pickDistractors(entry, 3, word => this.couldFill(word, entry.word, collocate))
+            .map(word => this.inflect(word, located.form));
+        if (distractors.length < 3) return null;
+        return {
+            type: 'cloze',
+            word: entry.word,
+            prompt: entry.meaning,
+            sentence: located.sentence,
+            options: this.shuffle([located.token, ...distractors]),
+            answer: located.token
+        };
+    }
+
+    buildSpelling(entry) {
+        // Multi-word entries and abbreviations aren't fair to spell by ear
+        if (!/^[a-z][a-z'-]{2,}$/i.test(entry.word)) return null;
+        return {
+            type: 'spelling',
+            word: entry.word,
+            prompt: entry.meaning,
+            speak: entry.word,
+            answer: entry.word
+        };
+    }
+
+    buildCollocation(entry) {
+        const target = this.locateInExamples(entry);
+        if (!target) return null;
+
+        const pairOf = (word, located) => ({
+            word,
+            phrase: this.contextWindow(located),
+            answer: located.token,
+            frame: this.getFrame(located),
+            collocate: this.getCollocate(located)
+        });
+        const pairs = [pairOf(entry.word, target)];
+        const candidates = this.shuffle(this.getWordPool(entry, { sameCategory: true }));
+        for (const other of candidates) {
+            if (pairs.length === 4) break;
+            const located = this.locateInExamples(other);
+            if (!located) continue;
+            const pair = pairOf(other.word, located);
+            // Every word has to fit its own phrase only: phrases that read
+            // alike ("to _____ new customers", "to _____ new products") or a
+            // word that could take another pair's object make two right answers
+            if (pairs.some(existing => existing.phrase === pair.phrase ||
+                existing.frame === pair.frame ||
+                this.normalize(existing.answer) === this.normalize(pair.answer) ||
+                this.couldFill(pair.word, existing.word, existing.collocate) ||
+                this.couldFill(existing.word, pair.word, pair.collocate))) continue;
+            pairs.push(pair);
+        }
+        if (pairs.length < 4) return null;
+
+        const shuffled = this.shuffle(pairs);
+        return {
+            type: 'collocation',
+            word: entry.word,
+            pairs: shuffled.map(({ word, phrase, answer }) => ({ word, phrase, answer })),
+            options: this.shuffle(shuffled.map(pair => pair.answer)),
+            answer: target.token
+        };
+    }
+
+    buildWordForm(entry) {
+        const family = this.getFamilyForms(entry.word);
+        // The family's own examples first, so forms outside the word list
+        // (accomplishment, accomplished) get drilled too
+        let located = null;
+        for (const form of this.shuffle(family.filter(item => item.example))) {
+            located = this.locateIn([form.example], token => token.toLowerCase() === form.word.toLowerCase(), form.word);
+            if (located) break;
+        }
+        located = located || this.locateInExamples(entry);
+        if (!located) return null;
+
+        const answer = this.normalize(located.token);
+        // Other parts of speech first — that's the Part 5 word-form skill —
+        // then inflections of the verbs
+        const forms = new Set(this.shuffle(family.map(item => item.word.toLowerCase())));
+        family.filter(item => item.pos === 'verb').forEach(item => {
+            ['base', 's', 'ed', 'ing'].forEach(form => forms.add(this.inflect(item.word, form).toLowerCase()));
+        });
+        forms.delete(answer);
+
+        const distractors = [...forms].slice(0, 3);
+        if (distractors.length < 2) return null;
+        return {
+            type: 'word_form',
+            word: entry.word,
+            prompt: entry.meaning,
+            sentence: located.sentence,
+            options: this.shuffle([answer, ...distractors]),
+            answer,
+            family
+        };
+    }
+
+    // ------------------------------------------------------------------
+    // Helpers
+    // ------------------------------------------------------------------
+
+    // Find the word (or an inflection of it) in one of its examples.
+    // Returns { sentence (blanked), before, after, token, form } or null.
+    locateInExamples(entry) {
+        return this.locateIn(entry.examples || [], token => this.vocab.lookupWord(token) === entry.word, entry.word);
+    }
+
+    // First token of the examples that `matches`, inflection-checked against `word`
+    locateIn(examples, matches, word) {
+        let fallback = null;
+        for (const example of this.shuffle(examples)) {
+            const pattern = /[A-Za-z]+(?:['’][A-Za-z]+)?/g;
+            let match;
+            while ((match = pattern.exec(example))) {
+                const token = match[0].replace(/['’]s$/, '');
+                if (!matches(token)) continue;
+                const located = {
+                    sentence: `${example.slice(0, match.index)}_____${example.slice(match.index + token.length)}`,
+                    before: example.slice(0, match.index),
+                    after: example.slice(match.index + token.length),
+                    token,
+                    form: this.detectForm(word, token)
+                };
+                if (located.form !== 'other') return located;
+                fallback = fallback || located;
+            }
+        }
+        return fallback;
+    }
+
+    // Which inflection of `word` is `token`: base, s, ed, ing or other
+    detectForm(word, token) {
+        const lower = token.toLowerCase();
+        for (const form of ['base', 's', 'ed', 'ing']) {
+            if (this.inflect(word, form).toLowerCase() === lower) return form;
+        }
+        return 'other';
+    }
+
+    inflect(word, form) {
+        const lower = word.toLowerCase();
+        if (form === 's') {
+            if (/[^aeiou]y$/.test(lower)) return `${word.slice(0, -1)}ies`;
+            if (/(s|x|z|ch|sh)$/.test(lower)) return `${word}es`;
+            return `${word}s`;
+        }
+        if (form === 'ed') {
+            if (VOCAB_IRREGULAR_PAST[lower]) return VOCAB_IRREGULAR_PAST[lower];
+            if (lower.endsWith('e')) return `${word}d`;
+            if (/[^aeiou]y$/.test(lower)) return `${word.slice(0, -1)}ied`;
+            return `${this.doubleFinal(word)}ed`;
+        }
+        if (form === 'ing') {
+            if (lower === 'be') return 'being';
+            if (/ie$/.test(lower)) return `${word.slice(0, -2)}ying`;
+            if (/[^e]e$/.test(lower)) return `${word.slice(0, -1)}ing`;
+            return `${this.doubleFinal(word)}ing`;
+        }
+        return word;
+    }
+
+    doubleFinal(word) {
+        const lower = word.toLowerCase();
+        const oneSyllableCVC = /^[^aeiou]*[aeiou][b-df-hj-np-tv-z]$/.test(lower) && !/[wxy]$/.test(lower);
+        if (oneSyllableCVC || VOCAB_DOUBLING_VERBS.includes(lower)) {
+            return `${word}${word.slice(-1)}`;
+        }
+        return word;
+    }
+
+    // A few words either side of the blank, e.g. "announced the _____ of a new"
+    contextWindow(located, span = 3) {
+        const before = located.before.trim().split(/\s+/).filter(Boolean);
+        const after = located.after.trim().split(/\s+/).filter(Boolean);
+        const head = before.slice(-span).join(' ');
+        const tail = after.slice(0, span).join(' ').replace(/[.,;:!?]+$/, '');
+        return [
+            before.length > span ? '…' : '',
+            head,
+            '_____',
+            tail,
+            after.length > span ? '…' : ''
+        ].filter(Boolean).join(' ').replace(/ _____ ([,.;:!?])/, ' _____$1');
+    }
+
+    // The blank's immediate neighbours, lowercased ("to|new"): two blanks
+    // with the same frame read as the same slot
+    getFrame(located) {
+        const before = located.before.trim().split(/\s+/).filter(Boolean);
+        const after = located.after.trim().split(/\s+/).filter(Boolean);
+        const clean = word => this.normalize(word || '').replace(/[^a-z'-]/g, '');
+        return `${clean(before[before.length - 1])}|${clean(after[0])}`;
+    }
+
+    // First content word after the blank (its object or complement), or null
+    getCollocate(located) {
+        const words = (located.after.toLowerCase().match(/[a-z]+(?:['’-][a-z]+)*/g) || []);
+        return words.find(word => !VOCAB_FRAME_WORDS.includes(word)) || null;
+    }
+
+    // Would `word` also be right in `answer`'s slot? Yes when the two are
+    // interchangeable, or when an example anywhere in the word list uses
+    // `word` with the slot's collocate ("brings ... applicants")
+    couldFill(word, answer, collocate) {
+        const lower = word.toLowerCase();
+        const answerLower = answer.toLowerCase();
+        if (VOCAB_INTERCHANGEABLE.some(group => group.includes(lower) && group.includes(answerLower))) return true;
+        if (!collocate) return false;
+        const used = this.getCollocations().get(lower);
+        return Boolean(used && used.has(collocate));
+    }
+
+    // word → Set of content words seen within three words after it (in any
+    // inflection) across every example of the word list. Rebuilt when the
+    // list grows (imports, content packs).
+    getCollocations() {
+        const size = this.vocab.vocabulary.size;
+        if (this.collocations && this.collocationsSize === size) return this.collocations;
+        const collocations = new Map();
+        for (const data of this.vocab.vocabulary.values()) {
+            for (const example of data.examples || []) {
+                const tokens = String(example).toLowerCase().match(/[a-z]+(?:['’-][a-z]+)*/g) || [];
+                tokens.forEach((token, i) => {
+                    const word = this.vocab.lookupWord(token);
+                    if (!word) return;
+                    const key = word.toLowerCase();
+                    if (!collocations.has(key)) collocations.set(key, new Set());
+                    tokens.slice(i + 1, i + 4)
+                        .filter(next => !VOCAB_FRAME_WORDS.includes(next))
+                        .forEach(next => collocations.get(key).add(next));
+                });
+            }
+        }
+        this.collocations = collocations;
+        this.collocationsSize = size;
+        return collocations;
+    }
+
+    // Single-word entries other than `entry`, same part of speech unless
+    // there aren't enough
+    getWordPool(entry, { sameCategory = false } = {}) {
+        const pool = [];
+        for (const data of this.vocab.vocabulary.values()) {
+            if (data.word === entry.word || !/^[a-z][a-z-]+$/i.test(data.word)) continue;
+            if (data.partOfSpeech !== entry.partOfSpeech) continue;
+            if (sameCategory && data.category !== entry.category) continue;
+            pool.push(data);
+        }
+        if (sameCategory && pool.length < 3) return this.getWordPool(entry);
+        return pool;
+    }
+
+    // `reject(word)` drops candidates that would also be right in context
+    pickDistractors(entry, count, reject = null) {
+        const family = this.getFamilyForms(entry.word).map(form => form.word.toLowerCase());
+        const meaning = this.normalize(entry.meaning);
+        return this.shuffle(this.getWordPool(entry))
+            .filter(data => !family.includes(data.word.toLowerCase()) && this.normalize(data.meaning) !== meaning)
+            .filter(data => !reject || !reject(data.word))
+            .slice(0, count)
+            .map(data => data.word);
+    }
+
+    // Forms related to `word` as [{ word, pos, example }], including the
+    // word itself: the curated family when there is one, else word-list
+    // words sharing a derivational stem
+    getFamilyForms(word) {
+        const curated = typeof this.vocab.getWordFamily === 'function' ? this.vocab.getWordFamily(word) : null;
+        if (curated) return curated.forms;
+        if (!this.families) this.families = this.buildFamilies();
+        return (this.families.get(word) || [word]).map(member => ({
+            word: member,
+            pos: (this.vocab.vocabulary.get(member) || {}).partOfSpeech || '',
+            example: ''
+        }));
+    }
+
+    buildFamilies() {
+        const words = [...this.vocab.vocabulary.keys()].filter(word => /^[a-z]+$/i.test(word));
+        const byLower = new Map(words.map(word => [word.toLowerCase(), word]));
+        const families = new Map();
+        const link = (a, b) => {
+            const family = [...new Set([...(families.get(a) || [a]), ...(families.get(b) || [b])])];
+            family.forEach(member => families.set(member, family));
+        };
+
+        words.forEach(word => {
+            const lower = word.toLowerCase();
+            VOCAB_FAMILY_SUFFIXES.forEach(suffix => {
+                if (!lower.endsWith(suffix) || lower.length - suffix.length < 4) return;
+                const stem = lower.slice(0, -suffix.length);
+                // announce+ment, approv(e)+al, activ(e)+ity
+                const base = byLower.get(stem) || byLower.get(`${stem}e`);
+                if (!base || base === word) return;
+                const baseData = this.vocab.vocabulary.get(base);
+                const data = this.vocab.vocabulary.get(word);
+                if (baseData && data && baseData.partOfSpeech !== data.partOfSpeech) link(base, word);
+            });
+        });
+        return families;
+    }
+
+    shuffle(items) {
+        const result = items.slice();
+        for (let i = result.length - 1; i > 0; i--) {
+            const j = Math.floor(Math.random() * (i + 1));
+            [result[i], result[j]] = [result[j], result[i]];
+        }
+        return result;
+    }
+}
+
+// Export for global use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { VocabularyExercises, VOCAB_EXERCISE_TYPES };
+} else {
+    window.VocabularyExercises = VocabularyExercises;
+    window.VOCAB_EXERCISE_TYPES = VOCAB_EXERCISE_TYPES;
+}
@@ -36,6 +36,10 @@ fi
 
 echo "✅ Vercel configuration found"
 
+# Refuse to ship a bank with broken items (bad answer index, missing passage, ...)
+echo "🔍 Validating question banks..."
+node scripts/validate-banks.js || exit 1
+
 # Bump cache-busting version (index.html ?v= stamps + sw.js cache names)
 # so returning visitors pick up this deploy instead of year-cached assets
 echo "🔄 Bumping cache version..."
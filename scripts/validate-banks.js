@@ -0,0 +1,384 @@
+#!/usr/bin/env node
+// Structural check of every question bank, run without a browser:
+//   - TOEIC_LISTENING_BANK (Parts 1–4) and TOEIC_PART6_BANK
+//   - grammar practiceQuestions / grammarRules (TOEICGrammarSystem)
+//   - reading passages / questions (TOEICReadingSystem)
+//   - every content pack listed in assets/data/content-packs/index.json
+//   - a fixed-seed sample of template-generated Part 5 items (part5-templates.js)
+// Errors: bad correctAnswer index, wrong option count (3 for Part 2, 4
+// elsewhere), unresolved passageId / linkedPassageId(s) / grammarRule /
+// wordFamily (checked against assets/data/word-families.json), rule
+// prerequisites that are unknown or form a cycle, duplicate ids, Part 7
+// questions without a subtype, answer evidence that isn't in the passage.
+// Reported but not failing: duplicate question stems and answer-position
+// bias. Exits 1 when there is at least one error:
+//   node scripts/validate-banks.js
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const root = path.join(__dirname, '..');
+const { validateContentPack } = require(path.join(root, 'assets/js/content-pack-loader.js'));
+
+const BANK_FILES = [
+    'assets/data/toeic-listening-banks.js',
+    'assets/js/toeic-grammar-system.js',
+    'assets/js/toeic-reading-system.js',
+    'assets/js/part5-templates.js'
+];
+const PACK_DIR = 'assets/data/content-packs';
+
+// Chi-square critical values at p = 0.01 by option count (df = options - 1)
+const BIAS_CRITICAL = { 3: 9.21, 4: 11.34 };
+// Too few items and the test flags noise
+const BIAS_MIN_ITEMS = 12;
+
+// Generated Part 5 items checked per run; the seed keeps runs comparable
+const GENERATED_SAMPLE = { count: 200, seed: 20260717 };
+
+// The banks live in Maps keyed by id, where a duplicate id silently
+// replaces the earlier item. Recording every set() lets us see them.
+class RecordingMap extends Map {
+    constructor(entries) {
+        super();
+        this.history = [];
+        if (entries) {
+            for (const [key, value] of entries) this.set(key, value);
+        }
+    }
+
+    set(key, value) {
+        if (this.history) this.history.push([key, value]);
+        return super.set(key, value);
+    }
+
+    recordedValues() {
+        return this.history.map(([, value]) => value);
+    }
+}
+
+function loadWordFamilies() {
+    const { families = [] } = JSON.parse(fs.readFileSync(path.join(root, 'assets/data/word-families.json'), 'utf8'));
+    return families;
+}
+
+async function loadBanks() {
+    const quiet = () => {};
+    const sandbox = {
+        console: { log: quiet, info: quiet, debug: quiet, warn: quiet, error: console.error },
+        localStorage: { getItem: () => null, setItem: quiet, removeItem: quiet },
+        Map: RecordingMap,
+        setTimeout,
+        clearTimeout
+    };
+    sandbox.window = sandbox;
+    vm.createContext(sandbox);
+
+    for (const file of BANK_FILES) {
+        const source = fs.readFileSync(path.join(root, file), 'utf8');
+        vm.runInContext(source, sandbox, { filename: file });
+    }
+
+    const grammar = new sandbox.TOEICGrammarSystem();
+    const reading = new sandbox.TOEICReadingSystem();
+    await reading.ready;
+
+    return {
+        listening: sandbox.TOEIC_LISTENING_BANK || {},
+        part6: sandbox.TOEIC_PART6_BANK || [],
+        grammarCategories: grammar.grammarCategories,
+        grammarRules: grammar.grammarRules.history.map(([id, rule]) => ({ id, ...rule })),
+        grammarQuestions: grammar.practiceQuestions.recordedValues(),
+        passages: reading.passages.recordedValues(),
+        readingQuestions: reading.questions.recordedValues(),
+        Part5Generator: sandbox.Part5Generator || null,
+        wordFamilies: loadWordFamilies()
+    };
+}
+
+// Built-in banks in content pack shape, so both go through the same checks
+function banksAsPack(banks) {
+    return {
+        format: 'toeic-content-pack',
+        formatVersion: 1,
+        id: 'built-in',
+        name: 'Built-in banks',
+        grammar: {
+            categories: banks.grammarCategories,
+            rules: banks.grammarRules,
+            questions: banks.grammarQuestions
+        },
+        reading: { passages: banks.passages, questions: banks.readingQuestions },
+        listening: banks.listening,
+        part6: banks.part6
+    };
+}
+
+// "grammar.questions[12].options: ..." → "grammar.questions[12] (q_tenses_013).options: ..."
+function labelWithId(pack, message) {
+    const match = message.match(/^([a-z0-9.]+)\[(\d+)\]/i);
+    if (!match) return message;
+    const list = match[1].split('.').reduce((node, key) => (node ? node[key] : undefined), pack);
+    const item = Array.isArray(list) ? list[Number(match[2])] : null;
+    if (!item || typeof item.id !== 'string') return message;
+    return message.replace(match[0], `${match[0]} (${item.id})`);
+}
+
+function normalizeStem(text) {
+    return String(text || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+function findDuplicates(entries) {
+    const groups = new Map();
+    entries.forEach(({ key, label }) => {
+        if (!key) return;
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(label);
+    });
+    return Array.from(groups.values()).filter(labels => labels.length > 1);
+}
+
+// Generic Part 3/4/7 stems ("What is the purpose of the email?") repeat on
+// purpose, so those are only compared within the same passage or set
+function duplicateStemReport(banks) {
+    const part5 = [
+        ...banks.grammarQuestions.map(q => ({ key: normalizeStem(q.question), label: q.id })),
+        ...banks.readingQuestions
+            .filter(q => q.type === 'incomplete_sentences')
+            .map(q => ({ key: normalizeStem(q.question), label: q.id }))
+    ];
+    const part7 = banks.readingQuestions
+        .filter(q => (q.type || 'reading_comprehension') !== 'incomplete_sentences')
+        // Text-completion items carry their passage inline instead of a passageId
+        .map(q => ({ key: `${q.passageId || normalizeStem(q.passage)}|${normalizeStem(q.question)}`, label: q.id }));
+    const listening = banks.listening;
+    const setStems = (sets, part) => (sets || []).flatMap((set, i) =>
+        (set.questions || []).map((q, qi) => ({ key: `${i}|${normalizeStem(q.question)}`, label: `${part}[${i}].questions[${qi}]` })));
+
+    return [
+        ['Part 1 statements', findDuplicates((listening.part1 || []).map((item, i) => ({
+            key: normalizeStem((item.statements || []).join(' ')), label: `part1[${i}]`
+        })))],
+        ['Part 2 questions', findDuplicates((listening.part2 || []).map((item, i) => ({
+            key: normalizeStem(item.question), label: `part2[${i}]`
+        })))],
+        ['Part 3 conversations', findDuplicates((listening.part3 || []).map((item, i) => ({
+            key: normalizeStem((item.conversation || []).map(line => line.text).join(' ')), label: `part3[${i}]`
+        })))],
+        ['Part 3 questions (same set)', findDuplicates(setStems(listening.part3, 'part3'))],
+        ['Part 4 talks', findDuplicates((listening.part4 || []).map((item, i) => ({
+            key: normalizeStem(item.talk), label: `part4[${i}]`
+        })))],
+        ['Part 4 questions (same set)', findDuplicates(setStems(listening.part4, 'part4'))],
+        ['Part 5 sentences', findDuplicates(part5)],
+        ['Part 6 passages', findDuplicates(banks.part6.map((item, i) => ({
+            key: normalizeStem(item.passage), label: `part6[${i}]`
+        })))],
+        ['Part 6/7 questions (same passage)', findDuplicates(part7)]
+    ].filter(([, duplicates]) => duplicates.length > 0);
+}
+
+function positionBiasReport(banks) {
+    const listening = banks.listening;
+    const setAnswers = sets => (sets || []).flatMap(set => (set.questions || []).map(q => q.correctAnswer));
+    const readingByType = type => banks.readingQuestions
+        .filter(q => (q.type || 'reading_comprehension') === type)
+        .map(q => q.correctAnswer);
+
+    const banksToCheck = [
+        ['Part 1', 4, (listening.part1 || []).map(item => item.correctAnswer)],
+        ['Part 2', 3, (listening.part2 || []).map(item => item.correctAnswer)],
+        ['Part 3', 4, setAnswers(listening.part3)],
+        ['Part 4', 4, setAnswers(listening.part4)],
+        ['Part 5 (grammar)', 4, banks.grammarQuestions.map(q => q.correctAnswer)],
+        ['Part 5 (reading)', 4, readingByType('incomplete_sentences')],
+        ['Part 6 (bank)', 4, setAnswers(banks.part6)],
+        ['Part 6 (reading)', 4, readingByType('text_completion')],
+        ['Part 7', 4, readingByType('reading_comprehension')]
+    ];
+
+    return banksToCheck
+        .filter(([, , answers]) => answers.length > 0)
+        .map(([name, optionCount, answers]) => {
+            const counts = new Array(optionCount).fill(0);
+            answers.forEach(answer => {
+                if (Number.isInteger(answer) && answer >= 0 && answer < optionCount) counts[answer]++;
+            });
+            const total = counts.reduce((sum, n) => sum + n, 0);
+            const expected = total / optionCount;
+            const chiSquare = counts.reduce((sum, n) => sum + Math.pow(n - expected, 2) / expected, 0);
+            return {
+                name,
+                counts,
+                total,
+                chiSquare,
+                biased: total >= BIAS_MIN_ITEMS && chiSquare > BIAS_CRITICAL[optionCount]
+            };
+        });
+}
+
+function knownIds(banks) {
+    return {
+        grammarRules: banks.grammarRules.map(rule => rule.id),
+        grammarCategories: Object.keys(banks.grammarCategories),
+        passages: banks.passages.map(passage => passage.id),
+        wordFamilies: banks.wordFamilies.map(family => family.id)
+    };
+}
+
+// Ids a pack shares with the built-in banks are skipped at load time
+function packCollisions(pack, banks) {
+    const builtIn = {
+        'grammar rule': new Set(banks.grammarRules.map(rule => rule.id)),
+        'grammar question': new Set(banks.grammarQuestions.map(q => q.id)),
+        passage: new Set(banks.passages.map(p => p.id)),
+        'reading question': new Set(banks.readingQuestions.map(q => q.id))
+    };
+    const packItems = {
+        'grammar rule': (pack.grammar && pack.grammar.rules) || [],
+        'grammar question': (pack.grammar && pack.grammar.questions) || [],
+        passage: (pack.reading && pack.reading.passages) || [],
+        'reading question': (pack.reading && pack.reading.questions) || []
+    };
+    return Object.entries(packItems).flatMap(([kind, items]) => (Array.isArray(items) ? items : [])
+        .filter(item => item && builtIn[kind].has(item.id))
+        .map(item => `${kind} "${item.id}" already exists in the built-in banks and will be skipped`));
+}
+
+// Every built-in Part 7 question is tagged with its subtype, so the
+// per-type analytics and the practice filter cover the whole bank
+function subtypeReport(banks) {
+    const counts = {};
+    const untagged = [];
+    banks.readingQuestions
+        .filter(q => q.type === 'reading_comprehension')
+        .forEach(q => {
+            if (!q.subtype) return untagged.push(q.id);
+            counts[q.subtype] = (counts[q.subtype] || 0) + 1;
+        });
+    return { counts, errors: untagged.map(id => `${id}: Part 7 question has no subtype`) };
+}
+
+// Template items go through the same checks as pack questions, plus the
+// two things only a template gets wrong: repeated options and no blank
+function generatedSampleReport(banks) {
+    if (!banks.Part5Generator) return { count: 0, errors: [] };
+
+    const vocabulary = new Map();
+    fs.readFileSync(path.join(root, 'assets/data/toeic_vocabulary.csv'), 'utf8').split('\n').slice(1).forEach(line => {
+        // No quoted fields in the word list; rows with a stray comma are skipped
+        const fields = line.trim().split(',');
+        if (fields.length !== 8) return;
+        const [word, , , example1, example2, , , partOfSpeech] = fields;
+        vocabulary.set(word, { word, partOfSpeech, examples: [example1, example2].filter(Boolean) });
+    });
+    const generator = new banks.Part5Generator({ vocabulary, wordFamilies: new Map(banks.wordFamilies.map(family => [family.id, family])) });
+
+    let state = GENERATED_SAMPLE.seed;
+    const random = () => {
+        state = (Math.imul(state, 1664525) + 1013904223) >>> 0;
+        return state / 4294967296;
+    };
+    const questions = generator.generate(GENERATED_SAMPLE.count, { random });
+    const pack = { format: 'toeic-content-pack', formatVersion: 1, id: 'generated', name: 'Generated Part 5', grammar: { questions } };
+    const errors = [
+        ...validateContentPack(pack, knownIds(banks)).errors.map(message => labelWithId(pack, message)),
+        ...questions.filter(q => new Set(q.options).size !== q.options.length).map(q => `${q.id}: repeated options "${q.options.join('" / "')}"`),
+        ...questions.filter(q => !q.question.includes('_____')).map(q => `${q.id}: no blank in "${q.question}"`)
+    ];
+    return { count: questions.length, errors };
+}
+
+function loadPackFiles() {
+    const manifestPath = path.join(root, PACK_DIR, 'index.json');
+    if (!fs.existsSync(manifestPath)) return [];
+    let manifest;
+    try {
+        manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+    } catch (error) {
+        return [{ file: `${PACK_DIR}/index.json`, errors: [`manifest is not valid JSON: ${error.message}`] }];
+    }
+    if (!manifest || !Array.isArray(manifest.packs)) {
+        return [{ file: `${PACK_DIR}/index.json`, errors: ['manifest has no "packs" array'] }];
+    }
+    return manifest.packs.map(entry => {
+        const file = `${PACK_DIR}/${entry && entry.path}`;
+        try {
+            return { file, pack: JSON.parse(fs.readFileSync(path.join(root, file), 'utf8')) };
+        } catch (error) {
+            return { file, errors: [error.code === 'ENOENT' ? 'file not found' : `not valid JSON: ${error.message}`] };
+        }
+    });
+}
+
+function printList(icon, items) {
+    items.forEach(item => console.log(`   ${icon} ${item}`));
+}
+
+async function main() {
+    let errorCount = 0;
+    let warningCount = 0;
+
+    const banks = await loadBanks();
+    const builtIn = banksAsPack(banks);
+    const result = validateContentPack(builtIn, knownIds(banks));
+
+    console.log('🔍 Built-in banks');
+    console.log(`   Part 1–4: ${['part1', 'part2', 'part3', 'part4'].map(p => (banks.listening[p] || []).length).join(' / ')} items, ` +
+        `Part 6 bank: ${banks.part6.length} sets, grammar: ${banks.grammarQuestions.length} questions / ${banks.grammarRules.length} rules, ` +
+        `reading: ${banks.readingQuestions.length} questions / ${banks.passages.length} passages`);
+    printList('❌', result.errors.map(message => labelWithId(builtIn, message)));
+    printList('⚠️', result.warnings.map(message => labelWithId(builtIn, message)));
+    errorCount += result.errors.length;
+    warningCount += result.warnings.length;
+
+    const duplicates = duplicateStemReport(banks);
+    console.log('\n🔁 Duplicate stems');
+    if (duplicates.length === 0) console.log('   none');
+    duplicates.forEach(([name, groups]) => {
+        printList('⚠️', groups.map(labels => `${name}: ${labels.join(', ')}`));
+        warningCount += groups.length;
+    });
+
+    console.log('\n🎯 Answer positions');
+    positionBiasReport(banks).forEach(({ name, counts, total, chiSquare, biased }) => {
+        const distribution = counts
+            .map((n, i) => `${String.fromCharCode(65 + i)} ${Math.round((n / total) * 100)}%`)
+            .join('  ');
+        console.log(`   ${biased ? '⚠️' : '✅'} ${name.padEnd(17)} n=${String(total).padEnd(4)} ${distribution}  (χ² ${chiSquare.toFixed(1)})`);
+        if (biased) warningCount++;
+    });
+
+    const subtypes = subtypeReport(banks);
+    console.log('\n🏷️ Part 7 subtypes');
+    console.log(`   ${subtypes.errors.length > 0 ? '❌' : '✅'} ${Object.entries(subtypes.counts).map(([subtype, n]) => `${subtype} ${n}`).join(', ')}`);
+    printList('❌', subtypes.errors);
+    errorCount += subtypes.errors.length;
+
+    const generated = generatedSampleReport(banks);
+    console.log('\n🧩 Generated Part 5');
+    console.log(`   ${generated.errors.length > 0 ? '❌' : '✅'} ${generated.count} items (seed ${GENERATED_SAMPLE.seed})`);
+    printList('❌', generated.errors);
+    errorCount += generated.errors.length;
+
+    const packFiles = loadPackFiles();
+    if (packFiles.length > 0) console.log('\n📦 Content packs');
+    packFiles.forEach(({ file, pack, errors }) => {
+        const check = pack ? validateContentPack(pack, knownIds(banks)) : { errors, warnings: [] };
+        const warnings = pack ? [...check.warnings, ...packCollisions(pack, banks)] : [];
+        console.log(`   ${check.errors.length > 0 ? '❌' : '✅'} ${file}`);
+        printList('   ❌', check.errors.map(message => labelWithId(pack, message)));
+        printList('   ⚠️', warnings);
+        errorCount += check.errors.length;
+        warningCount += warnings.length;
+    });
+
+    console.log(`\n${errorCount > 0 ? '❌' : '✅'} ${errorCount} error(s), ${warningCount} warning(s)`);
+    process.exitCode = errorCount > 0 ? 1 : 0;
+}
+
+main().catch(error => {
+    console.error('❌ Could not validate banks:', error);
+    process.exitCode = 1;
+});
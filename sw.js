@@ -28,13 +28,23 @@ const FILES_TO_CACHE = [
     './assets/js/enhanced-progress.js',
     // './assets/js/progress-dashboard.js', // Removed - file doesn't exist
     './assets/js/settings-panel.js',
+    './assets/js/content-pack-loader.js',
+    './assets/data/content-packs/index.json',
+    './assets/data/content-packs/example-pack.json',
+    './assets/js/anki-package.js',
     './assets/js/toeic-vocabulary-system.js',
+    './assets/js/vocabulary-exercises.js',
     './assets/js/toeic-reading-system.js',
-    // './assets/js/toeic-listening-system.js', // Removed - file deleted
     './assets/data/toeic-listening-banks.js',
+    './assets/js/toeic-listening-system.js',
+    './assets/data/toeic-score-tables.json',
+    './assets/data/word-families.json',
+    './assets/js/toeic-score-converter.js',
     './assets/js/toeic-test-simulator.js',
     './assets/js/motion.js',
     './assets/js/toeic-grammar-system.js',
+    './assets/js/part5-templates.js',
+    './assets/js/toeic-diagnostic-system.js',
     './assets/js/daily-conversation-system.js',
     './assets/js/study-strategies.js',
     './assets/js/language-manager.js',